@@ -0,0 +1,38 @@
+/**
+ * ============================================================
+ * 連線對戰伺服器啟動腳本
+ * ============================================================
+ * 在本機啟動權威伺服器，瀏覽器從選單的「連線對戰」建立或加入房間。
+ *
+ * 用法：
+ *   npm run server                      — 監聽 localhost:8787
+ *   npm run server -- --port 9000       — 改用其他埠
+ *   npm run server -- --host 0.0.0.0    — 開放區域網路上的其他電腦連入
+ */
+import { createRoomServer } from '../server/roomServer.js';
+import { NET_DEFAULT_PORT } from '../src/net/protocol.js';
+
+/**
+ * 解析 --name value 形式的命令列參數
+ * @param {string[]} argv
+ * @returns {{ port: number, host: string }}
+ */
+function parseArgs(argv) {
+  const opts = { port: NET_DEFAULT_PORT, host: 'localhost' };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': opts.port = Number(argv[++i]); break;
+      case '--host': opts.host = argv[++i]; break;
+    }
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const server = await createRoomServer(opts);
+console.log(`坦克大戰連線伺服器已啟動：ws://${opts.host}:${server.port}（Ctrl+C 結束）`);
+
+process.on('SIGINT', async () => {
+  await server.close();
+  process.exit(0);
+});
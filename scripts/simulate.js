@@ -0,0 +1,109 @@
+/**
+ * ============================================================
+ * 無頭批次模擬 (Headless Batch Simulation)
+ * ============================================================
+ * 在 Node 下直接驅動 GameEngine 跑大量對局（不需 DOM / Canvas / Web Audio），
+ * 以簡單的機器人輸入統計單一關卡的過關率、耗時與剩餘生命，供關卡平衡參考。
+ *
+ * 用法：
+ *   npm run simulate -- --games 1000 --level 3 --max-ticks 36000 --seed 1
+ *   加上 --json 會輸出每一局的原始結果
+ */
+import { GameEngine } from '../src/game/GameEngine.js';
+import { Random } from '../src/game/Random.js';
+import { GAME_STATE, SIM_TICK_RATE } from '../src/game/constants.js';
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * 解析 --name value 形式的命令列參數
+ * @param {string[]} argv
+ * @returns {{ games: number, level: number, maxTicks: number, seed: number, json: boolean }}
+ */
+function parseArgs(argv) {
+  const opts = { games: 100, level: 1, maxTicks: 36000, seed: 1, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--games':     opts.games = Number(argv[++i]); break;
+      case '--level':     opts.level = Number(argv[++i]); break;
+      case '--max-ticks': opts.maxTicks = Number(argv[++i]); break;
+      case '--seed':      opts.seed = Number(argv[++i]); break;
+      case '--json':      opts.json = true; break;
+    }
+  }
+  return opts;
+}
+
+/**
+ * 機器人是否該開火：砲口朝向自家基地時不開火
+ * @param {GameEngine} engine
+ * @param {string} direction
+ * @returns {boolean}
+ */
+function shouldFire(engine, direction) {
+  const { player, base } = engine;
+  if (direction === 'down') return false;
+  const sameRow = player.y + player.size > base.y - base.size;
+  if (!sameRow) return true;
+  if (direction === 'right') return player.x > base.x;
+  if (direction === 'left') return player.x < base.x;
+  return true;
+}
+
+/**
+ * 跑一局：機器人每隔一段時間隨機換方向，砲口未朝向基地時持續開火
+ * @param {number} seed
+ * @param {number} level
+ * @param {number} maxTicks
+ * @returns {{ seed: number, result: string, ticks: number, score: number, lives: number, baseLost: boolean }}
+ */
+function runGame(seed, level, maxTicks) {
+  const engine = new GameEngine();
+  const bot = new Random(seed ^ 0x5bd1e995);
+  engine.startGame(level, seed);
+
+  let direction = 'up';
+  let nextTurn = 0;
+
+  while (engine.state === GAME_STATE.PLAYING && engine.tick < maxTicks) {
+    if (engine.tick >= nextTurn) {
+      direction = bot.pick(DIRECTIONS);
+      nextTurn = engine.tick + 30 + bot.int(60);
+      for (const dir of DIRECTIONS) engine.keys[dir] = dir === direction;
+    }
+    engine.keys.fire = shouldFire(engine, direction);
+    engine.step();
+  }
+
+  const result = engine.state === GAME_STATE.LEVEL_CLEAR ? 'clear'
+    : engine.state === GAME_STATE.GAME_OVER ? 'game_over'
+    : 'timeout';
+  return {
+    seed, result,
+    ticks: engine.tick,
+    score: engine.score,
+    lives: engine.lives,
+    baseLost: !engine.base.alive,
+  };
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const results = [];
+for (let i = 0; i < opts.games; i++) {
+  results.push(runGame(opts.seed + i, opts.level, opts.maxTicks));
+}
+
+if (opts.json) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  const count = (r) => results.filter(g => g.result === r).length;
+  const cleared = results.filter(g => g.result === 'clear');
+  const avg = (list, key) => list.length ? list.reduce((sum, g) => sum + g[key], 0) / list.length : 0;
+
+  console.log(`關卡 ${opts.level}，共 ${opts.games} 局（種子 ${opts.seed} ~ ${opts.seed + opts.games - 1}）`);
+  console.log(`  過關      ${count('clear')}`);
+  console.log(`  遊戲結束  ${count('game_over')}（基地被毀 ${results.filter(g => g.baseLost).length}）`);
+  console.log(`  逾時      ${count('timeout')}`);
+  console.log(`  過關平均耗時  ${(avg(cleared, 'ticks') / SIM_TICK_RATE).toFixed(1)} 秒`);
+  console.log(`  過關平均剩餘生命  ${avg(cleared, 'lives').toFixed(2)}`);
+}
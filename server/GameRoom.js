@@ -0,0 +1,210 @@
+/**
+ * ============================================================
+ * 對戰房間 (Game Room)
+ * ============================================================
+ * 一個房間 = 一個權威的 GameEngine + 最多 ROOM_CAPACITY 位成員。
+ * 成員依加入順序取得玩家編號 (slot)，第一位是房主（離開時由下一位接手）。
+ *
+ * 每個模擬步 (step)：
+ *   1. 每位成員從輸入佇列取出下一筆輸入（佇列空了就沿用上一筆），寫進引擎的 playerKeys
+ *   2. engine.step()
+ *   3. 每 SNAPSHOT_INTERVAL_TICKS 步、或遊戲狀態改變時，廣播局面與各自的 ack
+ *
+ * 房間不直接碰 WebSocket：成員只要提供 send(message)，方便在測試中直接驅動。
+ */
+import { GameEngine } from '../src/game/GameEngine.js';
+import { GAME_STATE, SIM_TICK_MS, MAX_FRAME_TIME } from '../src/game/constants.js';
+import { createGameConfig } from '../src/game/gameConfig.js';
+import { createSeed } from '../src/game/Random.js';
+import {
+  NET_MESSAGE, ROOM_CAPACITY, SNAPSHOT_INTERVAL_TICKS, MAX_PENDING_INPUTS, unpackKeys,
+} from '../src/net/protocol.js';
+
+// 沒有輸入時的按鍵狀態
+const NO_KEYS = unpackKeys(0);
+
+export class GameRoom {
+  /**
+   * @param {string} code - 房間代碼
+   * @param {object} [config] - 房主的遊戲設定（gameConfig.js）
+   */
+  constructor(code, config) {
+    this.code = code;
+    this.config = createGameConfig(config);
+    this.engine = new GameEngine();
+    this.members = [];        // { send, slot, inputs: {seq, keys}[], keys, ack }
+    this.started = false;
+
+    this.lastSentState = null;  // 上次廣播時的 GAME_STATE
+    this.lastSentWalls = null;  // 上次廣播的牆（JSON 字串，沒變就不再送）
+
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+  }
+
+  /** 房主（第一位成員）*/
+  get host() {
+    return this.members[0] ?? null;
+  }
+
+  /** 房間是否沒人了 */
+  get isEmpty() {
+    return this.members.length === 0;
+  }
+
+  /**
+   * 加入房間
+   * @param {{ send: (message: object) => void }} member
+   * @throws {Error} 房間已滿或已開打時拋出（訊息直接回給玩家）
+   */
+  join(member) {
+    if (this.started) throw new Error('對戰已經開始，無法加入');
+    if (this.members.length >= ROOM_CAPACITY) throw new Error('房間已滿');
+
+    member.slot = this.members.length;
+    member.inputs = [];
+    member.keys = NO_KEYS;
+    member.ack = 0;
+    this.members.push(member);
+    this._broadcastRoom();
+  }
+
+  /**
+   * 離開房間；對戰中離開的玩家坦克留在場上不再動作
+   * @param {object} member
+   */
+  leave(member) {
+    const index = this.members.indexOf(member);
+    if (index < 0) return;
+    this.members.splice(index, 1);
+    if (!this.started) {
+      // 開打前重新依順序編號
+      this.members.forEach((m, i) => { m.slot = i; });
+    } else {
+      this.engine.playerKeys[member.slot] = { ...NO_KEYS };
+    }
+    this._broadcastRoom();
+  }
+
+  /**
+   * 處理成員送來的訊息（create / join 由伺服器處理）
+   * @param {object} member
+   * @param {{ type: string }} message
+   */
+  handleMessage(member, message) {
+    const { engine } = this;
+    switch (message.type) {
+      case NET_MESSAGE.INPUT:
+        if (!Number.isInteger(message.seq) || !Number.isInteger(message.keys)) return;
+        member.inputs.push({ seq: message.seq, keys: message.keys });
+        if (member.inputs.length > MAX_PENDING_INPUTS) member.inputs.shift();
+        return;
+      case NET_MESSAGE.START:
+        if (member === this.host && !this.started) this._start();
+        return;
+      case NET_MESSAGE.RESTART:
+        if (member === this.host && engine.state === GAME_STATE.GAME_OVER) this._start();
+        return;
+      case NET_MESSAGE.PAUSE:
+        engine.togglePause();
+        break;
+      case NET_MESSAGE.NEXT:
+        if (engine.state === GAME_STATE.LEVEL_CLEAR) engine.nextLevel();
+        break;
+      default:
+        return;
+    }
+    this._broadcastState(true);
+  }
+
+  /**
+   * 依經過的時間推進模擬（伺服器的計時器呼叫；與 GameEngine.update 同樣以固定步長累積）
+   * @param {number} now - 毫秒時間戳
+   */
+  update(now) {
+    if (this.lastFrameTime === null) this.lastFrameTime = now;
+    this.accumulator += Math.min(Math.max(0, now - this.lastFrameTime), MAX_FRAME_TIME);
+    this.lastFrameTime = now;
+    while (this.accumulator >= SIM_TICK_MS) {
+      this.step();
+      this.accumulator -= SIM_TICK_MS;
+    }
+  }
+
+  /**
+   * 單一模擬步：套用每位成員的下一筆輸入後推進引擎
+   */
+  step() {
+    const { engine } = this;
+    if (!this.started || engine.state !== GAME_STATE.PLAYING) return;
+
+    for (const member of this.members) {
+      const input = member.inputs.shift();
+      if (input) {
+        member.keys = unpackKeys(input.keys);
+        member.ack = input.seq;
+      }
+      engine.playerKeys[member.slot] = { ...member.keys };
+    }
+    engine.step();
+
+    const stateChanged = engine.state !== this.lastSentState;
+    if (stateChanged || engine.tick % SNAPSHOT_INTERVAL_TICKS === 0) this._broadcastState(stateChanged);
+  }
+
+  // =============================================
+  // 內部工具
+  // =============================================
+
+  /**
+   * 開新局：人數即目前成員數，使用房主的設定
+   */
+  _start() {
+    this.started = true;
+    // 對戰中有人離開時編號會留空，重新開局前依順序重新編號
+    this.members.forEach((member, i) => {
+      member.slot = i;
+      member.inputs = [];
+      member.keys = NO_KEYS;
+    });
+    // 先通知新編號，客戶端才會用正確的坦克做預測
+    this._broadcastRoom();
+    this.engine.startGame(this.config.startLevel, createSeed(), {
+      players: this.members.length,
+      config: this.config,
+    });
+    this._broadcastState(true);
+  }
+
+  /**
+   * 通知每位成員目前的房間資訊
+   */
+  _broadcastRoom() {
+    for (const member of this.members) {
+      member.send({
+        type: NET_MESSAGE.ROOM,
+        code: this.code,
+        slot: member.slot,
+        players: this.members.length,
+        isHost: member === this.host,
+        started: this.started,
+      });
+    }
+  }
+
+  /**
+   * 廣播局面；牆沒有變化時省略以節省流量（客戶端沿用上次收到的）
+   * @param {boolean} [full] - 一定附上牆（開局、狀態切換時）
+   */
+  _broadcastState(full = false) {
+    const state = this.engine.exportState();
+    const walls = JSON.stringify(state.walls);
+    if (!full && walls === this.lastSentWalls) delete state.walls;
+    this.lastSentWalls = walls;
+    this.lastSentState = state.state;
+
+    for (const member of this.members) {
+      member.send({ type: NET_MESSAGE.STATE, ack: member.ack, state });
+    }
+  }
+}
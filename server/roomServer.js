@@ -0,0 +1,105 @@
+/**
+ * ============================================================
+ * 連線對戰伺服器 (Room Server)
+ * ============================================================
+ * 以 ws 套件提供 WebSocket 服務，管理以代碼區分的 GameRoom：
+ *   create → 產生新代碼並以建立者為房主；join → 依代碼加入
+ *   其餘訊息轉交給成員所在的房間
+ * 計時器每 SIM_TICK_MS 推進所有房間；房間沒人時移除。
+ */
+import { randomInt } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { SIM_TICK_MS } from '../src/game/constants.js';
+import {
+  NET_DEFAULT_PORT, NET_MESSAGE, createRoomCode, normalizeRoomCode, encodeMessage, decodeMessage,
+} from '../src/net/protocol.js';
+import { GameRoom } from './GameRoom.js';
+
+/**
+ * 啟動伺服器
+ * @param {{ port?: number, host?: string, autoTick?: boolean }} [options]
+ *   port — 監聽埠（0 = 任選空閒埠）；host — 監聽位址（預設只開放本機）；
+ *   autoTick — 是否以計時器推進房間（測試時關閉，改為手動呼叫 room.step()）
+ * @returns {Promise<{ port: number, rooms: Map<string, GameRoom>, close: () => Promise<void> }>}
+ */
+export function createRoomServer({ port = NET_DEFAULT_PORT, host = 'localhost', autoTick = true } = {}) {
+  const rooms = new Map();
+  const wss = new WebSocketServer({ port, host });
+
+  /** 產生一個沒被使用的房間代碼 */
+  const newRoomCode = () => {
+    let code;
+    do code = createRoomCode(randomInt); while (rooms.has(code));
+    return code;
+  };
+
+  wss.on('connection', (socket) => {
+    const member = {
+      room: null,
+      send(message) {
+        if (socket.readyState === socket.OPEN) socket.send(encodeMessage(message));
+      },
+    };
+    const fail = (message) => member.send({ type: NET_MESSAGE.ERROR, message });
+
+    const leaveRoom = () => {
+      const { room } = member;
+      if (!room) return;
+      room.leave(member);
+      member.room = null;
+      if (room.isEmpty) rooms.delete(room.code);
+    };
+
+    /** 處理一則訊息；失敗時以例外回報 */
+    const handleMessage = (message) => {
+      if (message.type === NET_MESSAGE.CREATE || message.type === NET_MESSAGE.JOIN) {
+        leaveRoom();
+        let room;
+        if (message.type === NET_MESSAGE.CREATE) {
+          room = new GameRoom(newRoomCode(), message.config);
+          rooms.set(room.code, room);
+        } else {
+          room = rooms.get(normalizeRoomCode(message.code));
+          if (!room) throw new Error('找不到這個房間代碼');
+        }
+        room.join(member);
+        member.room = room;
+        return;
+      }
+      member.room?.handleMessage(member, message);
+    };
+
+    socket.on('message', (data) => {
+      const message = decodeMessage(String(data));
+      if (!message) return;
+      // 任何一則訊息出錯都只回報給這條連線，不能讓整台伺服器掛掉
+      try {
+        handleMessage(message);
+      } catch (err) {
+        fail(err.message);
+      }
+    });
+
+    socket.on('close', leaveRoom);
+  });
+
+  const timer = autoTick
+    ? setInterval(() => {
+      const now = performance.now();
+      for (const room of rooms.values()) room.update(now);
+    }, SIM_TICK_MS)
+    : null;
+
+  const close = () => new Promise((resolve) => {
+    if (timer) clearInterval(timer);
+    for (const client of wss.clients) client.terminate();
+    wss.close(() => resolve());
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      resolve({ port: wss.address().port, rooms, close });
+    });
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * ============================================================
+ * 成就通知 (AchievementToast)
+ * ============================================================
+ * 解鎖成就時在畫面上方短暫顯示，時間到自動收起；連續解鎖時由 TankGame 依序排隊顯示。
+ */
+import React, { useEffect } from 'react';
+
+// 每則通知顯示的時間（毫秒）
+const TOAST_DURATION = 3000;
+
+/**
+ * @param {{
+ *   achievement: { id: string, icon: string, label: string, description: string },
+ *   onDone: () => void,
+ * }} props
+ *   achievement — achievements.js 的 ACHIEVEMENTS 項目；onDone — 顯示時間到
+ */
+export default function AchievementToast({ achievement, onDone }) {
+  useEffect(() => {
+    const id = setTimeout(onDone, TOAST_DURATION);
+    return () => clearTimeout(id);
+  }, [achievement, onDone]);
+
+  return (
+    <div className="achievement-toast" role="status">
+      <span className="achievement-icon">{achievement.icon}</span>
+      <span className="achievement-text">
+        <span className="achievement-title">成就解鎖：{achievement.label}</span>
+        <span className="achievement-description">{achievement.description}</span>
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * ============================================================
+ * 按鍵設定畫面 (ControlSettings)
+ * ============================================================
+ * 從選單開啟，重新指定鍵盤與手把的按鍵：
+ *   [動作 × 1P 鍵盤 / 2P 鍵盤 / 手把] — 點一格後按下新的按鍵或手把按鈕
+ *   [暫停]                           — 鍵盤暫停鍵與手把暫停鈕
+ * 等待輸入時按 Esc 取消。新按鍵原本的用途會被拿掉，避免一鍵兩用。
+ *
+ * 按鍵設定由 TankGame 持有並寫入 localStorage，這裡只負責顯示與回報變更。
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  PLAYER_ACTIONS, PAUSE_ACTION, createDefaultBindings, rebindKey, rebindButton,
+  getKeyLabel, getButtonLabel, getNewlyPressedButton,
+} from '../game/inputBindings.js';
+
+// 動作名稱
+const ACTION_LABELS = {
+  up: '上',
+  down: '下',
+  left: '左',
+  right: '右',
+  fire: '射擊',
+  [PAUSE_ACTION]: '暫停',
+};
+
+/**
+ * 等待玩家按下新的鍵盤按鍵
+ * 在 capture 階段攔截，按鍵不會再傳給遊戲的輸入處理
+ */
+function useKeyCapture(active, onKey, onCancel) {
+  useEffect(() => {
+    if (!active) return undefined;
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') onCancel();
+      else onKey(e.key);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [active, onKey, onCancel]);
+}
+
+/**
+ * 等待任一支手把按下新的按鈕（開始等待時已按著的按鈕要先放開再按才算）
+ */
+function useButtonCapture(active, onButton) {
+  useEffect(() => {
+    if (!active || !navigator.getGamepads) return undefined;
+    const previous = new Map();  // 手把 index → 上一幀各按鈕是否按著
+    let frameId;
+
+    const poll = () => {
+      for (const pad of navigator.getGamepads()) {
+        if (!pad) continue;
+        const before = previous.get(pad.index);
+        const button = before ? getNewlyPressedButton(pad, before) : null;
+        if (button !== null) {
+          onButton(button);
+          return;
+        }
+        previous.set(pad.index, pad.buttons.map(b => b.pressed));
+      }
+      frameId = requestAnimationFrame(poll);
+    };
+
+    frameId = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frameId);
+  }, [active, onButton]);
+}
+
+/**
+ * @param {{
+ *   bindings: object,
+ *   gamepadCount: number,
+ *   onChange: (bindings: object) => void,
+ *   onBack: () => void,
+ * }} props
+ *   gamepadCount — 目前連接的手把數（顯示用）
+ */
+export default function ControlSettings({ bindings, gamepadCount, onChange, onBack }) {
+  // 正在等待輸入的格子：{ device: 'keyboard' | 'gamepad', player: number|null, action: string }
+  const [listening, setListening] = useState(null);
+
+  const handleKey = (key) => {
+    onChange(rebindKey(bindings, listening.player, listening.action, key));
+    setListening(null);
+  };
+  const handleButton = (button) => {
+    onChange(rebindButton(bindings, listening.action, button));
+    setListening(null);
+  };
+  const handleCancel = () => setListening(null);
+
+  useKeyCapture(listening?.device === 'keyboard', handleKey, handleCancel);
+  useButtonCapture(listening?.device === 'gamepad', handleButton);
+
+  /** 一格按鍵按鈕：顯示目前的按鍵，點下後等待新的輸入 */
+  const bindingCell = (device, player, action, labels) => {
+    const isListening = listening?.device === device && listening.player === player && listening.action === action;
+    return (
+      <button
+        className={`toolbar-btn settings-preset${isListening ? ' active' : ''}`}
+        onClick={() => setListening(isListening ? null : { device, player, action })}
+      >
+        {isListening ? '請按下…' : labels.join(' / ') || '—'}
+      </button>
+    );
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-title">⌨️ 按鍵設定</div>
+      <div className="high-score-summary">
+        {gamepadCount > 0 ? `已連接 ${gamepadCount} 支手把` : '未偵測到手把（接上後按任一鍵）'}
+      </div>
+
+      <table className="high-score-table control-table">
+        <thead>
+          <tr>
+            <th /><th>1P 鍵盤</th><th>2P 鍵盤</th><th>手把</th>
+          </tr>
+        </thead>
+        <tbody>
+          {PLAYER_ACTIONS.map(action => (
+            <tr key={action}>
+              <th>{ACTION_LABELS[action]}</th>
+              {bindings.keyboard.players.map((actions, player) => (
+                <td key={player}>
+                  {bindingCell('keyboard', player, action, actions[action].map(getKeyLabel))}
+                </td>
+              ))}
+              <td>{bindingCell('gamepad', null, action, bindings.gamepad[action].map(getButtonLabel))}</td>
+            </tr>
+          ))}
+          <tr>
+            <th>{ACTION_LABELS[PAUSE_ACTION]}</th>
+            <td colSpan={2}>
+              {bindingCell('keyboard', null, PAUSE_ACTION, bindings.keyboard.pause.map(getKeyLabel))}
+            </td>
+            <td>{bindingCell('gamepad', null, PAUSE_ACTION, bindings.gamepad[PAUSE_ACTION].map(getButtonLabel))}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="high-score-empty">單人遊戲時兩組鍵盤與所有手把都控制 1P；雙人時手把依連接順序分給 1P、2P</div>
+
+      <div className="editor-actions">
+        <button className="game-btn editor-btn btn-secondary" onClick={() => onChange(createDefaultBindings())}>
+          ↺ 還原預設
+        </button>
+        <button className="game-btn editor-btn btn-secondary" onClick={onBack}>
+          ↩ 返回
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,36 +2,171 @@
  * ============================================================
  * 遊戲 HUD (Head-Up Display)
  * ============================================================
- * 顯示分數、生命值、關卡、剩餘敵軍數。
+ * 顯示分數、生命值、關卡、剩餘敵軍數、基地狀態、生效中的道具，
+ * 以及關卡檔的額外過關條件（守住倒數 / 得分目標）與目前的關卡任務（第幾項、剩餘時間）。
+ * 雙人模式下分數與生命改為 1P / 2P 各一格。
+ * 死鬥模式改為每台坦克一格擊殺數，再加上比賽剩餘時間與擊殺目標。
+ * 生存模式以波次取代關卡，並顯示波與波之間的喘息倒數與各玩家的連殺倍率。
  * 在手機上使用較大字型確保可讀性。
  */
 import React from 'react';
+import { POWER_UP_ICONS } from '../game/PowerUp.js';
+import { GAME_MODE } from '../game/constants.js';
+import { getCombatantLabel } from '../game/versus.js';
 
 /**
- * @param {{ score: number, lives: number, level: number, enemiesLeft: number }} props
+ * 道具效果的顯示文字：星星顯示階段，限時效果顯示剩餘秒數
+ * @param {{ type: string, remaining?: number, level?: number }} effect
+ * @returns {string}
  */
-export default function GameHUD({ score, lives, level, enemiesLeft }) {
+function formatEffect(effect) {
+  if (effect.level !== undefined) return `×${effect.level}`;
+  return `${Math.ceil(effect.remaining / 1000)}s`;
+}
+
+/**
+ * 倒數時間顯示為 m:ss
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatCountdown(ms) {
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {{
+ *   score: number, lives: number, level: number, enemiesLeft: number, baseAlive: boolean,
+ *   players?: { score: number, lives: number, frags?: number, bot?: boolean, multiplier?: number }[],
+ *   mode?: string,
+ *   effects?: { type: string, player?: number, remaining?: number, level?: number }[],
+ *   progress?: {
+ *     name?: string|null, timeLeft?: number, scoreLeft?: number, fragLimit?: number, wave?: number, breakLeft?: number,
+ *     objective?: { label: string, step: number, steps: number, timeLeft: number|null },
+ *   },
+ * }} props
+ *   mode — GAME_MODE；progress — engine.getStageProgress() 的結果
+ */
+export default function GameHUD({
+  score, lives, level, enemiesLeft, baseAlive, players = [], mode = GAME_MODE.CAMPAIGN, effects = [], progress = {},
+}) {
+  const twoPlayer = players.length > 1;
+  const humans = players.filter(p => !p.bot).length;
+  const labels = players.map((_, i) => getCombatantLabel(i, humans));
+  const survival = mode === GAME_MODE.SURVIVAL;
+
+  // 生存模式：連殺倍率超過 1 倍時才顯示
+  const multiplierOf = (p) => survival && p.multiplier > 1 && (
+    <span className="hud-value hud-multiplier" title="連殺倍率">×{p.multiplier}</span>
+  );
+
+  const effectList = effects.length > 0 && (
+    <div className="hud-item hud-effects">
+      {effects.map(effect => (
+        <span key={`${effect.type}-${effect.player ?? 'team'}`} className="hud-effect" title={effect.type}>
+          {twoPlayer && effect.player !== undefined && (
+            <span className="hud-label">{labels[effect.player]}</span>
+          )}
+          {POWER_UP_ICONS[effect.type]}
+          <span className="hud-effect-time">{formatEffect(effect)}</span>
+        </span>
+      ))}
+    </div>
+  );
+
+  if (mode === GAME_MODE.VERSUS) {
+    return (
+      <div className="game-hud">
+        {players.map((p, i) => (
+          <div key={i} className={`hud-item hud-player hud-player-${i + 1}`}>
+            <span className="hud-label">{labels[i]}</span>
+            <span className="hud-value">⚔️{p.frags}</span>
+          </div>
+        ))}
+        {progress.timeLeft !== undefined && (
+          <div className="hud-item hud-target" title="比賽剩餘時間">
+            <span className="hud-label">⏳</span>
+            <span className="hud-value">{formatCountdown(progress.timeLeft)}</span>
+          </div>
+        )}
+        {progress.fragLimit !== undefined && (
+          <div className="hud-item hud-target" title="擊殺目標">
+            <span className="hud-label">🎯</span>
+            <span className="hud-value">{progress.fragLimit}</span>
+          </div>
+        )}
+        {effectList}
+      </div>
+    );
+  }
+
   return (
     <div className="game-hud">
-      <div className="hud-item hud-level">
-        <span className="hud-label">關卡</span>
-        <span className="hud-value">{level}</span>
-      </div>
-      <div className="hud-item hud-score">
-        <span className="hud-label">分數</span>
-        <span className="hud-value">{score}</span>
-      </div>
-      <div className="hud-item hud-lives">
-        <span className="hud-label">生命</span>
-        <span className="hud-value">
-          {/* 用坦克 emoji 表示剩餘生命 */}
-          {'🛡️'.repeat(Math.max(0, lives))}
-        </span>
+      <div className="hud-item hud-level" title={progress.name ?? undefined}>
+        <span className="hud-label">{survival ? '波次' : '關卡'}</span>
+        <span className="hud-value">{survival ? progress.wave : level}</span>
       </div>
+      {twoPlayer ? (
+        players.map((p, i) => (
+          <div key={i} className={`hud-item hud-player hud-player-${i + 1}`}>
+            <span className="hud-label">{i + 1}P</span>
+            <span className="hud-value">{p.score}</span>
+            <span className="hud-value">{p.lives > 0 ? `🛡️×${p.lives}` : '💀'}</span>
+            {multiplierOf(p)}
+          </div>
+        ))
+      ) : (
+        <>
+          <div className="hud-item hud-score">
+            <span className="hud-label">分數</span>
+            <span className="hud-value">{score}</span>
+            {players[0] && multiplierOf(players[0])}
+          </div>
+          <div className="hud-item hud-lives">
+            <span className="hud-label">生命</span>
+            <span className="hud-value">
+              {/* 用坦克 emoji 表示剩餘生命 */}
+              {'🛡️'.repeat(Math.max(0, lives))}
+            </span>
+          </div>
+        </>
+      )}
       <div className="hud-item hud-enemies">
         <span className="hud-label">敵軍</span>
         <span className="hud-value">{enemiesLeft}</span>
       </div>
+      {progress.timeLeft !== undefined && (
+        <div className="hud-item hud-target" title="守住倒數">
+          <span className="hud-label">⏳</span>
+          <span className="hud-value">{formatCountdown(progress.timeLeft)}</span>
+        </div>
+      )}
+      {progress.breakLeft !== undefined && (
+        <div className="hud-item hud-target" title="下一波倒數">
+          <span className="hud-label">🌊</span>
+          <span className="hud-value">{formatCountdown(progress.breakLeft)}</span>
+        </div>
+      )}
+      {progress.scoreLeft !== undefined && (
+        <div className="hud-item hud-target" title="本關得分目標">
+          <span className="hud-label">🎯</span>
+          <span className="hud-value">{progress.scoreLeft}</span>
+        </div>
+      )}
+      {progress.objective && (
+        <div className="hud-item hud-target hud-objective" title="關卡任務">
+          <span className="hud-label">📋 {progress.objective.step}/{progress.objective.steps}</span>
+          <span className="hud-value">{progress.objective.label}</span>
+          {progress.objective.timeLeft !== null && (
+            <span className="hud-value hud-objective-time">{formatCountdown(progress.objective.timeLeft)}</span>
+          )}
+        </div>
+      )}
+      <div className={`hud-item hud-base${baseAlive ? '' : ' hud-base-destroyed'}`}>
+        <span className="hud-label">基地</span>
+        <span className="hud-value">{baseAlive ? '🦅' : '💥'}</span>
+      </div>
+      {effectList}
     </div>
   );
 }
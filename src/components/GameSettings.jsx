@@ -0,0 +1,155 @@
+/**
+ * ============================================================
+ * 遊戲設定畫面 (GameSettings)
+ * ============================================================
+ * 按下「開始遊戲」後先顯示，選好模式、難度預設或調整進階選項再出發：
+ *   [模式]     — 戰役 / 死鬥 / 生存
+ *   [難度預設] — 簡單 / 普通 / 困難（改過進階選項時顯示「自訂」；死鬥時決定電腦坦克的積極度）
+ *   [進階選項] — 戰役：生命數、每關敵軍數、同時敵軍上限、敵軍射擊冷卻、友軍誤傷、起始關卡
+ *                死鬥：擊殺目標、時間限制、電腦坦克數
+ *                生存：生命數、敵軍射擊冷卻、友軍誤傷（敵軍數量與上限隨波次自動提高）
+ *   [出發]     — 單人 / 雙人
+ *
+ * 設定由 TankGame 持有並寫入 localStorage，這裡只負責顯示與回報變更。
+ */
+import React, { useCallback } from 'react';
+import { DIFFICULTY, GAME_MODE } from '../game/constants.js';
+import { CONFIG_LIMITS, applyPreset, createGameConfig, matchPreset } from '../game/gameConfig.js';
+
+// 難度預設按鈕
+const PRESET_BUTTONS = [
+  { difficulty: DIFFICULTY.EASY, label: '🙂 簡單' },
+  { difficulty: DIFFICULTY.NORMAL, label: '😐 普通' },
+  { difficulty: DIFFICULTY.HARD, label: '😈 困難' },
+];
+
+// 模式按鈕
+const MODE_BUTTONS = [
+  { mode: GAME_MODE.CAMPAIGN, label: '🦅 戰役' },
+  { mode: GAME_MODE.VERSUS, label: '⚔️ 死鬥' },
+  { mode: GAME_MODE.SURVIVAL, label: '🌊 生存' },
+];
+
+// 各模式的數值型進階選項（順序即顯示順序）
+const NUMBER_FIELDS = {
+  [GAME_MODE.CAMPAIGN]: [
+    { key: 'lives', label: '生命數' },
+    { key: 'enemiesPerLevel', label: '每關敵軍' },
+    { key: 'maxEnemies', label: '同時敵軍上限' },
+    { key: 'enemyFireCooldown', label: '敵軍射擊冷卻 (ms)' },
+    { key: 'startLevel', label: '起始關卡' },
+  ],
+  [GAME_MODE.VERSUS]: [
+    { key: 'fragLimit', label: '擊殺目標' },
+    { key: 'timeLimit', label: '時間限制 (秒)' },
+    { key: 'bots', label: '電腦坦克' },
+  ],
+  [GAME_MODE.SURVIVAL]: [
+    { key: 'lives', label: '生命數' },
+    { key: 'enemyFireCooldown', label: '敵軍射擊冷卻 (ms)' },
+  ],
+};
+
+/**
+ * @param {{
+ *   config: object,
+ *   onChange: (config: object) => void,
+ *   onStart: (players: number) => void,
+ *   onBack: () => void,
+ * }} props
+ */
+export default function GameSettings({ config, onChange, onStart, onBack }) {
+  const preset = matchPreset(config);
+  const isVersus = config.mode === GAME_MODE.VERSUS;
+
+  const handlePreset = useCallback((difficulty) => {
+    onChange(applyPreset(config, difficulty));
+  }, [config, onChange]);
+
+  // 離開輸入框才套用（打字途中的 2 → 20 → 2000 不會先被夾成下限），
+  // 空白 / 超出範圍交給 createGameConfig 夾回合法值
+  const handleNumber = useCallback((key, e) => {
+    const value = e.target.value === '' ? config[key] : Number(e.target.value);
+    const next = createGameConfig({ ...config, [key]: value });
+    e.target.value = next[key];
+    if (next[key] !== config[key]) onChange(next);
+  }, [config, onChange]);
+
+  const handleMode = useCallback((mode) => {
+    onChange({ ...config, mode });
+  }, [config, onChange]);
+
+  const handleFriendlyFire = useCallback((e) => {
+    onChange({ ...config, friendlyFire: e.target.checked });
+  }, [config, onChange]);
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-title">⚙️ 遊戲設定</div>
+
+      <div className="settings-presets">
+        {MODE_BUTTONS.map(({ mode, label }) => (
+          <button
+            key={mode}
+            className={`toolbar-btn settings-preset${config.mode === mode ? ' active' : ''}`}
+            onClick={() => handleMode(mode)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="settings-presets">
+        {PRESET_BUTTONS.map(({ difficulty, label }) => (
+          <button
+            key={difficulty}
+            className={`toolbar-btn settings-preset${preset === difficulty ? ' active' : ''}`}
+            onClick={() => handlePreset(difficulty)}
+          >
+            {label}
+          </button>
+        ))}
+        {preset === null && <span className="settings-custom">✏️ 自訂</span>}
+      </div>
+
+      <div className="settings-fields">
+        {NUMBER_FIELDS[config.mode].map(({ key, label }) => {
+          const { min, max, step } = CONFIG_LIMITS[key];
+          return (
+            <label key={key} className="editor-field">
+              <span className="hud-label">{label}</span>
+              <input
+                key={`${key}-${config[key]}`}
+                type="number"
+                min={min}
+                max={max}
+                step={step}
+                defaultValue={config[key]}
+                onBlur={(e) => handleNumber(key, e)}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+              />
+            </label>
+          );
+        })}
+        {!isVersus && (
+          <label className="editor-field">
+            <span className="hud-label">友軍誤傷</span>
+            <input type="checkbox" checked={config.friendlyFire} onChange={handleFriendlyFire} />
+          </label>
+        )}
+      </div>
+
+      <div className="editor-actions">
+        <button className="game-btn editor-btn" onClick={() => onStart(1)}>
+          🎮 單人出發
+        </button>
+        <button className="game-btn editor-btn" onClick={() => onStart(2)}>
+          👥 雙人出發
+        </button>
+        <button className="game-btn editor-btn btn-secondary" onClick={onBack}>
+          ↩ 返回
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+/**
+ * ============================================================
+ * 排行榜畫面 (HighScoreBoard)
+ * ============================================================
+ * 從選單或輸入縮寫後開啟，依難度 × 模式分頁顯示本機排行榜（生存模式的表改列到達波次）。
+ * 剛寫入的那一筆會以高亮標示。
+ */
+import React, { useState } from 'react';
+import { DIFFICULTY } from '../game/constants.js';
+import { SCORE_MODE, CUSTOM_DIFFICULTY, HIGH_SCORE_LIMIT } from '../game/highScores.js';
+
+// 分頁文字
+const DIFFICULTY_LABELS = {
+  [DIFFICULTY.EASY]: '簡單',
+  [DIFFICULTY.NORMAL]: '普通',
+  [DIFFICULTY.HARD]: '困難',
+  [CUSTOM_DIFFICULTY]: '自訂',
+};
+const MODE_LABELS = {
+  [SCORE_MODE.SOLO]: '單人',
+  [SCORE_MODE.COOP]: '雙人',
+  [SCORE_MODE.SURVIVAL_SOLO]: '生存單人',
+  [SCORE_MODE.SURVIVAL_COOP]: '生存雙人',
+};
+// 生存模式的排行榜記的是到達波次
+const SURVIVAL_MODES = [SCORE_MODE.SURVIVAL_SOLO, SCORE_MODE.SURVIVAL_COOP];
+
+/**
+ * @param {{
+ *   tables: Object<string, object[]>,
+ *   initialCategory?: { difficulty: string, mode: string },
+ *   highlight?: { key: string, rank: number }|null,
+ *   onClose: () => void,
+ * }} props
+ */
+export default function HighScoreBoard({ tables, initialCategory, highlight = null, onClose }) {
+  const [difficulty, setDifficulty] = useState(initialCategory?.difficulty ?? DIFFICULTY.NORMAL);
+  const [mode, setMode] = useState(initialCategory?.mode ?? SCORE_MODE.SOLO);
+  const key = `${difficulty}-${mode}`;
+  const entries = tables[key] ?? [];
+
+  return (
+    <div className="settings-panel high-score-board">
+      <div className="settings-title">🏅 排行榜</div>
+
+      <div className="settings-presets">
+        {Object.entries(DIFFICULTY_LABELS).map(([value, label]) => (
+          <button
+            key={value}
+            className={`toolbar-btn settings-preset${difficulty === value ? ' active' : ''}`}
+            onClick={() => setDifficulty(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="settings-presets">
+        {Object.entries(MODE_LABELS).map(([value, label]) => (
+          <button
+            key={value}
+            className={`toolbar-btn settings-preset${mode === value ? ' active' : ''}`}
+            onClick={() => setMode(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="high-score-empty">尚無紀錄</div>
+      ) : (
+        <table className="high-score-table">
+          <thead>
+            <tr>
+              <th>#</th><th>縮寫</th><th>分數</th><th>{SURVIVAL_MODES.includes(mode) ? '波次' : '關卡'}</th><th>擊毀</th><th>命中率</th><th>日期</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.slice(0, HIGH_SCORE_LIMIT).map((entry, i) => (
+              <tr key={`${entry.date}-${i}`} className={highlight?.key === key && highlight.rank === i ? 'highlight' : ''}>
+                <td>{i + 1}</td>
+                <td>{entry.initials}</td>
+                <td>{entry.score}</td>
+                <td>{entry.level}</td>
+                <td>{entry.kills}</td>
+                <td>{Math.round(entry.accuracy * 100)}%</td>
+                <td>{new Date(entry.date).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="editor-actions">
+        <button className="game-btn editor-btn btn-secondary" onClick={onClose}>
+          ↩ 返回
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+/**
+ * ============================================================
+ * 縮寫輸入 (InitialsEntry)
+ * ============================================================
+ * 遊戲結束且分數擠進排行榜時顯示，輸入最多三個英數字的縮寫後寫入排行榜。
+ */
+import React, { useState, useCallback } from 'react';
+import { INITIALS_LENGTH, normalizeInitials } from '../game/highScores.js';
+
+/**
+ * @param {{
+ *   summary: { score: number, level: number, kills: number, accuracy: number },
+ *   survival?: boolean,
+ *   onSubmit: (initials: string) => void,
+ *   onSkip: () => void,
+ * }} props
+ *   survival — 生存模式的 summary.level 是到達的波次
+ */
+export default function InitialsEntry({ summary, survival = false, onSubmit, onSkip }) {
+  const [initials, setInitials] = useState('');
+
+  const handleChange = useCallback((e) => {
+    setInitials(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, INITIALS_LENGTH));
+  }, []);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    onSubmit(normalizeInitials(initials));
+  }, [initials, onSubmit]);
+
+  return (
+    <form className="settings-panel" onSubmit={handleSubmit}>
+      <div className="settings-title">🏅 新紀錄！</div>
+      <div className="high-score-summary">
+        分數 {summary.score}・第 {summary.level} {survival ? '波' : '關'}・擊毀 {summary.kills}・命中率 {Math.round(summary.accuracy * 100)}%
+      </div>
+      <label className="editor-field">
+        <span className="hud-label">縮寫</span>
+        <input
+          type="text"
+          className="initials-input"
+          value={initials}
+          maxLength={INITIALS_LENGTH}
+          placeholder="AAA"
+          autoFocus
+          onChange={handleChange}
+        />
+      </label>
+      <div className="editor-actions">
+        <button type="submit" className="game-btn editor-btn">
+          💾 登錄
+        </button>
+        <button type="button" className="game-btn editor-btn btn-secondary" onClick={onSkip}>
+          略過
+        </button>
+      </div>
+    </form>
+  );
+}
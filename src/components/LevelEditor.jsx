@@ -0,0 +1,368 @@
+/**
+ * ============================================================
+ * 關卡編輯器 (LevelEditor)
+ * ============================================================
+ * 從選單進入，在 35×20 網格上塗磚牆 / 鐵牆 / 水面 / 樹林 / 冰面、放置出生點與基地，
+ * 設定敵軍組合、額外過關條件與依序完成的任務，並可立即試玩、匯出 / 匯入關卡檔。
+ *
+ * 佈局（由上到下）：
+ *   [工具列]  — 塗改工具（含護送任務用的護送坦克與出口）
+ *   [Canvas]  — 關卡網格（滑鼠 / 觸控塗改）
+ *   [設定區]  — 名稱、敵軍組合、過關條件、任務清單、問題列表與操作按鈕
+ *
+ * 坦克開不到某個出生點時拒絕匯出（試玩不受限，方便邊改邊測）。
+ */
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { renderLevelEditor } from '../game/renderer.js';
+import { ENEMY_TYPE, OBJECTIVE_TYPE, DESIGN_WIDTH, WALL_SIZE } from '../game/constants.js';
+import { EDITOR_TOOLS, applyTool, checkLevel, createBlankLevel } from '../game/levelEditor.js';
+import { parseLevel, serializeLevel, validateLevel } from '../game/levelFormat.js';
+import { downloadTextFile, readTextFile } from '../utils/fileTransfer.js';
+
+// 工具列按鈕（順序即顯示順序）
+const TOOL_BUTTONS = [
+  { tool: EDITOR_TOOLS.BRICK, icon: '🧱', label: '磚牆' },
+  { tool: EDITOR_TOOLS.STEEL, icon: '⬜', label: '鐵牆' },
+  { tool: EDITOR_TOOLS.WATER, icon: '🌊', label: '水面' },
+  { tool: EDITOR_TOOLS.FOREST, icon: '🌲', label: '樹林' },
+  { tool: EDITOR_TOOLS.ICE, icon: '🧊', label: '冰面' },
+  { tool: EDITOR_TOOLS.ERASE, icon: '🧽', label: '清除' },
+  { tool: EDITOR_TOOLS.PLAYER_1, icon: '1P', label: '1P 出生點' },
+  { tool: EDITOR_TOOLS.PLAYER_2, icon: '2P', label: '2P 出生點' },
+  { tool: EDITOR_TOOLS.ENEMY, icon: 'E', label: '敵軍出生點' },
+  { tool: EDITOR_TOOLS.BASE, icon: '🦅', label: '基地' },
+  { tool: EDITOR_TOOLS.ESCORT, icon: 'A', label: '護送坦克' },
+  { tool: EDITOR_TOOLS.EXIT, icon: 'X', label: '護送出口' },
+];
+
+// 可拖曳連續塗改的工具（標記類只在按下時放置一次）
+const DRAG_TOOLS = new Set([
+  EDITOR_TOOLS.BRICK, EDITOR_TOOLS.STEEL, EDITOR_TOOLS.WATER,
+  EDITOR_TOOLS.FOREST, EDITOR_TOOLS.ICE, EDITOR_TOOLS.ERASE,
+]);
+
+// 敵軍類型名稱
+const ENEMY_LABELS = {
+  [ENEMY_TYPE.BASIC]: '基本型',
+  [ENEMY_TYPE.FAST]: '快速型',
+  [ENEMY_TYPE.POWER]: '火力型',
+  [ENEMY_TYPE.ARMOR]: '重裝型',
+};
+
+// 任務類型名稱（選單用）
+const OBJECTIVE_LABELS = {
+  [OBJECTIVE_TYPE.DESTROY]: '殲滅敵軍',
+  [OBJECTIVE_TYPE.SURVIVE]: '堅守',
+  [OBJECTIVE_TYPE.ESCORT]: '護送',
+  [OBJECTIVE_TYPE.FLAWLESS]: '無傷殲滅',
+};
+
+// 切換成堅守任務時預填的秒數
+const DEFAULT_SURVIVE_TIME = 60;
+
+/**
+ * 將輸入框的文字轉為正整數；空白或非正數回傳 undefined
+ * @param {string} value
+ * @returns {number|undefined}
+ */
+function toPositiveInt(value) {
+  const n = Math.floor(Number(value));
+  return value !== '' && n > 0 ? n : undefined;
+}
+
+/**
+ * @param {{
+ *   level: object,
+ *   onChange: Function,
+ *   onPlayTest: Function,
+ *   onExit: Function,
+ *   canvasWidth: number,
+ *   canvasHeight: number,
+ * }} props
+ *   level — 編輯中的關卡資料（由 TankGame 保存，試玩回來仍在）；
+ *   onChange(level) — 關卡被修改；onPlayTest(level) — 以目前關卡開始試玩
+ */
+export default function LevelEditor({ level, onChange, onPlayTest, onExit, canvasWidth, canvasHeight }) {
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const paintingRef = useRef(false);
+
+  const [tool, setTool] = useState(EDITOR_TOOLS.BRICK);
+  const [hover, setHover] = useState(null);
+
+  const { problems, unreachable } = useMemo(() => checkLevel(level), [level]);
+
+  // ---- 繪製（只在關卡或游標變動時重畫，不需遊戲迴圈）----
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    renderLevelEditor(canvas.getContext('2d'), level, canvas.width, canvas.height, { hover, unreachable });
+  }, [level, hover, unreachable, canvasWidth, canvasHeight]);
+
+  // ---- 滑鼠 / 觸控塗改 ----
+  const cellFromEvent = useCallback((e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const designX = ((e.clientX - rect.left) / rect.width) * DESIGN_WIDTH;
+    const designY = ((e.clientY - rect.top) / rect.width) * DESIGN_WIDTH;
+    return { c: Math.floor(designX / WALL_SIZE), r: Math.floor(designY / WALL_SIZE) };
+  }, []);
+
+  const handlePointerDown = useCallback((e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const { c, r } = cellFromEvent(e);
+    paintingRef.current = DRAG_TOOLS.has(tool);
+    onChange(applyTool(level, c, r, tool));
+  }, [cellFromEvent, level, tool, onChange]);
+
+  const handlePointerMove = useCallback((e) => {
+    const cell = cellFromEvent(e);
+    setHover(prev => (prev && prev.c === cell.c && prev.r === cell.r ? prev : cell));
+    if (paintingRef.current) {
+      onChange(applyTool(level, cell.c, cell.r, tool));
+    }
+  }, [cellFromEvent, level, tool, onChange]);
+
+  const handlePointerUp = useCallback(() => {
+    paintingRef.current = false;
+  }, []);
+
+  const handlePointerLeave = useCallback(() => {
+    paintingRef.current = false;
+    setHover(null);
+  }, []);
+
+  // ---- 關卡設定 ----
+  const handleNameChange = useCallback((e) => {
+    onChange({ ...level, name: e.target.value });
+  }, [level, onChange]);
+
+  const handleRosterChange = useCallback((type, value) => {
+    onChange({ ...level, roster: { ...level.roster, [type]: toPositiveInt(value) ?? 0 } });
+  }, [level, onChange]);
+
+  const handleTargetChange = useCallback((key, value) => {
+    const targets = { ...level.targets, [key]: toPositiveInt(value) };
+    if (targets[key] === undefined) delete targets[key];
+    const next = { ...level, targets };
+    if (Object.keys(targets).length === 0) delete next.targets;
+    onChange(next);
+  }, [level, onChange]);
+
+  // ---- 任務清單（清空時移除欄位，回到「殲滅全部敵軍」）----
+  const objectives = useMemo(() => level.objectives ?? [], [level.objectives]);
+
+  const setObjectives = useCallback((list) => {
+    const next = { ...level, objectives: list };
+    if (list.length === 0) delete next.objectives;
+    onChange(next);
+  }, [level, onChange]);
+
+  const handleObjectiveTypeChange = useCallback((index, type) => {
+    const { time } = objectives[index];
+    const objective = { type };
+    if (type === OBJECTIVE_TYPE.SURVIVE) objective.time = time ?? DEFAULT_SURVIVE_TIME;
+    else if (type !== OBJECTIVE_TYPE.FLAWLESS && time !== undefined) objective.time = time;
+    setObjectives(objectives.map((o, i) => (i === index ? objective : o)));
+  }, [objectives, setObjectives]);
+
+  const handleObjectiveTimeChange = useCallback((index, value) => {
+    const objective = { type: objectives[index].type };
+    const time = toPositiveInt(value);
+    if (time !== undefined) objective.time = time;
+    setObjectives(objectives.map((o, i) => (i === index ? objective : o)));
+  }, [objectives, setObjectives]);
+
+  const handleObjectiveAdd = useCallback(() => {
+    setObjectives([...objectives, { type: OBJECTIVE_TYPE.DESTROY }]);
+  }, [objectives, setObjectives]);
+
+  const handleObjectiveRemove = useCallback((index) => {
+    setObjectives(objectives.filter((_, i) => i !== index));
+  }, [objectives, setObjectives]);
+
+  // ---- 試玩 / 匯出 / 匯入 / 清空 ----
+  const handlePlayTest = useCallback(() => {
+    try {
+      validateLevel(level);
+    } catch (err) {
+      window.alert(`無法試玩：${err.message}`);
+      return;
+    }
+    onPlayTest(level);
+  }, [level, onPlayTest]);
+
+  const handleExport = useCallback(() => {
+    if (problems.length > 0) {
+      window.alert(`無法儲存：\n${problems.join('\n')}`);
+      return;
+    }
+    downloadTextFile('tank-battle-level.json', serializeLevel(level));
+  }, [level, problems]);
+
+  const handleImport = useCallback(() => {
+    fileInputRef.current?.click();
+  }, []);
+
+  const handleFileChange = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 允許重複選同一個檔案
+    if (!file) return;
+    try {
+      onChange(parseLevel(await readTextFile(file)));
+    } catch (err) {
+      window.alert(`無法載入關卡：${err.message}`);
+    }
+  }, [onChange]);
+
+  const handleReset = useCallback(() => {
+    if (window.confirm('清空目前的關卡？')) onChange(createBlankLevel());
+  }, [onChange]);
+
+  return (
+    <div className="game-container level-editor">
+      {/* ===== 工具列 ===== */}
+      <div className="editor-tools">
+        {TOOL_BUTTONS.map(({ tool: t, icon, label }) => (
+          <button
+            key={t}
+            className={`toolbar-btn editor-tool${tool === t ? ' active' : ''}`}
+            onClick={() => setTool(t)}
+            title={label}
+            aria-label={label}
+            aria-pressed={tool === t}
+          >
+            {icon}
+          </button>
+        ))}
+      </div>
+
+      {/* ===== 關卡網格 ===== */}
+      <div className="canvas-wrapper">
+        <canvas
+          ref={canvasRef}
+          width={canvasWidth}
+          height={canvasHeight}
+          className="game-canvas editor-canvas"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={handlePointerLeave}
+        />
+      </div>
+
+      {/* ===== 關卡設定 ===== */}
+      <div className="editor-panel">
+        <label className="editor-field">
+          <span className="hud-label">名稱</span>
+          <input type="text" value={level.name ?? ''} maxLength={40} onChange={handleNameChange} />
+        </label>
+
+        <div className="editor-field-group">
+          {Object.values(ENEMY_TYPE).map(type => (
+            <label key={type} className="editor-field">
+              <span className="hud-label">{ENEMY_LABELS[type]}</span>
+              <input
+                type="number"
+                min="0"
+                max="40"
+                value={level.roster?.[type] ?? 0}
+                onChange={(e) => handleRosterChange(type, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="editor-field-group">
+          <label className="editor-field">
+            <span className="hud-label">守住秒數</span>
+            <input
+              type="number"
+              min="0"
+              placeholder="—"
+              value={level.targets?.time ?? ''}
+              onChange={(e) => handleTargetChange('time', e.target.value)}
+            />
+          </label>
+          <label className="editor-field">
+            <span className="hud-label">得分目標</span>
+            <input
+              type="number"
+              min="0"
+              step="100"
+              placeholder="—"
+              value={level.targets?.score ?? ''}
+              onChange={(e) => handleTargetChange('score', e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="editor-field-group editor-objectives">
+          <span className="hud-label">任務</span>
+          {objectives.map((objective, i) => (
+            <div key={i} className="editor-field">
+              <span className="hud-label">{i + 1}.</span>
+              <select value={objective.type} onChange={(e) => handleObjectiveTypeChange(i, e.target.value)}>
+                {Object.values(OBJECTIVE_TYPE).map(type => (
+                  <option key={type} value={type}>{OBJECTIVE_LABELS[type]}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                placeholder="—"
+                title="秒數（堅守必填，其餘為時間限制）"
+                disabled={objective.type === OBJECTIVE_TYPE.FLAWLESS}
+                value={objective.time ?? ''}
+                onChange={(e) => handleObjectiveTimeChange(i, e.target.value)}
+              />
+              <button
+                className="toolbar-btn editor-objective-remove"
+                onClick={() => handleObjectiveRemove(i)}
+                aria-label={`移除第 ${i + 1} 項任務`}
+              >
+                ✖
+              </button>
+            </div>
+          ))}
+          <button className="game-btn editor-btn btn-secondary" onClick={handleObjectiveAdd}>
+            ＋ 任務
+          </button>
+        </div>
+
+        {problems.length > 0 && (
+          <ul className="editor-problems">
+            {problems.map(problem => <li key={problem}>⚠️ {problem}</li>)}
+          </ul>
+        )}
+
+        <div className="editor-actions">
+          <button className="game-btn editor-btn" onClick={handlePlayTest}>
+            ▶ 試玩
+          </button>
+          <button className="game-btn editor-btn btn-next" onClick={handleExport}>
+            💾 匯出關卡
+          </button>
+          <button className="game-btn editor-btn btn-secondary" onClick={handleImport}>
+            📂 匯入關卡
+          </button>
+          <button className="game-btn editor-btn btn-secondary" onClick={handleReset}>
+            🆕 清空
+          </button>
+          <button className="game-btn editor-btn btn-restart" onClick={onExit}>
+            ✖ 返回選單
+          </button>
+        </div>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        hidden
+      />
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+/**
+ * ============================================================
+ * 連線對戰大廳 (OnlineLobby)
+ * ============================================================
+ * 從選單的「連線對戰」開啟：
+ *   [伺服器] — 連線位址（預設為本機 npm run server 的埠）
+ *   [建立房間] — 取得房間代碼，告訴朋友；房主按「開始對戰」出發（使用目前的遊戲設定）
+ *   [加入房間] — 輸入朋友給的代碼
+ * 大廳狀態來自 OnlineEngine.lobby，這裡只負責顯示與回報操作。
+ */
+import React, { useState, useCallback } from 'react';
+import { ROOM_CODE_LENGTH, ROOM_CAPACITY } from '../net/protocol.js';
+
+// 連線狀態說明
+const STATUS_LABELS = {
+  idle: '尚未連線',
+  connecting: '連線中…',
+  connected: '已連線',
+  closed: '已離線',
+};
+
+/**
+ * @param {{
+ *   lobby: { status: string, code: string|null, slot: number, players: number, isHost: boolean, error: string|null },
+ *   serverUrl: string,
+ *   onServerUrlChange: (url: string) => void,
+ *   onCreate: () => void,
+ *   onJoin: (code: string) => void,
+ *   onStart: () => void,
+ *   onLeave: () => void,
+ * }} props
+ */
+export default function OnlineLobby({ lobby, serverUrl, onServerUrlChange, onCreate, onJoin, onStart, onLeave }) {
+  const [code, setCode] = useState('');
+  const inRoom = lobby.status === 'room';
+  // 連線後伺服器位址就固定了，要換位址得先離開
+  const canEditServer = lobby.status === 'idle' || lobby.status === 'closed';
+
+  const handleCodeChange = useCallback((e) => {
+    setCode(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, ROOM_CODE_LENGTH));
+  }, []);
+
+  const handleJoin = useCallback((e) => {
+    e.preventDefault();
+    onJoin(code);
+  }, [code, onJoin]);
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-title">🌐 連線對戰</div>
+
+      {inRoom ? (
+        <>
+          <div className="high-score-summary">房間代碼</div>
+          <div className="lobby-code">{lobby.code}</div>
+          <div className="high-score-summary">
+            {`${lobby.players} / ${ROOM_CAPACITY} 位玩家・你是 ${lobby.slot + 1}P${lobby.isHost ? '（房主）' : ''}`}
+          </div>
+          <div className="high-score-empty">
+            {lobby.isHost ? '把代碼告訴朋友，到齊後按「開始對戰」' : '等待房主開始對戰…'}
+          </div>
+        </>
+      ) : (
+        <>
+          <label className="editor-field">
+            <span className="hud-label">伺服器</span>
+            <input
+              type="text"
+              className="lobby-server-input"
+              value={serverUrl}
+              disabled={!canEditServer}
+              onChange={(e) => onServerUrlChange(e.target.value)}
+            />
+          </label>
+          <div className="high-score-summary">{STATUS_LABELS[lobby.status]}</div>
+          <form className="editor-actions" onSubmit={handleJoin}>
+            <label className="editor-field">
+              <span className="hud-label">代碼</span>
+              <input
+                type="text"
+                className="initials-input lobby-code-input"
+                value={code}
+                maxLength={ROOM_CODE_LENGTH}
+                placeholder="ABCD"
+                onChange={handleCodeChange}
+              />
+            </label>
+            <button type="submit" className="game-btn editor-btn" disabled={code.length !== ROOM_CODE_LENGTH}>
+              🚪 加入房間
+            </button>
+          </form>
+        </>
+      )}
+
+      {lobby.error && <div className="lobby-error">⚠️ {lobby.error}</div>}
+
+      <div className="editor-actions">
+        {!inRoom && (
+          <button className="game-btn editor-btn" onClick={onCreate}>
+            🏠 建立房間
+          </button>
+        )}
+        {inRoom && lobby.isHost && (
+          <button className="game-btn editor-btn" onClick={onStart}>
+            ▶ 開始對戰
+          </button>
+        )}
+        <button className="game-btn editor-btn btn-secondary" onClick={onLeave}>
+          ↩ 離開
+        </button>
+      </div>
+    </div>
+  );
+}
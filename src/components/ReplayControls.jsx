@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ * 重播控制列 (ReplayControls)
+ * ============================================================
+ * 重播觀看模式下取代工具列，提供：
+ *   播放 / 暫停、快轉倍率切換、拖曳跳轉到任意模擬步、離開重播。
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { SIM_TICK_RATE } from '../game/constants.js';
+
+// 快轉倍率循環順序
+const SPEEDS = [1, 2, 4, 8];
+
+/**
+ * 將模擬步數格式化為 mm:ss
+ * @param {number} ticks
+ * @returns {string}
+ */
+function formatTicks(ticks) {
+  const totalSeconds = Math.floor(ticks / SIM_TICK_RATE);
+  const m = Math.floor(totalSeconds / 60);
+  const s = totalSeconds % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * @param {{
+ *   engine: import('../game/GameEngine.js').GameEngine,
+ *   isPaused: boolean,
+ *   onExit: Function,
+ * }} props
+ */
+export default function ReplayControls({ engine, isPaused, onExit }) {
+  const [progress, setProgress] = useState({ position: 0, length: 0 });
+  const [speed, setSpeed] = useState(engine.timeScale);
+  const [seekValue, setSeekValue] = useState(null); // 拖曳中的暫定位置
+
+  // 定期讀取播放進度（不需每幀更新 React）
+  useEffect(() => {
+    const id = setInterval(() => {
+      const player = engine.replayPlayer;
+      if (player) {
+        setProgress({ position: player.position, length: player.length });
+      }
+    }, 200);
+    return () => clearInterval(id);
+  }, [engine]);
+
+  const handleTogglePlay = useCallback(() => {
+    engine.togglePause();
+  }, [engine]);
+
+  const handleSpeed = useCallback(() => {
+    const next = SPEEDS[(SPEEDS.indexOf(engine.timeScale) + 1) % SPEEDS.length];
+    engine.timeScale = next;
+    setSpeed(next);
+  }, [engine]);
+
+  // 拖曳時只更新顯示，放開後才真正跳轉（跳轉需從頭重新模擬）
+  const handleSeekChange = useCallback((e) => {
+    setSeekValue(Number(e.target.value));
+  }, []);
+
+  const handleSeekCommit = useCallback(() => {
+    if (seekValue === null) return;
+    engine.seekReplay(seekValue);
+    setProgress(p => ({ ...p, position: seekValue }));
+    setSeekValue(null);
+  }, [engine, seekValue]);
+
+  const position = seekValue ?? progress.position;
+
+  return (
+    <div className="replay-controls">
+      <button
+        className="toolbar-btn"
+        onClick={handleTogglePlay}
+        title={isPaused ? '播放' : '暫停'}
+        aria-label={isPaused ? '播放' : '暫停'}
+      >
+        {isPaused ? '▶' : '⏸'}
+      </button>
+      <button
+        className="toolbar-btn replay-speed-btn"
+        onClick={handleSpeed}
+        title="快轉倍率"
+        aria-label="快轉倍率"
+      >
+        ×{speed}
+      </button>
+      <input
+        className="replay-seek"
+        type="range"
+        min={0}
+        max={progress.length}
+        value={position}
+        onChange={handleSeekChange}
+        onMouseUp={handleSeekCommit}
+        onTouchEnd={handleSeekCommit}
+        onKeyUp={handleSeekCommit}
+        aria-label="跳轉"
+      />
+      <span className="replay-time">
+        {formatTicks(position)} / {formatTicks(progress.length)}
+      </span>
+      <button className="toolbar-btn" onClick={onExit} title="離開重播" aria-label="離開重播">
+        ✖
+      </button>
+    </div>
+  );
+}
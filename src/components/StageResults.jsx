@@ -0,0 +1,128 @@
+/**
+ * ============================================================
+ * 過關結算畫面 (StageResults)
+ * ============================================================
+ * 過關時顯示本關結算表（stageResults.js），逐行跑出數字：
+ *   [擊毀明細] — 各類型敵軍一台一台往上數，每數一台響一聲
+ *   [獎勵]     — 時間、無傷、命中率獎勵逐行出現（有人拿到時播加分音效）
+ *   [本關獎勵] — 獎勵合計（引擎在過關當下已加進分數）
+ * 點一下結算表可以直接跳到結果。
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { ENEMY_TYPE, ENEMY_STATS, STAGE_TIME_PAR } from '../game/constants.js';
+import { getSoundEffects } from '../game/SoundEffects.js';
+
+// 每一格數字跑動的間隔（毫秒）
+const TALLY_INTERVAL = 120;
+
+// 敵軍類型名稱
+const ENEMY_LABELS = {
+  [ENEMY_TYPE.BASIC]: '基本型',
+  [ENEMY_TYPE.FAST]: '快速型',
+  [ENEMY_TYPE.POWER]: '火力型',
+  [ENEMY_TYPE.ARMOR]: '重裝型',
+};
+
+// 獎勵列（key 對應結算表的 bonuses）
+const BONUS_ROWS = [
+  { key: 'time', label: '時間獎勵' },
+  { key: 'noDamage', label: '無傷獎勵' },
+  { key: 'accuracy', label: '命中率獎勵' },
+];
+
+/**
+ * 把結算表拆成逐格跑動的步驟
+ * @returns {{ row: string, count: number, sound: string|null }[]}
+ *   row — 列的鍵值；count — 跑到第幾台（獎勵列 / 合計列為 1 表示出現）
+ */
+function buildSteps(results) {
+  const steps = [];
+  for (const type of Object.values(ENEMY_TYPE)) {
+    const max = Math.max(...results.players.map(p => p.kills.find(k => k.type === type).count));
+    if (max === 0) steps.push({ row: type, count: 0, sound: null });
+    for (let n = 1; n <= max; n++) steps.push({ row: type, count: n, sound: 'playTally' });
+  }
+  for (const { key } of BONUS_ROWS) {
+    const earned = results.players.some(p => p.bonuses[key] > 0);
+    steps.push({ row: key, count: 1, sound: earned ? 'playBonus' : null });
+  }
+  steps.push({ row: 'total', count: 1, sound: null });
+  return steps;
+}
+
+/**
+ * @param {{
+ *   results: object,
+ * }} props
+ *   results — GameEngine.getStageResults() 的回傳值
+ */
+export default function StageResults({ results }) {
+  const steps = useMemo(() => buildSteps(results), [results]);
+  const [step, setStep] = useState(0);
+  const done = step >= steps.length;
+
+  useEffect(() => {
+    if (done) return;
+    const id = setTimeout(() => {
+      const { sound } = steps[step];
+      if (sound) getSoundEffects()[sound]();
+      setStep(step + 1);
+    }, TALLY_INTERVAL);
+    return () => clearTimeout(id);
+  }, [steps, step, done]);
+
+  // 每一列目前跑到的數字（尚未輪到的列不顯示）
+  const reached = {};
+  for (const { row, count } of steps.slice(0, step)) reached[row] = count;
+
+  const { players } = results;
+  const showPlayer = players.length > 1;
+
+  return (
+    <div className="settings-panel stage-results" onClick={() => setStep(steps.length)}>
+      <div className="settings-title">🏁 過關結算</div>
+      <div className="high-score-summary">
+        用時 {results.time} 秒（{STAGE_TIME_PAR} 秒內過關有時間獎勵）
+      </div>
+
+      <table className="high-score-table">
+        {showPlayer && (
+          <thead>
+            <tr>
+              <th />
+              {players.map(p => <th key={p.index}>{p.index + 1}P</th>)}
+            </tr>
+          </thead>
+        )}
+        <tbody>
+          {Object.values(ENEMY_TYPE).map(type => (
+            <tr key={type} className={reached[type] === undefined ? 'stage-results-hidden' : ''}>
+              <th>{ENEMY_LABELS[type]} × {ENEMY_STATS[type].score}</th>
+              {players.map(p => {
+                const count = Math.min(p.kills.find(k => k.type === type).count, reached[type] ?? 0);
+                return <td key={p.index}>{count} 台 {count * ENEMY_STATS[type].score}</td>;
+              })}
+            </tr>
+          ))}
+          {BONUS_ROWS.map(({ key, label }) => (
+            <tr key={key} className={reached[key] === undefined ? 'stage-results-hidden' : ''}>
+              <th>{label}</th>
+              {players.map(p => (
+                <td key={p.index} className={p.bonuses[key] > 0 ? 'stage-results-bonus' : ''}>
+                  {key === 'accuracy' && `${Math.round(p.accuracy * 100)}% `}
+                  {p.bonuses[key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr className={`stage-results-total${reached.total === undefined ? ' stage-results-hidden' : ''}`}>
+            <th>本關獎勵</th>
+            {players.map(p => <td key={p.index}>+{p.bonusTotal}</td>)}
+          </tr>
+        </tbody>
+      </table>
+
+      {!done && <div className="high-score-empty">點一下跳過</div>}
+    </div>
+  );
+}
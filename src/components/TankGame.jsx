@@ -10,50 +10,159 @@
  *   [Canvas] — 自適應，保持 16:9
  *   [Toolbar] — 固定高度
  *   [Controls] — D-Pad + Fire，永遠可見
+ *
+ * 按下「開始遊戲」先顯示遊戲設定畫面（難度預設 / 進階選項），設定存在 localStorage。
+ * 過關時顯示逐行跑分的結算畫面（擊毀明細與時間 / 無傷 / 命中率獎勵）。
+ * 暫停與過關時自動存檔到 localStorage，選單的「繼續遊戲」可接著玩。
+ * 鍵盤與手把的按鍵可在選單的「按鍵設定」重新指定，同樣存在 localStorage。
+ * 遊戲結束時分數擠進本機排行榜就請玩家輸入縮寫；排行榜也可從選單開啟。
+ * 本機引擎掛上成就系統，解鎖時跳出通知並把清單存進 localStorage。
+ * 死鬥模式暫停與比賽結束時顯示計分板（不計入排行榜、不存檔）。
+ * 連線對戰時改用 OnlineEngine（局面來自 npm run server 的權威伺服器），先在大廳建立 / 加入房間。
+ * 重播觀看模式下，Toolbar 換成重播控制列，並隱藏虛擬控制器。
+ * 關卡編輯器開啟時整個畫面換成 LevelEditor；試玩結束可回到編輯器。
  */
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { GameEngine } from '../game/GameEngine.js';
-import { GAME_STATE, ENEMIES_PER_LEVEL } from '../game/constants.js';
+import { renderGame } from '../game/renderer.js';
+import { getSoundEffects } from '../game/SoundEffects.js';
+import { GAME_STATE, GAME_MODE, GAME_EVENT, ENEMIES_PER_LEVEL } from '../game/constants.js';
+import { SETTINGS_STORAGE_KEY, parseGameConfig } from '../game/gameConfig.js';
+import {
+  HIGH_SCORE_STORAGE_KEY, parseHighScores, getScoreCategory, qualifiesForHighScore, addHighScore,
+} from '../game/highScores.js';
+import { serializeReplay, parseReplay } from '../game/Replay.js';
+import { SAVE_STORAGE_KEY, serializeSave, parseSave } from '../game/saveGame.js';
+import { BINDINGS_STORAGE_KEY, parseBindings } from '../game/inputBindings.js';
+import { ACHIEVEMENT_STORAGE_KEY, parseAchievements, createAchievementsSystem } from '../game/achievements.js';
+import { OnlineEngine } from '../net/OnlineEngine.js';
+import { getDefaultServerUrl } from '../net/protocol.js';
+import { downloadTextFile, readTextFile } from '../utils/fileTransfer.js';
 import { useResponsiveCanvas } from '../hooks/useResponsiveCanvas.js';
 import { useInputHandler } from '../hooks/useInputHandler.js';
 import VirtualControls from './VirtualControls.jsx';
 import GameHUD from './GameHUD.jsx';
 import BackgroundMusic from './BackgroundMusic.jsx';
+import ReplayControls from './ReplayControls.jsx';
+import LevelEditor from './LevelEditor.jsx';
+import GameSettings from './GameSettings.jsx';
+import HighScoreBoard from './HighScoreBoard.jsx';
+import InitialsEntry from './InitialsEntry.jsx';
+import StageResults from './StageResults.jsx';
+import ControlSettings from './ControlSettings.jsx';
+import OnlineLobby from './OnlineLobby.jsx';
+import VersusScoreboard from './VersusScoreboard.jsx';
+import AchievementToast from './AchievementToast.jsx';
+import { createBlankLevel } from '../game/levelEditor.js';
+
+/**
+ * 從網址讀取指定的亂數種子（例：?seed=12345），用於重現錯誤回報中的對局
+ * @returns {number|undefined}
+ */
+function getSeedFromUrl() {
+  const value = new URLSearchParams(window.location.search).get('seed');
+  return value !== null && /^\d+$/.test(value) ? Number(value) : undefined;
+}
 
 export default function TankGame() {
   // ---- Canvas ref ----
   const canvasRef = useRef(null);
 
+  // ---- 重播檔選擇器 ref ----
+  const replayInputRef = useRef(null);
+
   // ---- 遊戲引擎（使用 ref 避免重複建立）----
   const engineRef = useRef(null);
   if (!engineRef.current) {
-    engineRef.current = new GameEngine();
+    engineRef.current = new GameEngine({ audio: getSoundEffects() });
   }
-  const engine = engineRef.current;
+
+  // ---- 連線對戰 ----
+  // online 為連線中的 OnlineEngine，存在時取代本機引擎；lobby 為它回報的大廳狀態
+  const [online, setOnline] = useState(null);
+  const [lobby, setLobby] = useState(null);
+  const [serverUrl, setServerUrl] = useState(() => getDefaultServerUrl(window.location.hostname));
+  const engine = online ?? engineRef.current;
+
+  // 換掉或卸載連線引擎時關閉連線
+  useEffect(() => () => online?.disconnect(), [online]);
 
   // ---- 響應式 Canvas 尺寸（永遠預留控制區空間）----
   const { canvasWidth, canvasHeight } = useResponsiveCanvas();
 
-  // ---- 輸入處理（鍵盤 + 觸控/滑鼠）----
-  const { setDirection, setFire } = useInputHandler(engine);
+  // ---- 輸入處理（鍵盤 + 手把 + 觸控/滑鼠）----
+  // bindings 為按鍵設定（跨次開啟保留）；isEditingControls 表示按鍵設定畫面開啟中
+  const [bindings, setBindings] = useState(() => parseBindings(localStorage.getItem(BINDINGS_STORAGE_KEY)));
+  const [isEditingControls, setIsEditingControls] = useState(false);
+  const { setDirection, setFire, gamepadCount } = useInputHandler(engine, bindings);
+
+  const handleBindingsChange = useCallback((next) => {
+    setBindings(next);
+    localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(next));
+  }, []);
 
-  // ---- UI 狀態（由遊戲引擎回呼更新）----
+  // ---- UI 狀態（由遊戲引擎的 STATE_CHANGED 事件更新）----
   const [gameInfo, setGameInfo] = useState({
     state: GAME_STATE.MENU,
     score: 0,
     lives: 3,
     level: 1,
+    players: [],
+    mode: GAME_MODE.CAMPAIGN,
     enemiesLeft: ENEMIES_PER_LEVEL,
+    baseAlive: true,
+    isReplay: false,
   });
 
-  // 連結引擎狀態變更回呼
+  // 訂閱引擎的狀態變更
+  useEffect(() => engine.events.on(GAME_EVENT.STATE_CHANGED, (info) => {
+    setGameInfo({ ...info });
+  }), [engine]);
+
+  // ---- 成就（只掛在本機引擎；連線對戰的局面來自伺服器，不會發出遊戲事件）----
+  // toasts — 等待顯示的解鎖通知，第一則顯示中
+  const [toasts, setToasts] = useState([]);
   useEffect(() => {
-    engine.onStateChange = (info) => {
-      setGameInfo({ ...info });
+    const local = engineRef.current;
+    local.addSystem(createAchievementsSystem(parseAchievements(localStorage.getItem(ACHIEVEMENT_STORAGE_KEY))));
+    const off = local.events.on(GAME_EVENT.ACHIEVEMENT_UNLOCKED, ({ achievement, unlocked }) => {
+      localStorage.setItem(ACHIEVEMENT_STORAGE_KEY, JSON.stringify(unlocked));
+      setToasts(prev => [...prev, achievement]);
+    });
+    return () => {
+      off();
+      local.removeSystem('achievements');
     };
+  }, []);
+
+  const handleToastDone = useCallback(() => {
+    setToasts(prev => prev.slice(1));
+  }, []);
+
+  // 道具效果與過關目標的剩餘時間隨模擬時間變動，定期讀取即可（不需每幀更新 React）
+  const [effects, setEffects] = useState([]);
+  const [progress, setProgress] = useState({});
+  useEffect(() => {
+    const id = setInterval(() => {
+      const next = engine.getActiveEffects();
+      setEffects(prev => (prev.length === 0 && next.length === 0 ? prev : next));
+      const nextProgress = engine.getStageProgress();
+      setProgress(prev => (
+        prev.name === nextProgress.name &&
+        prev.timeLeft === nextProgress.timeLeft &&
+        prev.scoreLeft === nextProgress.scoreLeft &&
+        prev.fragLimit === nextProgress.fragLimit &&
+        prev.wave === nextProgress.wave &&
+        prev.breakLeft === nextProgress.breakLeft &&
+        prev.objective?.step === nextProgress.objective?.step &&
+        prev.objective?.timeLeft === nextProgress.objective?.timeLeft ? prev : nextProgress
+      ));
+    }, 200);
+    return () => clearInterval(id);
   }, [engine]);
 
   // ---- 遊戲主迴圈 (requestAnimationFrame) ----
+  // 引擎內部以固定步長推進模擬，這裡只負責每幀餵入時間並渲染
   useEffect(() => {
     let animFrameId;
 
@@ -64,7 +173,7 @@ export default function TankGame() {
       const canvas = canvasRef.current;
       if (canvas) {
         const ctx = canvas.getContext('2d');
-        engine.render(ctx, canvas.width, canvas.height);
+        renderGame(ctx, engine, canvas.width, canvas.height);
       }
 
       animFrameId = requestAnimationFrame(gameLoop);
@@ -74,23 +183,240 @@ export default function TankGame() {
     return () => cancelAnimationFrame(animFrameId);
   }, [engine]);
 
-  // ---- 按鈕操作 ----
-  const handleStartGame = useCallback(() => {
-    engine.startGame(1);
+  // ---- 關卡編輯器 ----
+  // editorLevel 為編輯中的關卡（試玩時保留）；isTestPlay 表示目前這局是編輯器試玩
+  const [isEditing, setIsEditing] = useState(false);
+  const [editorLevel, setEditorLevel] = useState(null);
+  const [isTestPlay, setIsTestPlay] = useState(false);
+
+  // ---- 遊戲設定（開新局時套用，跨次開啟保留）----
+  const [isConfiguring, setIsConfiguring] = useState(false);
+  const [config, setConfig] = useState(() => parseGameConfig(localStorage.getItem(SETTINGS_STORAGE_KEY)));
+
+  const handleConfigChange = useCallback((next) => {
+    setConfig(next);
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  }, []);
+
+  // ---- 本機排行榜 ----
+  // scoreEntry — 等待輸入縮寫的成績；boardView — 目前開啟的排行榜（分頁與高亮）
+  const [highScores, setHighScores] = useState(() => parseHighScores(localStorage.getItem(HIGH_SCORE_STORAGE_KEY)));
+  const [scoreEntry, setScoreEntry] = useState(null);
+  const [boardView, setBoardView] = useState(null);
+  const scoredRunRef = useRef(null);  // 已結算過的那一局（runStats 每局重建，可當識別）
+
+  // 遊戲結束 → 分數夠高就請玩家輸入縮寫（重播、編輯器試玩與死鬥不計）
+  useEffect(() => {
+    if (gameInfo.state !== GAME_STATE.GAME_OVER || gameInfo.isReplay || isTestPlay || online) return;
+    if (engine.isVersus) return;
+    if (scoredRunRef.current === engine.runStats) return;
+    scoredRunRef.current = engine.runStats;
+
+    const category = getScoreCategory(engine.config, engine.playerCount);
+    const summary = engine.getRunSummary();
+    if (qualifiesForHighScore(highScores, category.key, summary.score)) {
+      setScoreEntry({ category, summary });
+    }
+  }, [engine, gameInfo.state, gameInfo.isReplay, isTestPlay, online, highScores]);
+
+  const handleSubmitInitials = useCallback((initials) => {
+    const { category, summary } = scoreEntry;
+    const entry = { initials, ...summary, date: new Date().toISOString() };
+    const { tables, rank } = addHighScore(highScores, category.key, entry);
+    setHighScores(tables);
+    localStorage.setItem(HIGH_SCORE_STORAGE_KEY, JSON.stringify(tables));
+    setScoreEntry(null);
+    setBoardView({ category, highlight: { key: category.key, rank } });
+  }, [scoreEntry, highScores]);
+
+  const handleSkipInitials = useCallback(() => {
+    setScoreEntry(null);
+  }, []);
+
+  const handleOpenHighScores = useCallback(() => {
+    setBoardView({ category: getScoreCategory(engine.config, engine.playerCount), highlight: null });
   }, [engine]);
 
+  const handleCloseHighScores = useCallback(() => {
+    setBoardView(null);
+  }, []);
+
+  // ---- 戰役存檔 ----
+  // 暫停與過關時覆寫存檔；遊戲結束或開新局時刪除（重播、編輯器試玩與連線對戰不存）
+  const [hasSave, setHasSave] = useState(() => localStorage.getItem(SAVE_STORAGE_KEY) !== null);
+
+  const clearSave = useCallback(() => {
+    localStorage.removeItem(SAVE_STORAGE_KEY);
+    setHasSave(false);
+  }, []);
+
+  useEffect(() => {
+    if (gameInfo.isReplay || isTestPlay || online) return;
+    if (gameInfo.state === GAME_STATE.GAME_OVER) {
+      clearSave();
+      return;
+    }
+    const save = engine.createSave();
+    if (save) {
+      localStorage.setItem(SAVE_STORAGE_KEY, serializeSave(save));
+      setHasSave(true);
+    }
+  }, [engine, gameInfo, isTestPlay, online, clearSave]);
+
+  const handleResumeSave = useCallback(() => {
+    try {
+      const save = parseSave(localStorage.getItem(SAVE_STORAGE_KEY));
+      setIsTestPlay(false);
+      engine.resumeGame(save);
+    } catch (err) {
+      window.alert(`無法繼續遊戲：${err.message}`);
+      clearSave();
+    }
+  }, [engine, clearSave]);
+
+  // ---- 按鈕操作 ----
+  const handleOpenSettings = useCallback(() => {
+    setIsConfiguring(true);
+  }, []);
+
+  const handleCloseSettings = useCallback(() => {
+    setIsConfiguring(false);
+  }, []);
+
+  const handleOpenControls = useCallback(() => {
+    setIsEditingControls(true);
+  }, []);
+
+  const handleCloseControls = useCallback(() => {
+    setIsEditingControls(false);
+  }, []);
+
+  const handleStartGame = useCallback((players) => {
+    setIsConfiguring(false);
+    setIsTestPlay(false);
+    clearSave();
+    engine.startGame(config.startLevel, getSeedFromUrl(), { players, config });
+  }, [engine, config, clearSave]);
+
   const handleNextLevel = useCallback(() => {
     engine.nextLevel();
   }, [engine]);
 
   const handleRestart = useCallback(() => {
-    engine.startGame(1);
+    setScoreEntry(null);
+    setBoardView(null);
+    if (online) {
+      online.requestRestart();
+    } else if (isTestPlay) {
+      engine.startGame(1, undefined, { campaign: [editorLevel] });
+    } else {
+      clearSave();
+      engine.startGame(config.startLevel, getSeedFromUrl(), { config });
+    }
+  }, [engine, online, isTestPlay, editorLevel, config, clearSave]);
+
+  // ---- 連線對戰：大廳操作 ----
+  const handleOpenOnline = useCallback(() => {
+    // 連線對戰沒有音效（見 OnlineEngine）
+    const client = new OnlineEngine({ url: serverUrl });
+    client.onLobbyChange = setLobby;
+    setLobby(client.lobby);
+    setOnline(client);
+  }, [serverUrl]);
+
+  // 只在還沒連線時生效（連線後大廳會鎖住位址欄）
+  const handleServerUrlChange = useCallback((url) => {
+    setServerUrl(url);
+    if (online) online.url = url;
+  }, [online]);
+
+  const handleCreateRoom = useCallback(() => {
+    online.createRoom(config);
+  }, [online, config]);
+
+  const handleJoinRoom = useCallback((code) => {
+    online.joinRoom(code);
+  }, [online]);
+
+  const handleStartOnline = useCallback(() => {
+    online.startMatch();
+  }, [online]);
+
+  const handleLeaveOnline = useCallback(() => {
+    online.disconnect();
+    setOnline(null);
+    setLobby(null);
+    engineRef.current.quitGame();  // 讓 HUD 回到本機引擎的選單狀態
+  }, [online]);
+
+  const handleOpenEditor = useCallback(() => {
+    setEditorLevel(prev => prev ?? createBlankLevel());
+    setIsEditing(true);
+  }, []);
+
+  const handleExitEditor = useCallback(() => {
+    setIsEditing(false);
+  }, []);
+
+  const handlePlayTest = useCallback((level) => {
+    setEditorLevel(level);
+    setIsEditing(false);
+    setIsTestPlay(true);
+    // 試玩時照關卡檔設定的台數出兵，而不是換算成設定畫面的每關敵軍數
+    const rosterTotal = Object.values(level.roster ?? {}).reduce((sum, n) => sum + n, 0);
+    engine.startGame(1, undefined, {
+      players: 1,
+      campaign: [level],
+      config: {
+        ...config, mode: GAME_MODE.CAMPAIGN, startLevel: 1, enemiesPerLevel: rosterTotal || config.enemiesPerLevel,
+      },
+    });
+  }, [engine, config]);
+
+  const handleBackToEditor = useCallback(() => {
+    engine.quitGame();
+    setIsTestPlay(false);
+    setIsEditing(true);
   }, [engine]);
 
   const handlePause = useCallback(() => {
     engine.togglePause();
   }, [engine]);
 
+  // ---- 重播：匯出 / 匯入 / 離開 ----
+  const handleExportReplay = useCallback(() => {
+    const replay = engine.getReplay();
+    if (!replay) return;
+    const data = { ...replay, recordedAt: new Date().toISOString() };
+    downloadTextFile(`tank-battle-replay-${replay.seed}.json`, serializeReplay(data));
+  }, [engine]);
+
+  // 難度導演的決策紀錄（檢視導演如何依表現調整出兵）
+  const handleExportDirectorLog = useCallback(() => {
+    const data = { seed: engine.seed, config: engine.config, decisions: engine.director.log };
+    downloadTextFile(`tank-battle-director-${engine.seed}.json`, JSON.stringify(data, null, 2));
+  }, [engine]);
+
+  const handleImportReplay = useCallback(() => {
+    replayInputRef.current?.click();
+  }, []);
+
+  const handleReplayFileChange = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 允許重複選同一個檔案
+    if (!file) return;
+    try {
+      const replay = parseReplay(await readTextFile(file));
+      engine.playReplay(replay);
+    } catch (err) {
+      window.alert(`無法載入重播：${err.message}`);
+    }
+  }, [engine]);
+
+  const handleExitReplay = useCallback(() => {
+    engine.stopReplay();
+  }, [engine]);
+
   // ---- 全螢幕切換 ----
   const handleFullscreen = useCallback(() => {
     const el = document.documentElement;
@@ -115,6 +441,21 @@ export default function TankGame() {
   const isPaused = gameInfo.state === GAME_STATE.PAUSED;
   const isGameOver = gameInfo.state === GAME_STATE.GAME_OVER;
   const isLevelClear = gameInfo.state === GAME_STATE.LEVEL_CLEAR;
+  const isReplay = gameInfo.isReplay;
+  const isVersus = gameInfo.mode === GAME_MODE.VERSUS;
+
+  if (isEditing) {
+    return (
+      <LevelEditor
+        level={editorLevel}
+        onChange={setEditorLevel}
+        onPlayTest={handlePlayTest}
+        onExit={handleExitEditor}
+        canvasWidth={canvasWidth}
+        canvasHeight={canvasHeight}
+      />
+    );
+  }
 
   return (
     <div className="game-container">
@@ -122,8 +463,13 @@ export default function TankGame() {
       <GameHUD
         score={gameInfo.score}
         lives={gameInfo.lives}
+        players={gameInfo.players}
+        mode={gameInfo.mode}
         level={gameInfo.level}
         enemiesLeft={gameInfo.enemiesLeft}
+        baseAlive={gameInfo.baseAlive}
+        effects={effects}
+        progress={progress}
       />
 
       {/* ===== Canvas 遊戲畫布 ===== */}
@@ -137,50 +483,196 @@ export default function TankGame() {
           onTouchMove={preventDefaultTouch}
         />
 
+        {toasts.length > 0 && <AchievementToast achievement={toasts[0]} onDone={handleToastDone} />}
+
         {/* ===== 覆蓋按鈕層（選單/暫停/結算畫面）===== */}
         <div className="overlay-buttons">
-          {isMenu && (
-            <button className="game-btn btn-start" onClick={handleStartGame}>
-              🎮 開始遊戲
-            </button>
+          {isMenu && isConfiguring && (
+            <GameSettings
+              config={config}
+              onChange={handleConfigChange}
+              onStart={handleStartGame}
+              onBack={handleCloseSettings}
+            />
           )}
-          {isPaused && (
-            <button className="game-btn btn-resume" onClick={handlePause}>
-              ▶ 繼續遊戲
-            </button>
+          {scoreEntry && (
+            <InitialsEntry
+              summary={scoreEntry.summary}
+              survival={engine.isSurvival}
+              onSubmit={handleSubmitInitials}
+              onSkip={handleSkipInitials}
+            />
+          )}
+          {boardView && (
+            <HighScoreBoard
+              tables={highScores}
+              initialCategory={boardView.category}
+              highlight={boardView.highlight}
+              onClose={handleCloseHighScores}
+            />
+          )}
+          {isMenu && isEditingControls && (
+            <ControlSettings
+              bindings={bindings}
+              gamepadCount={gamepadCount}
+              onChange={handleBindingsChange}
+              onBack={handleCloseControls}
+            />
+          )}
+          {isMenu && online && lobby && (
+            <OnlineLobby
+              lobby={lobby}
+              serverUrl={serverUrl}
+              onServerUrlChange={handleServerUrlChange}
+              onCreate={handleCreateRoom}
+              onJoin={handleJoinRoom}
+              onStart={handleStartOnline}
+              onLeave={handleLeaveOnline}
+            />
+          )}
+          {isMenu && !isConfiguring && !boardView && !isEditingControls && !online && (
+            <>
+              {hasSave && (
+                <button className="game-btn btn-resume" onClick={handleResumeSave}>
+                  ▶ 繼續遊戲
+                </button>
+              )}
+              <button className="game-btn btn-start" onClick={handleOpenSettings}>
+                🎮 開始遊戲
+              </button>
+              <button className="game-btn btn-secondary" onClick={handleOpenOnline}>
+                🌐 連線對戰
+              </button>
+              <button className="game-btn btn-secondary" onClick={handleOpenHighScores}>
+                🏅 排行榜
+              </button>
+              <button className="game-btn btn-secondary" onClick={handleOpenControls}>
+                ⌨️ 按鍵設定
+              </button>
+              <button className="game-btn btn-secondary" onClick={handleImportReplay}>
+                🎬 載入重播
+              </button>
+              <button className="game-btn btn-secondary" onClick={handleOpenEditor}>
+                🛠️ 關卡編輯器
+              </button>
+            </>
           )}
-          {isGameOver && (
-            <button className="game-btn btn-restart" onClick={handleRestart}>
-              🔄 重新開始
+          {isVersus && (isPaused || isGameOver) && !scoreEntry && !boardView && (
+            <VersusScoreboard
+              result={engine.getMatchResult()}
+              fragLimit={engine.config.fragLimit}
+              final={isGameOver}
+            />
+          )}
+          {isPaused && !isReplay && (
+            <>
+              <button className="game-btn btn-resume" onClick={handlePause}>
+                ▶ 繼續遊戲
+              </button>
+              {!isTestPlay && !online && (
+                <button className="game-btn btn-secondary" onClick={handleExportReplay}>
+                  💾 匯出重播
+                </button>
+              )}
+              {online && (
+                <button className="game-btn btn-secondary" onClick={handleLeaveOnline}>
+                  🚪 離開連線
+                </button>
+              )}
+            </>
+          )}
+          {isGameOver && online && (
+            <>
+              {lobby?.isHost && (
+                <button className="game-btn btn-restart" onClick={handleRestart}>
+                  🔄 重新開始
+                </button>
+              )}
+              <button className="game-btn btn-secondary" onClick={handleLeaveOnline}>
+                🚪 離開連線
+              </button>
+            </>
+          )}
+          {isGameOver && !isReplay && !online && !scoreEntry && !boardView && (
+            <>
+              <button className="game-btn btn-restart" onClick={handleRestart}>
+                {isTestPlay ? '🔄 重新試玩' : '🔄 重新開始'}
+              </button>
+              {!isTestPlay && (
+                <>
+                  <button className="game-btn btn-secondary" onClick={handleExportReplay}>
+                    💾 匯出重播
+                  </button>
+                  {!isVersus && (
+                    <button className="game-btn btn-secondary" onClick={handleOpenHighScores}>
+                      🏅 排行榜
+                    </button>
+                  )}
+                </>
+              )}
+              {!isVersus && (
+                <button className="game-btn btn-secondary" onClick={handleExportDirectorLog}>
+                  📈 難度紀錄
+                </button>
+              )}
+            </>
+          )}
+          {isGameOver && isReplay && (
+            <button className="game-btn btn-secondary" onClick={handleExitReplay}>
+              ✖ 離開重播
             </button>
           )}
-          {isLevelClear && (
+          {isLevelClear && !isReplay && engine.getStageResults() && (
+            <StageResults key={gameInfo.level} results={engine.getStageResults()} />
+          )}
+          {isLevelClear && !isReplay && !isTestPlay && (
             <button className="game-btn btn-next" onClick={handleNextLevel}>
               ➡️ 下一關
             </button>
           )}
+          {isTestPlay && !isPlaying && (
+            <button className="game-btn btn-secondary" onClick={handleBackToEditor}>
+              ✏️ 返回編輯器
+            </button>
+          )}
         </div>
-      </div>
 
-      {/* ===== 工具列 — 桌機上才獨立顯示，手機上由 VirtualControls 內嵌 ===== */}
-      <div className="toolbar">
-        {isPlaying && (
-          <button className="toolbar-btn" onClick={handlePause} title="暫停">
-            ⏸
-          </button>
-        )}
-        <button className="toolbar-btn" onClick={handleFullscreen} title="全螢幕">
-          ⛶
-        </button>
+        <input
+          ref={replayInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleReplayFileChange}
+          hidden
+        />
       </div>
 
-      {/* ===== 虛擬控制器 + 內嵌工具鈕（手機用）===== */}
-      <VirtualControls
-        setDirection={setDirection}
-        setFire={setFire}
-        onPause={isPlaying ? handlePause : null}
-        onFullscreen={handleFullscreen}
-      />
+      {isReplay ? (
+        /* ===== 重播控制列 ===== */
+        <ReplayControls engine={engine} isPaused={isPaused} onExit={handleExitReplay} />
+      ) : (
+        <>
+          {/* ===== 工具列 — 桌機上才獨立顯示，手機上由 VirtualControls 內嵌 ===== */}
+          <div className="toolbar">
+            {isPlaying && (
+              <button className="toolbar-btn" onClick={handlePause} title="暫停">
+                ⏸
+              </button>
+            )}
+            <button className="toolbar-btn" onClick={handleFullscreen} title="全螢幕">
+              ⛶
+            </button>
+          </div>
+
+          {/* ===== 虛擬控制器 + 內嵌工具鈕（手機用）===== */}
+          <VirtualControls
+            setDirection={setDirection}
+            setFire={setFire}
+            players={online ? 1 : gameInfo.players.filter(p => !p.bot).length}
+            onPause={isPlaying ? handlePause : null}
+            onFullscreen={handleFullscreen}
+          />
+        </>
+      )}
 
       {/* ===== 背景音樂播放器 ===== */}
       <BackgroundMusic isPlaying={isPlaying || isMenu} />
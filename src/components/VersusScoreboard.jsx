@@ -0,0 +1,66 @@
+/**
+ * ============================================================
+ * 死鬥計分板 (VersusScoreboard)
+ * ============================================================
+ * 死鬥模式暫停或比賽結束時蓋在畫面上：
+ *   [標題] — 比賽中顯示目前領先者；結束時顯示獲勝者或平手
+ *   [排名] — 名次、參賽者、擊殺、被擊毀（電腦坦克標 🤖）
+ * 排名與勝負來自 engine.getMatchResult()，這裡只負責顯示。
+ */
+import React from 'react';
+import { PLAYER_COLORS } from '../game/Tank.js';
+
+/**
+ * 標題：結束時宣布勝負，比賽中顯示領先者
+ * @param {{ standings: { label: string }[], winner: number|null }} result
+ * @param {boolean} final
+ * @returns {string}
+ */
+function getHeadline({ standings, winner }, final) {
+  if (winner === null) return final ? '🤝 平手' : '⚔️ 不分軒輊';
+  return final ? `🏆 ${standings[0].label} 獲勝！` : `⚔️ ${standings[0].label} 領先`;
+}
+
+/**
+ * @param {{
+ *   result: {
+ *     standings: { index: number, label: string, frags: number, deaths: number, bot: boolean }[],
+ *     winner: number|null,
+ *   },
+ *   fragLimit: number,
+ *   final?: boolean,
+ * }} props
+ *   final — 比賽是否已結束
+ */
+export default function VersusScoreboard({ result, fragLimit, final = false }) {
+  return (
+    <div className="settings-panel versus-scoreboard">
+      <div className="settings-title">{getHeadline(result, final)}</div>
+      <div className="high-score-summary">先拿下 {fragLimit} 次擊殺者獲勝</div>
+
+      <table className="high-score-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>坦克</th>
+            <th>擊殺</th>
+            <th>被擊毀</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.standings.map((s, rank) => (
+            <tr key={s.index} className={final && s.index === result.winner ? 'highlight' : ''}>
+              <td>{rank + 1}</td>
+              <td>
+                <span className="versus-swatch" style={{ background: PLAYER_COLORS[s.index] }} />
+                {s.bot ? `🤖 ${s.label}` : s.label}
+              </td>
+              <td>{s.frags}</td>
+              <td>{s.deaths}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -7,120 +7,175 @@
  *
  * 佈局（flex row）：
  *   [D-Pad]  —  [中間小按鈕區：⏸ ⛶]  —  [FIRE]
+ * 雙人模式改為左右鏡像的兩組按鈕：
+ *   [1P D-Pad][1P FIRE]  —  [⏸ ⛶]  —  [2P FIRE][2P D-Pad]
  *
  * 中間小按鈕區在手機上顯示（inline-controls），
  * 桌機上 toolbar 獨立顯示，這裡仍渲染但由 CSS 隱藏。
  */
-import React, { useCallback, useRef } from 'react';
+import React, { useCallback } from 'react';
 
 /**
- * @param {{
- *   setDirection: Function,
- *   setFire: Function,
- *   onPause?: Function|null,
- *   onFullscreen?: Function|null,
- * }} props
+ * 方向鍵（十字鍵）
+ * @param {{ onStart: Function, onEnd: Function }} props
+ *   onStart(dir) 回傳該方向按鈕的按下處理函式；onEnd 為放開處理函式
  */
-export default function VirtualControls({ setDirection, setFire, onPause, onFullscreen }) {
-  const activeDirRef = useRef(null);
+function DPad({ onStart, onEnd }) {
+  /** touch + mouse 雙軌事件綁定 */
+  const dirEvents = (dir) => ({
+    onTouchStart: onStart(dir),
+    onTouchEnd: onEnd,
+    onTouchCancel: onEnd,
+    onMouseDown: onStart(dir),
+    onMouseUp: onEnd,
+    onMouseLeave: onEnd,
+  });
+
+  return (
+    <div className="dpad-container">
+      <div className="dpad">
+        <button className="dpad-btn dpad-up" {...dirEvents('up')} aria-label="上移">
+          <svg viewBox="0 0 40 40" width="100%" height="100%">
+            <polygon points="20,6 34,32 6,32" fill="currentColor" />
+          </svg>
+        </button>
+
+        <button className="dpad-btn dpad-left" {...dirEvents('left')} aria-label="左移">
+          <svg viewBox="0 0 40 40" width="100%" height="100%">
+            <polygon points="6,20 32,6 32,34" fill="currentColor" />
+          </svg>
+        </button>
+
+        <div className="dpad-center" />
+
+        <button className="dpad-btn dpad-right" {...dirEvents('right')} aria-label="右移">
+          <svg viewBox="0 0 40 40" width="100%" height="100%">
+            <polygon points="34,20 8,6 8,34" fill="currentColor" />
+          </svg>
+        </button>
+
+        <button className="dpad-btn dpad-down" {...dirEvents('down')} aria-label="下移">
+          <svg viewBox="0 0 40 40" width="100%" height="100%">
+            <polygon points="20,34 6,8 34,8" fill="currentColor" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 射擊按鈕
+ * @param {{ onStart: Function, onEnd: Function, label: string }} props
+ */
+function FireButton({ onStart, onEnd, label }) {
+  return (
+    <div className="fire-container">
+      <button
+        className="fire-btn"
+        onTouchStart={onStart}
+        onTouchEnd={onEnd}
+        onTouchCancel={onEnd}
+        onMouseDown={onStart}
+        onMouseUp={onEnd}
+        onMouseLeave={onEnd}
+        aria-label={label}
+      >
+        <span className="fire-btn-inner">FIRE</span>
+      </button>
+    </div>
+  );
+}
 
-  // ---- 方向按鈕：按下 ----
+/**
+ * 單一玩家的按鈕處理函式
+ * @param {Function} setDirection
+ * @param {Function} setFire
+ * @param {number} player - 玩家編號
+ */
+function usePlayerControls(setDirection, setFire, player) {
+  // ---- 方向按鈕：按下 / 放開 ----
   const handleDirStart = useCallback((dir) => (e) => {
     e.preventDefault();
-    activeDirRef.current = dir;
-    setDirection(dir);
-  }, [setDirection]);
+    setDirection(dir, player);
+  }, [setDirection, player]);
 
-  // ---- 方向按鈕：放開 ----
   const handleDirEnd = useCallback((e) => {
     e.preventDefault();
-    activeDirRef.current = null;
-    setDirection(null);
-  }, [setDirection]);
+    setDirection(null, player);
+  }, [setDirection, player]);
 
   // ---- 射擊按鈕 ----
   const handleFireStart = useCallback((e) => {
     e.preventDefault();
-    setFire(true);
-  }, [setFire]);
+    setFire(true, player);
+  }, [setFire, player]);
 
   const handleFireEnd = useCallback((e) => {
     e.preventDefault();
-    setFire(false);
-  }, [setFire]);
+    setFire(false, player);
+  }, [setFire, player]);
 
-  /** touch + mouse 雙軌事件綁定 */
-  const dirEvents = (dir) => ({
-    onTouchStart: handleDirStart(dir),
-    onTouchEnd: handleDirEnd,
-    onTouchCancel: handleDirEnd,
-    onMouseDown: handleDirStart(dir),
-    onMouseUp: handleDirEnd,
-    onMouseLeave: handleDirEnd,
-  });
+  return { handleDirStart, handleDirEnd, handleFireStart, handleFireEnd };
+}
 
-  const fireEvents = {
-    onTouchStart: handleFireStart,
-    onTouchEnd: handleFireEnd,
-    onTouchCancel: handleFireEnd,
-    onMouseDown: handleFireStart,
-    onMouseUp: handleFireEnd,
-    onMouseLeave: handleFireEnd,
-  };
+/**
+ * @param {{
+ *   setDirection: Function,
+ *   setFire: Function,
+ *   players?: number,
+ *   onPause?: Function|null,
+ *   onFullscreen?: Function|null,
+ * }} props
+ *   players — 2 時顯示鏡像的第二組方向鍵與射擊鈕（平板雙人同樂）
+ */
+export default function VirtualControls({ setDirection, setFire, players = 1, onPause, onFullscreen }) {
+  const p1 = usePlayerControls(setDirection, setFire, 0);
+  const p2 = usePlayerControls(setDirection, setFire, 1);
+  const twoPlayer = players > 1;
+
+  const inlineControls = (
+    <div className="inline-controls">
+      {onPause && (
+        <button className="inline-btn" onClick={onPause} aria-label="暫停">
+          ⏸
+        </button>
+      )}
+      {onFullscreen && (
+        <button className="inline-btn" onClick={onFullscreen} aria-label="全螢幕">
+          ⛶
+        </button>
+      )}
+    </div>
+  );
+
+  if (twoPlayer) {
+    // 鏡像佈局：[1P D-Pad][1P FIRE]  —  [工具鈕]  —  [2P FIRE][2P D-Pad]
+    return (
+      <div className="virtual-controls two-player">
+        <div className="control-group player-1">
+          <DPad onStart={p1.handleDirStart} onEnd={p1.handleDirEnd} />
+          <FireButton onStart={p1.handleFireStart} onEnd={p1.handleFireEnd} label="1P 射擊" />
+        </div>
+        {inlineControls}
+        <div className="control-group player-2">
+          <FireButton onStart={p2.handleFireStart} onEnd={p2.handleFireEnd} label="2P 射擊" />
+          <DPad onStart={p2.handleDirStart} onEnd={p2.handleDirEnd} />
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="virtual-controls">
       {/* ===== 左側：D-Pad ===== */}
-      <div className="dpad-container">
-        <div className="dpad">
-          <button className="dpad-btn dpad-up" {...dirEvents('up')} aria-label="上移">
-            <svg viewBox="0 0 40 40" width="100%" height="100%">
-              <polygon points="20,6 34,32 6,32" fill="currentColor" />
-            </svg>
-          </button>
-
-          <button className="dpad-btn dpad-left" {...dirEvents('left')} aria-label="左移">
-            <svg viewBox="0 0 40 40" width="100%" height="100%">
-              <polygon points="6,20 32,6 32,34" fill="currentColor" />
-            </svg>
-          </button>
-
-          <div className="dpad-center" />
-
-          <button className="dpad-btn dpad-right" {...dirEvents('right')} aria-label="右移">
-            <svg viewBox="0 0 40 40" width="100%" height="100%">
-              <polygon points="34,20 8,6 8,34" fill="currentColor" />
-            </svg>
-          </button>
-
-          <button className="dpad-btn dpad-down" {...dirEvents('down')} aria-label="下移">
-            <svg viewBox="0 0 40 40" width="100%" height="100%">
-              <polygon points="20,34 6,8 34,8" fill="currentColor" />
-            </svg>
-          </button>
-        </div>
-      </div>
+      <DPad onStart={p1.handleDirStart} onEnd={p1.handleDirEnd} />
 
       {/* ===== 中間：內嵌工具鈕（手機用，桌機由獨立 toolbar 提供）===== */}
-      <div className="inline-controls">
-        {onPause && (
-          <button className="inline-btn" onClick={onPause} aria-label="暫停">
-            ⏸
-          </button>
-        )}
-        {onFullscreen && (
-          <button className="inline-btn" onClick={onFullscreen} aria-label="全螢幕">
-            ⛶
-          </button>
-        )}
-      </div>
+      {inlineControls}
 
       {/* ===== 右側：射擊 ===== */}
-      <div className="fire-container">
-        <button className="fire-btn" {...fireEvents} aria-label="射擊">
-          <span className="fire-btn-inner">FIRE</span>
-        </button>
-      </div>
+      <FireButton onStart={p1.handleFireStart} onEnd={p1.handleFireEnd} label="射擊" />
     </div>
   );
 }
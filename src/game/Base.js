@@ -0,0 +1,90 @@
+/**
+ * ============================================================
+ * 基地類別 (Base / Eagle)
+ * ============================================================
+ * 玩家必須守護的基地。任何子彈擊中基地 → 遊戲結束。
+ * 基地本身也是障礙物，坦克無法穿越（介面與 Wall 相同：alive + blocksTanks + overlaps）。
+ */
+import { WALL_SIZE, COLOR_BASE, COLOR_BASE_DESTROYED } from './constants.js';
+import { rectsOverlap } from './Tank.js';
+
+export class Base {
+  /**
+   * @param {number} x - 設計座標 X（網格對齊）
+   * @param {number} y - 設計座標 Y（網格對齊）
+   */
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.size = WALL_SIZE;
+    this.alive = true;
+    this.blocksTanks = true;
+  }
+
+  /**
+   * 取得碰撞矩形
+   */
+  getBounds() {
+    return { x: this.x, y: this.y, w: this.size, h: this.size };
+  }
+
+  /**
+   * 矩形是否與基地重疊
+   * @param {{ x: number, y: number, w: number, h: number }} rect
+   * @returns {boolean}
+   */
+  overlaps(rect) {
+    return rectsOverlap(rect, this.getBounds());
+  }
+
+  /**
+   * 在 Canvas 上繪製基地（被摧毀後改畫殘骸）
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} scale
+   */
+  draw(ctx, scale) {
+    const s = scale;
+    const x = this.x * s;
+    const y = this.y * s;
+    const sz = this.size * s;
+    const cx = x + sz / 2;
+
+    // 底座
+    ctx.fillStyle = '#222233';
+    ctx.fillRect(x, y, sz, sz);
+
+    if (!this.alive) {
+      // ---- 殘骸：倒下的旗桿 + 碎片 ----
+      ctx.fillStyle = COLOR_BASE_DESTROYED;
+      ctx.fillRect(x + sz * 0.15, y + sz * 0.7, sz * 0.7, sz * 0.12);
+      ctx.fillRect(x + sz * 0.25, y + sz * 0.55, sz * 0.15, sz * 0.15);
+      ctx.fillRect(x + sz * 0.6, y + sz * 0.5, sz * 0.12, sz * 0.2);
+      return;
+    }
+
+    // ---- 老鷹：翅膀 + 身體 + 頭 ----
+    ctx.fillStyle = COLOR_BASE;
+    ctx.beginPath();
+    ctx.moveTo(cx, y + sz * 0.2);
+    ctx.lineTo(x + sz * 0.92, y + sz * 0.35);
+    ctx.lineTo(x + sz * 0.7, y + sz * 0.55);
+    ctx.lineTo(cx + sz * 0.12, y + sz * 0.85);
+    ctx.lineTo(cx - sz * 0.12, y + sz * 0.85);
+    ctx.lineTo(x + sz * 0.3, y + sz * 0.55);
+    ctx.lineTo(x + sz * 0.08, y + sz * 0.35);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.arc(cx, y + sz * 0.22, sz * 0.1, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 羽毛紋路
+    ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+    ctx.lineWidth = Math.max(1, s);
+    ctx.beginPath();
+    ctx.moveTo(cx, y + sz * 0.35);
+    ctx.lineTo(cx, y + sz * 0.8);
+    ctx.stroke();
+  }
+}
@@ -6,8 +6,9 @@
  */
 import {
   BULLET_SIZE, BULLET_SPEED,
-  DIR, DESIGN_WIDTH, DESIGN_HEIGHT,
+  DIR, DESIGN_WIDTH, DESIGN_HEIGHT, PLAYER_TEAM, ENEMY_TEAM,
 } from './constants.js';
+import { DEFAULT_GAME_CONFIG } from './gameConfig.js';
 
 export class Bullet {
   /**
@@ -16,15 +17,23 @@ export class Bullet {
    * @param {string} direction - 飛行方向
    * @param {boolean} isPlayerBullet - 是否為玩家發射
    * @param {string} color - 子彈顏色
+   * @param {number} [speed] - 每步移動距離（火力型敵軍較快）
+   * @param {object} [config] - 本局設定（gameConfig.js）
    */
-  constructor(x, y, direction, isPlayerBullet, color) {
+  constructor(x, y, direction, isPlayerBullet, color, speed = BULLET_SPEED, config = DEFAULT_GAME_CONFIG) {
     this.x = x;
     this.y = y;
+    this.prevX = x;   // 上一個模擬步的位置（渲染插值用）
+    this.prevY = y;
     this.direction = direction;
     this.isPlayerBullet = isPlayerBullet;
     this.color = color;
     this.size = BULLET_SIZE;
-    this.speed = BULLET_SPEED;
+    this.speed = speed;
+    this.power = 1;      // 2 = 可擊破鐵牆（玩家三星）
+    this.owner = null;   // 發射此子彈的坦克（計算場上子彈數與擊殺歸屬用）
+    this.team = isPlayerBullet ? PLAYER_TEAM : ENEMY_TEAM;  // 陣營：只打得到其他陣營的坦克
+    this.hitsTeammates = isPlayerBullet && config.friendlyFire;  // 友軍誤傷：玩家子彈也會打中隊友
     this.alive = true;
   }
 
@@ -36,7 +45,7 @@ export class Bullet {
   }
 
   /**
-   * 每幀更新位置
+   * 每個模擬步更新位置
    * 超出邊界則標記為死亡
    */
   update() {
@@ -64,13 +73,14 @@ export class Bullet {
    * 在 Canvas 上繪製子彈
    * @param {CanvasRenderingContext2D} ctx
    * @param {number} scale - 縮放因子
+   * @param {number} alpha - 插值係數 0~1（上一步 → 目前步）
    */
-  draw(ctx, scale) {
+  draw(ctx, scale, alpha = 1) {
     if (!this.alive) return;
 
     const s = scale;
-    const x = this.x * s;
-    const y = this.y * s;
+    const x = (this.prevX + (this.x - this.prevX) * alpha) * s;
+    const y = (this.prevY + (this.y - this.prevY) * alpha) * s;
     const sz = this.size * s;
 
     // 子彈外發光效果
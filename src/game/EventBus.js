@@ -0,0 +1,52 @@
+/**
+ * ============================================================
+ * 事件匯流排 (Event Bus)
+ * ============================================================
+ * GameEngine 把發生過的事（開火、擊毀、過關…）以 GAME_EVENT 發出，
+ * 計分、音效、爆炸效果、成就與 UI 各自訂閱需要的事件，引擎本身不必知道誰在聽。
+ *
+ * 事件同步派送、依訂閱順序呼叫：處理函式裡改動的遊戲狀態在同一個模擬步內就生效，
+ * 因此會影響模擬結果的系統（例如計分）仍然是確定性的。
+ */
+
+export class EventBus {
+  constructor() {
+    this.handlers = new Map(); // 事件類型 → 處理函式陣列（依訂閱順序）
+  }
+
+  /**
+   * 訂閱事件
+   * @param {string} type - GAME_EVENT
+   * @param {(payload: object) => void} handler
+   * @returns {() => void} 取消訂閱的函式
+   */
+  on(type, handler) {
+    const list = this.handlers.get(type) ?? [];
+    this.handlers.set(type, [...list, handler]);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * 取消訂閱
+   * @param {string} type
+   * @param {Function} handler
+   */
+  off(type, handler) {
+    const list = this.handlers.get(type);
+    if (!list) return;
+    const rest = list.filter(h => h !== handler);
+    if (rest.length > 0) this.handlers.set(type, rest);
+    else this.handlers.delete(type);
+  }
+
+  /**
+   * 發出事件（處理函式中途訂閱 / 取消訂閱不影響這一次的派送）
+   * @param {string} type
+   * @param {object} [payload]
+   */
+  emit(type, payload = {}) {
+    const list = this.handlers.get(type);
+    if (!list) return;
+    for (const handler of list) handler(payload);
+  }
+}
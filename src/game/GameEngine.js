@@ -2,81 +2,318 @@
  * ============================================================
  * 遊戲引擎 (Game Engine)
  * ============================================================
- * 核心遊戲迴圈、碰撞檢測、AI 邏輯、分數管理。
- * 此模組為純邏輯層，不依賴 React — 由 React 元件呼叫。
+ * 核心遊戲迴圈、碰撞檢測、分數管理；敵軍行為交給 enemyAI.js，
+ * 出兵節奏交給依玩家表現調整的 difficultyDirector.js。
+ * 此模組為純邏輯層，不依賴 React、DOM、Canvas 或 Web Audio：
+ *   - 繪製交給 renderer.js
+ *   - 時鐘與音效輸出由建構參數注入
+ * 因此可以在 Node 下建立、逐步推進 (step) 並查詢狀態 (getSnapshot)。
+ * 暫停或過關時可把完整局面存成純資料 (createSave)，之後再接續 (resumeGame)；
+ * 連線對戰的伺服器也以同一份資料 (exportState / importState) 把局面同步給客戶端。
+ *
+ * 模式的規則由 config.mode 對應的外掛決定（modes.js）：
+ *   戰役依關卡的任務清單判定過關（campaign.js、objectives.js）、
+ *   死鬥在競技場上比擊殺數（versus.js）、生存在同一張地圖上一波波抵擋敵軍（survival.js）。
+ * 發生的事以 GAME_EVENT 從 this.events 發出；計分、音效、爆炸效果等規則是訂閱事件的系統
+ * （gameSystems.js），以 addSystem() / removeSystem() 增減，UI 也從 STATE_CHANGED 事件取得 HUD 資料。
  */
 import { Tank, rectsOverlap } from './Tank.js';
+import { Bullet } from './Bullet.js';
+import { Base } from './Base.js';
+import { Wall } from './Wall.js';
+import { PowerUp } from './PowerUp.js';
 import {
-  DIR, GAME_STATE,
-  DESIGN_WIDTH, DESIGN_HEIGHT,
-  MAX_ENEMIES, ENEMY_SPAWN_INTERVAL, ENEMIES_PER_LEVEL,
-  ENEMY_DIR_CHANGE_INTERVAL, PLAYER_MAX_LIVES,
-  COLOR_BACKGROUND, COLOR_GRID, WALL_SIZE,
+  DIR, GAME_STATE, WALL_TYPE, WALL_SIZE, DESIGN_WIDTH, DESIGN_HEIGHT,
+  PLAYER_SPAWN_SHIELD, MAX_PLAYERS,
+  SIM_TICK_MS, MAX_FRAME_TIME, EXPLOSION_DURATION,
+  POWER_UP_TYPE, POWER_UP_SIZE, POWER_UP_CARRIER_EVERY,
+  POWER_UP_SHIELD_DURATION, POWER_UP_CLOCK_DURATION, POWER_UP_SHOVEL_DURATION,
+  EXTRA_LIFE_EVERY, GAME_MODE, GAME_EVENT, GAME_OVER_REASON, AI_PROFILE, OBJECTIVE_TYPE,
 } from './constants.js';
-import { generateMap, getPlayerSpawn, getEnemySpawnPoints } from './mapGenerator.js';
-import { getSoundEffects } from './SoundEffects.js';
+import { getMapLayout, getFreeCells } from './mapGenerator.js';
+import { CAMPAIGN, CAMPAIGN_MODE } from './campaign.js';
+import { Random, createSeed } from './Random.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
+import { createAIState, createNavGrid, pickProfile, thinkEnemy } from './enemyAI.js';
+import { DifficultyDirector } from './difficultyDirector.js';
+import { createGameConfig } from './gameConfig.js';
+import { createStageStats, computeStageResults } from './stageResults.js';
+import { SAVE_FORMAT, SAVE_VERSION, isSavableState } from './saveGame.js';
+import { VERSUS_MODE, getStandings, getWinner } from './versus.js';
+import { SURVIVAL_MODE, getStreakMultiplier } from './survival.js';
+import { DEFAULT_OBJECTIVES, ESCORT_STATUS } from './objectives.js';
+import { EventBus } from './EventBus.js';
+import { registerMode, getMode } from './modes.js';
+import {
+  createScoringSystem, createDirectorSystem, createSoundSystem, createEffectsSystem,
+} from './gameSystems.js';
+
+// 內建模式；其他模式由外部 registerMode() 後以 config.mode 選用
+registerMode(CAMPAIGN_MODE);
+registerMode(VERSUS_MODE);
+registerMode(SURVIVAL_MODE);
+
+/**
+ * 建立一組空白的輸入狀態
+ * @returns {{ up: boolean, down: boolean, left: boolean, right: boolean, fire: boolean }}
+ */
+function createKeys() {
+  return { up: false, down: false, left: false, right: false, fire: false };
+}
+
+/** 預設時鐘：瀏覽器與 Node 皆提供 performance.now() */
+const DEFAULT_CLOCK = {
+  now: () => performance.now(),
+};
 
 export class GameEngine {
-  constructor() {
+  /**
+   * @param {{
+   *   clock?: { now: () => number },
+   *   audio?: object,
+   * }} [options]
+   *   clock — 提供 update() 預設時間戳的時鐘；
+   *   audio — 音效輸出（瀏覽器傳入 getSoundEffects()；省略則不註冊音效系統，即靜音）
+   */
+  constructor({ clock = DEFAULT_CLOCK, audio = null } = {}) {
+    // ---- 外部依賴（可注入）----
+    this.clock = clock;
+
     // ---- 遊戲狀態 ----
     this.state = GAME_STATE.MENU;
-    this.score = 0;
-    this.lives = PLAYER_MAX_LIVES;
     this.level = 1;
+    this.playerCount = 1;           // 本機玩家人數：1 = 單人，2 = 雙人（死鬥的電腦坦克不算在內）
+    this.config = createGameConfig();  // 本局設定：難度、生命、敵軍數量、射擊冷卻、友軍誤傷
+    this.mode = getMode(this.config.mode);  // 本局的模式外掛（modes.js）
     this.enemiesDestroyed = 0;      // 本關已擊毀的敵軍數
     this.totalEnemiesSpawned = 0;   // 本關已生成的敵軍數
+    this.roster = [];               // 本關敵軍出場順序 (ENEMY_TYPE[])；長度即過關所需擊毀數
+
+    // ---- 關卡配置 ----
+    this.campaign = CAMPAIGN;       // 本局使用的關卡檔清單（編輯器試玩時為自製關卡）
+    this.layout = getMapLayout();   // 出生點、基地與護城格（關卡檔或程序化地圖）
+    this.stageName = null;          // 關卡檔的名稱（程序化地圖為 null）
+    this.targets = null;            // 額外過關條件 { time?: 秒, score?: 本關得分 }
+    this.objectives = null;         // 關卡檔的任務清單（null = 只需殲滅全部敵軍）
+    this.stageStartScore = 0;       // 進入本關時的全隊總分（計算本關得分用）
+
+    // ---- 整局統計（跨關累計，排行榜用）----
+    this.runStats = { shots: 0, hits: 0, kills: 0 };
+
+    // ---- 本關統計（每關重置，過關結算用）----
+    this.stageStats = [];           // 依玩家編號排列（stageResults.js 的 createStageStats）
+    this.stageResults = null;       // 過關時算出的結算表，進入下一關前保留
+
+    // ---- 種子亂數 ----
+    // 地圖、AI、出生點的隨機性全部來自 this.rng；
+    // 相同 seed + 相同輸入即可完整重現一局遊戲。
+    this.seed = 0;
+    this.rng = new Random(0);
 
     // ---- 遊戲物件 ----
-    this.player = null;    // Tank 實例
+    this.players = [];     // 玩家 Tank[]（各自持有 lives / score，跨關沿用）
     this.enemies = [];     // Tank[]
     this.bullets = [];     // Bullet[]
     this.walls = [];       // Wall[]
+    this.base = null;      // Base 實例（被摧毀 → 遊戲結束）
+    this.powerUp = null;   // 地圖上的道具（同時最多一個）
+
+    // ---- 道具效果（模擬時間，毫秒）----
+    this.enemiesFrozenUntil = 0;   // 時鐘：此時間前敵軍不動也不開火
+    this.baseFortifiedUntil = 0;   // 鏟子：此時間前基地護城為鐵牆（0 = 未啟用）
 
     // ---- 計時器 ----
     this.lastEnemySpawnTime = 0;
 
-    // ---- 輸入狀態 ----
-    this.keys = {
-      up: false,
-      down: false,
-      left: false,
-      right: false,
-      fire: false,
-    };
+    // ---- 死鬥模式：下一個輪到的重生點（layout.playerSpawns 的索引）----
+    this.spawnCursor = 0;
+
+    // ---- 生存模式：波次與喘息 ----
+    this.wave = 0;                  // 目前波次（1-based；其他模式為 0）
+    this.waveBreakUntil = 0;        // 喘息結束的模擬時間（0 = 這一波還在打）
+    this.brickCells = [];           // 地圖原有磚牆的位置（喘息時依序修回）
+
+    // ---- 關卡任務：依序判定的過關條件與護送目標 ----
+    this.objectiveIndex = 0;        // 目前進行中的任務（this.objectives 的索引）
+    this.objectiveStartedAt = 0;    // 目前任務開始的模擬時間（任務計時由此起算）
+    this.livesLost = 0;             // 本關全隊損失的生命數（無傷任務用）
+    this.escort = null;             // 護送目標 Tank（本關沒有護送任務時為 null）
+    this.escortStatus = ESCORT_STATUS.NONE;
+    this.objectiveFailure = null;   // 任務失敗的原因（遊戲結束畫面顯示；沒有失敗為 null）
+
+    // ---- 難度導演：依玩家表現調整生成間隔、敵軍上限、類型與積極度 ----
+    this.director = new DifficultyDirector(this.config.difficulty);
+
+    // ---- 固定步長模擬 (Fixed Timestep) ----
+    // simTime 為模擬時鐘（毫秒），只在 PLAYING 狀態下以 SIM_TICK_MS 推進；
+    // 所有冷卻、AI 計時與動畫都以它為準，而非顯示器的幀時間。
+    this.tick = 0;
+    this.simTime = 0;
+    this.accumulator = 0;       // 尚未消化的幀時間（毫秒）
+    this.lastFrameTime = null;  // 上一次 update() 的 performance.now()
+    this.timeScale = 1;         // 時間倍率（重播快轉用）
+
+    // ---- 重播 (Replay) ----
+    this.recorder = null;       // ReplayRecorder — 每局自動錄製
+    this.replayPlayer = null;   // ReplayPlayer — 非 null 時為重播觀看模式
+
+    // 靜默模式：不播放音效、不通知 UI（重播跳轉時大量快進用）
+    this.silent = false;
+
+    // ---- 輸入狀態（每位玩家一組）----
+    this.playerKeys = Array.from({ length: MAX_PLAYERS }, createKeys);
 
     // ---- 爆炸效果 ----
-    this.explosions = []; // { x, y, radius, maxRadius, alpha }
+    this.explosions = []; // { x, y, maxRadius, color, createdAt }
+
+    // ---- 事件與系統 ----
+    // 計分與難度導演會改變模擬結果，每個引擎都註冊；音效只在有輸出時註冊
+    this.events = new EventBus();
+    this.systems = new Map();  // 系統名稱 → 取消訂閱的函式
+    this.addSystem(createScoringSystem());
+    this.addSystem(createDirectorSystem());
+    this.addSystem(createEffectsSystem());
+    if (audio) this.addSystem(createSoundSystem(audio));
+  }
+
+  /** 1P 坦克（單人遊戲時即唯一的玩家）*/
+  get player() {
+    return this.players[0] ?? null;
+  }
+
+  /** 1P 的輸入狀態 */
+  get keys() {
+    return this.playerKeys[0];
+  }
+
+  /** 全隊總分 */
+  get score() {
+    return this.players.reduce((sum, p) => sum + p.score, 0);
+  }
 
-    // ---- 回呼函式（用於通知 React 層更新 UI）----
-    this.onStateChange = null;
+  /** 全隊剩餘生命總數（歸零才算遊戲結束）*/
+  get lives() {
+    return this.players.reduce((sum, p) => sum + p.lives, 0);
+  }
+
+  /** 是否為死鬥模式 */
+  get isVersus() {
+    return this.config.mode === GAME_MODE.VERSUS;
+  }
+
+  /** 是否為生存模式 */
+  get isSurvival() {
+    return this.config.mode === GAME_MODE.SURVIVAL;
+  }
+
+  /**
+   * 註冊系統（同名的舊系統會先移除）
+   * @param {import('./gameSystems.js').GameSystem} system
+   */
+  addSystem(system) {
+    this.removeSystem(system.name);
+    this.systems.set(system.name, system.attach(this));
+  }
+
+  /**
+   * 移除系統（取消它的所有訂閱）
+   * @param {string} name
+   * @returns {boolean} 是否有這個系統
+   */
+  removeSystem(name) {
+    const detach = this.systems.get(name);
+    if (!detach) return false;
+    detach();
+    this.systems.delete(name);
+    return true;
+  }
+
+  /**
+   * 是否已註冊某個系統
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasSystem(name) {
+    return this.systems.has(name);
   }
 
   /**
    * 初始化 / 重新開始遊戲
+   * 開新局（第 1 關或指定 seed）時重建亂數來源與玩家；
+   * 進入下一關則沿用同一條亂數序列與玩家坦克（生命、分數、星星），整局才能被重現。
+   *
    * @param {number} level - 起始關卡
+   * @param {number} [seed] - 亂數種子（省略時隨機產生）
+   * @param {{ players?: number, campaign?: object[], config?: object }} [options] - 開新局的設定
+   *   players — 玩家人數；campaign — 改用的關卡檔清單（省略 = 內建戰役）；
+   *   config — 本局設定（gameConfig.js，省略 = 沿用上一局）；指定時一定開新局
    */
-  startGame(level = 1) {
+  startGame(level = 1, seed, { players, campaign, config } = {}) {
+    const isNewRun = level === 1 || seed !== undefined || this.players.length === 0 || config !== undefined;
+    if (isNewRun) {
+      this.seed = (seed ?? createSeed()) >>> 0;
+      this.rng = new Random(this.seed);
+      this.playerCount = Math.max(1, Math.min(players ?? this.playerCount, MAX_PLAYERS));
+      this.campaign = campaign ?? CAMPAIGN;
+      if (config) this.config = createGameConfig(config);
+      this.mode = getMode(this.config.mode);
+      this.director = new DifficultyDirector(this.config.difficulty);
+      this.runStats = { shots: 0, hits: 0, kills: 0 };
+      // 每局自動錄製輸入；觀看重播、或玩自製關卡（重播檔不含地圖）時不錄製
+      const isCustom = this.campaign !== CAMPAIGN;
+      this.recorder = this.replayPlayer || isCustom
+        ? null
+        : new ReplayRecorder(this.seed, level, this.playerCount, this.config);
+    }
+
     this.state = GAME_STATE.PLAYING;
     this.level = level;
-    this.score = level === 1 ? 0 : this.score;
-    this.lives = level === 1 ? PLAYER_MAX_LIVES : this.lives;
     this.enemiesDestroyed = 0;
     this.totalEnemiesSpawned = 0;
     this.bullets = [];
     this.enemies = [];
     this.explosions = [];
+    this.powerUp = null;
+    this.enemiesFrozenUntil = 0;
+    this.baseFortifiedUntil = 0;
+    this.wave = 0;
+    this.waveBreakUntil = 0;
+    this.brickCells = [];
+    this.objectiveIndex = 0;
+    this.objectiveStartedAt = 0;
+    this.livesLost = 0;
+    this.objectiveFailure = null;
 
-    // 生成地圖
-    this.walls = generateMap(level);
+    // 重置模擬時鐘
+    this.tick = 0;
+    this.simTime = 0;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
 
-    // 生成玩家坦克
-    const spawn = getPlayerSpawn();
-    this.player = new Tank(spawn.x, spawn.y, DIR.UP, true);
-    this.player.invincibleUntil = performance.now() + 2000; // 重生無敵 2 秒
+    // 載入關卡：由模式決定（戰役的關卡檔 / 程序化地圖、死鬥的競技場、生存的固定地圖）
+    const stage = this.mode.loadStage(this, level);
+    this.walls = stage.walls;
+    this.layout = stage.layout;
+    this.stageName = stage.name;
+    this.targets = stage.targets;
+    this.objectives = stage.objectives;
+    this.roster = stage.roster;
+    this.base = this.layout.base ? new Base(this.layout.base.x, this.layout.base.y) : null;
+    this._deployEscort();
 
-    this.lastEnemySpawnTime = performance.now();
+    // 生成 / 重新部署玩家坦克
+    if (this.mode.deploy) this.mode.deploy(this, isNewRun);
+    else this._deployPlayers(isNewRun);
+    this.stageStartScore = this.score;
+    this.stageStats = this.players.map(() => createStageStats());
+    this.stageResults = null;
 
-    this._notifyStateChange();
+    this.lastEnemySpawnTime = this.simTime;
+    this.director.startStage(level);
+    this.mode.start?.(this);
+
+    this.events.emit(GAME_EVENT.STAGE_STARTED, { level, isNewRun });
+    this.notifyStateChange();
   }
 
   /**
@@ -86,6 +323,14 @@ export class GameEngine {
     this.startGame(this.level + 1);
   }
 
+  /**
+   * 放棄目前這局，回到選單（編輯器試玩結束時使用）
+   */
+  quitGame() {
+    this.state = GAME_STATE.MENU;
+    this.notifyStateChange();
+  }
+
   /**
    * 暫停 / 繼續
    */
@@ -95,23 +340,347 @@ export class GameEngine {
     } else if (this.state === GAME_STATE.PAUSED) {
       this.state = GAME_STATE.PLAYING;
     }
-    this._notifyStateChange();
+    this.notifyStateChange();
+  }
+
+  /**
+   * 取得本局的重播資料（可匯出分享）
+   * @returns {object|null}
+   */
+  getReplay() {
+    if (!this.recorder || this.recorder.ticks === 0) return null;
+    return this.recorder.toReplay({
+      finalScore: this.score,
+      finalLevel: this.level,
+      finalScores: this.players.map(p => p.score),
+    });
+  }
+
+  /**
+   * 建立目前局面的存檔（格式見 saveGame.js）
+   * 只在暫停中或剛過關時可以存；重播觀看、自製關卡試玩與不可存檔的模式（死鬥）不存檔。
+   * @returns {object|null}
+   */
+  createSave() {
+    if (!isSavableState(this.state) || this.replayPlayer || this.campaign !== CAMPAIGN) return null;
+    if (this.mode.savable === false) return null;
+    return { format: SAVE_FORMAT, version: SAVE_VERSION, ...this.exportState() };
+  }
+
+  /**
+   * 從存檔接續一局（parseSave() 驗證過的資料）
+   * 接續的局面無法從種子重新模擬出來，因此這一局不再錄製重播。
+   * @param {object} save
+   */
+  resumeGame(save) {
+    this.replayPlayer = null;
+    this.recorder = null;
+    this.timeScale = 1;
+    this.campaign = CAMPAIGN;
+    this.importState(save);
+    this.notifyStateChange();
+  }
+
+  /**
+   * 匯出完整局面的純資料（存檔與連線對戰的狀態同步共用；任何狀態下皆可呼叫）
+   * @returns {object}
+   */
+  exportState() {
+    // 子彈的發射者以玩家編號 / 敵軍索引記錄（已被擊毀的敵軍記為無主）
+    const ownerOf = (bullet) => {
+      const { owner } = bullet;
+      if (!owner) return null;
+      if (owner.isEscort) return owner === this.escort ? { escort: true } : null;
+      if (owner.isPlayer) return { player: owner.playerIndex };
+      const index = this.enemies.indexOf(owner);
+      return index >= 0 ? { enemy: index } : null;
+    };
+    const tankState = (t) => ({
+      x: t.x, y: t.y, direction: t.direction, alive: t.alive,
+      lastFireTime: Number.isFinite(t.lastFireTime) ? t.lastFireTime : null,
+      slideRemaining: t.slideRemaining,
+      invincibleUntil: t.invincibleUntil,
+    });
+    const aiState = (ai) => ai && { ...ai, path: ai.path.map(cell => ({ ...cell })) };
+
+    return {
+      state: this.state,
+      seed: this.seed,
+      rngState: this.rng.state,
+      level: this.level,
+      config: { ...this.config },
+      playerCount: this.playerCount,
+      tick: this.tick,
+      stageName: this.stageName,
+      layout: this.layout,
+      targets: this.targets,
+      objectives: this.objectives,
+      roster: [...this.roster],
+      enemiesDestroyed: this.enemiesDestroyed,
+      totalEnemiesSpawned: this.totalEnemiesSpawned,
+      stageStartScore: this.stageStartScore,
+      lastEnemySpawnTime: this.lastEnemySpawnTime,
+      spawnCursor: this.spawnCursor,
+      wave: this.wave,
+      waveBreakUntil: this.waveBreakUntil,
+      brickCells: this.brickCells.map(cell => ({ ...cell })),
+      objectiveIndex: this.objectiveIndex,
+      objectiveStartedAt: this.objectiveStartedAt,
+      livesLost: this.livesLost,
+      escortStatus: this.escortStatus,
+      objectiveFailure: this.objectiveFailure,
+      escort: this.escort ? { ...tankState(this.escort), ai: aiState(this.escort.ai) } : null,
+      enemiesFrozenUntil: this.enemiesFrozenUntil,
+      baseFortifiedUntil: this.baseFortifiedUntil,
+      runStats: { ...this.runStats },
+      stageStats: this.stageStats.map(s => ({ ...s, kills: { ...s.kills } })),
+      stageResults: this.stageResults,
+      director: this.director.saveState(),
+      players: this.players.map(p => ({
+        ...tankState(p), lives: p.lives, score: p.score, starLevel: p.starLevel,
+        team: p.team, frags: p.frags, deaths: p.deaths, respawnAt: p.respawnAt, streak: p.streak,
+        ai: aiState(p.ai),
+      })),
+      enemies: this.enemies.map(e => ({
+        ...tankState(e), type: e.type, hp: e.hp, carriesPowerUp: e.carriesPowerUp,
+        spawnedAt: this.director.spawnTimes.get(e) ?? null,
+        ai: aiState(e.ai),
+      })),
+      bullets: this.bullets.map(b => ({
+        x: b.x, y: b.y, direction: b.direction, isPlayerBullet: b.isPlayerBullet,
+        color: b.color, speed: b.speed, power: b.power, owner: ownerOf(b), team: b.team,
+      })),
+      walls: this.walls.map(w => ({ x: w.x, y: w.y, type: w.type, quarters: w.quarters && [...w.quarters] })),
+      base: this.base ? { x: this.base.x, y: this.base.y, alive: this.base.alive } : null,
+      powerUp: this.powerUp
+        ? { x: this.powerUp.x, y: this.powerUp.y, type: this.powerUp.type, expiresAt: this.powerUp.expiresAt }
+        : null,
+      explosions: this.explosions.map(e => ({ ...e })),
+      modeState: this.mode.saveState?.(this) ?? null,
+    };
+  }
+
+  /**
+   * 以 exportState() 的資料取代目前局面（不更動重播 / 錄製設定，也不通知 UI）
+   * @param {object} save
+   */
+  importState(save) {
+    this.seed = save.seed >>> 0;
+    this.rng = new Random(this.seed);
+    this.rng.state = save.rngState >>> 0;
+    this.config = createGameConfig(save.config);
+    this.mode = getMode(this.config.mode);
+    this.playerCount = save.playerCount ?? save.players.length;
+    this.director = new DifficultyDirector(this.config.difficulty);
+    this.director.loadState(save.director);
+
+    this.level = save.level;
+    this.stageName = save.stageName;
+    this.layout = save.layout;
+    this.targets = save.targets;
+    this.objectives = save.objectives ?? null;
+    this.roster = [...save.roster];
+    this.enemiesDestroyed = save.enemiesDestroyed;
+    this.totalEnemiesSpawned = save.totalEnemiesSpawned;
+    this.stageStartScore = save.stageStartScore;
+    this.lastEnemySpawnTime = save.lastEnemySpawnTime;
+    this.spawnCursor = save.spawnCursor ?? 0;
+    this.wave = save.wave ?? 0;
+    this.waveBreakUntil = save.waveBreakUntil ?? 0;
+    this.brickCells = (save.brickCells ?? []).map(cell => ({ ...cell }));
+    this.objectiveIndex = save.objectiveIndex ?? 0;
+    this.objectiveStartedAt = save.objectiveStartedAt ?? 0;
+    this.livesLost = save.livesLost ?? 0;
+    this.escortStatus = save.escortStatus ?? ESCORT_STATUS.NONE;
+    this.objectiveFailure = save.objectiveFailure ?? null;
+    this.enemiesFrozenUntil = save.enemiesFrozenUntil;
+    this.baseFortifiedUntil = save.baseFortifiedUntil;
+    this.runStats = { ...save.runStats };
+    this.stageStats = save.stageStats.map(s => ({ ...s, kills: { ...s.kills } }));
+    this.stageResults = save.stageResults ?? null;
+
+    const restoreTank = (tank, data) => {
+      tank.setPosition(data.x, data.y);
+      tank.direction = data.direction;
+      tank.alive = data.alive;
+      tank.lastFireTime = data.lastFireTime ?? -Infinity;
+      tank.slideRemaining = data.slideRemaining;
+      tank.invincibleUntil = data.invincibleUntil;
+      return tank;
+    };
+    this.players = save.players.map((data, i) => {
+      const tank = new Tank(0, 0, DIR.UP, true, undefined, this.config);
+      tank.playerIndex = i;
+      tank.lives = data.lives;
+      tank.score = data.score;
+      tank.setStarLevel(data.starLevel);
+      tank.team = data.team ?? tank.team;
+      tank.frags = data.frags ?? 0;
+      tank.deaths = data.deaths ?? 0;
+      tank.respawnAt = data.respawnAt ?? null;
+      tank.streak = data.streak ?? 0;
+      tank.ai = data.ai ? { ...data.ai, path: data.ai.path.map(cell => ({ ...cell })) } : null;
+      return restoreTank(tank, data);
+    });
+    this.enemies = save.enemies.map(data => {
+      const tank = restoreTank(new Tank(0, 0, DIR.UP, false, data.type, this.config), data);
+      tank.hp = data.hp;
+      tank.carriesPowerUp = data.carriesPowerUp;
+      tank.ai = data.ai && { ...data.ai, path: data.ai.path.map(cell => ({ ...cell })) };
+      if (data.spawnedAt !== null) this.director.recordSpawn(tank, data.spawnedAt);
+      return tank;
+    });
+    this.escort = null;
+    if (save.escort) {
+      this.escort = restoreTank(this._createEscort(), save.escort);
+      this.escort.ai = { ...save.escort.ai, path: save.escort.ai.path.map(cell => ({ ...cell })) };
+    }
+    this.bullets = save.bullets.map(data => {
+      const bullet = new Bullet(data.x, data.y, data.direction, data.isPlayerBullet, data.color, data.speed, this.config);
+      bullet.power = data.power;
+      bullet.team = data.team ?? bullet.team;
+      if (data.owner?.player !== undefined) bullet.owner = this.players[data.owner.player] ?? null;
+      else if (data.owner?.enemy !== undefined) bullet.owner = this.enemies[data.owner.enemy] ?? null;
+      else if (data.owner?.escort) bullet.owner = this.escort;
+      return bullet;
+    });
+    this.walls = save.walls.map(data => {
+      const wall = new Wall(data.x, data.y, data.type);
+      if (data.quarters) wall.quarters = [...data.quarters];
+      return wall;
+    });
+    this.base = null;
+    if (save.base) {
+      this.base = new Base(save.base.x, save.base.y);
+      this.base.alive = save.base.alive;
+    }
+    this.powerUp = null;
+    if (save.powerUp) {
+      this.powerUp = new PowerUp(save.powerUp.x, save.powerUp.y, save.powerUp.type, 0);
+      this.powerUp.expiresAt = save.powerUp.expiresAt;
+    }
+    this.explosions = (save.explosions ?? []).map(e => ({ ...e }));
+    this.mode.loadState?.(this, save.modeState ?? null);
+
+    this.tick = save.tick;
+    this.simTime = this.tick * SIM_TICK_MS;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.state = save.state;
+  }
+
+  /**
+   * 開始觀看重播：以重播的種子與起始關卡開新局，輸入改由錄製資料提供
+   * @param {object} replay - parseReplay() 的結果
+   */
+  playReplay(replay) {
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.timeScale = 1;
+    this.startGame(replay.level, replay.seed, {
+      players: this.replayPlayer.players,
+      config: this.replayPlayer.config,
+    });
+  }
+
+  /**
+   * 結束重播，回到選單
+   */
+  stopReplay() {
+    this.replayPlayer = null;
+    this.timeScale = 1;
+    this.state = GAME_STATE.MENU;
+    this.notifyStateChange();
+  }
+
+  /**
+   * 重播跳轉：從頭靜默快進到指定模擬步（確定性模擬，結果與正常播放一致）
+   * @param {number} targetTick - 目標步數（從重播開頭起算）
+   */
+  seekReplay(targetTick) {
+    if (!this.replayPlayer) return;
+
+    const wasPaused = this.state === GAME_STATE.PAUSED;
+    const { replay } = this.replayPlayer;
+
+    this.silent = true;
+    this.replayPlayer.rewind();
+    this.startGame(replay.level, replay.seed, {
+      players: this.replayPlayer.players,
+      config: this.replayPlayer.config,
+    });
+    while (this.replayPlayer.position < targetTick && !this.replayPlayer.done) {
+      if (this.state === GAME_STATE.LEVEL_CLEAR) this.nextLevel();
+      else if (this.state !== GAME_STATE.PLAYING) break;
+      this.step();
+    }
+    this.silent = false;
+
+    if (wasPaused && this.state === GAME_STATE.PLAYING) {
+      this.state = GAME_STATE.PAUSED;
+    }
+    this.notifyStateChange();
   }
 
   /**
    * =============================================
    * 主遊戲迴圈 — 每幀呼叫一次
    * =============================================
-   * @param {number} now - performance.now()
+   * 將幀時間累積起來，以固定的 SIM_TICK_MS 步長推進模擬；
+   * 144Hz 螢幕每幀約跑 0~1 步，60Hz 每幀約 1 步，遊戲速度一致。
+   * 剩餘不足一步的時間留在 accumulator，供 render() 插值使用。
+   *
+   * @param {number} [now] - 目前時間戳（預設取注入的時鐘）
+   */
+  update(now = this.clock.now()) {
+    // 重播跨關：過關後自動進入下一關
+    if (this.replayPlayer && this.state === GAME_STATE.LEVEL_CLEAR && !this.replayPlayer.done) {
+      this.nextLevel();
+    }
+
+    if (this.state !== GAME_STATE.PLAYING) {
+      // 非遊玩狀態不累積時間，避免暫停結束後一次補算整段時間
+      this.lastFrameTime = null;
+      return;
+    }
+
+    if (this.lastFrameTime === null) this.lastFrameTime = now;
+    const frameTime = Math.min(now - this.lastFrameTime, MAX_FRAME_TIME);
+    this.lastFrameTime = now;
+    this.accumulator += Math.max(0, frameTime) * this.timeScale;
+
+    while (this.accumulator >= SIM_TICK_MS && this.state === GAME_STATE.PLAYING) {
+      this.step();
+      this.accumulator -= SIM_TICK_MS;
+    }
+  }
+
+  /**
+   * =============================================
+   * 單一模擬步 — 以固定 SIM_TICK_MS 推進遊戲邏輯
+   * =============================================
    */
-  update(now) {
+  step() {
     if (this.state !== GAME_STATE.PLAYING) return;
+    // 重播播放完畢 → 停在最後一步
+    if (this.replayPlayer && this.replayPlayer.done) return;
+
+    this.tick++;
+    this.simTime = this.tick * SIM_TICK_MS; // 以步數換算，避免浮點累加誤差
+    const now = this.simTime;
+
+    // ---- 0. 記錄上一步位置（渲染插值用）----
+    this._savePreviousPositions();
 
-    // ---- 1. 處理玩家輸入 ----
+    // ---- 1. 處理玩家輸入（重播時由錄製資料取代）----
+    const activeKeys = this.playerKeys.slice(0, this.playerCount);
+    if (this.replayPlayer) this.replayPlayer.applyNext(...activeKeys);
+    else if (this.recorder) this.recorder.record(...activeKeys);
     this._handlePlayerInput(now);
 
-    // ---- 2. 更新敵軍 AI ----
+    // ---- 2. 更新敵軍 AI（死鬥模式為電腦坦克；護送任務進行中時護送目標也會前進）----
     this._updateEnemyAI(now);
+    this._updateBots(now);
+    this._updateEscort(now);
 
     // ---- 3. 生成新敵軍 ----
     this._spawnEnemies(now);
@@ -124,157 +693,402 @@ export class GameEngine {
     // ---- 5. 碰撞檢測 ----
     this._checkCollisions(now);
 
+    // ---- 5.5 道具拾取 / 消失與效果到期 ----
+    this._updatePowerUps(now);
+
     // ---- 6. 清理死亡物件 ----
     this.bullets = this.bullets.filter(b => b.alive);
     this.enemies = this.enemies.filter(e => e.alive);
     this.walls = this.walls.filter(w => w.alive);
-    this.explosions = this.explosions.filter(e => e.alpha > 0);
 
-    // ---- 7. 更新爆炸效果 ----
-    for (const exp of this.explosions) {
-      exp.radius += 1.5;
-      exp.alpha -= 0.03;
-    }
+    // ---- 6.5 難度導演取樣 / 評估 ----
+    this.director.update(now, this.enemies, this.base);
 
-    // ---- 8. 檢查過關條件 ----
-    if (this.enemiesDestroyed >= ENEMIES_PER_LEVEL) {
-      this.state = GAME_STATE.LEVEL_CLEAR;
-      getSoundEffects().playLevelComplete();
-      this._notifyStateChange();
-    }
+    // ---- 7. 移除播放完畢的爆炸效果 ----
+    this.explosions = this.explosions.filter(e => now - e.createdAt < EXPLOSION_DURATION);
+
+    // ---- 8. 模式規則：判定過關 / 結束（戰役：關卡任務；死鬥：重生與比賽結束；生存：推進波次）----
+    // 這一步已經遊戲結束（基地被毀、生命用完）就不再判定，免得同一步又被判過關
+    if (this.state !== GAME_STATE.PLAYING) return;
+    this.mode.update(this, now);
   }
 
   /**
-   * =============================================
-   * 繪製 — 在 Canvas 上渲染所有遊戲物件
-   * =============================================
-   * @param {CanvasRenderingContext2D} ctx
-   * @param {number} canvasWidth - 實際 Canvas 寬度 (px)
-   * @param {number} canvasHeight - 實際 Canvas 高度 (px)
-   */
-  render(ctx, canvasWidth, canvasHeight) {
-    // 計算縮放因子
-    const scale = canvasWidth / DESIGN_WIDTH;
-    const now = performance.now();
-
-    // ---- 清除畫布 ----
-    ctx.fillStyle = COLOR_BACKGROUND;
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-    // ---- 繪製背景網格 ----
-    ctx.strokeStyle = COLOR_GRID;
-    ctx.lineWidth = 0.5;
-    const gridSize = WALL_SIZE * scale;
-    for (let x = 0; x < canvasWidth; x += gridSize) {
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, canvasHeight);
-      ctx.stroke();
-    }
-    for (let y = 0; y < canvasHeight; y += gridSize) {
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(canvasWidth, y);
-      ctx.stroke();
-    }
-
-    // ---- 繪製牆壁 ----
-    for (const wall of this.walls) {
-      wall.draw(ctx, scale);
-    }
-
-    // ---- 繪製坦克 ----
-    for (const enemy of this.enemies) {
-      enemy.draw(ctx, scale, now);
+   * 渲染插值係數：accumulator 中尚未模擬的時間佔一步的比例 (0~1)
+   * @returns {number}
+   */
+  getInterpolationAlpha() {
+    if (this.state !== GAME_STATE.PLAYING) return 1;
+    return Math.min(1, this.accumulator / SIM_TICK_MS);
+  }
+
+  /**
+   * 取得目前模擬狀態的純資料快照（無頭模擬 / 測試 / 平衡分析用）
+   * @returns {object}
+   */
+  getSnapshot() {
+    const tankState = (t) => ({
+      x: t.x, y: t.y, direction: t.direction, alive: t.alive, type: t.type, hp: t.hp,
+    });
+    return {
+      state: this.state,
+      tick: this.tick,
+      simTime: this.simTime,
+      seed: this.seed,
+      level: this.level,
+      score: this.score,
+      lives: this.lives,
+      enemiesDestroyed: this.enemiesDestroyed,
+      totalEnemiesSpawned: this.totalEnemiesSpawned,
+      players: this.players.map(p => ({
+        ...tankState(p), index: p.playerIndex, lives: p.lives, score: p.score, starLevel: p.starLevel,
+        frags: p.frags, deaths: p.deaths,
+      })),
+      roster: [...this.roster],
+      powerUp: this.powerUp
+        ? { x: this.powerUp.x, y: this.powerUp.y, type: this.powerUp.type, expiresAt: this.powerUp.expiresAt }
+        : null,
+      effects: this.getActiveEffects(),
+      player: this.player ? tankState(this.player) : null,
+      base: this.base ? { x: this.base.x, y: this.base.y, alive: this.base.alive } : null,
+      enemies: this.enemies.map(e => ({ ...tankState(e), profile: e.ai?.profile ?? null })),
+      escort: this.escort ? tankState(this.escort) : null,
+      objectiveIndex: this.objectiveIndex,
+      difficulty: this.config.difficulty,
+      runStats: { ...this.runStats },
+      stageStats: this.stageStats.map(s => ({ ...s, kills: { ...s.kills } })),
+      director: this.director.getSettings(),
+      bullets: this.bullets.map(b => ({
+        x: b.x, y: b.y, direction: b.direction, isPlayerBullet: b.isPlayerBullet,
+      })),
+      walls: this.walls.map(w => ({ x: w.x, y: w.y, type: w.type, quarters: w.quarters && [...w.quarters] })),
+    };
+  }
+
+  /**
+   * 整局成績摘要（排行榜用）
+   * @returns {{ score: number, level: number, kills: number, accuracy: number }}
+   *   level — 到達的關卡（生存模式為到達的波次）；accuracy — 玩家子彈命中敵軍的比例 0~1（一槍都沒開為 0）
+   */
+  getRunSummary() {
+    const { shots, hits, kills } = this.runStats;
+    return {
+      score: this.score,
+      level: this.mode.runLevel?.(this) ?? this.level,
+      kills,
+      accuracy: shots > 0 ? Math.round((hits / shots) * 1000) / 1000 : 0,
+    };
+  }
+
+  /**
+   * 死鬥模式的排名與勝負（比賽進行中也可查詢；計分板用）
+   * @returns {{
+   *   standings: { index: number, label: string, frags: number, deaths: number, bot: boolean }[],
+   *   winner: number|null,
+   * }} winner — 目前領先 / 獲勝者的玩家編號，平手為 null
+   */
+  getMatchResult() {
+    const standings = getStandings(this.players, this.playerCount);
+    return { standings, winner: getWinner(standings) };
+  }
+
+  /**
+   * 本關結算表（過關後才有，遊戲中為 null）
+   * @returns {object|null} 見 stageResults.js 的 computeStageResults
+   */
+  getStageResults() {
+    return this.stageResults;
+  }
+
+  /**
+   * 目前生效中的道具效果（HUD 顯示剩餘時間用）
+   * @returns {{ type: string, player?: number, remaining?: number, level?: number }[]}
+   *   player — 個人效果所屬的玩家編號；remaining — 剩餘毫秒；level — 星星階段
+   */
+  getActiveEffects() {
+    if (this.state !== GAME_STATE.PLAYING && this.state !== GAME_STATE.PAUSED) return [];
+    const now = this.simTime;
+    const effects = [];
+
+    for (const player of this.players) {
+      if (!player.alive) continue;
+      const index = player.playerIndex;
+      if (player.starLevel > 0) {
+        effects.push({ type: POWER_UP_TYPE.STAR, player: index, level: player.starLevel });
+      }
+      if (player.isInvincible(now)) {
+        effects.push({ type: POWER_UP_TYPE.SHIELD, player: index, remaining: player.invincibleUntil - now });
+      }
     }
-    if (this.player && this.player.alive) {
-      this.player.draw(ctx, scale, now);
+    if (now < this.enemiesFrozenUntil) {
+      effects.push({ type: POWER_UP_TYPE.CLOCK, remaining: this.enemiesFrozenUntil - now });
     }
-
-    // ---- 繪製子彈 ----
-    for (const bullet of this.bullets) {
-      bullet.draw(ctx, scale);
+    if (now < this.baseFortifiedUntil) {
+      effects.push({ type: POWER_UP_TYPE.SHOVEL, remaining: this.baseFortifiedUntil - now });
     }
+    return effects;
+  }
 
-    // ---- 繪製爆炸效果 ----
-    for (const exp of this.explosions) {
-      ctx.globalAlpha = Math.max(0, exp.alpha);
-      ctx.fillStyle = exp.color || '#FF6600';
-      ctx.beginPath();
-      ctx.arc(exp.x * scale, exp.y * scale, exp.radius * scale, 0, Math.PI * 2);
-      ctx.fill();
+  /**
+   * 本關的進度（HUD 顯示用；內容由模式的 getProgress() 決定，以下為內建模式的欄位）
+   * @returns {{
+   *   name: string|null, timeLeft?: number, scoreLeft?: number, fragLimit?: number, wave?: number, breakLeft?: number,
+   *   objective?: { label: string, step: number, steps: number, timeLeft: number|null },
+   * }}
+   *   timeLeft — 守住剩餘毫秒（死鬥為比賽剩餘時間）；scoreLeft — 距離本關得分目標的分數；
+   *   fragLimit — 死鬥的擊殺目標；wave — 生存模式的波次；breakLeft — 喘息剩餘毫秒（喘息中才有）；
+   *   objective — 目前的關卡任務（關卡檔有寫任務才有）：第 step / steps 項與剩餘毫秒（不限時為 null）
+   */
+  getStageProgress() {
+    return this.mode.getProgress(this);
+  }
 
-      // 內圈亮光
-      ctx.fillStyle = '#FFFF00';
-      ctx.beginPath();
-      ctx.arc(exp.x * scale, exp.y * scale, exp.radius * scale * 0.4, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.globalAlpha = 1;
-    }
+  /**
+   * 只依輸入移動一位玩家的坦克，不開火、不推進模擬
+   * （連線對戰的客戶端預測：伺服器的狀態還沒回來前，先讓自己的坦克動起來）
+   * @param {number} index - 玩家編號
+   * @param {{ up: boolean, down: boolean, left: boolean, right: boolean }} keys
+   */
+  predictPlayer(index, keys) {
+    const player = this.players[index];
+    if (!player?.alive) return;
+    this._movePlayer(player, keys, this._getObstacles(), this._getTanks());
+  }
 
-    // ---- 遊戲狀態覆蓋畫面 ----
-    if (this.state === GAME_STATE.MENU) {
-      this._drawOverlay(ctx, canvasWidth, canvasHeight, '🎮 坦克大戰', '點擊「開始遊戲」', scale);
-    } else if (this.state === GAME_STATE.PAUSED) {
-      this._drawOverlay(ctx, canvasWidth, canvasHeight, '⏸ 暫停中', '點擊繼續', scale);
-    } else if (this.state === GAME_STATE.GAME_OVER) {
-      this._drawOverlay(ctx, canvasWidth, canvasHeight, '💀 遊戲結束', `最終分數：${this.score}`, scale);
-    } else if (this.state === GAME_STATE.LEVEL_CLEAR) {
-      this._drawOverlay(ctx, canvasWidth, canvasHeight, `🏆 第 ${this.level} 關完成！`, `分數：${this.score}`, scale);
+  // =============================================
+  // 模式外掛與系統呼叫的方法（見 modes.js）
+  // =============================================
+
+  /**
+   * 加分；個人分數每跨過 EXTRA_LIFE_EVERY 的倍數就獎勵一條命（已用完生命的玩家不復活）
+   * @param {Tank} player
+   * @param {number} points
+   */
+  addScore(player, points) {
+    const before = Math.floor(player.score / EXTRA_LIFE_EVERY);
+    player.score += points;
+    const earned = Math.floor(player.score / EXTRA_LIFE_EVERY) - before;
+    if (earned > 0 && player.lives > 0) {
+      player.lives += earned;
+      this.events.emit(GAME_EVENT.EXTRA_LIFE, { player });
     }
   }
 
+  /**
+   * 過關：結算本關並等待進入下一關
+   * @param {number} now - 本關花費的模擬時間
+   */
+  clearStage(now) {
+    this.state = GAME_STATE.LEVEL_CLEAR;
+    this._settleStage(now);
+    this.events.emit(GAME_EVENT.LEVEL_CLEARED, { level: this.level, results: this.stageResults });
+    this.notifyStateChange();
+  }
+
+  /**
+   * 遊戲結束
+   * @param {string} reason - GAME_OVER_REASON
+   */
+  endGame(reason) {
+    this.state = GAME_STATE.GAME_OVER;
+    this.events.emit(GAME_EVENT.GAME_OVER, { reason });
+    this.notifyStateChange();
+  }
+
+  /**
+   * 玩家回到出生點（預設為自己的出生點、朝上；模式可以改挑位置），並給予短暫無敵
+   * @param {Tank} player
+   * @param {number} now
+   * @returns {boolean} 是否成功重生（模式這一步找不到出生點時為 false）
+   */
+  respawnPlayer(player, now) {
+    const spawn = this.mode.spawnPoint
+      ? this.mode.spawnPoint(this, player)
+      : { ...this.layout.playerSpawns[player.playerIndex], direction: DIR.UP };
+    if (!spawn) return false;
+    player.setPosition(spawn.x, spawn.y);
+    player.direction = spawn.direction;
+    player.invincibleUntil = now + PLAYER_SPAWN_SHIELD;
+    return true;
+  }
+
+  /**
+   * 目前進行中的關卡任務（全部完成後為 null）
+   * @returns {{ type: string, time?: number }|null}
+   */
+  getObjective() {
+    return (this.objectives ?? DEFAULT_OBJECTIVES)[this.objectiveIndex] ?? null;
+  }
+
+  /**
+   * 發出 STATE_CHANGED，通知 UI 更新 HUD（靜默模式下略過）
+   */
+  notifyStateChange() {
+    if (this.silent) return;
+    this.events.emit(GAME_EVENT.STATE_CHANGED, {
+      state: this.state,
+      score: this.score,
+      lives: this.lives,
+      players: this.players.map(p => ({
+        score: p.score, lives: p.lives, frags: p.frags, deaths: p.deaths, bot: p.ai !== null,
+        multiplier: getStreakMultiplier(p.streak),
+      })),
+      mode: this.config.mode,
+      level: this.level,
+      wave: this.wave,
+      enemiesLeft: this.roster.length - this.enemiesDestroyed,
+      baseAlive: this.base ? this.base.alive : true,
+      isReplay: this.replayPlayer !== null,
+    });
+  }
+
   // =============================================
   // 私有方法 (Private Methods)
   // =============================================
 
   /**
-   * 處理玩家鍵盤 / 觸控輸入
+   * 記錄所有移動物件在本步開始前的位置
    */
-  _handlePlayerInput(now) {
-    if (!this.player || !this.player.alive) return;
+  _savePreviousPositions() {
+    for (const tank of this._getTanks()) {
+      tank.prevX = tank.x;
+      tank.prevY = tank.y;
+    }
+    for (const bullet of this.bullets) {
+      bullet.prevX = bullet.x;
+      bullet.prevY = bullet.y;
+    }
+  }
 
-    const allTanks = [this.player, ...this.enemies];
+  /**
+   * 處理玩家鍵盤 / 觸控輸入（每位玩家讀取自己的 keys；電腦坦克由 _updateBots 控制）
+   */
+  _handlePlayerInput(now) {
+    const allTanks = this._getTanks();
+    const obstacles = this._getObstacles();
 
-    if (this.keys.up) this.player.move(DIR.UP, this.walls, allTanks);
-    else if (this.keys.down) this.player.move(DIR.DOWN, this.walls, allTanks);
-    else if (this.keys.left) this.player.move(DIR.LEFT, this.walls, allTanks);
-    else if (this.keys.right) this.player.move(DIR.RIGHT, this.walls, allTanks);
+    for (const player of this.players) {
+      if (!player.alive || player.ai) continue;
+      const keys = this.playerKeys[player.playerIndex];
+      this._movePlayer(player, keys, obstacles, allTanks);
 
-    if (this.keys.fire) {
-      const bullet = this.player.fire(now);
-      if (bullet) {
-        this.bullets.push(bullet);
-        getSoundEffects().playShoot();
+      if (keys.fire) {
+        this._tryFire(player, now);
       }
     }
   }
 
   /**
-   * 更新敵軍 AI — 隨機移動 + 自動射擊
+   * 依方向鍵移動玩家坦克（同時只取一個方向；沒按方向時冰面上繼續滑行）
+   */
+  _movePlayer(player, keys, obstacles, allTanks) {
+    if (keys.up) player.move(DIR.UP, obstacles, allTanks);
+    else if (keys.down) player.move(DIR.DOWN, obstacles, allTanks);
+    else if (keys.left) player.move(DIR.LEFT, obstacles, allTanks);
+    else if (keys.right) player.move(DIR.RIGHT, obstacles, allTanks);
+    else player.coast(obstacles, allTanks);
+  }
+
+  /**
+   * 嘗試讓坦克開火：受冷卻與「場上子彈數上限」限制
+   * @param {Tank} tank
+   * @param {number} now
+   * @returns {import('./Bullet.js').Bullet|null}
+   */
+  _tryFire(tank, now) {
+    const active = this.bullets.filter(b => b.alive && b.owner === tank).length;
+    if (active >= tank.maxBullets) return null;
+
+    const bullet = tank.fire(now);
+    if (!bullet) return null;
+    this.bullets.push(bullet);
+    this.events.emit(GAME_EVENT.BULLET_FIRED, { tank, bullet });
+    return bullet;
+  }
+
+  /**
+   * 更新敵軍 AI — 由 enemyAI.js 依各自的行為決定方向、前進與開火
    */
   _updateEnemyAI(now) {
-    const allTanks = [this.player, ...this.enemies];
-    const directions = [DIR.UP, DIR.DOWN, DIR.LEFT, DIR.RIGHT];
+    // 時鐘道具：敵軍凍結
+    if (now < this.enemiesFrozenUntil) return;
+
+    const allTanks = this._getTanks();
+    const obstacles = this._getObstacles();
+    const world = {
+      nav: createNavGrid(this.walls, this.base),
+      players: this.escort?.alive ? [...this.players, this.escort] : this.players,
+      base: this.base,
+      rng: this.rng,
+    };
 
     for (const enemy of this.enemies) {
       if (!enemy.alive) continue;
+      // 沒經過 _spawnEnemies() 直接放上場的敵軍在這裡補抽行為
+      enemy.ai ??= this._createEnemyAI();
 
-      // 定時隨機更換方向
-      if (now - enemy.aiDirectionTimer > enemy.aiDirectionInterval) {
-        enemy.aiDirectionTimer = now;
-        enemy.direction = directions[Math.floor(Math.random() * 4)];
-        enemy.aiDirectionInterval = 1500 + Math.random() * 1500;
-      }
+      const { direction, advance, fire } = thinkEnemy(enemy, world, now);
+      if (advance) enemy.move(direction, obstacles, allTanks);
+      else if (direction) enemy.face(direction);
 
-      // 移動
-      enemy.move(enemy.direction, this.walls, allTanks);
+      if (fire) this._tryFire(enemy, now);
+    }
+  }
 
-      // 自動射擊（加入隨機性避免過度密集）
-      if (Math.random() < 0.02) {
-        const bullet = enemy.fire(now);
-        if (bullet) this.bullets.push(bullet);
-      }
+  /**
+   * 更新死鬥模式的電腦坦克：沿用敵軍 AI，把其他存活的坦克都當成玩家追擊
+   */
+  _updateBots(now) {
+    const bots = this.players.filter(p => p.ai && p.alive);
+    if (bots.length === 0) return;
+
+    const allTanks = this._getTanks();
+    const obstacles = this._getObstacles();
+    const nav = createNavGrid(this.walls, this.base);
+
+    for (const bot of bots) {
+      const world = {
+        nav,
+        players: this.players.filter(p => p !== bot && p.alive),
+        base: null,
+        rng: this.rng,
+      };
+      const { direction, advance, fire } = thinkEnemy(bot, world, now);
+      if (advance) bot.move(direction, obstacles, allTanks);
+      else if (direction) bot.face(direction);
+
+      if (fire) this._tryFire(bot, now);
+    }
+  }
+
+  /**
+   * 護送任務進行中：護送目標沿路開往出口、射擊擋路的敵軍；抵達出口即離場
+   * （其他任務進行時停在原地，但仍會被擊毀）
+   */
+  _updateEscort(now) {
+    const { escort } = this;
+    if (!escort?.alive || this.getObjective()?.type !== OBJECTIVE_TYPE.ESCORT) return;
+
+    const { exit } = this.layout;
+    const world = {
+      nav: createNavGrid(this.walls, this.base),
+      players: this.enemies,
+      base: null,
+      rng: this.rng,
+      exit: { c: exit.x / WALL_SIZE, r: exit.y / WALL_SIZE },
+    };
+    const { direction, advance, fire } = thinkEnemy(escort, world, now);
+    if (advance) escort.move(direction, this._getObstacles(), this._getTanks());
+    else if (direction) escort.face(direction);
+    if (fire) this._tryFire(escort, now);
+
+    // 車身中心進入出口格即算抵達
+    const cx = escort.x + escort.size / 2;
+    const cy = escort.y + escort.size / 2;
+    if (cx >= exit.x && cx < exit.x + WALL_SIZE && cy >= exit.y && cy < exit.y + WALL_SIZE) {
+      escort.alive = false;
+      this.escortStatus = ESCORT_STATUS.ARRIVED;
+      this.notifyStateChange();
     }
   }
 
@@ -283,28 +1097,42 @@ export class GameEngine {
    */
   _spawnEnemies(now) {
     // 已生成足夠敵軍
-    if (this.totalEnemiesSpawned >= ENEMIES_PER_LEVEL) return;
-    // 場上敵軍已滿
-    if (this.enemies.length >= MAX_ENEMIES) return;
+    if (this.totalEnemiesSpawned >= this.roster.length) return;
+    // 場上敵軍已滿（上限與間隔由難度導演決定，但不超過本局設定的上限；模式可以自訂上限）
+    const maxEnemies = this.mode.maxEnemies?.(this) ?? Math.min(this.director.maxEnemies, this.config.maxEnemies);
+    if (this.enemies.length >= maxEnemies) return;
     // 冷卻時間未到
-    if (now - this.lastEnemySpawnTime < ENEMY_SPAWN_INTERVAL) return;
+    if (now - this.lastEnemySpawnTime < this.director.spawnInterval) return;
 
     this.lastEnemySpawnTime = now;
 
-    const spawnPoints = getEnemySpawnPoints();
-    const sp = spawnPoints[this.totalEnemiesSpawned % spawnPoints.length];
+    const sp = this.rng.pick(this.layout.enemySpawns);
 
     // 檢查出生點是否被佔據
     const testBounds = { x: sp.x, y: sp.y, w: 36, h: 36 };
-    const blocked = [...this.enemies, this.player].some(t =>
-      t && t.alive && rectsOverlap(testBounds, t.getBounds())
+    const blocked = this._getTanks().some(t =>
+      t.alive && rectsOverlap(testBounds, t.getBounds())
     );
     if (blocked) return;
 
-    const enemy = new Tank(sp.x, sp.y, DIR.DOWN, false);
-    enemy.aiDirectionTimer = now;
+    // 導演可能把名單上的類型升或降一級；寫回名單讓快照與實際出場一致
+    const type = this.director.adjustType(this.roster[this.totalEnemiesSpawned], this.rng);
+    this.roster[this.totalEnemiesSpawned] = type;
+    const enemy = new Tank(sp.x, sp.y, DIR.DOWN, false, type, this.config);
+    enemy.ai = this._createEnemyAI();
+    enemy.carriesPowerUp = (this.totalEnemiesSpawned + 1) % POWER_UP_CARRIER_EVERY === 0;
     this.enemies.push(enemy);
     this.totalEnemiesSpawned++;
+    this.director.recordSpawn(enemy, now);
+  }
+
+  /**
+   * 為新敵軍抽一種 AI 行為，積極度加上難度導演目前的增減（模式可以改用別的數字當作關卡，例如生存的波次）
+   * @returns {object}
+   */
+  _createEnemyAI() {
+    const level = this.mode.enemyLevel?.(this) ?? this.level;
+    return createAIState(pickProfile(level, this.rng), level, this.director.aggressionBonus);
   }
 
   /**
@@ -315,121 +1143,304 @@ export class GameEngine {
       if (!bullet.alive) continue;
       const bb = bullet.getBounds();
 
-      // ---- 子彈 vs 牆壁 ----
+      // ---- 子彈 vs 牆壁（水面、樹林、冰面不擋子彈）----
       for (const wall of this.walls) {
-        if (!wall.alive) continue;
-        if (rectsOverlap(bb, wall.getBounds())) {
+        if (!wall.alive || !wall.blocksBullets) continue;
+        if (wall.overlaps(bb)) {
           bullet.alive = false;
-          if (wall.destructible) {
+          if (wall.destructible && bullet.power < 2) {
+            // 磚牆依子彈來向削掉一排，削光才算摧毀
+            const destroyed = wall.chip(bb, bullet.direction);
+            this.events.emit(destroyed ? GAME_EVENT.WALL_DESTROYED : GAME_EVENT.WALL_HIT, { wall, bullet });
+          } else if (wall.destructible || (bullet.power >= 2 && !isEdgeWall(wall))) {
+            // 三星子彈整塊擊破磚牆與鐵牆（地圖外框除外）
             wall.alive = false;
-            this._addExplosion(wall.x + wall.size / 2, wall.y + wall.size / 2, 12, '#AA6633');
+            this.events.emit(GAME_EVENT.WALL_DESTROYED, { wall, bullet });
           } else {
-            // 鐵牆火花效果
-            this._addExplosion(bullet.x, bullet.y, 6, '#CCCCCC');
+            this.events.emit(GAME_EVENT.WALL_HIT, { wall, bullet });
           }
           break;
         }
       }
       if (!bullet.alive) continue;
 
-      // ---- 玩家子彈 vs 敵軍 ----
-      if (bullet.isPlayerBullet) {
-        for (const enemy of this.enemies) {
-          if (!enemy.alive) continue;
-          if (rectsOverlap(bb, enemy.getBounds())) {
-            bullet.alive = false;
-            enemy.alive = false;
-            this.score += 100;
-            this.enemiesDestroyed++;
-            this._addExplosion(
-              enemy.x + enemy.size / 2,
-              enemy.y + enemy.size / 2,
-              25, '#FF4400'
-            );
-            getSoundEffects().playExplosion();
-            this._notifyStateChange();
-            break;
-          }
-        }
+      // ---- 子彈 vs 基地（不分敵我）----
+      if (this.base && this.base.alive && rectsOverlap(bb, this.base.getBounds())) {
+        bullet.alive = false;
+        this._destroyBase();
+        return;
       }
 
-      // ---- 敵軍子彈 vs 玩家 ----
-      if (!bullet.isPlayerBullet && this.player && this.player.alive) {
-        if (!this.player.isInvincible(now) && rectsOverlap(bb, this.player.getBounds())) {
-          bullet.alive = false;
-          this.lives--;
-          this._addExplosion(
-            this.player.x + this.player.size / 2,
-            this.player.y + this.player.size / 2,
-            25, '#00FF66'
-          );
-          getSoundEffects().playHit();
-
-          if (this.lives <= 0) {
-            this.player.alive = false;
-            this.state = GAME_STATE.GAME_OVER;
-            getSoundEffects().playGameOver();
-            this._notifyStateChange();
-          } else {
-            // 玩家重生
-            const spawn = getPlayerSpawn();
-            this.player.x = spawn.x;
-            this.player.y = spawn.y;
-            this.player.direction = DIR.UP;
-            this.player.invincibleUntil = now + 2000;
-            this._notifyStateChange();
-          }
-        }
-      }
+      // ---- 子彈 vs 坦克：只打得到其他陣營（友軍誤傷開啟時也打得到隊友）----
+      const target = this._findBulletTarget(bullet, bb, now);
+      if (!target) continue;
+      bullet.alive = false;
+      if (target.isEscort) this._hitEscort(target, bullet);
+      else if (target.isPlayer) this._hitPlayer(target, now, bullet);
+      else this._hitEnemy(target, bullet, now);
     }
   }
 
   /**
-   * 新增爆炸效果
+   * 找出子彈命中的坦克：敵軍優先，其次玩家與護送目標；發射者本身與無敵中的坦克不會被打中
+   * @returns {Tank|null}
    */
-  _addExplosion(x, y, maxRadius, color) {
-    this.explosions.push({
-      x, y,
-      radius: 2,
-      maxRadius,
-      alpha: 1,
-      color,
-    });
+  _findBulletTarget(bullet, bb, now) {
+    const tanks = this.escort ? [...this.enemies, ...this.players, this.escort] : [...this.enemies, ...this.players];
+    for (const tank of tanks) {
+      if (!tank.alive || tank === bullet.owner || tank.isInvincible(now)) continue;
+      if (tank.team === bullet.team && !bullet.hitsTeammates) continue;
+      if (rectsOverlap(bb, tank.getBounds())) return tank;
+    }
+    return null;
+  }
+
+  /**
+   * 敵軍被玩家子彈擊中：扣耐久，擊毀時可能掉落道具（命中、得分與難度取樣由計分 / 導演系統處理）
+   * @param {Tank} enemy
+   * @param {import('./Bullet.js').Bullet} bullet
+   * @param {number} now
+   */
+  _hitEnemy(enemy, bullet, now) {
+    if (!enemy.hit()) {
+      this.events.emit(GAME_EVENT.TANK_DAMAGED, { tank: enemy, bullet });
+      return;
+    }
+    this.enemiesDestroyed++;
+    this.events.emit(GAME_EVENT.TANK_DESTROYED, { tank: enemy, bullet });
+    if (enemy.carriesPowerUp) this._spawnPowerUp(now);
+    this.notifyStateChange();
+  }
+
+  /**
+   * 玩家被擊中：先交給模式處理（死鬥改為記一次擊殺並等待重生）；
+   * 否則扣一條命後重生，所有玩家都用完生命才遊戲結束
+   * @param {Tank} player
+   * @param {number} now
+   * @param {import('./Bullet.js').Bullet} [bullet] - 命中的子彈
+   */
+  _hitPlayer(player, now, bullet) {
+    if (this.mode.hitPlayer?.(this, player, now, bullet)) return;
+    player.lives--;
+    this.livesLost++;
+    this.events.emit(GAME_EVENT.PLAYER_HIT, { player, bullet: bullet ?? null });
+
+    if (player.lives > 0) {
+      this.respawnPlayer(player, now);
+      player.setStarLevel(0);
+    } else {
+      player.alive = false;
+    }
+
+    if (this.players.every(p => p.lives <= 0)) this.endGame(GAME_OVER_REASON.LIVES);
+    else this.notifyStateChange();
+  }
+
+  /**
+   * 護送目標被擊毀（一發就毀；任務判定由戰役模式進行）
+   * @param {Tank} escort
+   * @param {import('./Bullet.js').Bullet} bullet
+   */
+  _hitEscort(escort, bullet) {
+    escort.alive = false;
+    this.escortStatus = ESCORT_STATUS.LOST;
+    this.events.emit(GAME_EVENT.TANK_DESTROYED, { tank: escort, bullet });
+    this.notifyStateChange();
   }
 
   /**
-   * 繪製半透明覆蓋畫面（選單 / 暫停 / 結束）
+   * 過關結算：算出結算表並把獎勵分數加給還有生命的玩家
+   * @param {number} now - 本關花費的模擬時間
    */
-  _drawOverlay(ctx, cw, ch, title, subtitle, scale) {
-    // 半透明黑色背景
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, cw, ch);
+  _settleStage(now) {
+    this.stageResults = computeStageResults(
+      this.players.map(p => ({ stats: this.stageStats[p.playerIndex], survived: p.lives > 0 })),
+      now
+    );
+    for (const result of this.stageResults.players) {
+      if (result.bonusTotal > 0) this.addScore(this.players[result.index], result.bonusTotal);
+    }
+  }
 
-    // 標題
-    ctx.fillStyle = '#FFFFFF';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.font = `bold ${Math.max(24, 48 * scale)}px "Noto Sans TC", sans-serif`;
-    ctx.fillText(title, cw / 2, ch / 2 - 30 * scale);
+  /**
+   * 建立護送目標坦克（與玩家同陣營、由 AI 駕駛；位置由呼叫端設定）
+   * @returns {Tank}
+   */
+  _createEscort() {
+    const escort = new Tank(0, 0, DIR.UP, true, undefined, this.config);
+    escort.isEscort = true;
+    escort.playerIndex = -1;
+    escort.ai = createAIState(AI_PROFILE.ESCORT, this.level);
+    return escort;
+  }
 
-    // 副標題
-    ctx.font = `${Math.max(14, 22 * scale)}px "Noto Sans TC", sans-serif`;
-    ctx.fillStyle = '#AAAAAA';
-    ctx.fillText(subtitle, cw / 2, ch / 2 + 25 * scale);
+  /**
+   * 關卡有護送出生點時，把護送目標放上場
+   */
+  _deployEscort() {
+    const spawn = this.layout.escortSpawn;
+    this.escort = null;
+    this.escortStatus = ESCORT_STATUS.NONE;
+    if (!spawn) return;
+    this.escort = this._createEscort();
+    this.escort.setPosition(spawn.x, spawn.y);
+    this.escortStatus = ESCORT_STATUS.ALIVE;
   }
 
   /**
-   * 通知 React 層遊戲狀態已更新
+   * 建立 / 重新部署本機玩家（開新局時建立；已用完生命的玩家不再出場）
+   * @param {boolean} isNewRun
    */
-  _notifyStateChange() {
-    if (this.onStateChange) {
-      this.onStateChange({
-        state: this.state,
-        score: this.score,
-        lives: this.lives,
-        level: this.level,
-        enemiesLeft: ENEMIES_PER_LEVEL - this.enemiesDestroyed,
+  _deployPlayers(isNewRun) {
+    if (isNewRun) {
+      this.players = Array.from({ length: this.playerCount }, (_, i) => {
+        const tank = new Tank(0, 0, DIR.UP, true, undefined, this.config);
+        tank.playerIndex = i;
+        tank.lives = this.config.lives;
+        tank.setStarLevel(0);
+        return tank;
       });
     }
+    for (const player of this.players) {
+      this.respawnPlayer(player, this.simTime);
+      player.alive = player.lives > 0;
+    }
+  }
+
+  /**
+   * 基地被摧毀 → 遊戲結束
+   */
+  _destroyBase() {
+    this.base.alive = false;
+    this.events.emit(GAME_EVENT.BASE_DESTROYED, { base: this.base });
+    this.endGame(GAME_OVER_REASON.BASE);
+  }
+
+  /**
+   * 在隨機空格放置道具（取代地圖上原有的道具）
+   */
+  _spawnPowerUp(now) {
+    const cells = getFreeCells(this.walls, this.layout.base).filter(cell => {
+      const bounds = { x: cell.x, y: cell.y, w: WALL_SIZE, h: WALL_SIZE };
+      return !this.players.some(p => p.alive && rectsOverlap(bounds, p.getBounds()));
+    });
+    if (cells.length === 0) return;
+
+    const cell = this.rng.pick(cells);
+    const type = this.rng.pick(Object.values(POWER_UP_TYPE));
+    const offset = (WALL_SIZE - POWER_UP_SIZE) / 2;
+    this.powerUp = new PowerUp(cell.x + offset, cell.y + offset, type, now);
+  }
+
+  /**
+   * 道具拾取與消失、限時效果到期
+   */
+  _updatePowerUps(now) {
+    // 鏟子效果結束 → 護城恢復為磚牆
+    if (this.baseFortifiedUntil && now >= this.baseFortifiedUntil) {
+      this.baseFortifiedUntil = 0;
+      this._setBaseFort(WALL_TYPE.BRICK);
+    }
+
+    const { powerUp } = this;
+    if (!powerUp) return;
+
+    if (powerUp.isExpired(now)) {
+      this.powerUp = null;
+      return;
+    }
+    const player = this.players.find(p => p.alive && rectsOverlap(p.getBounds(), powerUp.getBounds()));
+    if (player) {
+      this.powerUp = null;
+      this._applyPowerUp(powerUp.type, player, now);
+    }
+  }
+
+  /**
+   * 套用道具效果（星星、護盾、生命歸拾取者；其餘為全隊效果）
+   * @param {string} type - POWER_UP_TYPE
+   * @param {Tank} player - 拾取的玩家
+   * @param {number} now
+   */
+  _applyPowerUp(type, player, now) {
+    switch (type) {
+      case POWER_UP_TYPE.STAR:
+        player.setStarLevel(player.starLevel + 1);
+        break;
+      case POWER_UP_TYPE.SHIELD:
+        player.invincibleUntil = Math.max(player.invincibleUntil, now) + POWER_UP_SHIELD_DURATION;
+        break;
+      case POWER_UP_TYPE.GRENADE:
+        // 摧毀場上所有敵軍（計入過關數，但不加分）
+        for (const enemy of this.enemies) {
+          if (!enemy.alive) continue;
+          enemy.alive = false;
+          this.enemiesDestroyed++;
+          this.events.emit(GAME_EVENT.TANK_DESTROYED, { tank: enemy, bullet: null });
+        }
+        break;
+      case POWER_UP_TYPE.CLOCK:
+        this.enemiesFrozenUntil = now + POWER_UP_CLOCK_DURATION;
+        break;
+      case POWER_UP_TYPE.SHOVEL:
+        this.baseFortifiedUntil = now + POWER_UP_SHOVEL_DURATION;
+        this._setBaseFort(WALL_TYPE.STEEL);
+        break;
+      case POWER_UP_TYPE.LIFE:
+        player.lives++;
+        break;
+    }
+
+    this.events.emit(GAME_EVENT.POWER_UP_COLLECTED, { type, player });
+    this.notifyStateChange();
+  }
+
+  /**
+   * 重建基地護城牆（已被打掉的也補回）；有坦克佔據的格子略過，避免卡住
+   * @param {string} type - WALL_TYPE
+   */
+  _setBaseFort(type) {
+    if (!this.base) return;
+
+    const fortWalls = this.layout.fortCells.map(({ c, r }) => new Wall(c * WALL_SIZE, r * WALL_SIZE, type));
+    const isFortCell = (w) => fortWalls.some(f => f.x === w.x && f.y === w.y);
+    const tanks = this._getTanks().filter(t => t.alive);
+
+    this.walls = this.walls.filter(w => !isFortCell(w));
+    for (const wall of fortWalls) {
+      if (!tanks.some(t => rectsOverlap(t.getBounds(), wall.getBounds()))) {
+        this.walls.push(wall);
+      }
+    }
+  }
+
+  /**
+   * 場上所有坦克：玩家、敵軍與護送目標（移動碰撞、出生點佔用等共用）
+   * @returns {Tank[]}
+   */
+  _getTanks() {
+    return this.escort ? [...this.players, ...this.enemies, this.escort] : [...this.players, ...this.enemies];
+  }
+
+  /**
+   * 坦克移動時的障礙物：牆壁 + 基地
+   * @returns {Array}
+   */
+  _getObstacles() {
+    return this.base ? [...this.walls, this.base] : this.walls;
   }
 }
+
+/**
+ * 是否為地圖外框的牆（即使三星子彈也打不破）
+ * @param {{ x: number, y: number, size: number }} wall
+ * @returns {boolean}
+ */
+function isEdgeWall(wall) {
+  return (
+    wall.x <= 0 ||
+    wall.y <= 0 ||
+    wall.x + wall.size > DESIGN_WIDTH - wall.size ||
+    wall.y + wall.size > DESIGN_HEIGHT - wall.size
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * ============================================================
+ * 道具類別 (Power-up)
+ * ============================================================
+ * 閃爍的敵軍被擊毀時掉落，限時留在地圖上，玩家坦克碰到即拾取。
+ * 效果由 GameEngine 套用；此類別只負責位置、存續時間與繪製。
+ */
+import { POWER_UP_SIZE, POWER_UP_LIFETIME, POWER_UP_TYPE } from './constants.js';
+
+// 道具圖示（地圖上與 HUD 共用）
+export const POWER_UP_ICONS = {
+  [POWER_UP_TYPE.STAR]: '⭐',
+  [POWER_UP_TYPE.SHIELD]: '✨',
+  [POWER_UP_TYPE.GRENADE]: '💣',
+  [POWER_UP_TYPE.CLOCK]: '⏱️',
+  [POWER_UP_TYPE.SHOVEL]: '⛏️',
+  [POWER_UP_TYPE.LIFE]: '❤️',
+};
+
+// 剩餘時間低於此值時開始閃爍提醒（毫秒）
+const BLINK_WARNING = 3000;
+
+export class PowerUp {
+  /**
+   * @param {number} x - 設計座標 X
+   * @param {number} y - 設計座標 Y
+   * @param {string} type - POWER_UP_TYPE
+   * @param {number} now - 出現時的模擬時間 (ms)
+   */
+  constructor(x, y, type, now) {
+    this.x = x;
+    this.y = y;
+    this.type = type;
+    this.size = POWER_UP_SIZE;
+    this.expiresAt = now + POWER_UP_LIFETIME;
+    this.alive = true;
+  }
+
+  /**
+   * 取得碰撞矩形
+   */
+  getBounds() {
+    return { x: this.x, y: this.y, w: this.size, h: this.size };
+  }
+
+  /**
+   * 是否已超過存續時間
+   * @param {number} now
+   * @returns {boolean}
+   */
+  isExpired(now) {
+    return now >= this.expiresAt;
+  }
+
+  /**
+   * 在 Canvas 上繪製道具（即將消失時閃爍）
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} scale
+   * @param {number} now - 當前模擬時間
+   */
+  draw(ctx, scale, now = 0) {
+    if (!this.alive) return;
+    if (this.expiresAt - now < BLINK_WARNING && Math.floor(now / 150) % 2 === 0) return;
+
+    const s = scale;
+    const x = this.x * s;
+    const y = this.y * s;
+    const sz = this.size * s;
+
+    // 底框
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x, y, sz, sz);
+    ctx.strokeStyle = '#E8C547';
+    ctx.lineWidth = Math.max(1, 2 * s);
+    ctx.strokeRect(x, y, sz, sz);
+
+    // 圖示
+    ctx.font = `${Math.round(sz * 0.7)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(POWER_UP_ICONS[this.type], x + sz / 2, y + sz / 2 + s);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * ============================================================
+ * 可設定種子的亂數產生器 (Seeded Random)
+ * ============================================================
+ * 以 mulberry32 演算法產生確定性亂數序列，由 GameEngine 持有，
+ * 地圖生成、敵軍 AI、出生點等所有遊戲邏輯的隨機性都從這裡取得。
+ * 同一個種子 + 同樣的輸入 → 完全相同的一局遊戲。
+ *
+ * 注意：遊戲邏輯中請勿直接呼叫 Math.random()。
+ */
+
+export class Random {
+  /**
+   * @param {number} seed - 32 位元無號整數種子
+   */
+  constructor(seed = 0) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * 取得下一個亂數
+   * @returns {number} 0 <= n < 1
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * 取得整數亂數
+   * @param {number} n - 上限（不含）
+   * @returns {number} 0 <= k < n
+   */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * 取得範圍內的浮點亂數
+   * @param {number} min - 下限（含）
+   * @param {number} max - 上限（不含）
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * 以機率 p 回傳 true
+   * @param {number} p - 0 ~ 1
+   * @returns {boolean}
+   */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * 從陣列中隨機挑選一個元素
+   * @template T
+   * @param {T[]} arr
+   * @returns {T}
+   */
+  pick(arr) {
+    return arr[this.int(arr.length)];
+  }
+
+  /**
+   * 原地洗牌（Fisher-Yates）
+   * @template T
+   * @param {T[]} arr
+   * @returns {T[]} 同一個陣列
+   */
+  shuffle(arr) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+}
+
+/**
+ * 產生新的隨機種子（僅用於「開新局」時，遊戲邏輯內請使用 Random 實例）
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
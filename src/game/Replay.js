@@ -0,0 +1,253 @@
+/**
+ * ============================================================
+ * 重播錄製與播放 (Replay Recording & Playback)
+ * ============================================================
+ * 遊戲邏輯是確定性的（固定步長 + 種子亂數），因此只要記錄：
+ *   起始關卡 + 亂數種子 + 每個模擬步的 keys 狀態
+ * 就能透過 GameEngine 完整重現整局遊戲。
+ *
+ * keys 以位元遮罩 (bitmask) 表示，連續相同的輸入再做 run-length 壓縮，
+ * 匯出的 JSON 通常只有數 KB，方便分享高分紀錄或附在錯誤回報中。
+ * 雙人遊戲時每位玩家佔 5 個位元：1P 在低位，2P 左移 5 位。
+ */
+import { MAX_PLAYERS, DIFFICULTY, SIM_TICK_MS } from './constants.js';
+import { createGameConfig } from './gameConfig.js';
+
+export const REPLAY_FORMAT = 'tank-battle-replay';
+export const REPLAY_VERSION = 1;
+// 重播最長一小時：播放時會展開成每步一格的陣列，跳轉也要從頭重新模擬，檔案不能要求無上限的步數
+export const MAX_REPLAY_TICKS = Math.round(60 * 60 * 1000 / SIM_TICK_MS);
+
+// keys 欄位 → 位元
+const KEY_BITS = {
+  up: 1,
+  down: 2,
+  left: 4,
+  right: 8,
+  fire: 16,
+};
+const BITS_PER_PLAYER = 5;
+
+/**
+ * 將 keys 物件編碼為位元遮罩
+ * @param {{ up: boolean, down: boolean, left: boolean, right: boolean, fire: boolean }} keys
+ * @returns {number}
+ */
+export function encodeKeys(keys) {
+  let mask = 0;
+  for (const [name, bit] of Object.entries(KEY_BITS)) {
+    if (keys[name]) mask |= bit;
+  }
+  return mask;
+}
+
+/**
+ * 將位元遮罩寫回 keys 物件（原地修改）
+ * @param {number} mask
+ * @param {object} keys - 目標 keys 物件
+ */
+export function decodeKeys(mask, keys) {
+  for (const [name, bit] of Object.entries(KEY_BITS)) {
+    keys[name] = (mask & bit) !== 0;
+  }
+}
+
+/**
+ * 將所有玩家的 keys 合併編碼為一個遮罩
+ * @param {object[]} keysList - 依玩家順序排列的 keys 物件
+ * @returns {number}
+ */
+export function encodeInput(keysList) {
+  return keysList.reduce((mask, keys, i) => mask | (encodeKeys(keys) << (BITS_PER_PLAYER * i)), 0);
+}
+
+/**
+ * 將合併遮罩拆回各玩家的 keys 物件（原地修改）
+ * @param {number} mask
+ * @param {object[]} keysList
+ */
+export function decodeInput(mask, keysList) {
+  keysList.forEach((keys, i) => {
+    decodeKeys((mask >> (BITS_PER_PLAYER * i)) & ((1 << BITS_PER_PLAYER) - 1), keys);
+  });
+}
+
+/**
+ * 重播錄製器 — 每個模擬步呼叫一次 record()
+ */
+export class ReplayRecorder {
+  /**
+   * @param {number} seed - 亂數種子
+   * @param {number} level - 起始關卡
+   * @param {number} [players] - 玩家人數
+   * @param {object} [config] - 本局設定（生命、敵軍數量、難度等都會影響模擬，重播必須用同一份）
+   */
+  constructor(seed, level, players = 1, config = createGameConfig()) {
+    this.seed = seed;
+    this.level = level;
+    this.players = players;
+    this.config = { ...config };
+    this.runs = [];   // 扁平陣列：[mask, count, mask, count, ...]
+    this.ticks = 0;
+  }
+
+  /**
+   * 記錄本步的輸入
+   * @param {...object} keysList - 各玩家的 keys（依玩家順序）
+   */
+  record(...keysList) {
+    // 超過上限的部分不錄（否則匯出的檔案無法再載入），播放時停在最後一步
+    if (this.ticks >= MAX_REPLAY_TICKS) return;
+    const mask = encodeInput(keysList);
+    const last = this.runs.length - 2;
+    if (last >= 0 && this.runs[last] === mask) {
+      this.runs[last + 1]++;
+    } else {
+      this.runs.push(mask, 1);
+    }
+    this.ticks++;
+  }
+
+  /**
+   * 產生可序列化的重播資料
+   * @param {object} [meta] - 附加資訊（最終分數、到達關卡等）
+   * @returns {object}
+   */
+  toReplay(meta = {}) {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      level: this.level,
+      players: this.players,
+      config: { ...this.config },
+      ticks: this.ticks,
+      input: [...this.runs],
+      ...meta,
+    };
+  }
+}
+
+/**
+ * 重播播放器 — 依序吐出每個模擬步的輸入
+ */
+export class ReplayPlayer {
+  /**
+   * @param {object} replay - parseReplay() 或 ReplayRecorder.toReplay() 的結果
+   */
+  constructor(replay) {
+    this.replay = replay;
+
+    // 展開 run-length 資料，方便跳轉 (seek)
+    this.frames = new Uint16Array(replay.ticks);
+    let offset = 0;
+    for (let i = 0; i < replay.input.length; i += 2) {
+      const [mask, count] = [replay.input[i], replay.input[i + 1]];
+      this.frames.fill(mask, offset, offset + count);
+      offset += count;
+    }
+
+    this.position = 0;  // 下一個要播放的模擬步
+  }
+
+  /** 總步數 */
+  get length() {
+    return this.frames.length;
+  }
+
+  /** 是否已播放完畢 */
+  get done() {
+    return this.position >= this.frames.length;
+  }
+
+  /**
+   * 回到重播開頭
+   */
+  rewind() {
+    this.position = 0;
+  }
+
+  /** 玩家人數（舊版重播檔沒有此欄位，視為單人）*/
+  get players() {
+    return this.replay.players ?? 1;
+  }
+
+  /** 本局設定（舊版重播檔沒有此欄位，視為普通難度的預設）*/
+  get config() {
+    return createGameConfig(this.replay.config);
+  }
+
+  /**
+   * 將下一步的輸入寫入各玩家的 keys，並前進一步
+   * @param {...object} keysList
+   */
+  applyNext(...keysList) {
+    if (this.done) return;
+    decodeInput(this.frames[this.position], keysList);
+    this.position++;
+  }
+}
+
+/**
+ * 將重播資料轉為 JSON 字串
+ * @param {object} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * 解析並驗證匯入的重播 JSON
+ * @param {string} text
+ * @returns {object} replay
+ * @throws {Error} 格式不符時拋出（訊息可直接顯示給玩家）
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('重播檔不是有效的 JSON');
+  }
+
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error('這不是坦克大戰的重播檔');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`不支援的重播版本：${data.version}`);
+  }
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.level) || data.level < 1) {
+    throw new Error('重播檔缺少種子或關卡資訊');
+  }
+  const players = data.players ?? 1;
+  if (!Number.isInteger(players) || players < 1 || players > MAX_PLAYERS) {
+    throw new Error(`不支援的玩家人數：${data.players}`);
+  }
+  if (data.config !== undefined) {
+    if (!data.config || typeof data.config !== 'object') {
+      throw new Error('重播檔的遊戲設定損毀');
+    }
+    if (!Object.values(DIFFICULTY).includes(data.config.difficulty)) {
+      throw new Error(`不支援的難度：${data.config.difficulty}`);
+    }
+  }
+  if (!Array.isArray(data.input) || data.input.length % 2 !== 0) {
+    throw new Error('重播檔的輸入資料損毀');
+  }
+
+  const maxMask = (1 << (BITS_PER_PLAYER * players)) - 1;
+  let ticks = 0;
+  for (let i = 0; i < data.input.length; i += 2) {
+    const [mask, count] = [data.input[i], data.input[i + 1]];
+    if (!Number.isInteger(mask) || mask < 0 || mask > maxMask || !Number.isInteger(count) || count < 1) {
+      throw new Error('重播檔的輸入資料損毀');
+    }
+    ticks += count;
+  }
+  if (ticks !== data.ticks || ticks > MAX_REPLAY_TICKS) {
+    throw new Error('重播檔的輸入資料損毀');
+  }
+
+  return data;
+}
@@ -3,8 +3,19 @@
  * SoundEffects - 遊戲音效管理器
  * ============================================================
  * 使用 Web Audio API 生成 8-bit 風格的遊戲音效。
- * 包含：發射、爆炸、通關等音效。
+ * 包含：發射、爆炸、通關、基地被毀、道具拾取、關卡結算等音效。
  */
+import { POWER_UP_TYPE } from './constants.js';
+
+// 道具拾取旋律（每種道具一段短琶音，頻率 Hz）
+const POWER_UP_MELODIES = {
+  [POWER_UP_TYPE.STAR]: [659.25, 783.99, 1046.5, 1318.5],   // E5 G5 C6 E6
+  [POWER_UP_TYPE.SHIELD]: [523.25, 659.25, 523.25, 659.25], // C5 E5 交替
+  [POWER_UP_TYPE.GRENADE]: [392.0, 311.13, 261.63],         // G4 Eb4 C4
+  [POWER_UP_TYPE.CLOCK]: [1046.5, 783.99, 1046.5, 783.99],  // 滴答
+  [POWER_UP_TYPE.SHOVEL]: [261.63, 329.63, 392.0],          // C4 E4 G4
+  [POWER_UP_TYPE.LIFE]: [783.99, 987.77, 1174.66, 1567.98], // G5 B5 D6 G6
+};
 
 export class SoundEffects {
   constructor() {
@@ -15,6 +26,9 @@ export class SoundEffects {
   }
 
   init() {
+    // 非瀏覽器環境（Node / 測試）沒有 Web Audio，保持靜音
+    if (typeof window === 'undefined') return;
+
     try {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       this.masterGain = this.audioContext.createGain();
@@ -202,6 +216,135 @@ export class SoundEffects {
       osc.stop(startTime + duration);
     });
   }
+
+  /**
+   * 基地被摧毀音效 - 長爆炸聲 + 低沉下滑警報
+   */
+  playBaseDestroyed() {
+    if (!this.audioContext || this.isMuted) return;
+
+    const now = this.audioContext.currentTime;
+    const duration = 1.2;
+
+    // 長噪音爆炸
+    const bufferSize = Math.floor(this.audioContext.sampleRate * duration);
+    const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    const noise = this.audioContext.createBufferSource();
+    noise.buffer = buffer;
+
+    const filter = this.audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(2000, now);
+    filter.frequency.exponentialRampToValueAtTime(60, now + duration);
+
+    // 下滑警報音
+    const siren = this.audioContext.createOscillator();
+    siren.type = 'sawtooth';
+    siren.frequency.setValueAtTime(440, now);
+    siren.frequency.exponentialRampToValueAtTime(55, now + duration);
+
+    const gain = this.audioContext.createGain();
+    gain.gain.setValueAtTime(0.5, now);
+    gain.gain.exponentialRampToValueAtTime(0.01, now + duration);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    siren.connect(gain);
+    gain.connect(this.masterGain);
+
+    noise.start(now);
+    siren.start(now);
+    noise.stop(now + duration);
+    siren.stop(now + duration);
+  }
+
+  /**
+   * 道具拾取音效 - 依道具種類播放不同的快速琶音
+   * @param {string} type - POWER_UP_TYPE
+   */
+  playPowerUp(type) {
+    if (!this.audioContext || this.isMuted) return;
+
+    const now = this.audioContext.currentTime;
+    const melody = POWER_UP_MELODIES[type] ?? POWER_UP_MELODIES[POWER_UP_TYPE.STAR];
+    const step = 0.07;
+
+    melody.forEach((freq, i) => {
+      const osc = this.audioContext.createOscillator();
+      osc.type = 'square';
+      osc.frequency.value = freq;
+
+      const gain = this.audioContext.createGain();
+      const startTime = now + i * step;
+      const duration = 0.1;
+
+      gain.gain.setValueAtTime(0, startTime);
+      gain.gain.linearRampToValueAtTime(0.25, startTime + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.01, startTime + duration);
+
+      osc.connect(gain);
+      gain.connect(this.masterGain);
+
+      osc.start(startTime);
+      osc.stop(startTime + duration);
+    });
+  }
+
+  /**
+   * 結算計數音效 - 每數一台敵軍響一聲短促的嗶
+   */
+  playTally() {
+    if (!this.audioContext || this.isMuted) return;
+
+    const now = this.audioContext.currentTime;
+    const osc = this.audioContext.createOscillator();
+    osc.type = 'square';
+    osc.frequency.value = 1318.5; // E6
+
+    const gain = this.audioContext.createGain();
+    gain.gain.setValueAtTime(0.15, now);
+    gain.gain.exponentialRampToValueAtTime(0.01, now + 0.05);
+
+    osc.connect(gain);
+    gain.connect(this.masterGain);
+    osc.start(now);
+    osc.stop(now + 0.05);
+  }
+
+  /**
+   * 結算加分音效 - 獎勵分數入帳時的上行雙音
+   */
+  playBonus() {
+    if (!this.audioContext || this.isMuted) return;
+
+    const now = this.audioContext.currentTime;
+    [880, 1760].forEach((freq, i) => {
+      const osc = this.audioContext.createOscillator();
+      osc.type = 'triangle';
+      osc.frequency.value = freq;
+
+      const gain = this.audioContext.createGain();
+      const startTime = now + i * 0.08;
+      gain.gain.setValueAtTime(0.3, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.15);
+
+      osc.connect(gain);
+      gain.connect(this.masterGain);
+      osc.start(startTime);
+      osc.stop(startTime + 0.15);
+    });
+  }
+
+  /**
+   * 分數達門檻獎勵生命 - 沿用「額外生命」道具的旋律
+   */
+  playExtraLife() {
+    this.playPowerUp(POWER_UP_TYPE.LIFE);
+  }
 }
 
 // 單例模式 - 確保全域只有一個音效管理器
@@ -3,17 +3,25 @@
  * 坦克類別 (Tank Class)
  * ============================================================
  * 負責管理坦克的位置、方向、繪製與射擊邏輯。
- * 玩家坦克與敵軍坦克共用此類別，透過 isPlayer 旗標區分。
+ * 玩家坦克與敵軍坦克共用此類別，透過 isPlayer 旗標區分；
+ * 敵軍再依 type（ENEMY_TYPE）套用 ENEMY_STATS 的速度、火力、耐久與外觀。
+ * team 是陣營編號：子彈只會打中不同陣營的坦克（死鬥模式每台坦克自成一隊）。
  */
 import {
   TANK_SIZE, TANK_SPEED, TANK_FIRE_COOLDOWN,
-  ENEMY_SPEED, ENEMY_FIRE_COOLDOWN,
-  BULLET_SPEED, BULLET_SIZE,
-  COLOR_PLAYER, COLOR_ENEMY,
+  ENEMY_TYPE, ENEMY_STATS, ENEMY_FIRE_COOLDOWN,
+  BULLET_SPEED, BULLET_SIZE, STAR_UPGRADES,
+  COLOR_PLAYER, COLOR_PLAYER_2, COLOR_PLAYER_3, COLOR_PLAYER_4, COLOR_ESCORT, PLAYER_TEAM, ENEMY_TEAM,
   COLOR_BULLET_PLAYER, COLOR_BULLET_ENEMY,
-  DIR, DESIGN_WIDTH, DESIGN_HEIGHT, WALL_SIZE,
+  DIR, DESIGN_WIDTH, DESIGN_HEIGHT, WALL_SIZE, ICE_SLIDE_DISTANCE,
 } from './constants.js';
 import { Bullet } from './Bullet.js';
+import { DEFAULT_GAME_CONFIG } from './gameConfig.js';
+
+// 玩家坦克車身 / 砲塔顏色（依玩家編號；3、4 號只出現在死鬥模式）
+export const PLAYER_COLORS = [COLOR_PLAYER, COLOR_PLAYER_2, COLOR_PLAYER_3, COLOR_PLAYER_4];
+const PLAYER_TURRET_COLORS = ['#00FF66', '#66BBFF', '#FF99EE', '#FFCC77'];
+const ESCORT_TURRET_COLOR = '#FFD700';
 
 export class Tank {
   /**
@@ -21,21 +29,42 @@ export class Tank {
    * @param {number} y - 設計座標 Y
    * @param {string} direction - 初始方向 (DIR.UP / DOWN / LEFT / RIGHT)
    * @param {boolean} isPlayer - 是否為玩家坦克
+   * @param {string} [type] - 敵軍類型 (ENEMY_TYPE)，玩家坦克忽略
+   * @param {object} [config] - 本局設定（gameConfig.js），決定敵軍射擊冷卻與友軍誤傷
    */
-  constructor(x, y, direction = DIR.UP, isPlayer = false) {
+  constructor(x, y, direction = DIR.UP, isPlayer = false, type = ENEMY_TYPE.BASIC, config = DEFAULT_GAME_CONFIG) {
     this.x = x;
     this.y = y;
     this.direction = direction;
     this.isPlayer = isPlayer;
-
-    // 根據身份設定屬性
-    this.speed = isPlayer ? TANK_SPEED : ENEMY_SPEED;
-    this.fireCooldown = isPlayer ? TANK_FIRE_COOLDOWN : ENEMY_FIRE_COOLDOWN;
-    this.color = isPlayer ? COLOR_PLAYER : COLOR_ENEMY;
+    this.team = isPlayer ? PLAYER_TEAM : ENEMY_TEAM;   // 陣營（死鬥模式由引擎改成玩家編號）
+    this.type = isPlayer ? null : type;
+    this.config = config;
+
+    // 上一個模擬步的位置（渲染時用於插值）
+    this.prevX = x;
+    this.prevY = y;
+
+    // 根據身份 / 類型設定屬性
+    const stats = isPlayer ? null : ENEMY_STATS[type];
+    this.speed = isPlayer ? TANK_SPEED : stats.speed;
+    this.bulletSpeed = isPlayer ? BULLET_SPEED : stats.bulletSpeed;
+    // 敵軍冷卻依設定的基本型冷卻等比例縮放（火力型維持比基本型快）
+    this.fireCooldown = isPlayer
+      ? TANK_FIRE_COOLDOWN
+      : Math.round(stats.fireCooldown * config.enemyFireCooldown / ENEMY_FIRE_COOLDOWN);
     this.bulletColor = isPlayer ? COLOR_BULLET_PLAYER : COLOR_BULLET_ENEMY;
+    this.maxBullets = 1;     // 場上同時存在的子彈上限
+    this.bulletPower = 1;    // 2 = 可擊破鐵牆
+    this.starLevel = 0;      // 玩家吃到的星星數（STAR_UPGRADES 索引）
 
-    // 射擊冷卻計時器
-    this.lastFireTime = 0;
+    // 耐久與分數（玩家坦克以生命數計算，固定 1）
+    this.maxHp = isPlayer ? 1 : stats.hp;
+    this.hp = this.maxHp;
+    this.scoreValue = isPlayer ? 0 : stats.score;
+
+    // 射擊冷卻計時器（模擬時間，毫秒）
+    this.lastFireTime = -Infinity;
 
     // 坦克是否存活
     this.alive = true;
@@ -43,12 +72,70 @@ export class Tank {
     // 坦克尺寸（設計座標）
     this.size = TANK_SIZE;
 
+    // 冰面上放開方向鍵後還要滑行的距離（px）
+    this.slideRemaining = 0;
+
     // 無敵時間（玩家重生後短暫無敵）
     this.invincibleUntil = 0;
 
+    // ---- 玩家專用（由引擎設定）----
+    this.playerIndex = 0;    // 0 = 1P，1 = 2P（死鬥模式的電腦坦克接在後面）
+    this.lives = 0;          // 剩餘生命
+    this.score = 0;          // 個人分數
+
+    // ---- 死鬥模式用（由引擎設定）----
+    this.frags = 0;          // 擊殺數
+    this.deaths = 0;         // 被擊毀次數
+    this.respawnAt = null;   // 被擊毀後的重生時間（模擬時間）
+
+    // ---- 生存模式用（由引擎設定）----
+    this.streak = 0;         // 沒被擊中以來的連續擊殺數（決定分數倍率）
+
+    // ---- 關卡任務用（由引擎設定）----
+    this.isEscort = false;   // 護送目標：與玩家同陣營、由 AI 駕駛的友軍坦克
+
+    // 閃爍的道具攜帶者（被擊毀時掉落道具）
+    this.carriesPowerUp = false;
+
     // ---- 敵軍 AI 用 ----
-    this.aiDirectionTimer = 0;          // AI 方向切換計時器
-    this.aiDirectionInterval = 1500 + Math.random() * 1500; // 隨機間隔
+    this.ai = null;   // 行為與路線狀態（由引擎在生成時以 createAIState() 建立）
+  }
+
+  /**
+   * 車身顏色（重裝型依剩餘耐久變色）
+   * @returns {string}
+   */
+  get color() {
+    if (this.isEscort) return COLOR_ESCORT;
+    if (this.isPlayer) return PLAYER_COLORS[this.playerIndex];
+    const { colors } = ENEMY_STATS[this.type];
+    return colors[Math.min(this.hp, colors.length) - 1];
+  }
+
+  /**
+   * 設定星星升級階段（玩家專用；超過上限時維持最高階）
+   * @param {number} level
+   */
+  setStarLevel(level) {
+    this.starLevel = Math.max(0, Math.min(level, STAR_UPGRADES.length - 1));
+    const upgrade = STAR_UPGRADES[this.starLevel];
+    this.bulletSpeed = upgrade.bulletSpeed;
+    this.maxBullets = upgrade.maxBullets;
+    this.bulletPower = upgrade.bulletPower;
+  }
+
+  /**
+   * 承受一次命中
+   * @returns {boolean} 是否因此被摧毀
+   */
+  hit() {
+    if (!this.alive) return false;
+    this.hp--;
+    if (this.hp <= 0) {
+      this.alive = false;
+      return true;
+    }
+    return false;
   }
 
   /**
@@ -59,6 +146,17 @@ export class Tank {
     return { x: this.x, y: this.y, w: this.size, h: this.size };
   }
 
+  /**
+   * 直接設定位置（出生 / 重生用），同時重置插值起點避免畫面拖影
+   * @param {number} x
+   * @param {number} y
+   */
+  setPosition(x, y) {
+    this.x = this.prevX = x;
+    this.y = this.prevY = y;
+    this.slideRemaining = 0;
+  }
+
   /**
    * 移動坦克
    * 關鍵修正：轉向時進行「網格對齊 (Grid Snap)」，
@@ -72,6 +170,21 @@ export class Tank {
   move(dir, walls = [], tanks = []) {
     if (!this.alive) return;
 
+    this.face(dir);
+
+    // 碰到障礙物 → 取消移動；踩在冰面上 → 放開方向鍵後會繼續滑一段
+    if (this._advance(dir, this.speed, walls, tanks)) {
+      this.slideRemaining = this._isOnIce(walls) ? ICE_SLIDE_DISTANCE : 0;
+    } else {
+      this.slideRemaining = 0;
+    }
+  }
+
+  /**
+   * 原地轉向（含網格對齊），不移動；敵軍 AI 瞄準時使用
+   * @param {string} dir
+   */
+  face(dir) {
     // 偵測是否在「水平↔垂直」之間轉向
     const wasVertical = (this.direction === DIR.UP || this.direction === DIR.DOWN);
     const nowVertical = (dir === DIR.UP || dir === DIR.DOWN);
@@ -91,16 +204,35 @@ export class Tank {
         this.y = snapToGrid(this.y);
       }
     }
+  }
+
+  /**
+   * 沒有移動輸入時呼叫：在冰面上沿目前方向繼續滑行，滑完 ICE_SLIDE_DISTANCE 或撞到東西為止
+   * @param {Array} walls - 牆壁陣列（用於碰撞檢測）
+   * @param {Array} tanks - 其他坦克（用於碰撞檢測）
+   */
+  coast(walls = [], tanks = []) {
+    if (!this.alive || this.slideRemaining <= 0) return;
+    const distance = Math.min(this.speed, this.slideRemaining);
+    this.slideRemaining = this._advance(this.direction, distance, walls, tanks)
+      ? this.slideRemaining - distance
+      : 0;
+  }
 
+  /**
+   * 朝 dir 前進 distance；途中碰到擋坦克的地形或其他坦克則不動
+   * @returns {boolean} 是否成功移動
+   */
+  _advance(dir, distance, walls, tanks) {
     // 計算預期位置
     let nx = this.x;
     let ny = this.y;
 
     switch (dir) {
-      case DIR.UP:    ny -= this.speed; break;
-      case DIR.DOWN:  ny += this.speed; break;
-      case DIR.LEFT:  nx -= this.speed; break;
-      case DIR.RIGHT: nx += this.speed; break;
+      case DIR.UP:    ny -= distance; break;
+      case DIR.DOWN:  ny += distance; break;
+      case DIR.LEFT:  nx -= distance; break;
+      case DIR.RIGHT: nx += distance; break;
     }
 
     // 邊界檢查（不超出設計解析度範圍）
@@ -116,11 +248,11 @@ export class Tank {
       h: this.size - TOLERANCE * 2,
     };
 
-    // 牆壁碰撞檢測
+    // 牆壁碰撞檢測（水面也擋坦克；樹林、冰面不擋；磚牆只算剩下的部分）
     for (const wall of walls) {
-      if (!wall.alive) continue;
-      if (rectsOverlap(nextBounds, wall.getBounds())) {
-        return; // 碰到牆壁，取消移動
+      if (!wall.alive || !wall.blocksTanks) continue;
+      if (wall.overlaps(nextBounds)) {
+        return false; // 碰到牆壁，取消移動
       }
     }
 
@@ -128,18 +260,29 @@ export class Tank {
     for (const tank of tanks) {
       if (tank === this || !tank.alive) continue;
       if (rectsOverlap(nextBounds, tank.getBounds())) {
-        return; // 碰到其他坦克，取消移動
+        return false; // 碰到其他坦克，取消移動
       }
     }
 
     // 通過所有檢測，更新位置
     this.x = nx;
     this.y = ny;
+    return true;
+  }
+
+  /**
+   * 車身中心是否位於冰面上
+   * @param {Array} walls
+   * @returns {boolean}
+   */
+  _isOnIce(walls) {
+    const center = { x: this.x + this.size / 2, y: this.y + this.size / 2, w: 1, h: 1 };
+    return walls.some(wall => wall.alive && wall.slippery && rectsOverlap(center, wall.getBounds()));
   }
 
   /**
    * 射擊 — 產生一顆子彈
-   * @param {number} now - 當前時間戳 (ms)
+   * @param {number} now - 當前模擬時間 (ms)
    * @returns {Bullet|null} 若冷卻完成回傳子彈實例，否則 null
    */
   fire(now) {
@@ -172,7 +315,11 @@ export class Tank {
         break;
     }
 
-    return new Bullet(bx, by, this.direction, this.isPlayer, this.bulletColor);
+    const bullet = new Bullet(bx, by, this.direction, this.isPlayer, this.bulletColor, this.bulletSpeed, this.config);
+    bullet.owner = this;
+    bullet.team = this.team;
+    bullet.power = this.bulletPower;
+    return bullet;
   }
 
   /**
@@ -188,9 +335,10 @@ export class Tank {
    * 在 Canvas 上繪製坦克
    * @param {CanvasRenderingContext2D} ctx
    * @param {number} scale - 縮放因子（設計座標 → 實際像素）
-   * @param {number} now - 當前時間戳（用於無敵閃爍效果）
+   * @param {number} now - 當前模擬時間（用於無敵閃爍效果）
+   * @param {number} alpha - 插值係數 0~1（上一步 → 目前步）
    */
-  draw(ctx, scale, now = 0) {
+  draw(ctx, scale, now = 0, alpha = 1) {
     if (!this.alive) return;
 
     // 無敵狀態閃爍效果
@@ -199,12 +347,13 @@ export class Tank {
     }
 
     const s = scale;
-    const x = this.x * s;
-    const y = this.y * s;
+    const x = (this.prevX + (this.x - this.prevX) * alpha) * s;
+    const y = (this.prevY + (this.y - this.prevY) * alpha) * s;
     const sz = this.size * s;
 
-    // ---- 繪製坦克本體 ----
-    ctx.fillStyle = this.color;
+    // ---- 繪製坦克本體（道具攜帶者紅白閃爍）----
+    const flashing = this.carriesPowerUp && Math.floor(now / 150) % 2 === 0;
+    ctx.fillStyle = flashing ? '#FFFFFF' : this.color;
     ctx.fillRect(x, y, sz, sz);
 
     // ---- 繪製履帶（兩側深色條紋）----
@@ -218,10 +367,35 @@ export class Tank {
       ctx.fillRect(x, y + sz - trackW, sz, trackW);
     }
 
-    // ---- 繪製砲管 ----
+    // ---- 類型外觀 ----
+    if (this.type === ENEMY_TYPE.FAST) {
+      // 快速型：車身中央的速度條紋
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      if (this.direction === DIR.UP || this.direction === DIR.DOWN) {
+        ctx.fillRect(x + sz * 0.3, y + sz * 0.08, sz * 0.4, sz * 0.08);
+        ctx.fillRect(x + sz * 0.3, y + sz * 0.84, sz * 0.4, sz * 0.08);
+      } else {
+        ctx.fillRect(x + sz * 0.08, y + sz * 0.3, sz * 0.08, sz * 0.4);
+        ctx.fillRect(x + sz * 0.84, y + sz * 0.3, sz * 0.08, sz * 0.4);
+      }
+    } else if (this.type === ENEMY_TYPE.ARMOR) {
+      // 重裝型：外框裝甲板
+      ctx.strokeStyle = 'rgba(255,255,255,0.55)';
+      ctx.lineWidth = Math.max(1, 2 * s);
+      ctx.strokeRect(x + sz * 0.22, y + sz * 0.22, sz * 0.56, sz * 0.56);
+    }
+
+    // ---- 繪製砲管（快速型細短、火力型粗長）----
     ctx.fillStyle = '#FFFFFF';
-    const barrelW = sz * 0.16;
-    const barrelH = sz * 0.45;
+    let barrelW = sz * 0.16;
+    let barrelH = sz * 0.45;
+    if (this.type === ENEMY_TYPE.FAST) {
+      barrelW = sz * 0.12;
+      barrelH = sz * 0.38;
+    } else if (this.type === ENEMY_TYPE.POWER) {
+      barrelW = sz * 0.22;
+      barrelH = sz * 0.58;
+    }
     ctx.save();
     ctx.translate(x + sz / 2, y + sz / 2);
 
@@ -237,11 +411,22 @@ export class Tank {
     ctx.restore();
 
     // ---- 繪製中心圓形砲塔 ----
-    ctx.fillStyle = this.isPlayer ? '#00FF66' : '#FF6666';
+    if (this.isEscort) ctx.fillStyle = ESCORT_TURRET_COLOR;
+    else if (this.isPlayer) ctx.fillStyle = PLAYER_TURRET_COLORS[this.playerIndex];
+    else ctx.fillStyle = ENEMY_STATS[this.type].turretColor;
     ctx.beginPath();
     ctx.arc(x + sz / 2, y + sz / 2, sz * 0.22, 0, Math.PI * 2);
     ctx.fill();
 
+    // ---- 重裝型剩餘耐久點 ----
+    if (this.maxHp > 1) {
+      ctx.fillStyle = '#FFFFFF';
+      const pip = sz * 0.1;
+      for (let i = 0; i < this.hp; i++) {
+        ctx.fillRect(x + sz * 0.2 + i * pip * 1.6, y - pip * 1.6, pip, pip);
+      }
+    }
+
     // 重置透明度
     ctx.globalAlpha = 1;
   }
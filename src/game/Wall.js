@@ -2,19 +2,33 @@
  * ============================================================
  * 牆壁類別 (Wall Class)
  * ============================================================
- * 分為「磚牆 (BRICK)」與「鐵牆 (STEEL)」兩種。
- * 磚牆可被子彈摧毀，鐵牆不可摧毀。
+ * 地圖上每一格的地形（WALL_TYPE）：
+ *   - 磚牆 (BRICK)：擋坦克與子彈；分成 2×2 四塊，被擊中時依子彈來向削掉最前面一排
+ *   - 鐵牆 (STEEL)：擋坦克與子彈，不可摧毀（三星子彈除外）
+ *   - 水面 (WATER)：擋坦克，子彈可飛越
+ *   - 樹林 (FOREST)：不擋任何東西，畫在坦克上方
+ *   - 冰面 (ICE)：不擋任何東西，坦克在上面會打滑
  */
 import {
-  WALL_SIZE, WALL_TYPE,
-  WALL_COLOR_BRICK, WALL_COLOR_STEEL,
+  WALL_SIZE, WALL_TYPE, DIR,
+  WALL_COLOR_BRICK, WALL_COLOR_STEEL, WALL_COLOR_WATER, WALL_COLOR_FOREST, WALL_COLOR_ICE,
 } from './constants.js';
+import { rectsOverlap } from './Tank.js';
+
+// 各地形的碰撞規則
+const TERRAIN = {
+  [WALL_TYPE.BRICK]: { blocksTanks: true, blocksBullets: true },
+  [WALL_TYPE.STEEL]: { blocksTanks: true, blocksBullets: true },
+  [WALL_TYPE.WATER]: { blocksTanks: true, blocksBullets: false },
+  [WALL_TYPE.FOREST]: { blocksTanks: false, blocksBullets: false },
+  [WALL_TYPE.ICE]: { blocksTanks: false, blocksBullets: false },
+};
 
 export class Wall {
   /**
    * @param {number} x - 設計座標 X（網格對齊）
    * @param {number} y - 設計座標 Y（網格對齊）
-   * @param {string} type - WALL_TYPE.BRICK 或 WALL_TYPE.STEEL
+   * @param {string} type - WALL_TYPE
    */
   constructor(x, y, type = WALL_TYPE.BRICK) {
     this.x = x;
@@ -23,17 +37,79 @@ export class Wall {
     this.type = type;
     this.alive = true;
 
-    // 鐵牆不可被摧毀
+    // 只有磚牆能被一般子彈摧毀
     this.destructible = type === WALL_TYPE.BRICK;
+    this.blocksTanks = TERRAIN[type].blocksTanks;
+    this.blocksBullets = TERRAIN[type].blocksBullets;
+    this.covers = type === WALL_TYPE.FOREST;     // 畫在坦克上方
+    this.slippery = type === WALL_TYPE.ICE;      // 坦克會打滑
+
+    // 磚牆剩下的四分之一塊：[左上, 右上, 左下, 右下]
+    this.quarters = this.destructible ? [true, true, true, true] : null;
   }
 
   /**
-   * 取得碰撞矩形
+   * 取得整格的矩形（不論磚牆剩多少）
    */
   getBounds() {
     return { x: this.x, y: this.y, w: this.size, h: this.size };
   }
 
+  /**
+   * 取得實際佔據的矩形：磚牆為剩下的四分之一塊，其餘地形為整格
+   * @returns {{ x: number, y: number, w: number, h: number }[]}
+   */
+  getParts() {
+    if (!this.quarters) return [this.getBounds()];
+    return [0, 1, 2, 3].filter(q => this.quarters[q]).map(q => this._quarterBounds(q));
+  }
+
+  /**
+   * 矩形是否與實際佔據的部分重疊
+   * @param {{ x: number, y: number, w: number, h: number }} rect
+   * @returns {boolean}
+   */
+  overlaps(rect) {
+    return this.getParts().some(part => rectsOverlap(rect, part));
+  }
+
+  /**
+   * 磚牆被子彈擊中：削掉子彈路線上、最靠近來向的一排四分之一塊
+   * （正對格子中央射擊一次削半塊，擦邊射擊只削一塊）
+   * @param {{ x: number, y: number, w: number, h: number }} rect - 子彈的碰撞矩形
+   * @param {string} direction - 子彈飛行方向
+   * @returns {boolean} 是否因此整塊消失
+   */
+  chip(rect, direction) {
+    const vertical = direction === DIR.UP || direction === DIR.DOWN;
+    const lane = [0, 1, 2, 3].filter(q => {
+      if (!this.quarters[q]) return false;
+      const part = this._quarterBounds(q);
+      return vertical
+        ? part.x < rect.x + rect.w && part.x + part.w > rect.x
+        : part.y < rect.y + rect.h && part.y + part.h > rect.y;
+    });
+
+    // 沿飛行方向的排序：往上 / 往左飛的子彈先打到下排 / 右排
+    const depth = (q) => (vertical ? Math.floor(q / 2) : q % 2);
+    const fromFar = direction === DIR.UP || direction === DIR.LEFT;
+    const front = fromFar ? Math.max(...lane.map(depth)) : Math.min(...lane.map(depth));
+    for (const q of lane) {
+      if (depth(q) === front) this.quarters[q] = false;
+    }
+
+    if (!this.quarters.some(Boolean)) this.alive = false;
+    return !this.alive;
+  }
+
+  /**
+   * 第 q 塊（0 左上、1 右上、2 左下、3 右下）的矩形
+   */
+  _quarterBounds(q) {
+    const half = this.size / 2;
+    return { x: this.x + (q % 2) * half, y: this.y + Math.floor(q / 2) * half, w: half, h: half };
+  }
+
   /**
    * 在 Canvas 上繪製牆壁
    * @param {CanvasRenderingContext2D} ctx
@@ -48,7 +124,17 @@ export class Wall {
     const sz = this.size * s;
 
     if (this.type === WALL_TYPE.BRICK) {
-      // ---- 磚牆：繪製磚塊紋理 ----
+      // ---- 磚牆：繪製磚塊紋理（被削過時只畫剩下的四分之一塊）----
+      const chipped = this.quarters.some(q => !q);
+      if (chipped) {
+        ctx.save();
+        ctx.beginPath();
+        for (const part of this.getParts()) {
+          ctx.rect(part.x * s, part.y * s, part.w * s, part.h * s);
+        }
+        ctx.clip();
+      }
+
       ctx.fillStyle = WALL_COLOR_BRICK;
       ctx.fillRect(x, y, sz, sz);
 
@@ -79,6 +165,46 @@ export class Wall {
       ctx.lineTo(x + sz * 0.75, y + sz);
       ctx.stroke();
 
+      if (chipped) ctx.restore();
+
+    } else if (this.type === WALL_TYPE.WATER) {
+      // ---- 水面：藍底 + 波紋 ----
+      ctx.fillStyle = WALL_COLOR_WATER;
+      ctx.fillRect(x, y, sz, sz);
+      ctx.strokeStyle = 'rgba(255,255,255,0.45)';
+      ctx.lineWidth = Math.max(1, s);
+      for (const row of [0.3, 0.7]) {
+        ctx.beginPath();
+        ctx.moveTo(x + sz * 0.1, y + sz * row);
+        ctx.quadraticCurveTo(x + sz * 0.3, y + sz * (row - 0.12), x + sz * 0.5, y + sz * row);
+        ctx.quadraticCurveTo(x + sz * 0.7, y + sz * (row + 0.12), x + sz * 0.9, y + sz * row);
+        ctx.stroke();
+      }
+
+    } else if (this.type === WALL_TYPE.FOREST) {
+      // ---- 樹林：重疊的樹冠（不透明，能遮住坦克）----
+      ctx.fillStyle = '#1B4D1E';
+      ctx.fillRect(x, y, sz, sz);
+      ctx.fillStyle = WALL_COLOR_FOREST;
+      for (const [cx, cy] of [[0.28, 0.28], [0.72, 0.3], [0.3, 0.72], [0.7, 0.7], [0.5, 0.5]]) {
+        ctx.beginPath();
+        ctx.arc(x + sz * cx, y + sz * cy, sz * 0.24, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+    } else if (this.type === WALL_TYPE.ICE) {
+      // ---- 冰面：淡藍底 + 斜向反光 ----
+      ctx.fillStyle = WALL_COLOR_ICE;
+      ctx.fillRect(x, y, sz, sz);
+      ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+      ctx.lineWidth = Math.max(1, s);
+      ctx.beginPath();
+      ctx.moveTo(x + sz * 0.2, y + sz * 0.55);
+      ctx.lineTo(x + sz * 0.55, y + sz * 0.2);
+      ctx.moveTo(x + sz * 0.45, y + sz * 0.85);
+      ctx.lineTo(x + sz * 0.85, y + sz * 0.45);
+      ctx.stroke();
+
     } else {
       // ---- 鐵牆：金屬質感 ----
       ctx.fillStyle = WALL_COLOR_STEEL;
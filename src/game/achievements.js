@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * 成就 (Achievements)
+ * ============================================================
+ * 訂閱 GameEngine.events 的系統：只聽事件、不改遊戲狀態，因此加不加都不影響模擬結果。
+ * 只計本機玩家親手打出的成績（電腦坦克、護送目標與觀看重播都不算）。
+ * 解鎖時發出 GAME_EVENT.ACHIEVEMENT_UNLOCKED；已解鎖的清單由 TankGame 存進 localStorage。
+ */
+import { GAME_EVENT } from './constants.js';
+import { detachAll } from './gameSystems.js';
+
+// localStorage 的鍵值（與 tankgame-high-scores 同一命名方式）
+export const ACHIEVEMENT_STORAGE_KEY = 'tankgame-achievements';
+
+// 成就列表；goal 為需要累積的數量
+export const ACHIEVEMENTS = [
+  { id: 'first-blood', icon: '🎯', label: '首殺', description: '擊毀第一台敵軍' },
+  { id: 'untouchable', icon: '🛡️', label: '毫髮無傷', description: '整關沒有損失任何生命就過關' },
+  { id: 'demolition', icon: '🧱', label: '拆除專家', description: '一局打掉 50 塊牆', goal: 50 },
+  { id: 'collector', icon: '🎁', label: '收藏家', description: '一局撿到 10 個道具', goal: 10 },
+  { id: 'rampage', icon: '🔥', label: '勢不可擋', description: '沒被擊中連續擊毀 10 台敵軍', goal: 10 },
+  { id: 'survivor', icon: '🌊', label: '倖存者', description: '生存模式撐過第 10 波', goal: 10 },
+];
+
+const BY_ID = new Map(ACHIEVEMENTS.map(a => [a.id, a]));
+
+/**
+ * 解析 localStorage 中已解鎖的成就；不認得的 id 與重複項直接丟棄
+ * @param {string|null} text
+ * @returns {string[]}
+ */
+export function parseAchievements(text) {
+  if (!text) return [];
+  try {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? [...new Set(data.filter(id => BY_ID.has(id)))] : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 子彈是不是本機玩家打的
+ * @param {import('./Bullet.js').Bullet|null} bullet
+ * @returns {boolean}
+ */
+function isHumanShot(bullet) {
+  const owner = bullet?.owner;
+  return Boolean(owner?.isPlayer && !owner.isEscort && !owner.ai);
+}
+
+/**
+ * 建立成就系統
+ * @param {string[]} [unlockedIds] - 已解鎖的成就（parseAchievements() 的結果）
+ * @returns {import('./gameSystems.js').GameSystem & { getUnlocked: () => string[] }}
+ */
+export function createAchievementsSystem(unlockedIds = []) {
+  const unlocked = new Set(unlockedIds);
+
+  return {
+    name: 'achievements',
+
+    /** 已解鎖的成就 id（依解鎖順序）*/
+    getUnlocked() {
+      return [...unlocked];
+    },
+
+    attach(engine) {
+      const { events } = engine;
+      // 整局累計（開新局時歸零）與各玩家沒被擊中以來的擊毀數
+      let walls = 0;
+      let powerUps = 0;
+      let streaks = [];
+
+      const unlock = (id) => {
+        if (unlocked.has(id)) return;
+        unlocked.add(id);
+        events.emit(GAME_EVENT.ACHIEVEMENT_UNLOCKED, { achievement: BY_ID.get(id), unlocked: [...unlocked] });
+      };
+      const reach = (id, count) => {
+        if (count >= BY_ID.get(id).goal) unlock(id);
+      };
+      // 觀看重播時不解鎖
+      const listen = (type, handler) => events.on(type, (payload) => {
+        if (!engine.replayPlayer) handler(payload);
+      });
+
+      return detachAll(
+        listen(GAME_EVENT.STAGE_STARTED, ({ isNewRun }) => {
+          if (!isNewRun) return;
+          walls = 0;
+          powerUps = 0;
+          streaks = [];
+        }),
+        listen(GAME_EVENT.TANK_DESTROYED, ({ tank, bullet }) => {
+          if (tank.isPlayer || !isHumanShot(bullet)) return;
+          const index = bullet.owner.playerIndex;
+          streaks[index] = (streaks[index] ?? 0) + 1;
+          unlock('first-blood');
+          reach('rampage', streaks[index]);
+        }),
+        listen(GAME_EVENT.PLAYER_HIT, ({ player }) => {
+          streaks[player.playerIndex] = 0;
+        }),
+        listen(GAME_EVENT.WALL_DESTROYED, ({ bullet }) => {
+          if (isHumanShot(bullet)) reach('demolition', ++walls);
+        }),
+        listen(GAME_EVENT.POWER_UP_COLLECTED, ({ player }) => {
+          if (!player.ai) reach('collector', ++powerUps);
+        }),
+        listen(GAME_EVENT.LEVEL_CLEARED, () => {
+          if (engine.livesLost === 0) unlock('untouchable');
+        }),
+        listen(GAME_EVENT.WAVE_CLEARED, ({ wave }) => reach('survivor', wave)),
+      );
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * ============================================================
+ * 戰役關卡 (Campaign)
+ * ============================================================
+ * 內建關卡檔（src/levels/*.json）依序組成戰役；
+ * 打完最後一關後改用 mapGenerator 的程序化地圖無限延續。
+ * 戰役模式外掛（CAMPAIGN_MODE）依序判定關卡任務，決定過關或任務失敗。
+ */
+import { buildLevel, validateLevel } from './levelFormat.js';
+import { generateMap, getMapLayout } from './mapGenerator.js';
+import { getEnemyRoster, buildRoster } from './enemyRoster.js';
+import { ENEMIES_PER_LEVEL, GAME_MODE, GAME_OVER_REASON } from './constants.js';
+import { evaluateObjective, describeObjective, getObjectiveTimeLeft } from './objectives.js';
+import stage01 from '../levels/stage-01.json' with { type: 'json' };
+import stage02 from '../levels/stage-02.json' with { type: 'json' };
+import stage03 from '../levels/stage-03.json' with { type: 'json' };
+import stage04 from '../levels/stage-04.json' with { type: 'json' };
+
+// 依關卡順序排列；載入時即驗證，關卡檔寫錯會在啟動時直接報錯
+export const CAMPAIGN = [stage01, stage02, stage03, stage04].map(validateLevel);
+
+/**
+ * 載入指定關卡的地圖、出生配置與敵軍名單
+ * 牆壁先於名單產生，與原本 generateMap → getEnemyRoster 的亂數消耗順序一致。
+ * @param {number} level - 關卡 (1-based)
+ * @param {import('./Random.js').Random} rng - 遊戲的種子亂數來源
+ * @param {object[]} [campaign] - 關卡檔清單
+ * @param {number} [enemyCount] - 本關敵軍總數（關卡檔的組合依比例換算成這個數量）
+ * @returns {{
+ *   name: string|null,
+ *   walls: import('./Wall.js').Wall[],
+ *   layout: ReturnType<typeof getMapLayout>,
+ *   roster: string[],
+ *   targets: { time?: number, score?: number }|null,
+ *   objectives: { type: string, time?: number }[]|null,
+ * }} objectives — 依序完成的任務（objectives.js）；null = 殲滅全部敵軍
+ */
+export function loadStage(level, rng, campaign = CAMPAIGN, enemyCount = ENEMIES_PER_LEVEL) {
+  const data = campaign[level - 1];
+  if (!data) {
+    const walls = generateMap(level, rng);
+    const roster = getEnemyRoster(level, rng, enemyCount);
+    return { name: null, walls, layout: getMapLayout(), roster, targets: null, objectives: null };
+  }
+
+  const { name, walls, layout, mix, targets, objectives } = buildLevel(data);
+  const roster = mix ? buildRoster(mix, rng, enemyCount) : getEnemyRoster(level, rng, enemyCount);
+  return { name, walls, layout, roster, targets, objectives };
+}
+
+/**
+ * 是否達成關卡檔的捷徑過關條件（守住時間 / 本關得分）
+ * @param {import('./GameEngine.js').GameEngine} engine
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isTargetReached(engine, now) {
+  const { time, score } = engine.targets ?? {};
+  if (time && now >= time * 1000) return true;
+  if (score && engine.score - engine.stageStartScore >= score) return true;
+  return false;
+}
+
+/**
+ * 戰役模式（見 modes.js 的 GameModePlugin）
+ * @type {import('./modes.js').GameModePlugin}
+ */
+export const CAMPAIGN_MODE = {
+  id: GAME_MODE.CAMPAIGN,
+
+  loadStage(engine, level) {
+    return loadStage(level, engine.rng, engine.campaign, engine.config.enemiesPerLevel);
+  },
+
+  /**
+   * 依序判定關卡任務 — 完成就換下一項（計時重新起算），全部完成即過關，任一失敗即遊戲結束；
+   * 關卡檔的守住時間 / 得分目標達成時直接過關
+   */
+  update(engine, now) {
+    if (isTargetReached(engine, now)) {
+      engine.clearStage(now);
+      return;
+    }
+    for (let objective = engine.getObjective(); objective; objective = engine.getObjective()) {
+      const result = evaluateObjective(objective, {
+        elapsed: now - engine.objectiveStartedAt,
+        enemiesLeft: engine.roster.length - engine.enemiesDestroyed,
+        livesLost: engine.livesLost,
+        escort: engine.escortStatus,
+      });
+      if (!result) return;
+      if (!result.passed) {
+        engine.objectiveFailure = result.reason;
+        engine.endGame(GAME_OVER_REASON.OBJECTIVE);
+        return;
+      }
+      engine.objectiveIndex++;
+      engine.objectiveStartedAt = now;
+      engine.notifyStateChange();
+    }
+    engine.clearStage(now);
+  },
+
+  getProgress(engine) {
+    const progress = { name: engine.stageName };
+    if (engine.targets?.time) {
+      progress.timeLeft = Math.max(0, engine.targets.time * 1000 - engine.simTime);
+    }
+    if (engine.targets?.score) {
+      progress.scoreLeft = Math.max(0, engine.targets.score - (engine.score - engine.stageStartScore));
+    }
+    const objective = engine.objectives?.[engine.objectiveIndex];
+    if (objective) {
+      progress.objective = {
+        label: describeObjective(objective),
+        step: engine.objectiveIndex + 1,
+        steps: engine.objectives.length,
+        timeLeft: getObjectiveTimeLeft(objective, engine.simTime - engine.objectiveStartedAt),
+      };
+    }
+    return progress;
+  },
+};
@@ -11,35 +11,194 @@ export const DESIGN_WIDTH = 1280;
 export const DESIGN_HEIGHT = 720;
 export const ASPECT_RATIO = DESIGN_WIDTH / DESIGN_HEIGHT; // 16:9
 
+// ---- 模擬時間 (Simulation Timing) ----
+// 遊戲邏輯以固定步長推進，與顯示器更新率 (60Hz / 144Hz) 無關。
+// 下方所有「每步」數值皆以此步長為單位。
+export const SIM_TICK_RATE = 60;                 // 每秒模擬步數
+export const SIM_TICK_MS = 1000 / SIM_TICK_RATE; // 單一模擬步長（毫秒）
+export const MAX_FRAME_TIME = 250;               // 單幀最多補算的時間（避免切回分頁時瘋狂追趕）
+
 // ---- 坦克相關 (Tank) ----
 // 重要：坦克尺寸必須 < WALL_SIZE，才能通過單格寬的走廊
 export const TANK_SIZE = 32;               // 坦克邊長（比牆壁小 4px，確保能穿過走廊）
-export const TANK_SPEED = 2;               // 玩家坦克每幀移動距離（整數，避免浮點誤差）
+export const TANK_SPEED = 2;               // 玩家坦克每步移動距離（整數，避免浮點誤差）
 export const TANK_FIRE_COOLDOWN = 300;     // 玩家射擊冷卻時間（毫秒）
 export const PLAYER_MAX_LIVES = 3;         // 玩家初始生命數
+export const PLAYER_SPAWN_SHIELD = 2000;   // 玩家出生 / 重生後的無敵時間（毫秒）
+export const MAX_PLAYERS = 2;              // 本機同時遊玩人數上限（雙人合作）
+
+// ---- 陣營 (Teams) ----
+// 子彈只打得到不同陣營的坦克（友軍誤傷開啟時例外）。
+// 戰役中玩家同一陣營、敵軍同一陣營；死鬥模式每台坦克自成一隊（隊伍編號 = 玩家編號）。
+export const PLAYER_TEAM = 0;
+export const ENEMY_TEAM = -1;
 
 // ---- 敵軍相關 (Enemy) ----
-export const ENEMY_SPEED = 2;              // 敵軍移動速度（整數，與網格對齊）
-export const ENEMY_FIRE_COOLDOWN = 1500;   // 敵軍射擊冷卻（毫秒）
-export const ENEMY_DIR_CHANGE_INTERVAL = 2000; // 敵軍變換方向間隔（毫秒）
-export const MAX_ENEMIES = 4;              // 同時存在的敵軍最大數量
-export const ENEMY_SPAWN_INTERVAL = 3000;  // 敵軍生成間隔（毫秒）
+export const ENEMY_SPEED = 2;              // 基本型敵軍每步移動距離（整數，與網格對齊）
+export const ENEMY_FIRE_COOLDOWN = 1500;   // 基本型敵軍射擊冷卻（毫秒）
+export const MAX_ENEMIES = 4;              // 普通難度同時存在的敵軍數量（也是設定的預設上限）
+export const ENEMY_SPAWN_INTERVAL = 3000;  // 普通難度的敵軍生成間隔（毫秒）
 export const ENEMIES_PER_LEVEL = 8;        // 每關需擊敗的敵軍數
 
+// ---- 難度調節 (Difficulty Director) ----
+// 導演依玩家表現在 0~1 之間調整「強度」，再把強度換算成下列各項的實際數值。
+// 每個難度的範圍寫成 [強度 0 時, 強度 1 時]；普通難度以上方的 MAX_ENEMIES 與 ENEMY_SPAWN_INTERVAL
+// 為中點展開，強度 0.5 時即等於它們。
+//   spawnInterval — 敵軍生成間隔（毫秒）
+//   maxEnemies — 同時存在的敵軍上限
+//   aggression — 加在 AI 行為積極度上的增減
+//   typeShift — 每台出場敵軍換成「降一級 (<0) / 升一級 (>0)」類型的機率
+export const DIFFICULTY = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+};
+export const DIRECTOR_BOUNDS = {
+  [DIFFICULTY.EASY]: {
+    startIntensity: 0.4,
+    spawnInterval: [4500, 3000], maxEnemies: [2, 4], aggression: [-0.2, 0], typeShift: [-0.5, 0],
+  },
+  [DIFFICULTY.NORMAL]: {
+    startIntensity: 0.5,
+    spawnInterval: [ENEMY_SPAWN_INTERVAL * 1.2, ENEMY_SPAWN_INTERVAL * 0.8],
+    maxEnemies: [MAX_ENEMIES - 1, MAX_ENEMIES + 1],
+    aggression: [-0.1, 0.1], typeShift: [-0.3, 0.3],
+  },
+  [DIFFICULTY.HARD]: {
+    startIntensity: 0.6,
+    spawnInterval: [2800, 1600], maxEnemies: [4, 6], aggression: [0, 0.25], typeShift: [0, 0.5],
+  },
+};
+export const DIRECTOR_INTERVAL = 5000;     // 導演重新評估的間隔（模擬時間，毫秒）
+
+// ---- 關卡結算 (Stage Results) ----
+// 過關時依本關表現加分（各玩家分開計算，已用完生命的玩家不加分）
+export const STAGE_TIME_PAR = 90;              // 時間獎勵的基準秒數：每早一秒過關加分
+export const STAGE_TIME_BONUS_PER_SECOND = 20; // 時間獎勵：每秒的分數
+export const NO_DAMAGE_BONUS = 1000;           // 整關沒被擊中的獎勵
+export const ACCURACY_BONUS_MIN_SHOTS = 5;     // 開槍數不足時不給命中率獎勵
+// 命中率獎勵：由高到低比對，取第一個達到的門檻
+export const ACCURACY_BONUS = [
+  { minAccuracy: 0.75, points: 1000 },
+  { minAccuracy: 0.5, points: 500 },
+];
+export const EXTRA_LIFE_EVERY = 10000;         // 個人分數每跨過這個倍數就獎勵一條命
+
+// ---- 遊戲模式 (Game Mode) ----
+export const GAME_MODE = {
+  CAMPAIGN: 'campaign', // 戰役：合作守護基地、一關一關打下去
+  VERSUS: 'versus',     // 死鬥：玩家與電腦坦克在對稱競技場互相擊殺
+  SURVIVAL: 'survival', // 生存：同一張地圖上抵擋一波比一波多的敵軍
+};
+
+// ---- 遊戲事件 (Game Events) ----
+// GameEngine.events 發出的事件類型；計分、音效、爆炸效果、成就等系統訂閱這些事件（見 gameSystems.js）
+export const GAME_EVENT = {
+  STAGE_STARTED: 'stageStarted',         // { level, isNewRun } — 開始一關（含開新局）
+  BULLET_FIRED: 'bulletFired',           // { tank, bullet } — 任何坦克開火
+  WALL_HIT: 'wallHit',                   // { wall, bullet } — 子彈打中牆但沒打掉（磚牆被削、鐵牆火花）
+  WALL_DESTROYED: 'wallDestroyed',       // { wall, bullet } — 牆被打掉
+  TANK_DAMAGED: 'tankDamaged',           // { tank, bullet } — 重裝型被打中但還沒毀
+  TANK_DESTROYED: 'tankDestroyed',       // { tank, bullet } — 敵軍、死鬥坦克或護送目標被擊毀（手榴彈的 bullet 為 null）
+  PLAYER_HIT: 'playerHit',               // { player, bullet } — 玩家被擊中扣一條命（重生前發出）
+  BASE_DESTROYED: 'baseDestroyed',       // { base }
+  POWER_UP_COLLECTED: 'powerUpCollected', // { type, player }
+  EXTRA_LIFE: 'extraLife',               // { player } — 分數跨過門檻獎勵一條命
+  WAVE_CLEARED: 'waveCleared',           // { wave } — 生存模式清完一波
+  LEVEL_CLEARED: 'levelCleared',         // { level, results } — 過關（results 為本關結算表）
+  GAME_OVER: 'gameOver',                 // { reason } — GAME_OVER_REASON
+  STATE_CHANGED: 'stateChanged',         // HUD 資料（見 GameEngine.notifyStateChange）
+  ACHIEVEMENT_UNLOCKED: 'achievementUnlocked', // { achievement } — 由成就系統發出
+};
+
+// 遊戲結束的原因
+export const GAME_OVER_REASON = {
+  LIVES: 'lives',         // 所有玩家用完生命
+  BASE: 'base',           // 基地被摧毀
+  OBJECTIVE: 'objective', // 關卡任務失敗
+  MATCH: 'match',         // 死鬥比賽結束
+};
+
+// ---- 關卡任務 (Stage Objectives) ----
+// 關卡檔可以串接多個任務，依序完成才過關（沒寫任務的關卡 = 殲滅全部敵軍）
+export const OBJECTIVE_TYPE = {
+  DESTROY: 'destroy',   // 殲滅：擊毀本關全部敵軍（可加時間限制）
+  SURVIVE: 'survive',   // 堅守：撐過指定秒數
+  ESCORT: 'escort',     // 護送：友軍坦克開到出口（可加時間限制），被擊毀即失敗
+  FLAWLESS: 'flawless', // 無傷：擊毀全部敵軍，且本關沒有玩家損失生命
+};
+
+// ---- 死鬥模式 (Versus) ----
+export const VERSUS_MAX_TANKS = 4;           // 場上坦克上限（本機玩家 + 電腦坦克）
+export const VERSUS_FRAG_LIMIT = 10;         // 預設擊殺目標：先達到者獲勝
+export const VERSUS_TIME_LIMIT = 180;        // 預設時間限制（秒）：時間到由擊殺數最多者獲勝
+export const VERSUS_RESPAWN_DELAY = 3000;    // 被擊毀後多久重生（毫秒）
+// 電腦坦克的積極度（沿用敵軍 AI 的獵手行為，依難度設定）
+export const VERSUS_BOT_AGGRESSION = {
+  [DIFFICULTY.EASY]: 0.25,
+  [DIFFICULTY.NORMAL]: 0.55,
+  [DIFFICULTY.HARD]: 0.85,
+};
+
+// ---- 生存模式 (Survival) ----
+export const SURVIVAL_MAP_LEVEL = 6;             // 生存地圖以這一關的程序化地圖產生（水面、冰面、樹林都有）
+export const SURVIVAL_FIRST_WAVE = 6;            // 第 1 波的敵軍數
+export const SURVIVAL_WAVE_GROWTH = 2;           // 之後每一波多幾台
+export const SURVIVAL_FIRST_MAX_ENEMIES = 3;     // 第 1 波的同時在場上限
+export const SURVIVAL_MAX_ENEMIES_CAP = 8;       // 同時在場上限每兩波 +1，最多到這裡
+export const SURVIVAL_BREATHER = 6000;           // 波與波之間的喘息時間（毫秒）
+export const SURVIVAL_BRICK_REGEN_INTERVAL = 400; // 喘息期間每隔多久修復一塊磚牆（毫秒）
+export const SURVIVAL_STREAK_STEP = 5;           // 連續擊殺每滿幾台，分數倍率 +1
+export const SURVIVAL_MAX_MULTIPLIER = 4;        // 分數倍率上限
+
 // ---- 子彈相關 (Bullet) ----
 export const BULLET_SIZE = 6;              // 子彈邊長
-export const BULLET_SPEED = 6;             // 子彈每幀移動距離（整數）
+export const BULLET_SPEED = 6;             // 子彈每步移動距離（整數）
+
+// ---- 道具 (Power-up) ----
+export const POWER_UP_SIZE = 32;                // 道具邊長
+export const POWER_UP_LIFETIME = 12000;         // 道具留在地圖上的時間（毫秒）
+export const POWER_UP_CARRIER_EVERY = 4;        // 每第 N 台敵軍為閃爍的道具攜帶者
+export const POWER_UP_SHIELD_DURATION = 10000;  // 護盾：延長無敵時間（毫秒）
+export const POWER_UP_CLOCK_DURATION = 8000;    // 時鐘：凍結敵軍（毫秒）
+export const POWER_UP_SHOVEL_DURATION = 15000;  // 鏟子：基地護城變鐵牆（毫秒）
+
+// 星星：玩家砲管升級階段（索引 = 已吃到的星星數，最高 3）
+//   1 → 子彈變快；2 → 同時可有兩顆子彈；3 → 子彈可擊破鐵牆
+export const STAR_UPGRADES = [
+  { bulletSpeed: BULLET_SPEED, maxBullets: 1, bulletPower: 1 },
+  { bulletSpeed: 10, maxBullets: 1, bulletPower: 1 },
+  { bulletSpeed: 10, maxBullets: 2, bulletPower: 1 },
+  { bulletSpeed: 10, maxBullets: 2, bulletPower: 2 },
+];
+
+// ---- 爆炸效果 (Explosion) ----
+export const EXPLOSION_DURATION = 550;     // 爆炸淡出時間（毫秒）
+export const EXPLOSION_GROWTH = 0.09;      // 爆炸半徑擴張速度（px / 毫秒）
 
 // ---- 牆壁 / 地圖 (Wall / Map) ----
 export const WALL_SIZE = 36;               // 單一牆壁磚塊邊長
+export const GRID_COLS = Math.floor(DESIGN_WIDTH / WALL_SIZE);  // 地圖網格欄數（35）
+export const GRID_ROWS = Math.floor(DESIGN_HEIGHT / WALL_SIZE); // 地圖網格列數（20）
 export const WALL_COLOR_BRICK = '#8B4513'; // 磚牆顏色
 export const WALL_COLOR_STEEL = '#808080'; // 鐵牆顏色（不可破壞）
+export const WALL_COLOR_WATER = '#1E5AA8'; // 水面顏色
+export const WALL_COLOR_FOREST = '#2E7D32'; // 樹林顏色
+export const WALL_COLOR_ICE = '#BFE3F2';   // 冰面顏色
+export const ICE_SLIDE_DISTANCE = 16;      // 放開方向鍵後在冰面上滑行的距離（px）
 
 // ---- 顏色 (Colors) ----
-export const COLOR_PLAYER = '#00CC44';     // 玩家坦克顏色
+export const COLOR_PLAYER = '#00CC44';     // 1P 坦克顏色
+export const COLOR_PLAYER_2 = '#3399FF';   // 2P 坦克顏色
+export const COLOR_PLAYER_3 = '#DD55CC';   // 死鬥模式第 3 台坦克顏色
+export const COLOR_PLAYER_4 = '#E8A33A';   // 死鬥模式第 4 台坦克顏色
 export const COLOR_ENEMY = '#DD3333';      // 敵軍坦克顏色
+export const COLOR_ESCORT = '#E0E0E0';     // 護送目標（友軍坦克）顏色
+export const COLOR_EXIT = '#33FFAA';       // 護送出口標記
 export const COLOR_BULLET_PLAYER = '#FFFF00'; // 玩家子彈
 export const COLOR_BULLET_ENEMY = '#FF8800';  // 敵軍子彈
+export const COLOR_BASE = '#E8C547';       // 基地（老鷹）
+export const COLOR_BASE_DESTROYED = '#666666'; // 被摧毀的基地殘骸
 export const COLOR_BACKGROUND = '#1a1a2e'; // 遊戲背景色
 export const COLOR_GRID = '#16213e';       // 背景網格線顏色
 
@@ -62,6 +221,69 @@ export const GAME_STATE = {
 
 // ---- 牆壁類型 (Wall Type Enum) ----
 export const WALL_TYPE = {
-  BRICK: 'BRICK',   // 可被子彈摧毀
+  BRICK: 'BRICK',   // 可被子彈摧毀（依命中方向一次削掉四分之一塊）
   STEEL: 'STEEL',   // 不可摧毀
+  WATER: 'WATER',   // 水面：擋坦克，不擋子彈
+  FOREST: 'FOREST', // 樹林：不擋任何東西，畫在坦克上方遮住坦克
+  ICE: 'ICE',       // 冰面：不擋任何東西，坦克在上面會打滑
+};
+
+// ---- 道具類型 (Power-up Type Enum) ----
+export const POWER_UP_TYPE = {
+  STAR: 'STAR',         // 砲管升級
+  SHIELD: 'SHIELD',     // 護盾
+  GRENADE: 'GRENADE',   // 手榴彈：摧毀場上所有敵軍
+  CLOCK: 'CLOCK',       // 時鐘：凍結敵軍
+  SHOVEL: 'SHOVEL',     // 鏟子：基地護城暫時變鐵牆
+  LIFE: 'LIFE',         // 額外生命
+};
+
+// ---- 敵軍類型 (Enemy Type Enum) ----
+export const ENEMY_TYPE = {
+  BASIC: 'BASIC',   // 基本型：一般速度、一般火力
+  FAST: 'FAST',     // 快速型：移動快，火力普通
+  POWER: 'POWER',   // 火力型：子彈快、射速高
+  ARMOR: 'ARMOR',   // 重裝型：移動慢，需多次擊中
+};
+
+// ---- 敵軍 AI 行為 (Enemy AI Profile Enum) ----
+export const AI_PROFILE = {
+  WANDERER: 'WANDERER',       // 遊蕩者：在地圖上隨機挑目的地巡邏
+  HUNTER: 'HUNTER',           // 獵手：追著最近的玩家跑
+  BASE_RAIDER: 'BASE_RAIDER', // 突擊者：一路打穿磚牆衝向基地
+  SNIPER: 'SNIPER',           // 狙擊手：先移動到與玩家同一列 / 同一行、視線無阻的位置才開火
+  ESCORT: 'ESCORT',           // 護送目標：友軍坦克一路開往出口（不會被抽給敵軍）
+};
+
+// ---- 敵軍 AI 積極度 (Enemy AI Aggressiveness) ----
+// 積極度 0~1：越高越常重新規劃路線、對準目標時越果斷開火
+// 第 level 關的積極度 = min(max, base + growth × (level - 1))
+export const AI_PROFILE_STATS = {
+  [AI_PROFILE.WANDERER]: { base: 0.2, growth: 0.04, max: 0.6 },
+  [AI_PROFILE.HUNTER]: { base: 0.35, growth: 0.06, max: 0.9 },
+  [AI_PROFILE.BASE_RAIDER]: { base: 0.3, growth: 0.06, max: 0.9 },
+  [AI_PROFILE.SNIPER]: { base: 0.4, growth: 0.05, max: 1 },
+  [AI_PROFILE.ESCORT]: { base: 0.3, growth: 0.03, max: 0.6 },
+};
+
+// ---- 敵軍類型屬性 (Enemy Stats) ----
+// speed / bulletSpeed 為每步像素（整數，與網格對齊）；fireCooldown 為毫秒
+// colors 依剩餘耐久排列：colors[hp - 1]，重裝型受損時會變色
+export const ENEMY_STATS = {
+  [ENEMY_TYPE.BASIC]: {
+    speed: ENEMY_SPEED, bulletSpeed: BULLET_SPEED, fireCooldown: ENEMY_FIRE_COOLDOWN,
+    hp: 1, score: 100, colors: [COLOR_ENEMY], turretColor: '#FF6666',
+  },
+  [ENEMY_TYPE.FAST]: {
+    speed: 3, bulletSpeed: BULLET_SPEED, fireCooldown: ENEMY_FIRE_COOLDOWN,
+    hp: 1, score: 200, colors: ['#E07B2A'], turretColor: '#FFB070',
+  },
+  [ENEMY_TYPE.POWER]: {
+    speed: ENEMY_SPEED, bulletSpeed: 10, fireCooldown: 900,
+    hp: 1, score: 300, colors: ['#B83DBA'], turretColor: '#E08AE2',
+  },
+  [ENEMY_TYPE.ARMOR]: {
+    speed: 1, bulletSpeed: BULLET_SPEED, fireCooldown: ENEMY_FIRE_COOLDOWN,
+    hp: 4, score: 400, colors: [COLOR_ENEMY, '#D96C2C', '#C9A227', '#7A8B99'], turretColor: '#DDDDDD',
+  },
 };
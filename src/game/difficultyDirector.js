@@ -0,0 +1,258 @@
+/**
+ * ============================================================
+ * 難度導演 (Difficulty Director)
+ * ============================================================
+ * 在遊戲中持續觀察玩家表現，動態調整出兵節奏：
+ *   觀察 — 失去的生命、擊毀敵軍所花的時間、命中率、敵軍逼近基地的程度
+ *   調整 — 生成間隔、同時存在的敵軍上限、敵軍類型升降級、AI 積極度
+ *
+ * 每 DIRECTOR_INTERVAL 評估一次：把這段期間的表現換算成 -1 ~ 1 的「表現分」，
+ * 再以小步幅推動 0 ~ 1 的強度；所有調整值都限制在難度預設 (DIRECTOR_BOUNDS) 的範圍內。
+ * 只讀取模擬狀態、亂數一律來自引擎的 rng，因此同種子 + 同輸入的決策完全相同（重播可重現）。
+ * 每次強度改變都寫入 log，方便事後檢視導演為什麼這樣調。
+ */
+import {
+  DIFFICULTY, DIRECTOR_BOUNDS, DIRECTOR_INTERVAL, ENEMY_TYPE, WALL_SIZE,
+} from './constants.js';
+
+// 類型由弱到強，升降級時沿著這個順序移動一格
+const TYPE_LADDER = [ENEMY_TYPE.BASIC, ENEMY_TYPE.FAST, ENEMY_TYPE.POWER, ENEMY_TYPE.ARMOR];
+
+const STEP = 0.15;              // 表現分 ±1 時強度一次最多變動多少
+const LIFE_PENALTY = 0.6;       // 每失去一條命扣的表現分
+const ACCURACY_PAR = 0.4;       // 命中率高於此值加分、低於扣分
+const MIN_SHOTS = 4;            // 射擊數不足時不採計命中率
+const TIME_TO_KILL_PAR = 12000; // 擊毀一台敵軍的基準時間（毫秒）
+const DANGER_RADIUS = 4;        // 敵軍離基地幾格內算「逼近」
+const LOG_LIMIT = 200;          // log 最多保留幾筆（超過丟掉最舊的）
+
+export class DifficultyDirector {
+  /**
+   * @param {string} [difficulty] - DIFFICULTY
+   */
+  constructor(difficulty = DIFFICULTY.NORMAL) {
+    this.difficulty = difficulty;
+    this.bounds = DIRECTOR_BOUNDS[difficulty] ?? DIRECTOR_BOUNDS[DIFFICULTY.NORMAL];
+    this.intensity = this.bounds.startIntensity;  // 0 ~ 1，整局沿用
+    this.level = 1;
+    this.lastEvaluation = 0;
+    this.spawnTimes = new WeakMap();  // 敵軍 → 出場時間（計算擊毀耗時用）
+    this.log = [];                    // 決策紀錄
+    this._resetWindow();
+  }
+
+  // ---- 目前的調整值（依強度換算）----
+
+  /** 敵軍生成間隔（毫秒）*/
+  get spawnInterval() {
+    return Math.round(this._lerp(this.bounds.spawnInterval));
+  }
+
+  /** 同時存在的敵軍上限 */
+  get maxEnemies() {
+    return Math.round(this._lerp(this.bounds.maxEnemies));
+  }
+
+  /** 加在 AI 積極度上的增減 */
+  get aggressionBonus() {
+    return this._lerp(this.bounds.aggression);
+  }
+
+  /** 類型升降級機率（<0 降級、>0 升級）*/
+  get typeShift() {
+    return this._lerp(this.bounds.typeShift);
+  }
+
+  /**
+   * 目前所有調整值（快照 / log 用）
+   * @returns {{ intensity: number, spawnInterval: number, maxEnemies: number, aggressionBonus: number, typeShift: number }}
+   */
+  getSettings() {
+    return {
+      intensity: round2(this.intensity),
+      spawnInterval: this.spawnInterval,
+      maxEnemies: this.maxEnemies,
+      aggressionBonus: round2(this.aggressionBonus),
+      typeShift: round2(this.typeShift),
+    };
+  }
+
+  /**
+   * 進入新的一關：模擬時間歸零，清掉上一關未評估的觀察資料（強度保留）
+   * @param {number} level
+   */
+  startStage(level) {
+    this.level = level;
+    this.lastEvaluation = 0;
+    this._resetWindow();
+  }
+
+  /**
+   * 存檔用的純資料狀態（各台敵軍的出場時間由引擎存在敵軍資料裡）
+   * @returns {{ intensity: number, level: number, lastEvaluation: number, window: object, log: object[] }}
+   */
+  saveState() {
+    return {
+      intensity: this.intensity,
+      level: this.level,
+      lastEvaluation: this.lastEvaluation,
+      window: { ...this.window },
+      log: [...this.log],
+    };
+  }
+
+  /**
+   * 從存檔還原狀態（saveState() 的反向）
+   * @param {{ intensity: number, level: number, lastEvaluation: number, window: object, log: object[] }} state
+   */
+  loadState(state) {
+    this.intensity = state.intensity;
+    this.level = state.level;
+    this.lastEvaluation = state.lastEvaluation;
+    this.window = { ...state.window };
+    this.log = [...state.log];
+  }
+
+  // ---- 觀察 (由 GameEngine 在事件發生時呼叫) ----
+
+  /** 玩家開了一槍 */
+  recordShot() {
+    this.window.shots++;
+  }
+
+  /** 玩家子彈命中敵軍（含重裝型未擊毀的一擊）*/
+  recordHit() {
+    this.window.hits++;
+  }
+
+  /** 玩家失去一條命 */
+  recordLifeLost() {
+    this.window.livesLost++;
+  }
+
+  /**
+   * 敵軍出場
+   * @param {object} enemy
+   * @param {number} now
+   */
+  recordSpawn(enemy, now) {
+    this.spawnTimes.set(enemy, now);
+  }
+
+  /**
+   * 玩家擊毀敵軍
+   * @param {object} enemy
+   * @param {number} now
+   */
+  recordKill(enemy, now) {
+    const spawnedAt = this.spawnTimes.get(enemy);
+    if (spawnedAt === undefined) return;
+    this.window.killTime += now - spawnedAt;
+    this.window.kills++;
+  }
+
+  /**
+   * 每個模擬步呼叫：取樣敵軍與基地的距離，時間到就重新評估
+   * @param {number} now
+   * @param {{ x: number, y: number, alive: boolean }[]} enemies
+   * @param {{ x: number, y: number, alive: boolean }|null} base
+   */
+  update(now, enemies, base) {
+    if (base && base.alive) {
+      this.window.samples++;
+      const danger = DANGER_RADIUS * WALL_SIZE;
+      if (enemies.some(e => e.alive && Math.abs(e.x - base.x) + Math.abs(e.y - base.y) <= danger)) {
+        this.window.dangerSamples++;
+      }
+    }
+    if (now - this.lastEvaluation >= DIRECTOR_INTERVAL) {
+      this._evaluate(now);
+    }
+  }
+
+  /**
+   * 依強度決定出場敵軍的實際類型（可能升或降一級）
+   * @param {string} type - 名單上的 ENEMY_TYPE
+   * @param {import('./Random.js').Random} rng
+   * @returns {string}
+   */
+  adjustType(type, rng) {
+    const shift = this.typeShift;
+    if (Math.abs(shift) < 0.01 || !rng.chance(Math.abs(shift))) return type;
+
+    const index = TYPE_LADDER.indexOf(type);
+    const next = TYPE_LADDER[index + Math.sign(shift)];
+    return index < 0 || !next ? type : next;
+  }
+
+  // ---- 內部 ----
+
+  /**
+   * 依這段期間的觀察計算表現分並推動強度；強度有變化才寫 log
+   * @param {number} now
+   */
+  _evaluate(now) {
+    const metrics = this._getMetrics();
+    let skill = -metrics.livesLost * LIFE_PENALTY;
+    if (metrics.accuracy !== null) skill += metrics.accuracy - ACCURACY_PAR;
+    if (metrics.timeToKill !== null) {
+      skill += clamp((TIME_TO_KILL_PAR - metrics.timeToKill) / TIME_TO_KILL_PAR, -1, 1) * 0.5;
+    }
+    if (metrics.danger !== null) skill -= metrics.danger;
+    skill = clamp(skill, -1, 1);
+
+    const before = this.intensity;
+    this.intensity = clamp(before + skill * STEP, 0, 1);
+    this.lastEvaluation = now;
+    this._resetWindow();
+
+    if (Math.abs(this.intensity - before) < 0.001) return;
+    this.log.push({
+      level: this.level,
+      time: Math.round(now),
+      skill: round2(skill),
+      metrics,
+      ...this.getSettings(),
+    });
+    if (this.log.length > LOG_LIMIT) this.log.shift();
+  }
+
+  /**
+   * 本次評估期間的觀察摘要（資料不足的項目為 null）
+   * @returns {{ livesLost: number, accuracy: number|null, timeToKill: number|null, danger: number|null }}
+   */
+  _getMetrics() {
+    const { shots, hits, kills, killTime, livesLost, samples, dangerSamples } = this.window;
+    return {
+      livesLost,
+      accuracy: shots >= MIN_SHOTS ? round2(Math.min(1, hits / shots)) : null,
+      timeToKill: kills > 0 ? Math.round(killTime / kills) : null,
+      danger: samples > 0 ? round2(dangerSamples / samples) : null,
+    };
+  }
+
+  _resetWindow() {
+    this.window = { shots: 0, hits: 0, kills: 0, killTime: 0, livesLost: 0, samples: 0, dangerSamples: 0 };
+  }
+
+  /**
+   * 依強度在 [強度 0 的值, 強度 1 的值] 之間內插
+   * @param {[number, number]} range
+   * @returns {number}
+   */
+  _lerp([low, high]) {
+    return low + (high - low) * this.intensity;
+  }
+}
+
+// =============================================
+// 內部工具
+// =============================================
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
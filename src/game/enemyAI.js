@@ -0,0 +1,391 @@
+/**
+ * ============================================================
+ * 敵軍 AI (Enemy AI)
+ * ============================================================
+ * 以網格尋路（pathfinding.js）驅動敵軍。每台敵軍生成時抽一種行為（AI_PROFILE），
+ * 依行為挑選目的地，沿最便宜的路線一格一格前進：
+ *   - 遊蕩者：隨機挑一個開得到的格子巡邏
+ *   - 獵手：追向最近的玩家
+ *   - 突擊者：直奔基地
+ *   - 狙擊手：移動到與玩家同列 / 同行、視線無阻的位置，轉向玩家後才開火
+ *   - 護送目標：關卡任務中的友軍坦克，一路開往出口（world.exit），順手射擊擋在前面的敵軍
+ * 磚牆視為「要多花時間射穿」的格子：路線被磚牆擋住時原地轉向開火，打穿後再前進。
+ * 積極度（AI_PROFILE_STATS）隨關卡提高：更常重新規劃路線、對準目標時更果斷開火。
+ *
+ * 這裡只負責「決定」方向、是否前進、是否開火；實際移動與射擊由 GameEngine 執行，
+ * 因此坦克仍走 Tank.move()，轉向時的網格對齊照常生效。
+ */
+import {
+  AI_PROFILE, AI_PROFILE_STATS, DIR, WALL_SIZE, GRID_COLS as COLS, GRID_ROWS as ROWS,
+} from './constants.js';
+import { searchGrid, tracePath, toCell, cellKey } from './pathfinding.js';
+
+const { WANDERER, HUNTER, BASE_RAIDER, SNIPER, ESCORT } = AI_PROFILE;
+
+// 各關的行為組合（權重；從 fromLevel 起套用，直到下一筆）
+const PROFILE_MIX = [
+  { fromLevel: 1, mix: { [WANDERER]: 5, [HUNTER]: 2, [BASE_RAIDER]: 1 } },
+  { fromLevel: 2, mix: { [WANDERER]: 4, [HUNTER]: 2, [BASE_RAIDER]: 2, [SNIPER]: 1 } },
+  { fromLevel: 4, mix: { [WANDERER]: 3, [HUNTER]: 3, [BASE_RAIDER]: 2, [SNIPER]: 2 } },
+  { fromLevel: 7, mix: { [WANDERER]: 1, [HUNTER]: 3, [BASE_RAIDER]: 3, [SNIPER]: 3 } },
+];
+
+// 路線成本：走一格 = MOVE_COST；磚牆再加上射穿它所需的時間
+const MOVE_COST = 1;
+const BRICK_COST = 3;
+
+// 重新規劃路線的間隔（毫秒）：積極度 0 → REPLAN_SLOW，1 → REPLAN_FAST
+const REPLAN_SLOW = 2500;
+const REPLAN_FAST = 500;
+
+// 想前進卻連續這麼多步沒動（被其他坦克擋住）→ 改走一條隨機路線繞開
+const STUCK_TICKS = 30;
+
+// 狙擊手與玩家至少保持的距離（格）
+const SNIPER_MIN_RANGE = 3;
+
+// 各方向的格子位移
+const STEP = {
+  [DIR.UP]: [0, -1],
+  [DIR.DOWN]: [0, 1],
+  [DIR.LEFT]: [-1, 0],
+  [DIR.RIGHT]: [1, 0],
+};
+
+/**
+ * 取得關卡的行為組合
+ * @param {number} level
+ * @returns {Object<string, number>} AI_PROFILE → 權重
+ */
+export function getProfileMix(level) {
+  let current = PROFILE_MIX[0].mix;
+  for (const entry of PROFILE_MIX) {
+    if (level >= entry.fromLevel) current = entry.mix;
+  }
+  return current;
+}
+
+/**
+ * 依關卡的行為組合抽一種行為
+ * @param {number} level
+ * @param {import('./Random.js').Random} rng
+ * @returns {string} AI_PROFILE
+ */
+export function pickProfile(level, rng) {
+  const entries = Object.entries(getProfileMix(level));
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng.int(total);
+  for (const [profile, weight] of entries) {
+    if (roll < weight) return profile;
+    roll -= weight;
+  }
+  return WANDERER;
+}
+
+/**
+ * 行為在某一關的積極度
+ * @param {string} profile - AI_PROFILE
+ * @param {number} level
+ * @returns {number} 0 ~ 1
+ */
+export function getAggression(profile, level) {
+  const { base, growth, max } = AI_PROFILE_STATS[profile];
+  return Math.min(max, base + growth * (level - 1));
+}
+
+/**
+ * 建立一台敵軍的 AI 狀態（存放在 tank.ai）
+ * @param {string} profile - AI_PROFILE
+ * @param {number} level
+ * @param {number} [aggressionBonus] - 難度導演加上的積極度增減
+ * @returns {object}
+ */
+export function createAIState(profile, level, aggressionBonus = 0) {
+  return {
+    profile,
+    aggression: Math.max(0, Math.min(1, getAggression(profile, level) + aggressionBonus)),
+    path: [],          // 接下來要走的格子（不含目前所在格）
+    replanAt: 0,       // 下次重新規劃的模擬時間
+    advancing: false,  // 上一步是否想前進（判斷被擋住用）
+    stuckTicks: 0,
+    lastX: null,
+    lastY: null,
+    detour: false,     // 被擋住：下一次規劃改走隨機路線
+  };
+}
+
+/**
+ * 將牆壁整理成以格子查詢的導航資料（每一步建一次，所有敵軍共用）
+ * @param {Array} walls - 目前的牆壁陣列
+ * @param {{ x: number, y: number, alive: boolean }|null} base
+ * @returns {{ tiles: Map<string, object>, base: { c: number, r: number }|null }}
+ */
+export function createNavGrid(walls, base) {
+  const tiles = new Map();
+  for (const wall of walls) {
+    if (!wall.alive) continue;
+    const key = cellKey(toCell(wall));
+    // 同一格疊了多塊時，以最擋路的為準
+    if (tileRank(wall) > tileRank(tiles.get(key))) tiles.set(key, wall);
+  }
+  return { tiles, base: base?.alive ? toCell(base) : null };
+}
+
+/**
+ * 決定敵軍這一步的行動
+ * @param {import('./Tank.js').Tank} enemy - 已有 ai 狀態的敵軍
+ * @param {{
+ *   nav: object,
+ *   players: Array,
+ *   base: object|null,
+ *   rng: import('./Random.js').Random,
+ *   exit?: { c: number, r: number },
+ * }} world - nav 為 createNavGrid() 的結果；exit 為護送目標要去的出口格
+ * @param {number} now - 模擬時間
+ * @returns {{ direction: string|null, advance: boolean, fire: boolean }}
+ *   direction — 要面向的方向（null = 不轉向）；advance — 是否朝該方向前進；fire — 是否嘗試開火
+ */
+export function thinkEnemy(enemy, world, now) {
+  const { ai } = enemy;
+  const { nav, rng } = world;
+
+  // ---- 被擋住偵測 ----
+  const moved = ai.lastX !== enemy.x || ai.lastY !== enemy.y;
+  ai.stuckTicks = ai.advancing && !moved ? ai.stuckTicks + 1 : 0;
+  ai.lastX = enemy.x;
+  ai.lastY = enemy.y;
+  if (ai.stuckTicks >= STUCK_TICKS) {
+    ai.stuckTicks = 0;
+    ai.detour = true;
+    ai.replanAt = 0;
+  }
+
+  // ---- 重新規劃（遊蕩者到達目的地就立刻換下一個）----
+  const arrivedWandering = ai.path.length === 0 && (ai.profile === WANDERER || ai.detour);
+  if (now >= ai.replanAt || arrivedWandering) {
+    planRoute(enemy, world);
+    const interval = REPLAN_SLOW + (REPLAN_FAST - REPLAN_SLOW) * ai.aggression;
+    ai.replanAt = now + interval * rng.range(0.8, 1.2);
+  }
+
+  // ---- 沿路線前進 ----
+  while (ai.path.length > 0 && hasArrived(enemy, ai.path[0])) ai.path.shift();
+
+  let direction = null;
+  let advance = false;
+  let fire = false;
+  if (ai.path.length > 0) {
+    const next = ai.path[0];
+    direction = directionTo(enemy, cellPoint(next));
+    // 下一格是磚牆或基地 → 原地開火打穿
+    const shootable = isShootable(nav, next);
+    advance = !shootable;
+    fire = shootable;
+  } else {
+    // 已就位（狙擊手）或無路可走：轉向目標
+    const target = pickTarget(enemy, world);
+    if (target) direction = directionTo(enemy, target);
+  }
+  ai.advancing = advance;
+
+  // ---- 開火：對準目標時依積極度開火；狙擊手以外偶爾亂槍 ----
+  if (!fire) {
+    const facing = direction ?? enemy.direction;
+    if (hasTargetInLine(enemy, facing, world)) {
+      fire = rng.chance(0.05 + 0.45 * ai.aggression);
+    } else if (ai.profile !== SNIPER) {
+      fire = rng.chance(0.01 + 0.01 * ai.aggression);
+    }
+  }
+
+  return { direction, advance, fire };
+}
+
+// =============================================
+// 內部工具
+// =============================================
+
+/**
+ * 依行為挑選目的地並規劃路線，結果寫入 enemy.ai.path
+ */
+function planRoute(enemy, world) {
+  const { ai } = enemy;
+  const { nav, rng } = world;
+  const start = tankCell(enemy);
+
+  let goal = null;
+  let candidates = null;
+  if (!ai.detour) {
+    const player = nearestPlayer(enemy, world.players);
+    if (ai.profile === HUNTER) {
+      goal = player ? tankCell(player) : nav.base;
+    } else if (ai.profile === BASE_RAIDER) {
+      goal = nav.base ?? (player && tankCell(player));
+    } else if (ai.profile === SNIPER && player) {
+      candidates = firingPositions(nav, tankCell(player));
+    } else if (ai.profile === ESCORT) {
+      goal = world.exit ?? null;
+    }
+  }
+  ai.detour = false;
+
+  const goalKey = goal && cellKey(goal);
+  const { costs, parents } = searchGrid(start, cell => stepCost(nav, cell, goalKey));
+
+  if (candidates) {
+    // 狙擊手：挑路線最便宜的射擊位置
+    goal = null;
+    for (const cell of candidates) {
+      const cost = costs.get(cellKey(cell));
+      if (cost !== undefined && (goal === null || cost < costs.get(cellKey(goal)))) goal = cell;
+    }
+  } else if (!goal) {
+    // 遊蕩者（或被擋住）：隨機挑一個開得到的格子
+    const [key] = rng.pick([...costs.entries()]);
+    const [c, r] = key.split(',').map(Number);
+    goal = { c, r };
+  }
+
+  ai.path = goal && costs.has(cellKey(goal)) ? tracePath(parents, goal).reverse().slice(1) : [];
+}
+
+/**
+ * 進入某格的成本；-1 = 無法進入（鐵牆、水面、基地、地圖外）
+ * goalKey 所在格一律可進入（突擊者的目的地是基地本身）
+ */
+function stepCost(nav, cell, goalKey) {
+  if (isOutside(cell)) return -1;
+  const key = cellKey(cell);
+  if (key === goalKey) return MOVE_COST;
+  if (nav.base && key === cellKey(nav.base)) return -1;
+  const wall = nav.tiles.get(key);
+  if (!wall || !wall.blocksTanks) return MOVE_COST;
+  return wall.destructible ? MOVE_COST + BRICK_COST : -1;
+}
+
+/**
+ * 從玩家所在格往四個方向延伸、子彈打得到的格子（狙擊手的射擊位置）
+ * 子彈可飛越水面，但坦克不能停在水上；遇到磚牆、鐵牆或基地就停止延伸。
+ * @returns {{ c: number, r: number }[]}
+ */
+function firingPositions(nav, target) {
+  const cells = [];
+  const baseKey = nav.base && cellKey(nav.base);
+  for (const [dc, dr] of Object.values(STEP)) {
+    for (let k = 1; ; k++) {
+      const cell = { c: target.c + dc * k, r: target.r + dr * k };
+      if (isOutside(cell)) break;
+      const key = cellKey(cell);
+      const wall = nav.tiles.get(key);
+      if (key === baseKey || wall?.blocksBullets) break;
+      if (k >= SNIPER_MIN_RANGE && !wall?.blocksTanks) cells.push(cell);
+    }
+  }
+  return cells;
+}
+
+/**
+ * 面向 direction 時，前方是否有玩家或基地，且中間沒有打不穿的牆（磚牆可以一路打穿）
+ */
+function hasTargetInLine(enemy, direction, world) {
+  const { nav } = world;
+  const targets = world.players.filter(p => p.alive);
+  if (world.base?.alive) targets.push(world.base);
+
+  const from = tankCell(enemy);
+  const [dc, dr] = STEP[direction];
+  for (const target of targets) {
+    const to = tankCell(target);
+    const aligned = dc === 0 ? to.c === from.c : to.r === from.r;
+    const ahead = dc === 0 ? Math.sign(to.r - from.r) === dr : Math.sign(to.c - from.c) === dc;
+    if (!aligned || !ahead) continue;
+
+    let clear = true;
+    for (let k = 1; k < Math.abs(to.c - from.c) + Math.abs(to.r - from.r); k++) {
+      const wall = nav.tiles.get(cellKey({ c: from.c + dc * k, r: from.r + dr * k }));
+      if (wall?.blocksBullets && !wall.destructible) {
+        clear = false;
+        break;
+      }
+    }
+    if (clear) return true;
+  }
+  return false;
+}
+
+/**
+ * 無路可走時要面向的目標：狙擊手與獵手看玩家，其餘看基地
+ * @returns {{ x: number, y: number }|null}
+ */
+function pickTarget(enemy, world) {
+  const player = nearestPlayer(enemy, world.players);
+  const base = world.base?.alive ? world.base : null;
+  const prefersPlayer = enemy.ai.profile === SNIPER || enemy.ai.profile === HUNTER;
+  return (prefersPlayer ? player ?? base : base ?? player) ?? null;
+}
+
+/**
+ * 最近的存活玩家（曼哈頓距離）
+ */
+function nearestPlayer(enemy, players) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const player of players) {
+    if (!player.alive) continue;
+    const distance = Math.abs(player.x - enemy.x) + Math.abs(player.y - enemy.y);
+    if (distance < bestDistance) {
+      best = player;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * 朝某個點（格子左上角）前進的方向：取相差較多的軸
+ * @returns {string} DIR
+ */
+function directionTo(enemy, { x, y }) {
+  const dx = x - enemy.x;
+  const dy = y - enemy.y;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? DIR.RIGHT : DIR.LEFT;
+  return dy > 0 ? DIR.DOWN : DIR.UP;
+}
+
+/**
+ * 是否已抵達某格（兩軸都在一步之內；剩下的誤差由轉向時的網格對齊吸收）
+ */
+function hasArrived(enemy, cell) {
+  const { x, y } = cellPoint(cell);
+  return Math.abs(enemy.x - x) < enemy.speed && Math.abs(enemy.y - y) < enemy.speed;
+}
+
+/** 下一格是否要用子彈打開：磚牆或基地 */
+function isShootable(nav, cell) {
+  const key = cellKey(cell);
+  if (nav.base && key === cellKey(nav.base)) return true;
+  const wall = nav.tiles.get(key);
+  return Boolean(wall?.blocksTanks && wall.destructible);
+}
+
+/** 是否落在外框或地圖之外 */
+function isOutside({ c, r }) {
+  return c <= 0 || r <= 0 || c >= COLS - 1 || r >= ROWS - 1;
+}
+
+/** 坦克（或基地）左上角最接近的格子 */
+function tankCell({ x, y }) {
+  return { c: Math.round(x / WALL_SIZE), r: Math.round(y / WALL_SIZE) };
+}
+
+/** 格子 → 設計座標（格子左上角） */
+function cellPoint({ c, r }) {
+  return { x: c * WALL_SIZE, y: r * WALL_SIZE };
+}
+
+/** 同一格疊多塊牆時的優先順序：不擋路 < 磚牆 < 鐵牆 / 水面 */
+function tileRank(wall) {
+  if (!wall) return -1;
+  if (!wall.blocksTanks) return 0;
+  return wall.destructible ? 1 : 2;
+}
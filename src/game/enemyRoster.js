@@ -0,0 +1,67 @@
+/**
+ * ============================================================
+ * 敵軍出場名單 (Enemy Roster)
+ * ============================================================
+ * 每一關的敵軍類型組合。關卡越高，快速 / 火力 / 重裝坦克越多，
+ * 難度不再只靠地圖牆壁密度 (rowSpacing) 拉開。
+ */
+import { ENEMY_TYPE, ENEMIES_PER_LEVEL } from './constants.js';
+
+const { BASIC, FAST, POWER, ARMOR } = ENEMY_TYPE;
+
+// 各關的類型組合（以 8 台為基準；從 fromLevel 起套用，直到下一筆）
+const ROSTER_MIX = [
+  { fromLevel: 1, mix: { [BASIC]: 8 } },
+  { fromLevel: 2, mix: { [BASIC]: 6, [FAST]: 2 } },
+  { fromLevel: 3, mix: { [BASIC]: 4, [FAST]: 2, [POWER]: 2 } },
+  { fromLevel: 4, mix: { [BASIC]: 3, [FAST]: 2, [POWER]: 2, [ARMOR]: 1 } },
+  { fromLevel: 5, mix: { [BASIC]: 2, [FAST]: 2, [POWER]: 2, [ARMOR]: 2 } },
+  { fromLevel: 7, mix: { [BASIC]: 1, [FAST]: 2, [POWER]: 2, [ARMOR]: 3 } },
+  { fromLevel: 9, mix: { [FAST]: 2, [POWER]: 3, [ARMOR]: 3 } },
+];
+
+/**
+ * 取得關卡的類型組合
+ * @param {number} level
+ * @returns {Object<string, number>}
+ */
+export function getRosterMix(level) {
+  let current = ROSTER_MIX[0].mix;
+  for (const entry of ROSTER_MIX) {
+    if (level >= entry.fromLevel) current = entry.mix;
+  }
+  return current;
+}
+
+/**
+ * 產生本關的敵軍出場順序
+ * @param {number} level - 關卡 (1-based)
+ * @param {import('./Random.js').Random} rng - 遊戲的種子亂數來源
+ * @param {number} [count] - 本關敵軍總數
+ * @returns {string[]} ENEMY_TYPE 陣列，依出場順序排列
+ */
+export function getEnemyRoster(level, rng, count = ENEMIES_PER_LEVEL) {
+  return buildRoster(getRosterMix(level), rng, count);
+}
+
+/**
+ * 依類型組合產生出場順序（關卡檔自訂的組合也走這裡）
+ * @param {Object<string, number>} mix - ENEMY_TYPE → 台數
+ * @param {import('./Random.js').Random} rng
+ * @param {number} [count] - 總台數；省略時照組合原數量
+ * @returns {string[]}
+ */
+export function buildRoster(mix, rng, count) {
+  const total = Object.values(mix).reduce((sum, n) => sum + n, 0);
+  count ??= total;
+
+  // 依比例換算成 count 台（捨去後不足的部分補基本型）
+  const roster = [];
+  for (const [type, n] of Object.entries(mix)) {
+    const scaled = Math.floor((n / total) * count);
+    for (let i = 0; i < scaled; i++) roster.push(type);
+  }
+  while (roster.length < count) roster.push(BASIC);
+
+  return rng.shuffle(roster);
+}
@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * 每局遊戲設定 (Game Config)
+ * ============================================================
+ * 玩家在開局前可調整的數值：難度預設（簡單 / 普通 / 困難）與進階選項。
+ * GameEngine 開新局時收下一份設定，再交給 Tank / Bullet，
+ * 取代原本寫死在 constants.js 的數值（那些常數仍是「普通」預設的來源）。
+ *
+ * mode 決定玩哪一種模式（戰役 / 死鬥 / 生存，或以 registerMode() 註冊的外掛模式），
+ * 死鬥另有擊殺目標、時間限制與電腦坦克數。
+ *
+ * 設定會以 JSON 存進 localStorage，也會寫進重播檔，
+ * 因此讀回來的資料一律經過 createGameConfig() 補齊與夾限範圍。
+ */
+import {
+  DIFFICULTY, PLAYER_MAX_LIVES, ENEMIES_PER_LEVEL, MAX_ENEMIES, ENEMY_FIRE_COOLDOWN,
+  GAME_MODE, VERSUS_FRAG_LIMIT, VERSUS_TIME_LIMIT, VERSUS_MAX_TANKS,
+} from './constants.js';
+import { hasMode } from './modes.js';
+
+// localStorage 的鍵值（與 tankgame-music-muted 同一命名方式）
+export const SETTINGS_STORAGE_KEY = 'tankgame-settings';
+
+// 各難度預設；difficulty 同時決定難度導演的調整範圍 (DIRECTOR_BOUNDS)
+export const DIFFICULTY_PRESETS = {
+  [DIFFICULTY.EASY]: {
+    lives: 5, enemiesPerLevel: 6, maxEnemies: 4, enemyFireCooldown: 2000, friendlyFire: false,
+  },
+  [DIFFICULTY.NORMAL]: {
+    lives: PLAYER_MAX_LIVES, enemiesPerLevel: ENEMIES_PER_LEVEL, maxEnemies: MAX_ENEMIES,
+    enemyFireCooldown: ENEMY_FIRE_COOLDOWN, friendlyFire: false,
+  },
+  [DIFFICULTY.HARD]: {
+    lives: 2, enemiesPerLevel: 12, maxEnemies: 6, enemyFireCooldown: 1100, friendlyFire: false,
+  },
+};
+
+// 進階選項的數值範圍（設定畫面的輸入框與讀檔時的夾限共用）
+//   maxEnemies 是硬上限：難度導演調出來的數量不會超過它
+//   enemyFireCooldown 是基本型的冷卻，其他類型依 ENEMY_STATS 的比例一起縮放
+export const CONFIG_LIMITS = {
+  lives: { min: 1, max: 9, step: 1 },
+  enemiesPerLevel: { min: 1, max: 40, step: 1 },
+  maxEnemies: { min: 1, max: 8, step: 1 },
+  enemyFireCooldown: { min: 300, max: 5000, step: 100 },
+  startLevel: { min: 1, max: 50, step: 1 },
+  fragLimit: { min: 1, max: 50, step: 1 },
+  timeLimit: { min: 30, max: 900, step: 30 },     // 秒
+  bots: { min: 0, max: VERSUS_MAX_TANKS - 1, step: 1 },
+};
+
+// 不屬於難度預設的欄位：切換難度時原樣保留
+const MATCH_KEYS = ['startLevel', 'mode', 'fragLimit', 'timeLimit', 'bots'];
+
+export const DEFAULT_GAME_CONFIG = Object.freeze(createGameConfig());
+
+/**
+ * 建立一份完整的設定：以難度預設為底，再套用 overrides；數值超出範圍會被夾回來
+ * @param {object} [input] - 部分設定（可來自 localStorage、重播檔或連線房間；不是物件時視為空設定）
+ * @returns {{
+ *   difficulty: string, lives: number, enemiesPerLevel: number, maxEnemies: number,
+ *   enemyFireCooldown: number, friendlyFire: boolean, startLevel: number,
+ *   mode: string, fragLimit: number, timeLimit: number, bots: number,
+ * }}
+ */
+export function createGameConfig(input = {}) {
+  const overrides = input && typeof input === 'object' ? input : {};
+  const difficulty = DIFFICULTY_PRESETS[overrides.difficulty] ? overrides.difficulty : DIFFICULTY.NORMAL;
+  const mode = Object.values(GAME_MODE).includes(overrides.mode) || hasMode(overrides.mode)
+    ? overrides.mode
+    : GAME_MODE.CAMPAIGN;
+  const config = {
+    difficulty, ...DIFFICULTY_PRESETS[difficulty], startLevel: 1,
+    mode, fragLimit: VERSUS_FRAG_LIMIT, timeLimit: VERSUS_TIME_LIMIT, bots: 1,
+  };
+
+  for (const [key, { min, max }] of Object.entries(CONFIG_LIMITS)) {
+    const value = overrides[key];
+    if (Number.isFinite(value)) config[key] = Math.max(min, Math.min(max, Math.round(value)));
+  }
+  if (typeof overrides.friendlyFire === 'boolean') config.friendlyFire = overrides.friendlyFire;
+  return config;
+}
+
+/**
+ * 套用難度預設（保留起始關卡與模式設定，其餘進階選項換成該難度的數值）
+ * @param {object} config
+ * @param {string} difficulty - DIFFICULTY
+ * @returns {object}
+ */
+export function applyPreset(config, difficulty) {
+  const kept = Object.fromEntries(MATCH_KEYS.map(key => [key, config[key]]));
+  return createGameConfig({ ...kept, difficulty });
+}
+
+/**
+ * 設定是否與某個難度預設完全相同（否則設定畫面顯示「自訂」）
+ * @param {object} config
+ * @returns {string|null} 相符的 DIFFICULTY；有改過進階選項則為 null
+ */
+export function matchPreset(config) {
+  const preset = DIFFICULTY_PRESETS[config.difficulty];
+  return Object.entries(preset).every(([key, value]) => config[key] === value) ? config.difficulty : null;
+}
+
+/**
+ * 解析 localStorage 中的設定；不存在或損毀時回到普通難度預設
+ * @param {string|null} text
+ * @returns {object}
+ */
+export function parseGameConfig(text) {
+  if (!text) return createGameConfig();
+  try {
+    return createGameConfig(JSON.parse(text));
+  } catch {
+    return createGameConfig();
+  }
+}
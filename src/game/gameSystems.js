@@ -0,0 +1,202 @@
+/**
+ * ============================================================
+ * 遊戲系統 (Game Systems)
+ * ============================================================
+ * 訂閱 GameEngine.events 的規則模組，取代原本散落在引擎各處的計分、難度取樣、音效與爆炸效果：
+ *   - 計分：擊毀得分（套用模式的倍率）、開槍 / 命中 / 擊毀統計、被擊中時連殺歸零
+ *   - 難度導演：把玩家的開槍、命中、擊毀與失去生命回報給 engine.director
+ *   - 音效：把事件對應到 SoundEffects 的方法（靜默模式下不播）
+ *   - 效果：在擊毀、命中、打牆的位置產生爆炸動畫
+ *
+ * 系統是 { name, attach(engine) } 物件，attach 回傳取消訂閱的函式；
+ * 以 engine.addSystem() 註冊、engine.removeSystem(name) 移除（成就系統見 achievements.js）。
+ * 計分與難度導演會改變模擬結果，必須在每個引擎（含伺服器與重播）都註冊；音效與效果只影響表現。
+ */
+import { GAME_EVENT, GAME_OVER_REASON } from './constants.js';
+
+/**
+ * @typedef {{ name: string, attach: (engine: import('./GameEngine.js').GameEngine) => (() => void) }} GameSystem
+ */
+
+/**
+ * 把多個取消訂閱函式合成一個
+ * @param {...Function} offs
+ * @returns {() => void}
+ */
+export function detachAll(...offs) {
+  return () => offs.forEach(off => off());
+}
+
+/**
+ * 計分系統
+ * 玩家子彈的命中與得分歸開火的玩家（無主的子彈算 1P）；護送目標的子彈只計入過關數。
+ * 死鬥的擊殺數屬於比賽規則，由 versus.js 處理。
+ * @returns {GameSystem}
+ */
+export function createScoringSystem() {
+  return {
+    name: 'scoring',
+    attach(engine) {
+      const { events } = engine;
+      const shooterOf = (bullet) => {
+        const { owner } = bullet;
+        if (owner?.isEscort) return null;
+        return owner?.isPlayer ? owner : engine.player;
+      };
+      const countHit = (bullet) => {
+        if (bullet.owner?.isEscort) return;
+        engine.runStats.hits++;
+        const shooter = shooterOf(bullet);
+        if (shooter) engine.stageStats[shooter.playerIndex].hits++;
+      };
+
+      return detachAll(
+        events.on(GAME_EVENT.BULLET_FIRED, ({ tank }) => {
+          // 只統計本機玩家親手開的槍（電腦坦克、護送目標與敵軍不算）
+          if (!tank.isPlayer || tank.ai) return;
+          engine.runStats.shots++;
+          engine.stageStats[tank.playerIndex].shots++;
+        }),
+        events.on(GAME_EVENT.TANK_DAMAGED, ({ tank, bullet }) => {
+          if (!tank.isPlayer) countHit(bullet);
+        }),
+        events.on(GAME_EVENT.TANK_DESTROYED, ({ tank, bullet }) => {
+          if (tank.isPlayer) return;
+          engine.runStats.kills++;
+          // 手榴彈炸掉的敵軍計入擊毀數，但不加分
+          if (!bullet) return;
+          countHit(bullet);
+          const shooter = shooterOf(bullet);
+          if (!shooter) return;
+          engine.addScore(shooter, engine.mode.scoreKill?.(engine, shooter, tank) ?? tank.scoreValue);
+          engine.stageStats[shooter.playerIndex].kills[tank.type]++;
+        }),
+        events.on(GAME_EVENT.PLAYER_HIT, ({ player }) => {
+          player.streak = 0;
+          engine.stageStats[player.playerIndex].damageTaken++;
+        }),
+      );
+    },
+  };
+}
+
+/**
+ * 難度導演系統：回報玩家表現給 engine.director（開新局或讀檔時導演會換新，因此每次都從引擎取）
+ * 只計本機玩家親手開的槍；護送目標的命中不算，但它的擊毀仍計入擊殺時間。手榴彈的擊毀不算。
+ * @returns {GameSystem}
+ */
+export function createDirectorSystem() {
+  return {
+    name: 'director',
+    attach(engine) {
+      const { events } = engine;
+      const countHit = (bullet) => {
+        if (!bullet.owner?.isEscort) engine.director.recordHit();
+      };
+
+      return detachAll(
+        events.on(GAME_EVENT.BULLET_FIRED, ({ tank }) => {
+          if (tank.isPlayer && !tank.ai) engine.director.recordShot();
+        }),
+        events.on(GAME_EVENT.TANK_DAMAGED, ({ tank, bullet }) => {
+          if (!tank.isPlayer) countHit(bullet);
+        }),
+        events.on(GAME_EVENT.TANK_DESTROYED, ({ tank, bullet }) => {
+          if (tank.isPlayer || !bullet) return;
+          countHit(bullet);
+          engine.director.recordKill(tank, engine.simTime);
+        }),
+        events.on(GAME_EVENT.PLAYER_HIT, () => engine.director.recordLifeLost()),
+      );
+    },
+  };
+}
+
+/**
+ * 音效系統
+ * @param {object} audio - 音效輸出（SoundEffects 介面：playShoot、playExplosion…）
+ * @returns {GameSystem}
+ */
+export function createSoundSystem(audio) {
+  return {
+    name: 'sound',
+    attach(engine) {
+      const { events } = engine;
+      const play = (name, ...args) => {
+        if (!engine.silent) audio[name]?.(...args);
+      };
+      // 同一步只播一次爆炸聲（手榴彈會一次炸掉整排敵軍）
+      let explodedAt = -1;
+
+      return detachAll(
+        events.on(GAME_EVENT.STAGE_STARTED, () => {
+          explodedAt = -1;
+        }),
+        events.on(GAME_EVENT.BULLET_FIRED, ({ tank }) => {
+          // 敵軍開火沒有聲音，玩家、電腦坦克與護送目標才有
+          if (tank.isPlayer) play('playShoot');
+        }),
+        events.on(GAME_EVENT.TANK_DAMAGED, () => play('playHit')),
+        events.on(GAME_EVENT.TANK_DESTROYED, () => {
+          if (explodedAt === engine.tick) return;
+          explodedAt = engine.tick;
+          play('playExplosion');
+        }),
+        events.on(GAME_EVENT.PLAYER_HIT, () => play('playHit')),
+        events.on(GAME_EVENT.BASE_DESTROYED, () => play('playBaseDestroyed')),
+        events.on(GAME_EVENT.POWER_UP_COLLECTED, ({ type }) => play('playPowerUp', type)),
+        events.on(GAME_EVENT.EXTRA_LIFE, () => play('playExtraLife')),
+        events.on(GAME_EVENT.WAVE_CLEARED, () => play('playLevelComplete')),
+        events.on(GAME_EVENT.LEVEL_CLEARED, () => play('playLevelComplete')),
+        events.on(GAME_EVENT.GAME_OVER, ({ reason }) => {
+          // 基地被毀已有自己的音效；死鬥比賽結束播過關音效
+          if (reason === GAME_OVER_REASON.MATCH) play('playLevelComplete');
+          else if (reason !== GAME_OVER_REASON.BASE) play('playGameOver');
+        }),
+      );
+    },
+  };
+}
+
+/**
+ * 爆炸效果系統：把爆炸加進 engine.explosions（renderer 依經過時間畫出擴散與淡出）
+ * @returns {GameSystem}
+ */
+export function createEffectsSystem() {
+  return {
+    name: 'effects',
+    attach(engine) {
+      const { events } = engine;
+      const explode = (x, y, maxRadius, color) => {
+        engine.explosions.push({ x, y, maxRadius, color, createdAt: engine.simTime });
+      };
+      const center = (obj) => [obj.x + obj.size / 2, obj.y + obj.size / 2];
+
+      return detachAll(
+        events.on(GAME_EVENT.WALL_HIT, ({ wall, bullet }) => {
+          // 磚牆被削掉一排；鐵牆只冒火花
+          if (wall.destructible) explode(...center(bullet), 8, '#AA6633');
+          else explode(bullet.x, bullet.y, 6, '#CCCCCC');
+        }),
+        events.on(GAME_EVENT.WALL_DESTROYED, ({ wall, bullet }) => {
+          // 一般子彈削光最後一排時炸在子彈處；三星子彈整塊擊破時炸在牆中央
+          explode(...center(bullet.power < 2 ? bullet : wall), 12, '#AA6633');
+        }),
+        events.on(GAME_EVENT.TANK_DAMAGED, ({ bullet }) => {
+          // 重裝型的裝甲火花
+          explode(bullet.x, bullet.y, 8, '#FFFFFF');
+        }),
+        events.on(GAME_EVENT.TANK_DESTROYED, ({ tank }) => {
+          explode(...center(tank), 25, tank.isPlayer ? tank.color : '#FF4400');
+        }),
+        events.on(GAME_EVENT.PLAYER_HIT, ({ player }) => {
+          explode(...center(player), 25, '#00FF66');
+        }),
+        events.on(GAME_EVENT.BASE_DESTROYED, ({ base }) => {
+          explode(...center(base), 40, '#FF2200');
+          explode(...center(base), 20, '#FFCC00');
+        }),
+      );
+    },
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * ============================================================
+ * 本機排行榜 (High Scores)
+ * ============================================================
+ * 排行榜存在 localStorage，依「難度 × 模式」分成多張表（生存模式另有自己的單人 / 雙人表），
+ * 每張表保留前 HIGH_SCORE_LIMIT 名：縮寫、分數、到達關卡（生存為波次）、擊毀數、命中率與日期。
+ *
+ * 這裡只處理資料（分類、資格判斷、插入、解析），不碰 localStorage 與畫面，
+ * 讀寫由 TankGame 負責；讀回的資料一律重新驗證，壞掉的紀錄直接丟棄。
+ */
+import { DIFFICULTY, GAME_MODE } from './constants.js';
+import { matchPreset } from './gameConfig.js';
+
+// localStorage 的鍵值（與 tankgame-settings 同一命名方式）
+export const HIGH_SCORE_STORAGE_KEY = 'tankgame-high-scores';
+
+// 每張表保留的名次
+export const HIGH_SCORE_LIMIT = 10;
+
+// 縮寫最多幾個字元
+export const INITIALS_LENGTH = 3;
+
+// 排行榜的模式分類（決定分在哪張表）
+export const SCORE_MODE = {
+  SOLO: 'solo',
+  COOP: 'coop',
+  SURVIVAL_SOLO: 'survival-solo',
+  SURVIVAL_COOP: 'survival-coop',
+};
+
+// 改過進階選項的設定不和預設難度比分數，另外成一類
+export const CUSTOM_DIFFICULTY = 'custom';
+
+/**
+ * 一局遊戲屬於哪張排行榜
+ * @param {object} config - 本局設定（gameConfig.js）
+ * @param {number} players - 玩家人數
+ * @returns {{ difficulty: string, mode: string, key: string }}
+ */
+export function getScoreCategory(config, players) {
+  const difficulty = matchPreset(config) ?? CUSTOM_DIFFICULTY;
+  const coop = players > 1;
+  const mode = config.mode === GAME_MODE.SURVIVAL
+    ? (coop ? SCORE_MODE.SURVIVAL_COOP : SCORE_MODE.SURVIVAL_SOLO)
+    : (coop ? SCORE_MODE.COOP : SCORE_MODE.SOLO);
+  return { difficulty, mode, key: `${difficulty}-${mode}` };
+}
+
+/**
+ * 所有排行榜分類（排行榜畫面的分頁順序）
+ * @returns {{ difficulty: string, mode: string, key: string }[]}
+ */
+export function listScoreCategories() {
+  const difficulties = [...Object.values(DIFFICULTY), CUSTOM_DIFFICULTY];
+  return difficulties.flatMap(difficulty => Object.values(SCORE_MODE).map(mode => ({
+    difficulty, mode, key: `${difficulty}-${mode}`,
+  })));
+}
+
+/**
+ * 分數能否擠進該表（0 分不上榜）
+ * @param {Object<string, object[]>} tables
+ * @param {string} key - 分類鍵值
+ * @param {number} score
+ * @returns {boolean}
+ */
+export function qualifiesForHighScore(tables, key, score) {
+  if (score <= 0) return false;
+  const entries = tables[key] ?? [];
+  return entries.length < HIGH_SCORE_LIMIT || score > entries[entries.length - 1].score;
+}
+
+/**
+ * 將一筆紀錄插入排行榜（不修改原物件）；同分時先達成的排前面
+ * @param {Object<string, object[]>} tables
+ * @param {string} key
+ * @param {{ initials: string, score: number, level: number, kills: number, accuracy: number, date: string }} entry
+ * @returns {{ tables: Object<string, object[]>, rank: number }} rank — 0-based 名次；沒擠進前幾名為 -1
+ */
+export function addHighScore(tables, key, entry) {
+  const entries = [...(tables[key] ?? [])];
+  let rank = entries.findIndex(e => entry.score > e.score);
+  if (rank < 0) rank = entries.length;
+  entries.splice(rank, 0, { ...entry, initials: normalizeInitials(entry.initials) });
+
+  return {
+    tables: { ...tables, [key]: entries.slice(0, HIGH_SCORE_LIMIT) },
+    rank: rank < HIGH_SCORE_LIMIT ? rank : -1,
+  };
+}
+
+/**
+ * 整理玩家輸入的縮寫：只留英數字、轉大寫、最多 INITIALS_LENGTH 字；空白時為「???」
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeInitials(text) {
+  const initials = String(text ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, INITIALS_LENGTH);
+  return initials || '???';
+}
+
+/**
+ * 解析 localStorage 中的排行榜；不存在或損毀時回傳空表
+ * @param {string|null} text
+ * @returns {Object<string, object[]>}
+ */
+export function parseHighScores(text) {
+  if (!text) return {};
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return {};
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+
+  const keys = new Set(listScoreCategories().map(c => c.key));
+  const tables = {};
+  for (const [key, entries] of Object.entries(data)) {
+    if (!keys.has(key) || !Array.isArray(entries)) continue;
+    tables[key] = entries
+      .filter(isValidEntry)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, HIGH_SCORE_LIMIT);
+  }
+  return tables;
+}
+
+// =============================================
+// 內部工具
+// =============================================
+
+function isValidEntry(entry) {
+  return (
+    entry && typeof entry === 'object' &&
+    typeof entry.initials === 'string' &&
+    Number.isFinite(entry.score) &&
+    Number.isInteger(entry.level) &&
+    Number.isInteger(entry.kills) &&
+    Number.isFinite(entry.accuracy) &&
+    typeof entry.date === 'string'
+  );
+}
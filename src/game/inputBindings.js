@@ -0,0 +1,224 @@
+/**
+ * ============================================================
+ * 按鍵設定 (Input Bindings)
+ * ============================================================
+ * 鍵盤與手把的按鍵對應，玩家可在按鍵設定畫面重新指定，存在 localStorage：
+ *   keyboard.players[n] — 第 n 位玩家的移動 / 射擊按鍵（KeyboardEvent.key 轉小寫）
+ *   keyboard.pause      — 暫停鍵（不分玩家）
+ *   gamepad             — 手把按鈕編號（Standard Gamepad 配置），所有手把共用
+ *
+ * 手把另外支援左類比搖桿（超過 GAMEPAD_DEADZONE 才算推動）；
+ * 多支手把依連接順序分給 1P、2P，單人遊戲時每支手把都控制 1P。
+ *
+ * 這裡只處理資料（預設值、查詢、重新指定、手把讀取、解析），
+ * 事件監聽與每幀輪詢由 useInputHandler 負責。
+ */
+import { MAX_PLAYERS } from './constants.js';
+
+// localStorage 的鍵值（與 tankgame-settings 同一命名方式）
+export const BINDINGS_STORAGE_KEY = 'tankgame-bindings';
+
+// 玩家動作（即 GameEngine keys 的欄位）
+export const PLAYER_ACTIONS = ['up', 'down', 'left', 'right', 'fire'];
+
+// 暫停（不屬於任何玩家）
+export const PAUSE_ACTION = 'pause';
+
+// 類比搖桿推動幅度低於此值視為回中（避免搖桿飄移造成誤動）
+export const GAMEPAD_DEADZONE = 0.35;
+
+// Standard Gamepad 的按鈕編號
+const PAD_BUTTON = {
+  A: 0, B: 1, X: 2, Y: 3,
+  START: 9,
+  DPAD_UP: 12, DPAD_DOWN: 13, DPAD_LEFT: 14, DPAD_RIGHT: 15,
+};
+
+// 按鈕顯示名稱（按鍵設定畫面用）
+const PAD_BUTTON_LABELS = {
+  0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT',
+  8: 'Back', 9: 'Start', 10: 'LS', 11: 'RS',
+  12: '十字↑', 13: '十字↓', 14: '十字←', 15: '十字→', 16: 'Home',
+};
+
+/**
+ * 建立預設的按鍵設定
+ *   1P — WASD 移動、Space / J 射擊
+ *   2P — 方向鍵移動、Enter 射擊
+ *   暫停 — P / Esc；手把十字鍵移動、ABXY 射擊、Start 暫停
+ * @returns {{ keyboard: { players: Object<string, string[]>[], pause: string[] }, gamepad: Object<string, number[]> }}
+ */
+export function createDefaultBindings() {
+  return {
+    keyboard: {
+      players: [
+        { up: ['w'], down: ['s'], left: ['a'], right: ['d'], fire: [' ', 'j'] },
+        { up: ['arrowup'], down: ['arrowdown'], left: ['arrowleft'], right: ['arrowright'], fire: ['enter'] },
+      ],
+      pause: ['p', 'escape'],
+    },
+    gamepad: {
+      up: [PAD_BUTTON.DPAD_UP],
+      down: [PAD_BUTTON.DPAD_DOWN],
+      left: [PAD_BUTTON.DPAD_LEFT],
+      right: [PAD_BUTTON.DPAD_RIGHT],
+      fire: [PAD_BUTTON.A, PAD_BUTTON.B, PAD_BUTTON.X, PAD_BUTTON.Y],
+      pause: [PAD_BUTTON.START],
+    },
+  };
+}
+
+/**
+ * 查詢鍵盤按鍵對應的動作
+ * @param {object} bindings
+ * @param {string} key - KeyboardEvent.key
+ * @returns {{ player: number|null, action: string }|null} 暫停鍵的 player 為 null
+ */
+export function findKeyBinding(bindings, key) {
+  const k = key.toLowerCase();
+  if (bindings.keyboard.pause.includes(k)) return { player: null, action: PAUSE_ACTION };
+  for (const [player, actions] of bindings.keyboard.players.entries()) {
+    for (const action of PLAYER_ACTIONS) {
+      if (actions[action].includes(k)) return { player, action };
+    }
+  }
+  return null;
+}
+
+/**
+ * 重新指定鍵盤按鍵（不修改原物件）；這個鍵原本的用途會被拿掉，避免一鍵兩用
+ * @param {object} bindings
+ * @param {number|null} player - 玩家編號；暫停鍵為 null
+ * @param {string} action - PLAYER_ACTIONS 或 PAUSE_ACTION
+ * @param {string} key - KeyboardEvent.key
+ * @returns {object}
+ */
+export function rebindKey(bindings, player, action, key) {
+  const k = key.toLowerCase();
+  const without = (keys) => keys.filter(existing => existing !== k);
+  const players = bindings.keyboard.players.map((actions, i) => Object.fromEntries(
+    PLAYER_ACTIONS.map(a => [a, i === player && a === action ? [k] : without(actions[a])])
+  ));
+  const pause = action === PAUSE_ACTION ? [k] : without(bindings.keyboard.pause);
+  return { ...bindings, keyboard: { players, pause } };
+}
+
+/**
+ * 重新指定手把按鈕（不修改原物件）；這個按鈕原本的用途會被拿掉
+ * @param {object} bindings
+ * @param {string} action - PLAYER_ACTIONS 或 PAUSE_ACTION
+ * @param {number} button - 按鈕編號
+ * @returns {object}
+ */
+export function rebindButton(bindings, action, button) {
+  const gamepad = Object.fromEntries(
+    Object.entries(bindings.gamepad).map(([a, buttons]) => [
+      a, a === action ? [button] : buttons.filter(b => b !== button),
+    ])
+  );
+  return { ...bindings, gamepad };
+}
+
+/**
+ * 按鍵的顯示名稱
+ * @param {string} key - 小寫的 KeyboardEvent.key
+ * @returns {string}
+ */
+export function getKeyLabel(key) {
+  if (key === ' ') return 'Space';
+  if (key.startsWith('arrow')) return { up: '↑', down: '↓', left: '←', right: '→' }[key.slice(5)];
+  return key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1);
+}
+
+/**
+ * 手把按鈕的顯示名稱
+ * @param {number} button
+ * @returns {string}
+ */
+export function getButtonLabel(button) {
+  return PAD_BUTTON_LABELS[button] ?? `#${button}`;
+}
+
+/**
+ * 讀取一支手把目前的狀態（十字鍵與左搖桿取單一方向，與鍵盤一樣一次只往一個方向走）
+ * @param {{ buttons: { pressed: boolean }[], axes: number[] }} pad - navigator.getGamepads() 的元素
+ * @param {Object<string, number[]>} gamepadBindings - bindings.gamepad
+ * @returns {{ up: boolean, down: boolean, left: boolean, right: boolean, fire: boolean, pause: boolean }}
+ */
+export function readGamepad(pad, gamepadBindings) {
+  const pressed = (action) => gamepadBindings[action].some(b => pad.buttons[b]?.pressed);
+  const state = {};
+  for (const action of [...PLAYER_ACTIONS, PAUSE_ACTION]) state[action] = pressed(action);
+
+  // 十字鍵沒按時改看左搖桿：取推得較多的那一軸
+  if (!state.up && !state.down && !state.left && !state.right) {
+    const [x = 0, y = 0] = pad.axes;
+    if (Math.max(Math.abs(x), Math.abs(y)) >= GAMEPAD_DEADZONE) {
+      if (Math.abs(x) > Math.abs(y)) state[x < 0 ? 'left' : 'right'] = true;
+      else state[y < 0 ? 'up' : 'down'] = true;
+    }
+  }
+  return state;
+}
+
+/**
+ * 這一幀才按下的手把按鈕（按鍵設定畫面等待輸入時使用；一直按著的不算）
+ * @param {{ buttons: { pressed: boolean }[] }} pad
+ * @param {boolean[]} before - 上一幀各按鈕是否按著
+ * @returns {number|null}
+ */
+export function getNewlyPressedButton(pad, before) {
+  const index = pad.buttons.findIndex((b, i) => b.pressed && !before[i]);
+  return index >= 0 ? index : null;
+}
+
+/**
+ * 把已連接的手把分給玩家：依連接順序（手把 index）分給 1P、2P；單人遊戲時全部控制 1P
+ * @param {({ index: number }|null)[]} pads - navigator.getGamepads() 的結果（可能含 null）
+ * @param {number} playerCount
+ * @returns {{ pad: object, player: number }[]} 超出人數的手把不分配
+ */
+export function assignGamepads(pads, playerCount) {
+  const connected = pads.filter(Boolean).sort((a, b) => a.index - b.index);
+  if (playerCount <= 1) return connected.map(pad => ({ pad, player: 0 }));
+  return connected
+    .slice(0, Math.min(playerCount, MAX_PLAYERS))
+    .map((pad, player) => ({ pad, player }));
+}
+
+/**
+ * 解析 localStorage 中的按鍵設定；不存在或損毀時回傳預設值，缺少的動作補上預設按鍵
+ * @param {string|null} text
+ * @returns {object}
+ */
+export function parseBindings(text) {
+  const defaults = createDefaultBindings();
+  if (!text) return defaults;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return defaults;
+  }
+
+  const keyList = (value, fallback) => (
+    Array.isArray(value) && value.every(k => typeof k === 'string') ? value.map(k => k.toLowerCase()) : fallback
+  );
+  const buttonList = (value, fallback) => (
+    Array.isArray(value) && value.every(b => Number.isInteger(b) && b >= 0) ? value : fallback
+  );
+
+  const keyboard = data?.keyboard;
+  const gamepad = data?.gamepad;
+  return {
+    keyboard: {
+      players: defaults.keyboard.players.map((actions, i) => Object.fromEntries(
+        PLAYER_ACTIONS.map(a => [a, keyList(keyboard?.players?.[i]?.[a], actions[a])])
+      )),
+      pause: keyList(keyboard?.pause, defaults.keyboard.pause),
+    },
+    gamepad: Object.fromEntries(
+      Object.entries(defaults.gamepad).map(([a, buttons]) => [a, buttonList(gamepad?.[a], buttons)])
+    ),
+  };
+}
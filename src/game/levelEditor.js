@@ -0,0 +1,122 @@
+/**
+ * ============================================================
+ * 關卡編輯器邏輯 (Level Editor)
+ * ============================================================
+ * 編輯器的純資料操作：以工具塗改關卡檔的 tiles、檢查能否儲存。
+ * 畫面與操作介面在 components/LevelEditor.jsx，繪製在 renderer.js。
+ * 外框固定為鐵牆（與遊戲中打不破的邊界一致），不接受塗改。
+ */
+import { WALL_SIZE, GRID_COLS as COLS, GRID_ROWS as ROWS } from './constants.js';
+import {
+  LEVEL_FORMAT, LEVEL_VERSION, TILE_EMPTY, TILE_MARKERS, validateLevel, buildLevel,
+} from './levelFormat.js';
+import { getMapLayout } from './mapGenerator.js';
+import { findUnreachableSpawns } from './mapConnectivity.js';
+
+// 編輯工具 → 塗上的圖塊字元
+export const EDITOR_TOOLS = {
+  BRICK: 'B',
+  STEEL: 'S',
+  WATER: 'W',
+  FOREST: 'F',
+  ICE: 'I',
+  ERASE: TILE_EMPTY,
+  PLAYER_1: TILE_MARKERS.PLAYER_1,
+  PLAYER_2: TILE_MARKERS.PLAYER_2,
+  ENEMY: TILE_MARKERS.ENEMY,
+  BASE: TILE_MARKERS.BASE,
+  ESCORT: TILE_MARKERS.ESCORT,
+  EXIT: TILE_MARKERS.EXIT,
+};
+
+// 整張地圖只能有一個的標記：放新的會移走舊的
+const UNIQUE_MARKERS = new Set([
+  TILE_MARKERS.PLAYER_1, TILE_MARKERS.PLAYER_2, TILE_MARKERS.BASE, TILE_MARKERS.ESCORT, TILE_MARKERS.EXIT,
+]);
+
+/**
+ * 建立新關卡：鐵牆外框，出生點、基地與護城沿用程序化地圖的配置
+ * @returns {object} 關卡資料（levelFormat 格式）
+ */
+export function createBlankLevel() {
+  const grid = Array.from({ length: ROWS }, (_, r) =>
+    Array.from({ length: COLS }, (_, c) => (isBorderCell(c, r) ? 'S' : TILE_EMPTY)));
+  const put = ({ x, y }, ch) => { grid[y / WALL_SIZE][x / WALL_SIZE] = ch; };
+
+  const layout = getMapLayout();
+  for (const { c, r } of layout.fortCells) grid[r][c] = 'B';
+  put(layout.base, TILE_MARKERS.BASE);
+  put(layout.playerSpawns[0], TILE_MARKERS.PLAYER_1);
+  put(layout.playerSpawns[1], TILE_MARKERS.PLAYER_2);
+  for (const sp of layout.enemySpawns) put(sp, TILE_MARKERS.ENEMY);
+
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_VERSION,
+    name: '自製關卡',
+    tiles: grid.map(row => row.join('')),
+    roster: { BASIC: 8 },
+  };
+}
+
+/**
+ * 以工具塗改一格，回傳新的關卡資料（原資料不變；外框格不受影響）
+ * @param {object} level
+ * @param {number} c - 欄
+ * @param {number} r - 列
+ * @param {string} tool - EDITOR_TOOLS 的值
+ * @returns {object}
+ */
+export function applyTool(level, c, r, tool) {
+  if (c < 0 || r < 0 || c >= COLS || r >= ROWS || isBorderCell(c, r)) return level;
+  if (level.tiles[r][c] === tool) return level;
+
+  const grid = level.tiles.map(line => [...line]);
+  if (UNIQUE_MARKERS.has(tool)) {
+    for (const row of grid) {
+      const i = row.indexOf(tool);
+      if (i !== -1) row[i] = TILE_EMPTY;
+    }
+  }
+  grid[r][c] = tool;
+  return { ...level, tiles: grid.map(row => row.join('')) };
+}
+
+/**
+ * 檢查關卡能否儲存
+ * 除了格式驗證，也檢查坦克能否從 1P 出生點開到 2P、每個敵軍出生點與護送坦克 / 出口。
+ * @param {object} level
+ * @returns {{ problems: string[], unreachable: { x: number, y: number }[] }}
+ *   problems — 無法儲存的原因（空陣列 = 可以儲存）；unreachable — 開不到的出生點
+ */
+export function checkLevel(level) {
+  try {
+    validateLevel(level);
+  } catch (err) {
+    return { problems: [err.message], unreachable: [] };
+  }
+
+  const { walls, layout } = buildLevel(level);
+  const labelOf = (point) => {
+    if (point === layout.playerSpawns[1]) return '2P 出生點';
+    if (point === layout.escortSpawn) return '護送坦克';
+    if (point === layout.exit) return '護送出口';
+    return '敵軍出生點';
+  };
+  const unreachable = findUnreachableSpawns(walls, layout);
+  const problems = unreachable.map(point => {
+    const where = `第 ${point.y / WALL_SIZE + 1} 行第 ${point.x / WALL_SIZE + 1} 格`;
+    return `${labelOf(point)}（${where}）被鐵牆、水面或基地隔開，坦克開不過去`;
+  });
+  return { problems, unreachable };
+}
+
+/**
+ * 是否為地圖外框格
+ * @param {number} c
+ * @param {number} r
+ * @returns {boolean}
+ */
+function isBorderCell(c, r) {
+  return c === 0 || r === 0 || c === COLS - 1 || r === ROWS - 1;
+}
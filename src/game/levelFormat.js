@@ -0,0 +1,244 @@
+/**
+ * ============================================================
+ * 關卡檔格式 (Level Format)
+ * ============================================================
+ * 以 JSON 描述一張 35×20 的關卡，內建戰役與之後的自製關卡共用：
+ *
+ *   {
+ *     "format": "tank-battle-level",
+ *     "version": 1,
+ *     "name": "第 1 關",
+ *     "tiles": ["SSS…", …],                  // 20 行，每行 35 個圖塊字元
+ *     "roster": { "BASIC": 6, "FAST": 2 },   // 選填：敵軍類型 → 台數
+ *     "targets": { "time": 120, "score": 1500 }, // 選填：守住秒數 / 本關得分
+ *     "objectives": [{ "type": "survive", "time": 60 }, { "type": "destroy" }] // 選填：依序完成的任務
+ *   }
+ *
+ * 圖塊字元：
+ *   .  空地        B  磚牆        S  鐵牆
+ *   W  水面        F  樹林        I  冰面
+ *   1  1P 出生點   2  2P 出生點   E  敵軍出生點（可多個）   @  基地
+ *   A  護送坦克出生點               X  護送出口（兩者只在有護送任務時使用，各一個）
+ * 出生點與基地所在的格子本身是空地。
+ *
+ * objectives 是依序完成的任務清單（規則見 objectives.js），省略時為「殲滅全部敵軍」；
+ * targets 是任務以外的捷徑過關條件，任一達成即直接過關。
+ * roster 是類型比例：實際台數依本局設定的「每關敵軍數」等比例換算（預設 8 台）。
+ */
+import {
+  WALL_SIZE, WALL_TYPE, ENEMY_TYPE, OBJECTIVE_TYPE, GRID_COLS as COLS, GRID_ROWS as ROWS,
+} from './constants.js';
+import { Wall } from './Wall.js';
+import { getBaseFortCells } from './mapGenerator.js';
+import { validateObjectives } from './objectives.js';
+
+export const LEVEL_FORMAT = 'tank-battle-level';
+export const LEVEL_VERSION = 1;
+
+// 空地字元
+export const TILE_EMPTY = '.';
+
+// 地形圖塊：字元 → WALL_TYPE（新增地形時在這裡加一筆即可）
+export const TILE_WALLS = {
+  B: WALL_TYPE.BRICK,
+  S: WALL_TYPE.STEEL,
+  W: WALL_TYPE.WATER,
+  F: WALL_TYPE.FOREST,
+  I: WALL_TYPE.ICE,
+};
+
+// 標記圖塊：出生點與基地
+export const TILE_MARKERS = {
+  PLAYER_1: '1',
+  PLAYER_2: '2',
+  ENEMY: 'E',
+  BASE: '@',
+  ESCORT: 'A',
+  EXIT: 'X',
+};
+
+const MARKER_CHARS = new Set(Object.values(TILE_MARKERS));
+
+/**
+ * 驗證關卡資料（JSON 物件）
+ * @param {object} data
+ * @returns {object} 原樣回傳，方便串接
+ * @throws {Error} 格式不符時拋出（訊息可直接顯示給玩家）
+ */
+export function validateLevel(data) {
+  if (!data || data.format !== LEVEL_FORMAT) {
+    throw new Error('這不是坦克大戰的關卡檔');
+  }
+  if (data.version !== LEVEL_VERSION) {
+    throw new Error(`不支援的關卡版本：${data.version}`);
+  }
+  if (data.name !== undefined && typeof data.name !== 'string') {
+    throw new Error('關卡名稱必須是文字');
+  }
+
+  const { tiles } = data;
+  if (
+    !Array.isArray(tiles) ||
+    tiles.length !== ROWS ||
+    tiles.some(line => typeof line !== 'string' || line.length !== COLS)
+  ) {
+    throw new Error(`關卡地圖必須是 ${ROWS} 行、每行 ${COLS} 格`);
+  }
+
+  const counts = {};
+  tiles.forEach((line, r) => {
+    [...line].forEach((ch, c) => {
+      if (ch !== TILE_EMPTY && !TILE_WALLS[ch] && !MARKER_CHARS.has(ch)) {
+        throw new Error(`第 ${r + 1} 行第 ${c + 1} 格是未知的圖塊「${ch}」`);
+      }
+      counts[ch] = (counts[ch] ?? 0) + 1;
+    });
+  });
+  if (counts[TILE_MARKERS.BASE] !== 1) {
+    throw new Error('關卡必須剛好有一個基地（@）');
+  }
+  if (counts[TILE_MARKERS.PLAYER_1] !== 1 || counts[TILE_MARKERS.PLAYER_2] !== 1) {
+    throw new Error('關卡必須各有一個 1P（1）與 2P（2）出生點');
+  }
+  if (!counts[TILE_MARKERS.ENEMY]) {
+    throw new Error('關卡至少要有一個敵軍出生點（E）');
+  }
+  if (counts[TILE_MARKERS.ESCORT] > 1 || counts[TILE_MARKERS.EXIT] > 1) {
+    throw new Error('護送坦克（A）與出口（X）各只能有一個');
+  }
+
+  if (data.roster !== undefined) {
+    if (!data.roster || typeof data.roster !== 'object' || Array.isArray(data.roster)) {
+      throw new Error('敵軍名單格式錯誤');
+    }
+    const types = Object.values(ENEMY_TYPE);
+    let total = 0;
+    for (const [type, n] of Object.entries(data.roster)) {
+      if (!types.includes(type)) throw new Error(`未知的敵軍類型：${type}`);
+      if (!Number.isInteger(n) || n < 0) throw new Error(`敵軍台數必須是非負整數：${type}`);
+      total += n;
+    }
+    if (total === 0) throw new Error('敵軍名單至少要有一台坦克');
+  }
+
+  if (data.targets !== undefined) {
+    if (!data.targets || typeof data.targets !== 'object') {
+      throw new Error('過關目標格式錯誤');
+    }
+    const { time, score } = data.targets;
+    for (const value of [time, score]) {
+      if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+        throw new Error('過關目標必須是正數');
+      }
+    }
+  }
+
+  if (data.objectives !== undefined) validateObjectives(data.objectives);
+  const hasEscort = data.objectives?.some(o => o.type === OBJECTIVE_TYPE.ESCORT) ?? false;
+  const hasMarkers = Boolean(counts[TILE_MARKERS.ESCORT] || counts[TILE_MARKERS.EXIT]);
+  if (hasEscort && !(counts[TILE_MARKERS.ESCORT] && counts[TILE_MARKERS.EXIT])) {
+    throw new Error('護送任務需要放置護送坦克（A）與出口（X）');
+  }
+  if (!hasEscort && hasMarkers) {
+    throw new Error('放了護送坦克或出口，但關卡沒有護送任務');
+  }
+
+  return data;
+}
+
+/**
+ * 解析並驗證匯入的關卡 JSON
+ * @param {string} text
+ * @returns {object} level
+ * @throws {Error} 格式不符時拋出（訊息可直接顯示給玩家）
+ */
+export function parseLevel(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('關卡檔不是有效的 JSON');
+  }
+  return validateLevel(data);
+}
+
+/**
+ * 將關卡資料轉為 JSON 字串（縮排，一行地圖一行字串，方便手動編輯）
+ * @param {object} level
+ * @returns {string}
+ */
+export function serializeLevel(level) {
+  return JSON.stringify(level, null, 2);
+}
+
+/**
+ * 由已驗證的關卡資料建立牆壁與出生配置
+ * layout 與 mapGenerator 的 getMapLayout() 同形。
+ * @param {object} level - validateLevel() 通過的資料
+ * @returns {{
+ *   name: string|null,
+ *   walls: Wall[],
+ *   layout: {
+ *     playerSpawns: { x: number, y: number }[],
+ *     enemySpawns: { x: number, y: number }[],
+ *     base: { x: number, y: number },
+ *     fortCells: { c: number, r: number }[],
+ *     escortSpawn: { x: number, y: number }|null,
+ *     exit: { x: number, y: number }|null,
+ *   },
+ *   mix: Object<string, number>|null,
+ *   targets: { time?: number, score?: number }|null,
+ *   objectives: { type: string, time?: number }[]|null,
+ * }}
+ */
+export function buildLevel(level) {
+  const walls = [];
+  const playerSpawns = [];
+  const enemySpawns = [];
+  let baseCell = null;
+  let escortSpawn = null;
+  let exit = null;
+
+  level.tiles.forEach((line, r) => {
+    [...line].forEach((ch, c) => {
+      const x = c * WALL_SIZE;
+      const y = r * WALL_SIZE;
+      if (TILE_WALLS[ch]) {
+        walls.push(new Wall(x, y, TILE_WALLS[ch]));
+      } else if (ch === TILE_MARKERS.PLAYER_1) {
+        playerSpawns[0] = { x, y };
+      } else if (ch === TILE_MARKERS.PLAYER_2) {
+        playerSpawns[1] = { x, y };
+      } else if (ch === TILE_MARKERS.ENEMY) {
+        enemySpawns.push({ x, y });
+      } else if (ch === TILE_MARKERS.BASE) {
+        baseCell = { c, r };
+      } else if (ch === TILE_MARKERS.ESCORT) {
+        escortSpawn = { x, y };
+      } else if (ch === TILE_MARKERS.EXIT) {
+        exit = { x, y };
+      }
+    });
+  });
+
+  // 只保留台數 > 0 的類型
+  const mix = level.roster
+    ? Object.fromEntries(Object.entries(level.roster).filter(([, n]) => n > 0))
+    : null;
+
+  return {
+    name: level.name ?? null,
+    walls,
+    layout: {
+      playerSpawns,
+      enemySpawns,
+      base: { x: baseCell.c * WALL_SIZE, y: baseCell.r * WALL_SIZE },
+      fortCells: getBaseFortCells(baseCell),
+      escortSpawn,
+      exit,
+    },
+    mix,
+    targets: level.targets ?? null,
+    objectives: level.objectives ?? null,
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * ============================================================
+ * 地圖連通性 (Map Connectivity)
+ * ============================================================
+ * 以格子為單位做 flood fill，檢查坦克能否從 1P 出生點開到 2P、各個敵軍出生點與護送坦克 / 出口。
+ * 磚牆打得掉，視為可通行；鐵牆、水面與基地會擋路（樹林、冰面不擋路）。
+ *
+ * 程序化地圖（generateMap）與手工關卡（關卡編輯器、內建戰役）共用：
+ *   - findUnreachableSpawns() 只檢查，回傳開不到的出生點
+ *   - repairConnectivity() 把擋路的最少鐵牆 / 水面改成磚牆，讓每個出生點都打得通
+ */
+import {
+  WALL_SIZE, WALL_TYPE, TANK_SIZE, GRID_COLS as COLS, GRID_ROWS as ROWS,
+} from './constants.js';
+import { Wall } from './Wall.js';
+import { searchGrid, tracePath, toCell, cellKey } from './pathfinding.js';
+
+// 坦克佔用的格數（邊長）；TANK_SIZE 32 < WALL_SIZE 36，一格寬的通道即可通過
+const FOOTPRINT = Math.ceil(TANK_SIZE / WALL_SIZE);
+
+/**
+ * 找出坦克從 1P 出生點開不到的出生點
+ * @param {Array} walls - 牆壁陣列（Wall[]，只有擋坦克又打不掉的地形擋路）
+ * @param {{
+ *   playerSpawns: { x: number, y: number }[],
+ *   enemySpawns: { x: number, y: number }[],
+ *   base?: { x: number, y: number }|null,
+ *   escortSpawn?: { x: number, y: number }|null,
+ *   exit?: { x: number, y: number }|null,
+ * }} layout - getMapLayout() / buildLevel() 的出生配置
+ * @returns {{ x: number, y: number }[]} 開不到的出生點（2P 在前，其後依 enemySpawns 順序，最後是護送坦克與出口）
+ */
+export function findUnreachableSpawns(walls, layout) {
+  const grid = createGrid(walls, layout.base);
+  const [start, ...others] = layout.playerSpawns;
+  const { costs } = searchCosts(grid, toCell(start));
+  const escortPoints = [layout.escortSpawn, layout.exit].filter(Boolean);
+  return [...others, ...layout.enemySpawns, ...escortPoints]
+    .filter(point => costs.get(cellKey(toCell(point))) !== 0);
+}
+
+/**
+ * 修補連通性：對每個開不到的出生點，找出「穿過最少鐵牆 / 水面」的路線，
+ * 把路線上的鐵牆與水面改成磚牆（外框與基地不動）。已改過的格子後續路線可免費沿用。
+ * @param {Array} walls - 牆壁陣列（不會被修改）
+ * @param {object} layout - 同 findUnreachableSpawns()
+ * @returns {{ walls: Array, converted: { c: number, r: number }[] }}
+ *   walls — 修補後的新陣列（沒有需要修補時為原陣列）；converted — 改成磚牆的格子
+ */
+export function repairConnectivity(walls, layout) {
+  const grid = createGrid(walls, layout.base);
+  const [start, ...others] = layout.playerSpawns;
+  const origin = toCell(start);
+  const converted = new Map();
+
+  for (const target of [...others, ...layout.enemySpawns]) {
+    const goal = toCell(target);
+    const { costs, parents } = searchCosts(grid, origin, true);
+    const cost = costs.get(cellKey(goal));
+    // 0 = 已經打得通；undefined = 被外框或基地封死，改鐵牆也沒用
+    if (!cost) continue;
+
+    for (const cell of tracePath(parents, goal)) {
+      for (const blocked of footprintCells(cell)) {
+        const key = cellKey(blocked);
+        if (grid.steel.delete(key)) converted.set(key, blocked);
+      }
+    }
+  }
+
+  if (converted.size === 0) return { walls, converted: [] };
+  const repaired = walls.map(wall => (
+    converted.has(cellKey(toCell(wall))) && wall.alive && wall.blocksTanks && !wall.destructible
+      ? new Wall(wall.x, wall.y, WALL_TYPE.BRICK)
+      : wall
+  ));
+  return { walls: repaired, converted: [...converted.values()] };
+}
+
+// =============================================
+// 內部工具
+// =============================================
+
+/**
+ * 建立格子狀態：steel = 內部鐵牆與水面（可改磚牆）；fixed = 外框鐵牆與基地（不可動）
+ * @returns {{ steel: Set<string>, fixed: Set<string> }}
+ */
+function createGrid(walls, base) {
+  const steel = new Set();
+  const fixed = new Set();
+  for (const wall of walls) {
+    if (!wall.alive || !wall.blocksTanks || wall.destructible) continue;
+    const cell = toCell(wall);
+    (isBorderCell(cell) ? fixed : steel).add(cellKey(cell));
+  }
+  if (base) fixed.add(cellKey(toCell(base)));
+  return { steel, fixed };
+}
+
+/**
+ * 坦克左上角位於 cell 時，進入該位置需要打通的鐵牆數；無法進入回傳 -1
+ * @returns {number}
+ */
+function stepCost(grid, cell) {
+  let cost = 0;
+  for (const { c, r } of footprintCells(cell)) {
+    if (c < 0 || r < 0 || c >= COLS || r >= ROWS) return -1;
+    const key = cellKey({ c, r });
+    if (grid.fixed.has(key)) return -1;
+    if (grid.steel.has(key)) cost++;
+  }
+  return cost;
+}
+
+/**
+ * 從起點出發，計算抵達每個位置最少需要打通的鐵牆數（0 = 直接開得到）
+ * allowSteel 為 false 時只走不需打通的格子（純 flood fill）。
+ * @returns {{ costs: Map<string, number>, parents: Map<string, { c: number, r: number }> }}
+ */
+function searchCosts(grid, origin, allowSteel = false) {
+  const startCost = stepCost(grid, origin);
+  if (startCost < 0 || (!allowSteel && startCost > 0)) return { costs: new Map(), parents: new Map() };
+  return searchGrid(origin, (cell) => {
+    const step = stepCost(grid, cell);
+    return !allowSteel && step > 0 ? -1 : step;
+  }, startCost);
+}
+
+/**
+ * 坦克左上角位於 cell 時佔用的格子
+ * @returns {{ c: number, r: number }[]}
+ */
+function footprintCells({ c, r }) {
+  const cells = [];
+  for (let dr = 0; dr < FOOTPRINT; dr++) {
+    for (let dc = 0; dc < FOOTPRINT; dc++) cells.push({ c: c + dc, r: r + dr });
+  }
+  return cells;
+}
+
+/** 是否為地圖外框格 */
+function isBorderCell({ c, r }) {
+  return c <= 0 || r <= 0 || c >= COLS - 1 || r >= ROWS - 1;
+}
@@ -4,53 +4,82 @@
  * ============================================================
  * 負責根據關卡產生牆壁佈局。
  * 設計座標系以 WALL_SIZE (36) 為網格單位。
+ * 內建關卡檔（levelFormat.js）用完後，改由這裡的程序化地圖接手。
+ * 較後面的關卡會散布樹林、冰面與水面；
+ * 產生後會做連通性修補，保證坦克能從玩家出生點打到每個出生點。
+ * 死鬥模式另有 generateArena()：沒有基地、上下左右鏡射對稱的競技場。
  */
-import { WALL_SIZE, WALL_TYPE, DESIGN_WIDTH, DESIGN_HEIGHT, TANK_SIZE } from './constants.js';
+import { WALL_SIZE, WALL_TYPE, GRID_COLS, GRID_ROWS, TANK_SIZE } from './constants.js';
 import { Wall } from './Wall.js';
+import { Random } from './Random.js';
+import { repairConnectivity } from './mapConnectivity.js';
 
 // 設計座標下的網格行列數
-const COLS = Math.floor(DESIGN_WIDTH / WALL_SIZE);   // 35
-const ROWS = Math.floor(DESIGN_HEIGHT / WALL_SIZE);   // 20
+const COLS = GRID_COLS;   // 35
+const ROWS = GRID_ROWS;   // 20
+
+// 基地（老鷹）：底部中央，上方與左右以磚牆圍成護城
+const BASE_CELL = { c: Math.floor(COLS / 2), r: ROWS - 2 };
+// 玩家出生格：1P 在基地左側，2P 在右側（對稱）
+const PLAYER_SPAWN_CELLS = [
+  { c: BASE_CELL.c - 4, r: ROWS - 2 },
+  { c: BASE_CELL.c + 4, r: ROWS - 2 },
+];
+// 敵軍出生格：頂部左、中、右
+const ENEMY_SPAWN_CELLS = [
+  { c: 2, r: 2 },
+  { c: Math.floor(COLS / 2), r: 2 },
+  { c: COLS - 3, r: 2 },
+];
+
+// 特殊地形從第幾關開始出現（內建戰役之後的程序化地圖才會用到）
+const TERRAIN_UNLOCKS = [
+  { level: 4, type: WALL_TYPE.FOREST },
+  { level: 5, type: WALL_TYPE.ICE },
+  { level: 6, type: WALL_TYPE.WATER },
+];
+const FIRST_TERRAIN_LEVEL = TERRAIN_UNLOCKS[0].level;
+
+// 競技場出生格，依輪替順序排列：左上、右下、右上、左下、上中、下中
+// （前兩個在對角，1 對 1 時兩台坦克相距最遠）
+const ARENA_SPAWN_CELLS = [
+  { c: 2, r: 2 },
+  { c: COLS - 3, r: ROWS - 3 },
+  { c: COLS - 3, r: 2 },
+  { c: 2, r: ROWS - 3 },
+  { c: Math.floor(COLS / 2), r: 2 },
+  { c: Math.floor(COLS / 2), r: ROWS - 3 },
+];
+// 競技場結構牆的間距（格）與樹林掩護塊數（每個象限）
+const ARENA_SPACING = 4;
+const ARENA_FOREST_PATCHES = 2;
 
 /**
  * 根據關卡等級生成牆壁陣列
  * @param {number} level - 目前關卡 (1-based)
+ * @param {Random} rng - 遊戲的種子亂數來源（同種子 → 同地圖）
  * @returns {Wall[]}
  */
-export function generateMap(level) {
-  const walls = [];
-
-  // 基礎種子，讓每一關有不同但確定性的佈局
-  const seed = level * 7 + 3;
-
+export function generateMap(level, rng = new Random(level)) {
   // ---- 1. 外圍邊界 (鐵牆) ----
-  // 上邊與下邊
-  for (let c = 0; c < COLS; c++) {
-    walls.push(new Wall(c * WALL_SIZE, 0, WALL_TYPE.STEEL));
-    walls.push(new Wall(c * WALL_SIZE, (ROWS - 1) * WALL_SIZE, WALL_TYPE.STEEL));
-  }
-  // 左邊與右邊（排除已放置的四角）
-  for (let r = 1; r < ROWS - 1; r++) {
-    walls.push(new Wall(0, r * WALL_SIZE, WALL_TYPE.STEEL));
-    walls.push(new Wall((COLS - 1) * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.STEEL));
-  }
+  const walls = createBorderWalls();
 
-  // ---- 2. 內部障礙物 ----
-  // 為玩家出生區與敵軍出生區留白
-  const playerSpawnCol = Math.floor(COLS / 2);
-  const playerSpawnRow = ROWS - 3;
-  const enemySpawnPositions = [
-    { c: 2, r: 2 },
-    { c: Math.floor(COLS / 2), r: 2 },
-    { c: COLS - 3, r: 2 },
-  ];
+  // ---- 2. 基地護城（磚牆）----
+  for (const cell of getBaseFortCells()) {
+    walls.push(new Wall(cell.c * WALL_SIZE, cell.r * WALL_SIZE, WALL_TYPE.BRICK));
+  }
 
-  // 是否為禁止放置牆壁的區域
+  // ---- 3. 內部障礙物 ----
+  // 為玩家出生區、敵軍出生區與基地留白
   const isReserved = (c, r) => {
     // 玩家出生區域（3x3）
-    if (Math.abs(c - playerSpawnCol) <= 1 && Math.abs(r - playerSpawnRow) <= 1) return true;
+    for (const sp of PLAYER_SPAWN_CELLS) {
+      if (Math.abs(c - sp.c) <= 1 && Math.abs(r - sp.r) <= 1) return true;
+    }
+    // 基地與護城
+    if (Math.abs(c - BASE_CELL.c) <= 1 && r >= BASE_CELL.r - 1 && r <= BASE_CELL.r) return true;
     // 敵軍出生區域
-    for (const sp of enemySpawnPositions) {
+    for (const sp of ENEMY_SPAWN_CELLS) {
       if (Math.abs(c - sp.c) <= 1 && Math.abs(r - sp.r) <= 1) return true;
     }
     return false;
@@ -77,49 +106,181 @@ export function generateMap(level) {
 
       // 交叉位置放磚牆
       if (isStructRow && isStructCol) {
-        const type = pseudoRandom(c * seed + r * 13) % 5 === 0
+        const type = rng.chance(1 / 5)
           ? WALL_TYPE.STEEL
           : WALL_TYPE.BRICK;
         walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, type));
       }
       // 結構行的連續段
       else if (isStructRow && !isStructCol) {
-        const hash = pseudoRandom(c * seed + r * 17 + level);
-        if (hash % 3 !== 0) { // ~67% 機率填充
+        if (rng.chance(2 / 3)) { // ~67% 機率填充
           walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.BRICK));
         }
       }
       // 結構列的連續段
       else if (!isStructRow && isStructCol) {
-        const hash = pseudoRandom(c * 19 + r * seed + level);
-        if (hash % 4 === 0) { // ~25% 機率填充
+        if (rng.chance(1 / 4)) { // ~25% 機率填充
           walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.BRICK));
         }
       }
     }
   }
 
-  // ---- 3. 隨著關卡增加鐵牆數量 ----
+  // ---- 4. 隨著關卡增加鐵牆數量 ----
   const steelExtra = Math.min(level, 5);
   for (let i = 0; i < steelExtra; i++) {
-    const c = innerStartC + pseudoRandom(i * 31 + level * 7) % (innerEndC - innerStartC);
-    const r = innerStartR + pseudoRandom(i * 37 + level * 11) % (innerEndR - innerStartR);
+    const c = innerStartC + rng.int(innerEndC - innerStartC);
+    const r = innerStartR + rng.int(innerEndR - innerStartR);
     if (!isReserved(c, r)) {
       walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.STEEL));
     }
   }
 
-  return walls;
+  // ---- 5. 特殊地形（較後面的關卡才出現）----
+  // 每塊 2~3 格見方，只鋪在空地上；尚未解鎖的關卡不消耗亂數，前幾關的地圖維持不變
+  const unlocked = TERRAIN_UNLOCKS.filter(t => level >= t.level).map(t => t.type);
+  if (unlocked.length > 0) {
+    const occupied = new Set(walls.map(w => `${w.x / WALL_SIZE},${w.y / WALL_SIZE}`));
+    const patches = Math.min(level - FIRST_TERRAIN_LEVEL + 2, 8);
+    for (let i = 0; i < patches; i++) {
+      const type = rng.pick(unlocked);
+      const c0 = innerStartC + rng.int(innerEndC - innerStartC - 1);
+      const r0 = innerStartR + rng.int(innerEndR - innerStartR - 1);
+      const w = 2 + rng.int(2);
+      const h = 2 + rng.int(2);
+      for (let r = r0; r < Math.min(r0 + h, innerEndR); r++) {
+        for (let c = c0; c < Math.min(c0 + w, innerEndC); c++) {
+          const key = `${c},${r}`;
+          if (isReserved(c, r) || occupied.has(key)) continue;
+          occupied.add(key);
+          walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, type));
+        }
+      }
+    }
+  }
+
+  // ---- 6. 連通性修補 ----
+  // 間距規則只保證磚牆之間留有通道；隨機鐵牆仍可能把出生點封死，
+  // 這時把擋路的最少鐵牆改成磚牆（不消耗亂數，同種子的地圖仍然一致）
+  return repairConnectivity(walls, getMapLayout()).walls;
+}
+
+/**
+ * 產生死鬥競技場：只生成左上象限，再鏡射到其他三個象限，
+ * 每個出生點看到的地形都一樣，誰也不吃地利。
+ * 鐵牆修補後同樣鏡射到對應格子，修補完仍保持對稱。
+ * @param {Random} rng - 遊戲的種子亂數來源
+ * @returns {Wall[]}
+ */
+export function generateArena(rng) {
+  // 內部格子 "c,r" → WALL_TYPE（只記左上象限，之後鏡射）
+  const cells = new Map();
+  const midC = Math.floor(COLS / 2);
+  const midR = ROWS / 2 - 1;   // ROWS 為偶數：上半部到第 9 列
+  const isReserved = (c, r) =>
+    ARENA_SPAWN_CELLS.some(sp => Math.abs(c - sp.c) <= 1 && Math.abs(r - sp.r) <= 1);
+
+  // ---- 1. 結構牆：交叉點放鐵牆當掩護，連續段為磚牆 ----
+  for (let r = 2; r <= midR; r++) {
+    for (let c = 2; c <= midC; c++) {
+      if (isReserved(c, r)) continue;
+      const isStructRow = (r - 2) % ARENA_SPACING === 0;
+      const isStructCol = (c - 2) % ARENA_SPACING === 0;
+      if (isStructRow && isStructCol) {
+        cells.set(`${c},${r}`, rng.chance(1 / 3) ? WALL_TYPE.STEEL : WALL_TYPE.BRICK);
+      } else if (isStructRow && rng.chance(1 / 2)) {
+        cells.set(`${c},${r}`, WALL_TYPE.BRICK);
+      } else if (isStructCol && rng.chance(1 / 4)) {
+        cells.set(`${c},${r}`, WALL_TYPE.BRICK);
+      }
+    }
+  }
+
+  // ---- 2. 樹林掩護（只鋪在空地上）----
+  for (let i = 0; i < ARENA_FOREST_PATCHES; i++) {
+    const c0 = 3 + rng.int(midC - 4);
+    const r0 = 3 + rng.int(midR - 3);
+    for (let r = r0; r < Math.min(r0 + 2, midR + 1); r++) {
+      for (let c = c0; c < Math.min(c0 + 2, midC + 1); c++) {
+        if (!isReserved(c, r) && !cells.has(`${c},${r}`)) cells.set(`${c},${r}`, WALL_TYPE.FOREST);
+      }
+    }
+  }
+
+  // ---- 3. 鏡射到四個象限 ----
+  for (const [key, type] of [...cells]) {
+    const [c, r] = key.split(',').map(Number);
+    for (const m of mirrorCells({ c, r })) cells.set(`${m.c},${m.r}`, type);
+  }
+
+  // ---- 4. 連通性修補：改成磚牆的格子連同鏡射格一起改 ----
+  const toWalls = () => [
+    ...createBorderWalls(),
+    ...[...cells].map(([key, type]) => {
+      const [c, r] = key.split(',').map(Number);
+      return new Wall(c * WALL_SIZE, r * WALL_SIZE, type);
+    }),
+  ];
+  const { converted } = repairConnectivity(toWalls(), getArenaLayout());
+  for (const cell of converted) {
+    for (const m of [cell, ...mirrorCells(cell)]) {
+      const key = `${m.c},${m.r}`;
+      if (cells.has(key) && cells.get(key) !== WALL_TYPE.FOREST) cells.set(key, WALL_TYPE.BRICK);
+    }
+  }
+  return toWalls();
+}
+
+/**
+ * 取得競技場的出生配置（與 getMapLayout() 同形；沒有基地與敵軍出生點）
+ * playerSpawns 依重生輪替順序排列。
+ * @returns {{
+ *   playerSpawns: { x: number, y: number }[],
+ *   enemySpawns: { x: number, y: number }[],
+ *   base: null,
+ *   fortCells: { c: number, r: number }[],
+ * }}
+ */
+export function getArenaLayout() {
+  return {
+    playerSpawns: ARENA_SPAWN_CELLS.map(cellToPoint),
+    enemySpawns: [],
+    base: null,
+    fortCells: [],
+  };
 }
 
 /**
  * 取得玩家出生位置（設計座標）
+ * @param {number} [index] - 玩家編號（0 = 1P，1 = 2P）
  * @returns {{ x: number, y: number }}
  */
-export function getPlayerSpawn() {
-  const col = Math.floor(COLS / 2);
-  const row = ROWS - 3;
-  return { x: col * WALL_SIZE, y: row * WALL_SIZE };
+export function getPlayerSpawn(index = 0) {
+  return cellToPoint(PLAYER_SPAWN_CELLS[index]);
+}
+
+/**
+ * 取得基地位置（設計座標）
+ * @returns {{ x: number, y: number }}
+ */
+export function getBasePosition() {
+  return cellToPoint(BASE_CELL);
+}
+
+/**
+ * 取得基地護城牆的格子（上方三格 + 左右各一格；超出邊界的略過）
+ * @param {{ c: number, r: number }} [base] - 基地所在格，預設為程序化地圖的基地
+ * @returns {{ c: number, r: number }[]}
+ */
+export function getBaseFortCells(base = BASE_CELL) {
+  const { c, r } = base;
+  return [
+    { c: c - 1, r: r - 1 },
+    { c, r: r - 1 },
+    { c: c + 1, r: r - 1 },
+    { c: c - 1, r },
+    { c: c + 1, r },
+  ].filter(cell => cell.c > 0 && cell.c < COLS - 1 && cell.r > 0 && cell.r < ROWS - 1);
 }
 
 /**
@@ -127,19 +288,89 @@ export function getPlayerSpawn() {
  * @returns {{ x: number, y: number }[]}
  */
 export function getEnemySpawnPoints() {
-  return [
-    { x: 2 * WALL_SIZE, y: 2 * WALL_SIZE },
-    { x: Math.floor(COLS / 2) * WALL_SIZE, y: 2 * WALL_SIZE },
-    { x: (COLS - 3) * WALL_SIZE, y: 2 * WALL_SIZE },
-  ];
+  return ENEMY_SPAWN_CELLS.map(cellToPoint);
+}
+
+/**
+ * 取得程序化地圖的出生點、基地與護城配置
+ * 與 levelFormat.js 的 buildLevel() 回傳的 layout 同形，引擎不必區分地圖來源。
+ * @returns {{
+ *   playerSpawns: { x: number, y: number }[],
+ *   enemySpawns: { x: number, y: number }[],
+ *   base: { x: number, y: number },
+ *   fortCells: { c: number, r: number }[],
+ * }}
+ */
+export function getMapLayout() {
+  return {
+    playerSpawns: PLAYER_SPAWN_CELLS.map(cellToPoint),
+    enemySpawns: getEnemySpawnPoints(),
+    base: getBasePosition(),
+    fortCells: getBaseFortCells(),
+  };
+}
+
+/**
+ * 取得內部（邊界以內）沒有牆壁、也不是基地的空格
+ * 道具出現位置等需要「可站立格子」時使用。
+ * @param {Array} walls - 目前的牆壁陣列
+ * @param {{ x: number, y: number }} [base] - 基地位置（設計座標），預設為程序化地圖的基地
+ * @returns {{ c: number, r: number, x: number, y: number }[]}
+ */
+export function getFreeCells(walls, base = getBasePosition()) {
+  const occupied = new Set();
+  for (const wall of walls) {
+    if (!wall.alive) continue;
+    occupied.add(`${Math.floor(wall.x / WALL_SIZE)},${Math.floor(wall.y / WALL_SIZE)}`);
+  }
+  occupied.add(`${Math.floor(base.x / WALL_SIZE)},${Math.floor(base.y / WALL_SIZE)}`);
+
+  const cells = [];
+  for (let r = 1; r < ROWS - 1; r++) {
+    for (let c = 1; c < COLS - 1; c++) {
+      if (!occupied.has(`${c},${r}`)) {
+        cells.push({ c, r, x: c * WALL_SIZE, y: r * WALL_SIZE });
+      }
+    }
+  }
+  return cells;
 }
 
 /**
- * 簡易偽隨機數生成（確定性）
- * @param {number} n
- * @returns {number}
+ * 外圍邊界鐵牆
+ * @returns {Wall[]}
+ */
+function createBorderWalls() {
+  const walls = [];
+  // 上邊與下邊
+  for (let c = 0; c < COLS; c++) {
+    walls.push(new Wall(c * WALL_SIZE, 0, WALL_TYPE.STEEL));
+    walls.push(new Wall(c * WALL_SIZE, (ROWS - 1) * WALL_SIZE, WALL_TYPE.STEEL));
+  }
+  // 左邊與右邊（排除已放置的四角）
+  for (let r = 1; r < ROWS - 1; r++) {
+    walls.push(new Wall(0, r * WALL_SIZE, WALL_TYPE.STEEL));
+    walls.push(new Wall((COLS - 1) * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.STEEL));
+  }
+  return walls;
+}
+
+/**
+ * 格子在左右、上下與對角的鏡射位置
+ * @param {{ c: number, r: number }} cell
+ * @returns {{ c: number, r: number }[]}
+ */
+function mirrorCells({ c, r }) {
+  const mc = COLS - 1 - c;
+  const mr = ROWS - 1 - r;
+  return [{ c: mc, r }, { c, r: mr }, { c: mc, r: mr }];
+}
+
+/**
+ * 格子 → 設計座標（格子左上角）
+ * @param {{ c: number, r: number }} cell
+ * @returns {{ x: number, y: number }}
  */
-function pseudoRandom(n) {
-  let x = Math.sin(n * 9301 + 49297) * 233280;
-  return Math.abs(Math.floor(x));
+function cellToPoint({ c, r }) {
+  return { x: c * WALL_SIZE, y: r * WALL_SIZE };
 }
@@ -0,0 +1,68 @@
+/**
+ * ============================================================
+ * 遊戲模式外掛 (Game Mode Plugins)
+ * ============================================================
+ * 每種模式是一個外掛物件，GameEngine 在開局時依 config.mode 取出，
+ * 在固定的時機呼叫它的掛勾；沒提供的選填掛勾沿用戰役的做法。
+ * 內建的戰役 / 死鬥 / 生存分別定義在 campaign.js / versus.js / survival.js，由 GameEngine 註冊；
+ * 新模式只要 registerMode() 一個外掛，config.mode 設成它的 id 即可開局。
+ *
+ * 外掛可以讀寫引擎的公開欄位、從 engine.events 發出事件，並呼叫下列引擎方法：
+ *   addScore(player, points)、clearStage(now)、endGame(reason)、respawnPlayer(player, now)、
+ *   getObjective()、notifyStateChange()
+ *
+ * @typedef {object} GameModePlugin
+ * @property {string} id - config.mode 的值
+ * @property {(engine: object, level: number) => object} loadStage
+ *   載入一關，回傳與 campaign.loadStage() 同形的 { name, walls, layout, roster, targets, objectives }
+ * @property {(engine: object, now: number) => void} update
+ *   每個模擬步的最後呼叫：推進模式自己的規則、判定過關或結束
+ * @property {(engine: object) => object} getProgress - HUD 的進度資料（engine.getStageProgress() 的結果）
+ * @property {(engine: object, isNewRun: boolean) => void} [deploy] - 建立並部署玩家坦克
+ * @property {(engine: object) => void} [start] - 關卡與玩家都就緒後呼叫（例如抽第一波名單）
+ * @property {(engine: object, player: object) => ({ x: number, y: number, direction: string }|null)} [spawnPoint]
+ *   玩家的出生 / 重生位置；回傳 null 表示這一步沒有空位（下一步再試）
+ * @property {(engine: object, player: object, now: number, bullet: object) => boolean} [hitPlayer]
+ *   玩家被擊中時先交給模式處理；回傳 true 表示已處理完（不扣生命）
+ * @property {(engine: object, shooter: object, enemy: object) => number} [scoreKill] - 擊毀敵軍的得分
+ * @property {(engine: object) => number} [maxEnemies] - 同時在場的敵軍上限
+ * @property {(engine: object) => number} [enemyLevel] - 敵軍 AI 行為與積極度所依據的關卡
+ * @property {(engine: object) => number} [runLevel] - 排行榜記錄的「到達關卡」
+ * @property {boolean} [savable] - 是否可以存檔（預設可以）
+ * @property {(engine: object) => object} [saveState] - 存檔 / 同步時額外保存的資料
+ * @property {(engine: object, data: object|null) => void} [loadState] - 還原 saveState() 的資料
+ */
+
+const MODES = new Map();
+
+/**
+ * 註冊遊戲模式（同 id 會取代舊的）
+ * @param {GameModePlugin} plugin
+ * @returns {GameModePlugin}
+ */
+export function registerMode(plugin) {
+  if (!plugin?.id || typeof plugin.loadStage !== 'function' || typeof plugin.update !== 'function' ||
+    typeof plugin.getProgress !== 'function') {
+    throw new Error('遊戲模式必須有 id、loadStage、update 與 getProgress');
+  }
+  MODES.set(plugin.id, plugin);
+  return plugin;
+}
+
+/**
+ * 取得已註冊的遊戲模式
+ * @param {string} id
+ * @returns {GameModePlugin|null}
+ */
+export function getMode(id) {
+  return MODES.get(id) ?? null;
+}
+
+/**
+ * 是否已註冊這個模式（gameConfig 驗證 config.mode 用）
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function hasMode(id) {
+  return MODES.has(id);
+}
@@ -0,0 +1,117 @@
+/**
+ * ============================================================
+ * 關卡任務 (Stage Objectives)
+ * ============================================================
+ * 關卡檔的 objectives 是一串依序進行的任務，全部完成才過關：
+ *
+ *   "objectives": [
+ *     { "type": "survive", "time": 60 },   // 先撐過 60 秒
+ *     { "type": "escort", "time": 90 },    // 再在 90 秒內把友軍坦克送到出口
+ *     { "type": "destroy" }                // 最後殲滅剩下的敵軍
+ *   ]
+ *
+ *   destroy  — 擊毀本關全部敵軍；time 為時間限制（選填）
+ *   survive  — 撐過 time 秒（必填）
+ *   escort   — 友軍坦克（圖塊 A）開到出口（圖塊 X）；被擊毀即失敗；time 為時間限制（選填）
+ *   flawless — 擊毀本關全部敵軍，且本關沒有任何玩家損失生命
+ *
+ * 每個任務的計時從前一個任務完成時開始。沒寫任務的關卡等同 [{ "type": "destroy" }]。
+ * 這裡只有規則（驗證、判定、顯示文字）；任務推進與過關 / 失敗由 campaign.js 的戰役模式執行，
+ * 護送坦克由 GameEngine 駕駛。
+ */
+import { OBJECTIVE_TYPE } from './constants.js';
+
+const { DESTROY, SURVIVE, ESCORT, FLAWLESS } = OBJECTIVE_TYPE;
+
+// 沒寫任務的關卡：殲滅全部敵軍
+export const DEFAULT_OBJECTIVES = Object.freeze([Object.freeze({ type: DESTROY })]);
+
+// 護送目標的狀態
+export const ESCORT_STATUS = {
+  NONE: 'none',         // 本關沒有護送目標
+  ALIVE: 'alive',       // 在場上（護送任務開始前停在出生點）
+  ARRIVED: 'arrived',   // 已抵達出口
+  LOST: 'lost',         // 被擊毀
+};
+
+// 各任務的名稱與 time 欄位規則：required 必填、optional 選填、none 不接受
+const OBJECTIVE_RULES = {
+  [DESTROY]: { label: '殲滅敵軍', time: 'optional' },
+  [SURVIVE]: { label: '堅守', time: 'required' },
+  [ESCORT]: { label: '護送友軍到出口', time: 'optional' },
+  [FLAWLESS]: { label: '無傷殲滅', time: 'none' },
+};
+
+/**
+ * 驗證任務清單（關卡檔的 objectives 欄位）
+ * @param {*} objectives
+ * @returns {object[]} 原樣回傳，方便串接
+ * @throws {Error} 格式不符時拋出（訊息可直接顯示給玩家）
+ */
+export function validateObjectives(objectives) {
+  if (!Array.isArray(objectives) || objectives.length === 0) {
+    throw new Error('關卡任務必須是至少一項的清單');
+  }
+  objectives.forEach((objective, i) => {
+    const rules = OBJECTIVE_RULES[objective?.type];
+    if (!rules) throw new Error(`第 ${i + 1} 項任務的類型未知：${objective?.type}`);
+    const { time } = objective;
+    if (time === undefined) {
+      if (rules.time === 'required') throw new Error(`第 ${i + 1} 項任務（${rules.label}）需要秒數`);
+    } else if (rules.time === 'none') {
+      throw new Error(`第 ${i + 1} 項任務（${rules.label}）不能設定時間`);
+    } else if (!(Number.isFinite(time) && time > 0)) {
+      throw new Error(`第 ${i + 1} 項任務的秒數必須是正數`);
+    }
+  });
+  return objectives;
+}
+
+/**
+ * 判定目前這項任務
+ * @param {{ type: string, time?: number }} objective
+ * @param {{ elapsed: number, enemiesLeft: number, livesLost: number, escort: string }} status
+ *   elapsed — 這項任務開始後經過的毫秒；enemiesLeft — 本關還沒擊毀的敵軍數；
+ *   livesLost — 本關損失的生命數；escort — ESCORT_STATUS
+ * @returns {{ passed: boolean, reason?: string }|null} 還在進行中為 null；失敗時 reason 為原因
+ */
+export function evaluateObjective(objective, status) {
+  const limit = objective.time ? objective.time * 1000 : null;
+  switch (objective.type) {
+    case SURVIVE:
+      return status.elapsed >= limit ? { passed: true } : null;
+    case DESTROY:
+      if (status.enemiesLeft <= 0) return { passed: true };
+      break;
+    case FLAWLESS:
+      if (status.livesLost > 0) return { passed: false, reason: '損失了生命' };
+      if (status.enemiesLeft <= 0) return { passed: true };
+      break;
+    case ESCORT:
+      if (status.escort === ESCORT_STATUS.LOST) return { passed: false, reason: '護送目標被擊毀' };
+      if (status.escort === ESCORT_STATUS.ARRIVED) return { passed: true };
+      break;
+  }
+  if (limit !== null && status.elapsed >= limit) return { passed: false, reason: '時間到' };
+  return null;
+}
+
+/**
+ * 任務的顯示名稱（HUD 用）
+ * @param {{ type: string, time?: number }} objective
+ * @returns {string}
+ */
+export function describeObjective(objective) {
+  const { label } = OBJECTIVE_RULES[objective.type];
+  return objective.type === SURVIVE ? `${label} ${objective.time} 秒` : label;
+}
+
+/**
+ * 任務的剩餘時間（堅守為還要撐多久，其餘為時間限制）
+ * @param {{ type: string, time?: number }} objective
+ * @param {number} elapsed - 這項任務開始後經過的毫秒
+ * @returns {number|null} 剩餘毫秒；沒有時間限制為 null
+ */
+export function getObjectiveTimeLeft(objective, elapsed) {
+  return objective.time ? Math.max(0, objective.time * 1000 - elapsed) : null;
+}
@@ -0,0 +1,83 @@
+/**
+ * ============================================================
+ * 網格尋路 (Grid Pathfinding)
+ * ============================================================
+ * 以 WALL_SIZE 格子為節點、上下左右相鄰為邊的最短路搜尋。
+ * 每一步的成本由呼叫端決定（小整數，-1 = 無法進入），因此同一套搜尋可用於：
+ *   - mapConnectivity.js：成本 = 需要打通的鐵牆數
+ *   - enemyAI.js：成本 = 移動距離 + 射穿磚牆的額外時間
+ * 成本只有少量整數，用分桶佇列即可取代優先佇列。
+ */
+import { WALL_SIZE } from './constants.js';
+
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * 從起點出發，計算抵達每一格的最低總成本
+ * @param {{ c: number, r: number }} origin - 起點格
+ * @param {(cell: { c: number, r: number }) => number} stepCost - 進入某格的成本；-1 = 無法進入
+ * @param {number} [startCost] - 起點本身的成本
+ * @returns {{ costs: Map<string, number>, parents: Map<string, { c: number, r: number }> }}
+ *   costs — cellKey → 最低總成本；parents — 每一格在最便宜路線上的前一格（回溯路線用）
+ */
+export function searchGrid(origin, stepCost, startCost = 0) {
+  const costs = new Map();
+  const parents = new Map();
+  const buckets = [];
+  costs.set(cellKey(origin), startCost);
+  buckets[startCost] = [origin];
+
+  for (let cost = 0; cost < buckets.length; cost++) {
+    const bucket = buckets[cost] ?? [];
+    while (bucket.length > 0) {
+      const cell = bucket.pop();
+      if (costs.get(cellKey(cell)) !== cost) continue; // 已有更便宜的路線
+      for (const [dc, dr] of NEIGHBORS) {
+        const next = { c: cell.c + dc, r: cell.r + dr };
+        const step = stepCost(next);
+        if (step < 0) continue;
+        const total = cost + step;
+        const key = cellKey(next);
+        if (costs.has(key) && costs.get(key) <= total) continue;
+        costs.set(key, total);
+        parents.set(key, cell);
+        (buckets[total] ??= []).push(next);
+      }
+    }
+  }
+  return { costs, parents };
+}
+
+/**
+ * 由終點沿 parents 回溯到起點
+ * @param {Map<string, { c: number, r: number }>} parents - searchGrid() 的結果
+ * @param {{ c: number, r: number }} goal
+ * @returns {{ c: number, r: number }[]} 路線上的格子（終點在前、起點在後）
+ */
+export function tracePath(parents, goal) {
+  const path = [goal];
+  let cell = parents.get(cellKey(goal));
+  while (cell) {
+    path.push(cell);
+    cell = parents.get(cellKey(cell));
+  }
+  return path;
+}
+
+/**
+ * 設計座標 → 所在格子（無條件捨去，適用於網格對齊的牆壁與出生點）
+ * @param {{ x: number, y: number }} point
+ * @returns {{ c: number, r: number }}
+ */
+export function toCell({ x, y }) {
+  return { c: Math.floor(x / WALL_SIZE), r: Math.floor(y / WALL_SIZE) };
+}
+
+/**
+ * 格子的 Map / Set 鍵值
+ * @param {{ c: number, r: number }} cell
+ * @returns {string}
+ */
+export function cellKey({ c, r }) {
+  return `${c},${r}`;
+}
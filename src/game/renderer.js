@@ -0,0 +1,257 @@
+/**
+ * ============================================================
+ * 遊戲畫面繪製 (Renderer)
+ * ============================================================
+ * 表現層：讀取 GameEngine 的狀態並繪製到 Canvas。
+ * 與模擬邏輯分離，GameEngine 本身不碰 Canvas，
+ * 因此引擎可以在 Node（無 DOM）下執行。
+ */
+import {
+  GAME_STATE, DESIGN_WIDTH, WALL_SIZE, SIM_TICK_MS,
+  EXPLOSION_DURATION, EXPLOSION_GROWTH,
+  COLOR_BACKGROUND, COLOR_GRID, COLOR_PLAYER, COLOR_PLAYER_2, COLOR_ENEMY, COLOR_ESCORT, COLOR_EXIT,
+} from './constants.js';
+import { Wall } from './Wall.js';
+import { Base } from './Base.js';
+import { TILE_WALLS, TILE_MARKERS } from './levelFormat.js';
+import { ESCORT_STATUS } from './objectives.js';
+
+// 關卡編輯器中出生點標記的顏色與文字
+const SPAWN_MARKERS = {
+  [TILE_MARKERS.PLAYER_1]: { color: COLOR_PLAYER, label: '1P' },
+  [TILE_MARKERS.PLAYER_2]: { color: COLOR_PLAYER_2, label: '2P' },
+  [TILE_MARKERS.ENEMY]: { color: COLOR_ENEMY, label: 'E' },
+  [TILE_MARKERS.ESCORT]: { color: COLOR_ESCORT, label: 'A' },
+  [TILE_MARKERS.EXIT]: { color: COLOR_EXIT, label: '出口' },
+};
+
+/**
+ * 在 Canvas 上渲染所有遊戲物件
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./GameEngine.js').GameEngine} engine
+ * @param {number} canvasWidth - 實際 Canvas 寬度 (px)
+ * @param {number} canvasHeight - 實際 Canvas 高度 (px)
+ */
+export function renderGame(ctx, engine, canvasWidth, canvasHeight) {
+  // 計算縮放因子
+  const scale = canvasWidth / DESIGN_WIDTH;
+
+  // 插值係數：accumulator 中尚未模擬的時間佔一步的比例。
+  // 物件畫在「上一步 → 目前步」之間，任何更新率下移動都平滑。
+  const alpha = engine.getInterpolationAlpha();
+  const now = engine.simTime + (alpha - 1) * SIM_TICK_MS;
+
+  // ---- 清除畫布 + 背景網格 ----
+  drawBackground(ctx, canvasWidth, canvasHeight, scale);
+
+  // ---- 繪製地形（樹林除外）----
+  for (const wall of engine.walls) {
+    if (!wall.covers) wall.draw(ctx, scale);
+  }
+
+  // ---- 繪製基地 ----
+  if (engine.base) {
+    engine.base.draw(ctx, scale);
+  }
+
+  // ---- 護送出口（護送目標還在場上時才顯示）----
+  if (engine.escortStatus === ESCORT_STATUS.ALIVE) {
+    const { x, y } = engine.layout.exit;
+    drawMarker(ctx, x, y, SPAWN_MARKERS[TILE_MARKERS.EXIT], scale);
+  }
+
+  // ---- 繪製坦克 ----
+  for (const enemy of engine.enemies) {
+    enemy.draw(ctx, scale, now, alpha);
+  }
+  for (const player of engine.players) {
+    player.draw(ctx, scale, now, alpha);
+  }
+  if (engine.escort) {
+    engine.escort.draw(ctx, scale, now, alpha);
+  }
+
+  // ---- 繪製樹林（蓋在坦克之上，把坦克藏起來）----
+  for (const wall of engine.walls) {
+    if (wall.covers) wall.draw(ctx, scale);
+  }
+
+  // ---- 繪製道具（蓋在坦克之上）----
+  if (engine.powerUp) {
+    engine.powerUp.draw(ctx, scale, now);
+  }
+
+  // ---- 繪製子彈 ----
+  for (const bullet of engine.bullets) {
+    bullet.draw(ctx, scale, alpha);
+  }
+
+  // ---- 繪製爆炸效果（依經過時間計算半徑與透明度）----
+  for (const exp of engine.explosions) {
+    const elapsed = Math.max(0, now - exp.createdAt);
+    const radius = 2 + elapsed * EXPLOSION_GROWTH;
+    ctx.globalAlpha = Math.max(0, 1 - elapsed / EXPLOSION_DURATION);
+    ctx.fillStyle = exp.color || '#FF6600';
+    ctx.beginPath();
+    ctx.arc(exp.x * scale, exp.y * scale, radius * scale, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 內圈亮光
+    ctx.fillStyle = '#FFFF00';
+    ctx.beginPath();
+    ctx.arc(exp.x * scale, exp.y * scale, radius * scale * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+
+  // ---- 重播標記 ----
+  if (engine.replayPlayer) {
+    drawReplayBadge(ctx, scale, engine.timeScale);
+  }
+
+  // ---- 遊戲狀態覆蓋畫面 ----
+  if (engine.state === GAME_STATE.MENU) {
+    drawOverlay(ctx, canvasWidth, canvasHeight, '🎮 坦克大戰', '點擊「開始遊戲」', scale);
+  } else if (engine.state === GAME_STATE.PAUSED) {
+    drawOverlay(ctx, canvasWidth, canvasHeight, '⏸ 暫停中', `點擊繼續（種子 ${engine.seed}）`, scale);
+  } else if (engine.state === GAME_STATE.GAME_OVER && engine.isVersus) {
+    const { standings, winner } = engine.getMatchResult();
+    const title = winner === null ? '🤝 平手' : `🏆 ${standings[0].label} 獲勝！`;
+    drawOverlay(ctx, canvasWidth, canvasHeight, title, `比賽結束・最高擊殺 ${standings[0].frags}`, scale);
+  } else if (engine.state === GAME_STATE.GAME_OVER) {
+    let reason = engine.base && !engine.base.alive ? '基地被摧毀！' : '';
+    if (engine.objectiveFailure) reason = `任務失敗：${engine.objectiveFailure}！`;
+    const reached = engine.isSurvival ? `撐到第 ${engine.wave} 波・` : '';
+    drawOverlay(ctx, canvasWidth, canvasHeight, '💀 遊戲結束', `${reason}${reached}最終分數：${engine.score}`, scale);
+  } else if (engine.state === GAME_STATE.LEVEL_CLEAR) {
+    drawOverlay(ctx, canvasWidth, canvasHeight, `🏆 第 ${engine.level} 關完成！`, `分數：${engine.score}`, scale);
+  }
+}
+
+/**
+ * 繪製關卡編輯器的畫面：直接由關卡檔的 tiles 畫出牆壁、基地與出生點標記
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} level - 關卡資料（levelFormat 格式）
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @param {{
+ *   hover?: { c: number, r: number }|null,
+ *   unreachable?: { x: number, y: number }[],
+ * }} [options]
+ *   hover — 滑鼠所在格（畫框提示）；unreachable — 開不到的出生點（紅框標示）
+ */
+export function renderLevelEditor(ctx, level, canvasWidth, canvasHeight, { hover = null, unreachable = [] } = {}) {
+  const scale = canvasWidth / DESIGN_WIDTH;
+  const sz = WALL_SIZE * scale;
+
+  drawBackground(ctx, canvasWidth, canvasHeight, scale);
+
+  level.tiles.forEach((line, r) => {
+    [...line].forEach((ch, c) => {
+      const x = c * WALL_SIZE;
+      const y = r * WALL_SIZE;
+      if (TILE_WALLS[ch]) {
+        new Wall(x, y, TILE_WALLS[ch]).draw(ctx, scale);
+      } else if (ch === TILE_MARKERS.BASE) {
+        new Base(x, y).draw(ctx, scale);
+      } else if (SPAWN_MARKERS[ch]) {
+        drawMarker(ctx, x, y, SPAWN_MARKERS[ch], scale);
+      }
+    });
+  });
+
+  // ---- 開不到的出生點 ----
+  ctx.strokeStyle = '#FF3333';
+  ctx.lineWidth = Math.max(2, 3 * scale);
+  for (const { x, y } of unreachable) {
+    ctx.strokeRect(x * scale, y * scale, sz, sz);
+  }
+
+  // ---- 游標所在格 ----
+  if (hover) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = Math.max(1, scale);
+    ctx.strokeRect(hover.c * sz, hover.r * sz, sz, sz);
+  }
+}
+
+/**
+ * 繪製一格半透明的標記（出生點、護送出口）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x - 格子左上角（設計座標）
+ * @param {number} y
+ * @param {{ color: string, label: string }} marker
+ * @param {number} scale
+ */
+function drawMarker(ctx, x, y, { color, label }, scale) {
+  const sz = WALL_SIZE * scale;
+  ctx.fillStyle = color;
+  ctx.globalAlpha = 0.35;
+  ctx.fillRect(x * scale, y * scale, sz, sz);
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(1, 2 * scale);
+  ctx.strokeRect(x * scale + 1, y * scale + 1, sz - 2, sz - 2);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = `bold ${Math.max(9, 14 * scale)}px "Noto Sans TC", sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, x * scale + sz / 2, y * scale + sz / 2);
+}
+
+/**
+ * 清除畫布並繪製背景網格
+ */
+function drawBackground(ctx, canvasWidth, canvasHeight, scale) {
+  ctx.fillStyle = COLOR_BACKGROUND;
+  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+  ctx.strokeStyle = COLOR_GRID;
+  ctx.lineWidth = 0.5;
+  const gridSize = WALL_SIZE * scale;
+  for (let x = 0; x < canvasWidth; x += gridSize) {
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, canvasHeight);
+    ctx.stroke();
+  }
+  for (let y = 0; y < canvasHeight; y += gridSize) {
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(canvasWidth, y);
+    ctx.stroke();
+  }
+}
+
+/**
+ * 繪製左上角「REPLAY」標記
+ */
+function drawReplayBadge(ctx, scale, timeScale) {
+  const fontSize = Math.max(12, 20 * scale);
+  ctx.font = `bold ${fontSize}px "Noto Sans TC", sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = 'rgba(255, 60, 60, 0.85)';
+  ctx.fillText(`● REPLAY ×${timeScale}`, 44 * scale, 8 * scale);
+}
+
+/**
+ * 繪製半透明覆蓋畫面（選單 / 暫停 / 結束）
+ */
+function drawOverlay(ctx, cw, ch, title, subtitle, scale) {
+  // 半透明黑色背景
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, cw, ch);
+
+  // 標題
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `bold ${Math.max(24, 48 * scale)}px "Noto Sans TC", sans-serif`;
+  ctx.fillText(title, cw / 2, ch / 2 - 30 * scale);
+
+  // 副標題
+  ctx.font = `${Math.max(14, 22 * scale)}px "Noto Sans TC", sans-serif`;
+  ctx.fillStyle = '#AAAAAA';
+  ctx.fillText(subtitle, cw / 2, ch / 2 + 25 * scale);
+}
@@ -0,0 +1,117 @@
+/**
+ * ============================================================
+ * 戰役存檔 (Save Game)
+ * ============================================================
+ * 暫停與過關時，TankGame 把 GameEngine.createSave() 的完整狀態寫進 localStorage，
+ * 下次開啟可從選單的「繼續遊戲」接著玩。存檔內容（皆為純資料）：
+ *   - 局面：關卡、種子與亂數狀態、本局設定、模擬步數、各項計時器
+ *   - 玩家：位置、生命、分數、星星、無敵時間、射擊冷卻
+ *   - 場上：剩下的牆（含磚牆剩餘的四分之一塊）、敵軍（含 AI 狀態）、子彈、道具、基地
+ *   - 統計：整局統計、本關統計 / 結算表、難度導演狀態
+ *
+ * 存檔帶有 SAVE_VERSION：舊版本依 SAVE_MIGRATIONS 逐版升級，
+ * 沒有升級路徑或比目前程式還新的存檔一律拒絕，不會讀進半套資料。
+ * 這裡只處理格式，讀寫 localStorage 由 TankGame 負責。
+ */
+import { GAME_STATE, MAX_PLAYERS } from './constants.js';
+import { createGameConfig } from './gameConfig.js';
+
+// localStorage 的鍵值（與 tankgame-settings 同一命名方式）
+export const SAVE_STORAGE_KEY = 'tankgame-save';
+
+// 存檔識別字串
+export const SAVE_FORMAT = 'tank-battle-save';
+
+// 存檔格式版本：存檔欄位有不相容的變動時 +1，並在 SAVE_MIGRATIONS 補上舊版的升級函式
+export const SAVE_VERSION = 1;
+
+// 版本升級表：SAVE_MIGRATIONS[n] 把第 n 版的存檔轉成第 n + 1 版（目前沒有舊版）
+export const SAVE_MIGRATIONS = {};
+
+// 可以存檔的狀態：暫停中、或剛過關等待進入下一關
+const SAVABLE_STATES = [GAME_STATE.PAUSED, GAME_STATE.LEVEL_CLEAR];
+
+/**
+ * 狀態是否可以存檔
+ * @param {string} state - GAME_STATE
+ * @returns {boolean}
+ */
+export function isSavableState(state) {
+  return SAVABLE_STATES.includes(state);
+}
+
+/**
+ * 將存檔轉為 JSON 字串
+ * @param {object} save - GameEngine.createSave() 的結果
+ * @returns {string}
+ */
+export function serializeSave(save) {
+  return JSON.stringify(save);
+}
+
+/**
+ * 將舊版存檔逐版升級到目前版本
+ * @param {object} data
+ * @param {{ migrations?: Object<number, (data: object) => object>, version?: number }} [options]
+ *   migrations — 版本升級表；version — 目標版本（兩者預設為目前的格式，測試可替換）
+ * @returns {object}
+ * @throws {Error} 版本比目前新、或缺少升級路徑時拋出
+ */
+export function migrateSave(data, { migrations = SAVE_MIGRATIONS, version = SAVE_VERSION } = {}) {
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('存檔缺少版本資訊');
+  }
+  if (data.version > version) {
+    throw new Error(`存檔來自較新的版本（第 ${data.version} 版），請更新遊戲`);
+  }
+  let save = data;
+  while (save.version < version) {
+    const migrate = migrations[save.version];
+    if (!migrate) throw new Error(`存檔版本過舊（第 ${save.version} 版），無法繼續`);
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+  return save;
+}
+
+/**
+ * 解析並驗證存檔（舊版會先升級）
+ * @param {string} text
+ * @param {object} [options] - 同 migrateSave()
+ * @returns {object} 可交給 GameEngine.resumeGame() 的存檔
+ * @throws {Error} 格式不符時拋出（訊息可直接顯示給玩家）
+ */
+export function parseSave(text, options) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('存檔不是有效的 JSON');
+  }
+  if (!data || data.format !== SAVE_FORMAT) {
+    throw new Error('這不是坦克大戰的存檔');
+  }
+
+  const save = migrateSave(data, options);
+  if (!isSavableState(save.state)) {
+    throw new Error(`存檔的遊戲狀態無效：${save.state}`);
+  }
+  if (!Number.isInteger(save.level) || save.level < 1 || !Number.isInteger(save.tick) || save.tick < 0) {
+    throw new Error('存檔缺少關卡資訊');
+  }
+  if (!Number.isInteger(save.seed) || !Number.isInteger(save.rngState)) {
+    throw new Error('存檔缺少亂數資訊');
+  }
+  if (!Array.isArray(save.players) || save.players.length < 1 || save.players.length > MAX_PLAYERS) {
+    throw new Error('存檔的玩家資料損毀');
+  }
+  if (!save.config || typeof save.config !== 'object') {
+    throw new Error('存檔的遊戲設定損毀');
+  }
+  for (const key of ['enemies', 'bullets', 'walls', 'roster', 'stageStats']) {
+    if (!Array.isArray(save[key])) throw new Error('存檔的場上資料損毀');
+  }
+  if (!save.layout || !save.director || !save.runStats) {
+    throw new Error('存檔的場上資料損毀');
+  }
+  return { ...save, config: createGameConfig(save.config) };
+}
@@ -0,0 +1,92 @@
+/**
+ * ============================================================
+ * 關卡結算 (Stage Results)
+ * ============================================================
+ * 過關時依每位玩家本關的統計（開槍、命中、被擊中、各類型擊毀數）算出結算表：
+ *   - 擊毀明細：類型 × 台數 × 單價（這部分分數在擊毀當下已經入帳，只供顯示）
+ *   - 時間獎勵：比 STAGE_TIME_PAR 早過關的每一秒加分
+ *   - 無傷獎勵：整關沒被擊中
+ *   - 命中率獎勵：開槍數足夠且命中率達 ACCURACY_BONUS 的門檻
+ * 已用完生命的玩家只列出擊毀明細，不拿獎勵。
+ *
+ * 這裡只做計算，統計由 GameEngine 收集、獎勵分數也由引擎加到玩家身上。
+ */
+import {
+  ENEMY_TYPE, ENEMY_STATS,
+  STAGE_TIME_PAR, STAGE_TIME_BONUS_PER_SECOND, NO_DAMAGE_BONUS,
+  ACCURACY_BONUS, ACCURACY_BONUS_MIN_SHOTS,
+} from './constants.js';
+
+/**
+ * 建立一位玩家空白的本關統計
+ * @returns {{ shots: number, hits: number, damageTaken: number, kills: Object<string, number> }}
+ *   kills — 依 ENEMY_TYPE 分類的擊毀數
+ */
+export function createStageStats() {
+  return {
+    shots: 0,
+    hits: 0,
+    damageTaken: 0,
+    kills: Object.fromEntries(Object.values(ENEMY_TYPE).map(type => [type, 0])),
+  };
+}
+
+/**
+ * 計算過關結算
+ * @param {{ stats: object, survived: boolean }[]} entries - 依玩家編號排列；survived — 過關時還有生命
+ * @param {number} time - 本關花費的模擬時間（毫秒）
+ * @returns {{
+ *   time: number,
+ *   players: {
+ *     index: number,
+ *     kills: { type: string, count: number, points: number }[],
+ *     killPoints: number,
+ *     shots: number,
+ *     accuracy: number,
+ *     bonuses: { time: number, noDamage: number, accuracy: number },
+ *     bonusTotal: number,
+ *   }[],
+ * }}
+ *   time — 過關秒數（無條件捨去）；bonusTotal — 過關時才加到分數上的獎勵合計
+ */
+export function computeStageResults(entries, time) {
+  const seconds = Math.floor(time / 1000);
+  return {
+    time: seconds,
+    players: entries.map(({ stats, survived }, index) => {
+      const kills = Object.values(ENEMY_TYPE).map(type => ({
+        type,
+        count: stats.kills[type] ?? 0,
+        points: (stats.kills[type] ?? 0) * ENEMY_STATS[type].score,
+      }));
+      const accuracy = stats.shots > 0 ? stats.hits / stats.shots : 0;
+      const bonuses = survived
+        ? {
+          time: Math.max(0, STAGE_TIME_PAR - seconds) * STAGE_TIME_BONUS_PER_SECOND,
+          noDamage: stats.damageTaken === 0 ? NO_DAMAGE_BONUS : 0,
+          accuracy: getAccuracyBonus(stats.shots, accuracy),
+        }
+        : { time: 0, noDamage: 0, accuracy: 0 };
+
+      return {
+        index,
+        kills,
+        killPoints: kills.reduce((sum, k) => sum + k.points, 0),
+        shots: stats.shots,
+        accuracy: Math.round(accuracy * 1000) / 1000,
+        bonuses,
+        bonusTotal: bonuses.time + bonuses.noDamage + bonuses.accuracy,
+      };
+    }),
+  };
+}
+
+// =============================================
+// 內部工具
+// =============================================
+
+function getAccuracyBonus(shots, accuracy) {
+  if (shots < ACCURACY_BONUS_MIN_SHOTS) return 0;
+  const tier = ACCURACY_BONUS.find(t => accuracy >= t.minAccuracy);
+  return tier ? tier.points : 0;
+}
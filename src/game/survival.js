@@ -0,0 +1,182 @@
+/**
+ * ============================================================
+ * 生存模式 (Survival)
+ * ============================================================
+ * 固定一張地圖，敵軍一波一波來（基地被毀或生命用完才結束）：
+ *   - 每一波的敵軍數、類型組合與同時在場上限都比上一波高
+ *   - 清完一波後有 SURVIVAL_BREATHER 的喘息時間，期間被打掉的磚牆逐塊長回來
+ *   - 連續擊殺越多分數倍率越高，被擊中就歸零
+ * 前半是與引擎狀態無關的規則；生存模式外掛（SURVIVAL_MODE）用它們推進波次、修牆與計算連殺倍率。
+ */
+import {
+  WALL_TYPE, WALL_SIZE, SIM_TICK_MS, GAME_MODE, GAME_EVENT,
+  SURVIVAL_MAP_LEVEL, SURVIVAL_FIRST_WAVE, SURVIVAL_WAVE_GROWTH,
+  SURVIVAL_FIRST_MAX_ENEMIES, SURVIVAL_MAX_ENEMIES_CAP,
+  SURVIVAL_STREAK_STEP, SURVIVAL_MAX_MULTIPLIER, SURVIVAL_BREATHER, SURVIVAL_BRICK_REGEN_INTERVAL,
+} from './constants.js';
+import { generateMap, getMapLayout } from './mapGenerator.js';
+import { getEnemyRoster } from './enemyRoster.js';
+import { rectsOverlap } from './Tank.js';
+import { Wall } from './Wall.js';
+
+/**
+ * 載入生存地圖（與 campaign.loadStage() 回傳同形；敵軍名單在每一波開始時才抽）
+ * @param {import('./Random.js').Random} rng
+ * @returns {{ name: string, walls: Array, layout: object, roster: string[], targets: null, objectives: null }}
+ */
+export function loadSurvivalMap(rng) {
+  const walls = generateMap(SURVIVAL_MAP_LEVEL, rng);
+  return { name: '生存', walls, layout: getMapLayout(), roster: [], targets: null, objectives: null };
+}
+
+/**
+ * 第幾波的敵軍總數
+ * @param {number} wave - 波次 (1-based)
+ * @returns {number}
+ */
+export function getWaveSize(wave) {
+  return SURVIVAL_FIRST_WAVE + (wave - 1) * SURVIVAL_WAVE_GROWTH;
+}
+
+/**
+ * 第幾波的同時在場上限（每兩波 +1，不超過 SURVIVAL_MAX_ENEMIES_CAP）
+ * @param {number} wave
+ * @returns {number}
+ */
+export function getWaveMaxEnemies(wave) {
+  return Math.min(SURVIVAL_MAX_ENEMIES_CAP, SURVIVAL_FIRST_MAX_ENEMIES + Math.floor((wave - 1) / 2));
+}
+
+/**
+ * 第幾波的敵軍出場順序：類型組合沿用戰役同編號關卡的組合，波次越後面越強
+ * @param {number} wave
+ * @param {import('./Random.js').Random} rng
+ * @returns {string[]} ENEMY_TYPE 陣列
+ */
+export function createWaveRoster(wave, rng) {
+  return getEnemyRoster(wave, rng, getWaveSize(wave));
+}
+
+/**
+ * 連續擊殺的分數倍率：每滿 SURVIVAL_STREAK_STEP 台 +1，最多 SURVIVAL_MAX_MULTIPLIER 倍
+ * @param {number} streak - 沒被擊中以來的擊殺數
+ * @returns {number}
+ */
+export function getStreakMultiplier(streak) {
+  return Math.min(SURVIVAL_MAX_MULTIPLIER, 1 + Math.floor(streak / SURVIVAL_STREAK_STEP));
+}
+
+/**
+ * 記下地圖上原有磚牆的位置（喘息時依這份清單修牆）
+ * @param {import('./Wall.js').Wall[]} walls
+ * @returns {{ x: number, y: number }[]}
+ */
+export function getBrickCells(walls) {
+  return walls.filter(w => w.type === WALL_TYPE.BRICK).map(w => ({ x: w.x, y: w.y }));
+}
+
+/**
+ * 依清單順序找下一塊要修的磚牆：被打掉或被削過的都算；
+ * 該格已被其他地形佔據（例如鏟子換成的鐵牆）或有坦克停在上面就跳過。
+ * @param {{ x: number, y: number }[]} bricks - getBrickCells() 的結果
+ * @param {import('./Wall.js').Wall[]} walls - 目前的牆壁
+ * @param {Array} tanks - 場上的坦克（只看存活的）
+ * @returns {{ x: number, y: number, wall: import('./Wall.js').Wall|null }|null} 沒有要修的為 null
+ *   wall — 被削過、要補滿的磚牆；整塊不見時為 null
+ */
+export function findBrickToRegrow(bricks, walls, tanks) {
+  for (const { x, y } of bricks) {
+    const wall = walls.find(w => w.alive && w.x === x && w.y === y) ?? null;
+    if (wall && (wall.type !== WALL_TYPE.BRICK || wall.quarters.every(Boolean))) continue;
+    const bounds = { x, y, w: WALL_SIZE, h: WALL_SIZE };
+    if (tanks.some(t => t.alive && rectsOverlap(bounds, t.getBounds()))) continue;
+    return { x, y, wall };
+  }
+  return null;
+}
+
+/**
+ * 開始新的一波 — 抽這一波的名單並重新計算擊毀 / 生成數
+ * @param {import('./GameEngine.js').GameEngine} engine
+ * @param {number} wave
+ * @param {number} now
+ */
+function startWave(engine, wave, now) {
+  engine.wave = wave;
+  engine.waveBreakUntil = 0;
+  engine.roster = createWaveRoster(wave, engine.rng);
+  engine.enemiesDestroyed = 0;
+  engine.totalEnemiesSpawned = 0;
+  engine.lastEnemySpawnTime = now;
+}
+
+/**
+ * 修回一塊被打掉或削過的磚牆（依地圖原有磚牆的順序）
+ * @param {import('./GameEngine.js').GameEngine} engine
+ */
+function regrowBrick(engine) {
+  const cell = findBrickToRegrow(engine.brickCells, engine.walls, engine.players.concat(engine.enemies));
+  if (!cell) return;
+  if (cell.wall) cell.wall.quarters = [true, true, true, true];
+  else engine.walls.push(new Wall(cell.x, cell.y, WALL_TYPE.BRICK));
+}
+
+/**
+ * 生存模式（見 modes.js 的 GameModePlugin）
+ * @type {import('./modes.js').GameModePlugin}
+ */
+export const SURVIVAL_MODE = {
+  id: GAME_MODE.SURVIVAL,
+
+  loadStage(engine) {
+    return loadSurvivalMap(engine.rng);
+  },
+
+  start(engine) {
+    engine.brickCells = getBrickCells(engine.walls);
+    startWave(engine, 1, engine.simTime);
+  },
+
+  /** 這一波清完就進入喘息（期間修牆），喘息結束開始下一波 */
+  update(engine, now) {
+    if (!engine.waveBreakUntil) {
+      if (engine.enemiesDestroyed < engine.roster.length) return;
+      engine.waveBreakUntil = now + SURVIVAL_BREATHER;
+      engine.events.emit(GAME_EVENT.WAVE_CLEARED, { wave: engine.wave });
+      engine.notifyStateChange();
+      return;
+    }
+    if (now >= engine.waveBreakUntil) {
+      startWave(engine, engine.wave + 1, now);
+      engine.notifyStateChange();
+      return;
+    }
+    if (engine.tick % Math.round(SURVIVAL_BRICK_REGEN_INTERVAL / SIM_TICK_MS) === 0) regrowBrick(engine);
+  },
+
+  /** 同時在場上限隨波次提高 */
+  maxEnemies(engine) {
+    return getWaveMaxEnemies(engine.wave);
+  },
+
+  /** 以波次當作敵軍 AI 的關卡 */
+  enemyLevel(engine) {
+    return engine.wave;
+  },
+
+  /** 排行榜記錄到達的波次 */
+  runLevel(engine) {
+    return engine.wave;
+  },
+
+  /** 分數乘上開火玩家的連續擊殺倍率 */
+  scoreKill(engine, shooter, enemy) {
+    return enemy.scoreValue * getStreakMultiplier(shooter.streak++);
+  },
+
+  getProgress(engine) {
+    const progress = { name: engine.stageName, wave: engine.wave };
+    if (engine.waveBreakUntil) progress.breakLeft = Math.max(0, engine.waveBreakUntil - engine.simTime);
+    return progress;
+  },
+};
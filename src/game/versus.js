@@ -0,0 +1,194 @@
+/**
+ * ============================================================
+ * 死鬥模式 (Versus)
+ * ============================================================
+ * 本機玩家與電腦坦克在對稱競技場（mapGenerator.generateArena）互相擊殺：
+ *   - 每台坦克自成一隊，子彈打得到所有其他坦克
+ *   - 被擊毀後等 VERSUS_RESPAWN_DELAY 再從輪替的出生點重生
+ *   - 先達到擊殺目標者獲勝；時間到則由擊殺數最多者獲勝（同分為平手）
+ * 前半是與引擎狀態無關的規則；死鬥模式外掛（VERSUS_MODE）用它們部署坦克、記擊殺、重生與判定比賽結束。
+ */
+import {
+  AI_PROFILE, DIR, DIFFICULTY, DESIGN_HEIGHT, TANK_SIZE, VERSUS_MAX_TANKS, VERSUS_BOT_AGGRESSION,
+  VERSUS_RESPAWN_DELAY, GAME_MODE, GAME_EVENT, GAME_OVER_REASON,
+} from './constants.js';
+import { generateArena, getArenaLayout } from './mapGenerator.js';
+import { createAIState } from './enemyAI.js';
+import { Tank, rectsOverlap } from './Tank.js';
+
+/**
+ * 載入競技場（與 campaign.loadStage() 回傳同形；沒有敵軍名單與額外過關條件）
+ * @param {import('./Random.js').Random} rng
+ * @returns {{ name: string, walls: Array, layout: object, roster: string[], targets: null, objectives: null }}
+ */
+export function loadArena(rng) {
+  const walls = generateArena(rng);
+  return { name: '競技場', walls, layout: getArenaLayout(), roster: [], targets: null, objectives: null };
+}
+
+/**
+ * 場上的電腦坦克數：至少湊成兩台坦克對戰，且不超過 VERSUS_MAX_TANKS
+ * @param {number} humans - 本機玩家人數
+ * @param {number} bots - 設定的電腦坦克數
+ * @returns {number}
+ */
+export function getBotCount(humans, bots) {
+  return Math.min(VERSUS_MAX_TANKS - humans, Math.max(bots, 2 - humans));
+}
+
+/**
+ * 建立電腦坦克的 AI 狀態：沿用敵軍 AI 的獵手行為，積極度依難度
+ * @param {string} difficulty - DIFFICULTY
+ * @returns {object}
+ */
+export function createBotAI(difficulty) {
+  const ai = createAIState(AI_PROFILE.HUNTER, 1);
+  ai.aggression = VERSUS_BOT_AGGRESSION[difficulty] ?? VERSUS_BOT_AGGRESSION[DIFFICULTY.NORMAL];
+  return ai;
+}
+
+/**
+ * 從輪替游標開始找第一個沒有坦克佔據的出生點
+ * @param {{ x: number, y: number }[]} spawns - 依輪替順序排列的出生點
+ * @param {number} cursor - 下一個輪到的出生點索引
+ * @param {Array} tanks - 場上的坦克（只看存活的）
+ * @returns {number} 出生點索引；全部被佔據時為 -1
+ */
+export function pickSpawnIndex(spawns, cursor, tanks) {
+  for (let k = 0; k < spawns.length; k++) {
+    const index = (cursor + k) % spawns.length;
+    const bounds = { x: spawns[index].x, y: spawns[index].y, w: TANK_SIZE, h: TANK_SIZE };
+    if (!tanks.some(t => t.alive && rectsOverlap(bounds, t.getBounds()))) return index;
+  }
+  return -1;
+}
+
+/**
+ * 出生時面向地圖中央（上半部朝下、下半部朝上）
+ * @param {{ y: number }} point
+ * @returns {string} DIR
+ */
+export function faceCenter(point) {
+  return point.y + TANK_SIZE / 2 < DESIGN_HEIGHT / 2 ? DIR.DOWN : DIR.UP;
+}
+
+/**
+ * 參賽者名稱：本機玩家為 1P / 2P，電腦坦克依序為 BOT 1、BOT 2…
+ * @param {number} index - 玩家編號
+ * @param {number} humans - 本機玩家人數
+ * @returns {string}
+ */
+export function getCombatantLabel(index, humans) {
+  return index < humans ? `${index + 1}P` : `BOT ${index - humans + 1}`;
+}
+
+/**
+ * 排名：擊殺數多者在前，同分時被擊毀次數少者在前，再同分依玩家編號
+ * @param {{ playerIndex: number, frags: number, deaths: number }[]} players
+ * @param {number} humans - 本機玩家人數
+ * @returns {{ index: number, label: string, frags: number, deaths: number, bot: boolean }[]}
+ */
+export function getStandings(players, humans) {
+  return players
+    .map(p => ({
+      index: p.playerIndex,
+      label: getCombatantLabel(p.playerIndex, humans),
+      frags: p.frags,
+      deaths: p.deaths,
+      bot: p.playerIndex >= humans,
+    }))
+    .sort((a, b) => b.frags - a.frags || a.deaths - b.deaths || a.index - b.index);
+}
+
+/**
+ * 比賽結果：擊殺數唯一最高者獲勝，最高分並列則為平手
+ * @param {ReturnType<typeof getStandings>} standings
+ * @returns {number|null} 獲勝者的玩家編號；平手為 null
+ */
+export function getWinner(standings) {
+  const [first, second] = standings;
+  if (!first || (second && second.frags === first.frags)) return null;
+  return first.index;
+}
+
+/**
+ * 是否有人達到擊殺目標，或比賽時間已到
+ * @param {import('./GameEngine.js').GameEngine} engine
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isMatchOver(engine, now) {
+  if (engine.players.some(p => p.frags >= engine.config.fragLimit)) return true;
+  return now >= engine.config.timeLimit * 1000;
+}
+
+/**
+ * 死鬥模式（見 modes.js 的 GameModePlugin）
+ * @type {import('./modes.js').GameModePlugin}
+ */
+export const VERSUS_MODE = {
+  id: GAME_MODE.VERSUS,
+  savable: false,
+
+  loadStage(engine) {
+    return loadArena(engine.rng);
+  },
+
+  /** 建立本機玩家與電腦坦克，依序放到輪替的出生點 */
+  deploy(engine) {
+    const bots = getBotCount(engine.playerCount, engine.config.bots);
+    engine.spawnCursor = 0;
+    engine.players = [];
+    for (let i = 0; i < engine.playerCount + bots; i++) {
+      const tank = new Tank(0, 0, DIR.UP, true, undefined, engine.config);
+      tank.playerIndex = i;
+      tank.team = i;
+      tank.setStarLevel(0);
+      if (i >= engine.playerCount) tank.ai = createBotAI(engine.config.difficulty);
+      engine.respawnPlayer(tank, engine.simTime);
+      engine.players.push(tank);
+    }
+  },
+
+  /** 從輪替的出生點中挑下一個空著的，面向地圖中央 */
+  spawnPoint(engine) {
+    const spawns = engine.layout.playerSpawns;
+    const index = pickSpawnIndex(spawns, engine.spawnCursor, engine.players);
+    if (index < 0) return null;
+    engine.spawnCursor = (index + 1) % spawns.length;
+    return { ...spawns[index], direction: faceCenter(spawns[index]) };
+  },
+
+  /** 沒有生命數：被擊毀者離場等待重生，擊殺數記給開火的坦克 */
+  hitPlayer(engine, victim, now, bullet) {
+    const shooter = bullet?.owner;
+    victim.alive = false;
+    victim.deaths++;
+    victim.respawnAt = now + VERSUS_RESPAWN_DELAY;
+    engine.stageStats[victim.playerIndex].damageTaken++;
+    if (shooter?.isPlayer && shooter !== victim) shooter.frags++;
+    engine.events.emit(GAME_EVENT.TANK_DESTROYED, { tank: victim, bullet: bullet ?? null });
+    engine.notifyStateChange();
+    return true;
+  },
+
+  /** 重生時間到的坦克回到場上（出生點全被佔住就下一步再試）；有人達標或時間到即結束比賽 */
+  update(engine, now) {
+    for (const player of engine.players) {
+      if (player.alive || player.respawnAt === null || now < player.respawnAt) continue;
+      if (!engine.respawnPlayer(player, now)) continue;
+      player.alive = true;
+      player.respawnAt = null;
+      player.setStarLevel(0);
+    }
+    if (isMatchOver(engine, now)) engine.endGame(GAME_OVER_REASON.MATCH);
+  },
+
+  getProgress(engine) {
+    return {
+      name: engine.stageName,
+      timeLeft: Math.max(0, engine.config.timeLimit * 1000 - engine.simTime),
+      fragLimit: engine.config.fragLimit,
+    };
+  },
+};
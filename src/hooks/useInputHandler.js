@@ -2,37 +2,84 @@
  * ============================================================
  * useInputHandler Hook
  * ============================================================
- * 統一管理鍵盤 (WASD / 方向鍵) 與觸控虛擬按鈕的輸入。
- * 將輸入狀態同步到 GameEngine 的 keys 物件。
+ * 統一管理鍵盤、手把與觸控虛擬按鈕的輸入。
+ * 將輸入狀態同步到 GameEngine 各玩家的 keys 物件。
+ *
+ * 鍵位由按鍵設定（inputBindings.js）決定，預設：
+ *   1P — WASD 移動、Space / J 射擊
+ *   2P — 方向鍵移動、Enter 射擊
+ *   手把 — 十字鍵 / 左搖桿移動、ABXY 射擊、Start 暫停
+ * 單人遊戲時兩組鍵位與所有手把都控制 1P；雙人時手把依連接順序分給 1P、2P。
  */
-import { useEffect, useCallback, useRef } from 'react';
+import { useEffect, useCallback, useRef, useState } from 'react';
+import {
+  PLAYER_ACTIONS, PAUSE_ACTION, findKeyBinding, readGamepad, assignGamepads,
+} from '../game/inputBindings.js';
+
+/**
+ * 查詢按鍵對應的 keys 物件與欄位
+ * @param {import('../game/GameEngine.js').GameEngine} eng
+ * @param {object} bindings - 按鍵設定
+ * @param {string} key - KeyboardEvent.key
+ * @returns {[object, string] | null}
+ */
+function resolveBinding(eng, bindings, key) {
+  const binding = findKeyBinding(bindings, key);
+  if (!binding || binding.action === PAUSE_ACTION) return null;
+  const index = eng.playerCount > 1 ? binding.player : 0;
+  return [eng.playerKeys[index], binding.action];
+}
+
+/**
+ * 手把放開 / 拔除 / 換玩家時，放開它先前按著的鍵
+ * @param {import('../game/GameEngine.js').GameEngine} eng
+ * @param {{ player: number, state: object }} prev - 上一幀的手把狀態
+ */
+function releasePad(eng, prev) {
+  const keys = eng.playerKeys[prev.player];
+  for (const action of PLAYER_ACTIONS) {
+    if (prev.state[action]) keys[action] = false;
+  }
+}
+
+/**
+ * 是否正在輸入框中打字（關卡編輯器的名稱、數量欄位），此時不攔截按鍵
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+function isTypingTarget(e) {
+  return e.target instanceof Element && e.target.closest('input, textarea, select') !== null;
+}
 
 /**
  * @param {import('../game/GameEngine.js').GameEngine | null} engine
+ * @param {object} bindings - 按鍵設定（inputBindings.js）
+ * @returns {{ setDirection: Function, setFire: Function, gamepadCount: number }}
+ *   gamepadCount — 目前連接的手把數
  */
-export function useInputHandler(engine) {
-  // 使用 ref 追蹤 engine 避免重複綁定
+export function useInputHandler(engine, bindings) {
+  // 使用 ref 追蹤 engine / 按鍵設定，避免重複綁定
   const engineRef = useRef(engine);
   engineRef.current = engine;
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
 
   // ---- 鍵盤事件處理 ----
   const handleKeyDown = useCallback((e) => {
     const eng = engineRef.current;
-    if (!eng) return;
+    if (!eng || isTypingTarget(e)) return;
+
+    if (findKeyBinding(bindingsRef.current, e.key)?.action === PAUSE_ACTION) {
+      eng.togglePause();
+      e.preventDefault();
+      return;
+    }
 
-    switch (e.key.toLowerCase()) {
-      case 'w': case 'arrowup':
-        eng.keys.up = true; e.preventDefault(); break;
-      case 's': case 'arrowdown':
-        eng.keys.down = true; e.preventDefault(); break;
-      case 'a': case 'arrowleft':
-        eng.keys.left = true; e.preventDefault(); break;
-      case 'd': case 'arrowright':
-        eng.keys.right = true; e.preventDefault(); break;
-      case ' ': case 'j':
-        eng.keys.fire = true; e.preventDefault(); break;
-      case 'p': case 'escape':
-        eng.togglePause(); e.preventDefault(); break;
+    const binding = resolveBinding(eng, bindingsRef.current, e.key);
+    if (binding) {
+      const [keys, field] = binding;
+      keys[field] = true;
+      e.preventDefault();
     }
   }, []);
 
@@ -40,12 +87,10 @@ export function useInputHandler(engine) {
     const eng = engineRef.current;
     if (!eng) return;
 
-    switch (e.key.toLowerCase()) {
-      case 'w': case 'arrowup':    eng.keys.up = false; break;
-      case 's': case 'arrowdown':  eng.keys.down = false; break;
-      case 'a': case 'arrowleft':  eng.keys.left = false; break;
-      case 'd': case 'arrowright': eng.keys.right = false; break;
-      case ' ': case 'j':          eng.keys.fire = false; break;
+    const binding = resolveBinding(eng, bindingsRef.current, e.key);
+    if (binding) {
+      const [keys, field] = binding;
+      keys[field] = false;
     }
   }, []);
 
@@ -58,26 +103,82 @@ export function useInputHandler(engine) {
     };
   }, [handleKeyDown, handleKeyUp]);
 
-  // ---- 提供給虛擬按鈕的觸控介面 ----
-  const setDirection = useCallback((dir) => {
+  // ---- 手把：有手把連接時每幀輪詢 ----
+  // 只在按鈕狀態改變時寫入 keys（與鍵盤的 keydown / keyup 相同），不會蓋掉鍵盤正按著的鍵
+  const [gamepadCount, setGamepadCount] = useState(0);
+
+  useEffect(() => {
+    if (!navigator.getGamepads) return undefined;
+    let frameId = null;
+    const previous = new Map();  // 手把 index → { player, state }
+
+    const poll = () => {
+      const eng = engineRef.current;
+      const pads = [...navigator.getGamepads()];
+      const seen = new Set();
+
+      for (const { pad, player } of assignGamepads(pads, eng.playerCount)) {
+        seen.add(pad.index);
+        const state = readGamepad(pad, bindingsRef.current.gamepad);
+        let prev = previous.get(pad.index);
+        if (prev && prev.player !== player) {
+          releasePad(eng, prev);
+          prev = null;
+        }
+
+        const keys = eng.playerKeys[player];
+        for (const action of PLAYER_ACTIONS) {
+          if (state[action] !== (prev?.state[action] ?? false)) keys[action] = state[action];
+        }
+        if (state.pause && !prev?.state.pause) eng.togglePause();
+        previous.set(pad.index, { player, state });
+      }
+
+      // 拔掉（或超出人數）的手把：放開它按著的鍵
+      for (const [index, prev] of previous) {
+        if (seen.has(index)) continue;
+        releasePad(eng, prev);
+        previous.delete(index);
+      }
+
+      setGamepadCount(pads.filter(Boolean).length);
+      // 全部拔掉後停止輪詢，等下一次 gamepadconnected
+      frameId = pads.some(Boolean) ? requestAnimationFrame(poll) : null;
+    };
+
+    const startPolling = () => {
+      if (frameId === null) frameId = requestAnimationFrame(poll);
+    };
+
+    window.addEventListener('gamepadconnected', startPolling);
+    if ([...navigator.getGamepads()].some(Boolean)) startPolling();
+    return () => {
+      window.removeEventListener('gamepadconnected', startPolling);
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, []);
+
+  // ---- 提供給虛擬按鈕的觸控介面（player = 玩家編號）----
+  const setDirection = useCallback((dir, player = 0) => {
     const eng = engineRef.current;
     if (!eng) return;
+    const keys = eng.playerKeys[player];
     // 先重置所有方向
-    eng.keys.up = false;
-    eng.keys.down = false;
-    eng.keys.left = false;
-    eng.keys.right = false;
+    keys.up = false;
+    keys.down = false;
+    keys.left = false;
+    keys.right = false;
     // 設定新方向
     if (dir) {
-      eng.keys[dir] = true;
+      keys[dir] = true;
     }
   }, []);
 
-  const setFire = useCallback((firing) => {
+  const setFire = useCallback((firing, player = 0) => {
     const eng = engineRef.current;
     if (!eng) return;
-    eng.keys.fire = firing;
+    eng.playerKeys[player].fire = firing;
   }, []);
 
-  return { setDirection, setFire };
+  return { setDirection, setFire, gamepadCount };
 }
@@ -0,0 +1,272 @@
+/**
+ * ============================================================
+ * 連線對戰引擎 (Online Engine)
+ * ============================================================
+ * 連線對戰時取代本機 GameEngine 的客戶端：模擬在伺服器上跑，
+ * 這裡只把伺服器廣播的局面載入 (importState) 後交給 renderer 繪製，
+ * 因此 TankGame、renderer 與輸入處理都不需要知道是不是連線中。
+ *
+ * 自己的坦克採用客戶端預測：
+ *   1. 每個模擬步把本機輸入（附遞增序號）送給伺服器，並立刻在本地移動自己的坦克
+ *   2. 收到伺服器局面時先整個覆蓋，再把伺服器尚未套用（序號 > ack）的輸入重新預測一次
+ * 開火、敵軍與碰撞一律以伺服器為準。
+ *
+ * 暫停、下一關與重新開始都改成請伺服器處理，結果隨下一份局面回來。
+ * 連線對戰不錄重播、不存檔，也沒有音效：遊戲事件 (GAME_EVENT) 只在伺服器的引擎上發出，
+ * 客戶端收到的只有局面，因此不掛音效系統。
+ */
+import { GameEngine } from '../game/GameEngine.js';
+import { GAME_STATE, SIM_TICK_MS, MAX_FRAME_TIME } from '../game/constants.js';
+import {
+  NET_MESSAGE, MAX_PENDING_INPUTS, normalizeRoomCode, packKeys, unpackKeys, encodeMessage, decodeMessage,
+} from './protocol.js';
+
+// WebSocket.readyState
+const SOCKET_OPEN = 1;
+
+export class OnlineEngine extends GameEngine {
+  /**
+   * @param {{
+   *   url: string,
+   *   WebSocketImpl?: typeof WebSocket,
+   *   clock?: { now: () => number },
+   * }} options
+   *   url — 伺服器位址（ws://…）；WebSocketImpl — WebSocket 類別（Node 測試時傳入 ws 套件的實作）
+   */
+  constructor({ url, WebSocketImpl = globalThis.WebSocket, clock }) {
+    super({ clock });
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.socket = null;
+    this.outbox = [];           // 連線建立前先排隊的訊息
+    this.closing = false;       // 是否為主動斷線
+
+    // ---- 大廳狀態（onLobbyChange 回呼給 UI）----
+    // status: 'idle' | 'connecting' | 'connected' | 'room' | 'closed'
+    this.lobby = { status: 'idle', code: null, slot: 0, players: 0, isHost: false, started: false, error: null };
+    this.onLobbyChange = null;
+
+    // ---- 客戶端預測 ----
+    this.inputSeq = 0;
+    this.pendingInputs = [];    // 已送出、伺服器還沒確認的輸入 { seq, keys }
+    this.lastWalls = [];        // 上次收到的牆（伺服器在牆沒變時省略）
+    this.hudSignature = null;   // 上次通知 UI 時的 HUD 資料（沒變就不通知）
+  }
+
+  /** 本機玩家在房間中的編號 */
+  get slot() {
+    return this.lobby.slot;
+  }
+
+  // =============================================
+  // 大廳操作
+  // =============================================
+
+  /**
+   * 建立房間（尚未連線時會先連線）
+   * @param {object} config - 房主的遊戲設定
+   */
+  createRoom(config) {
+    this._send({ type: NET_MESSAGE.CREATE, config });
+  }
+
+  /**
+   * 以代碼加入房間
+   * @param {string} text - 玩家輸入的代碼
+   */
+  joinRoom(text) {
+    const code = normalizeRoomCode(text);
+    if (!code) {
+      this._setLobby({ error: '房間代碼格式不符' });
+      return;
+    }
+    this._send({ type: NET_MESSAGE.JOIN, code });
+  }
+
+  /** 房主開始對戰 */
+  startMatch() {
+    this._send({ type: NET_MESSAGE.START });
+  }
+
+  /** 遊戲結束後請房主重新開始 */
+  requestRestart() {
+    this._send({ type: NET_MESSAGE.RESTART });
+  }
+
+  /** 主動離開（關閉連線）*/
+  disconnect() {
+    this.closing = true;
+    this.socket?.close();
+    this.socket = null;
+    this.outbox = [];
+  }
+
+  // =============================================
+  // 覆寫 GameEngine：操作改由伺服器處理
+  // =============================================
+
+  /** 暫停 / 繼續 — 整個房間一起暫停 */
+  togglePause() {
+    if (this.state === GAME_STATE.PLAYING || this.state === GAME_STATE.PAUSED) {
+      this._send({ type: NET_MESSAGE.PAUSE });
+    }
+  }
+
+  /** 進入下一關 */
+  nextLevel() {
+    this._send({ type: NET_MESSAGE.NEXT });
+  }
+
+  /** 連線對戰不存檔 */
+  createSave() {
+    return null;
+  }
+
+  /** 局面來自伺服器廣播，不做畫面插值 */
+  getInterpolationAlpha() {
+    return 1;
+  }
+
+  /**
+   * 每幀呼叫：以固定步長送出本機輸入並預測自己的坦克
+   * @param {number} [now]
+   */
+  update(now = this.clock.now()) {
+    if (this.state !== GAME_STATE.PLAYING) {
+      this.lastFrameTime = null;
+      return;
+    }
+    if (this.lastFrameTime === null) this.lastFrameTime = now;
+    this.accumulator += Math.min(Math.max(0, now - this.lastFrameTime), MAX_FRAME_TIME);
+    this.lastFrameTime = now;
+
+    while (this.accumulator >= SIM_TICK_MS) {
+      this.sendInput();
+      this.accumulator -= SIM_TICK_MS;
+    }
+  }
+
+  /**
+   * 送出一個模擬步的輸入並在本地預測
+   * 本機只有一位玩家，兩組鍵盤與所有手把都控制自己的坦克。
+   */
+  sendInput() {
+    const keys = packKeys(this.playerKeys.reduce((merged, k) => ({
+      up: merged.up || k.up,
+      down: merged.down || k.down,
+      left: merged.left || k.left,
+      right: merged.right || k.right,
+      fire: merged.fire || k.fire,
+    })));
+    const input = { seq: ++this.inputSeq, keys };
+    this.pendingInputs.push(input);
+    if (this.pendingInputs.length > MAX_PENDING_INPUTS) this.pendingInputs.shift();
+
+    this._send({ type: NET_MESSAGE.INPUT, ...input });
+    this.predictPlayer(this.slot, unpackKeys(keys));
+  }
+
+  // =============================================
+  // 內部工具
+  // =============================================
+
+  /**
+   * 送出訊息；尚未連線時先建立連線並排隊
+   */
+  _send(message) {
+    if (!this.socket) this._connect();
+    if (this.socket.readyState === SOCKET_OPEN) this.socket.send(encodeMessage(message));
+    else this.outbox.push(message);
+  }
+
+  /**
+   * 建立 WebSocket 連線
+   */
+  _connect() {
+    this.closing = false;
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+    this._setLobby({ status: 'connecting', error: null });
+
+    socket.onopen = () => {
+      this._setLobby({ status: 'connected' });
+      for (const message of this.outbox) socket.send(encodeMessage(message));
+      this.outbox = [];
+    };
+    socket.onmessage = (event) => {
+      const message = decodeMessage(String(event.data));
+      if (message) this._handleMessage(message);
+    };
+    socket.onclose = () => {
+      if (this.socket === socket) this.socket = null;
+      const lostMatch = this.state !== GAME_STATE.MENU;
+      this._setLobby({
+        status: 'closed', code: null, players: 0, isHost: false, started: false,
+        error: this.closing ? null : '與伺服器的連線中斷',
+      });
+      if (lostMatch) {
+        this.state = GAME_STATE.MENU;
+        this.notifyStateChange();
+      }
+    };
+    // 連線失敗時瀏覽器會接著觸發 close，訊息在 onclose 處理
+    socket.onerror = () => {};
+  }
+
+  /**
+   * 處理伺服器訊息
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case NET_MESSAGE.ROOM:
+        this._setLobby({
+          status: 'room', code: message.code, slot: message.slot, players: message.players,
+          isHost: message.isHost, started: message.started, error: null,
+        });
+        break;
+      case NET_MESSAGE.STATE:
+        this._applyState(message.ack, message.state);
+        break;
+      case NET_MESSAGE.ERROR:
+        this._setLobby({ error: message.message });
+        break;
+    }
+  }
+
+  /**
+   * 載入伺服器局面後，重新預測伺服器還沒套用的輸入（reconciliation）
+   * @param {number} ack - 伺服器已套用的最後一筆輸入序號
+   * @param {object} state - exportState() 的資料（可能省略 walls）
+   */
+  _applyState(ack, state) {
+    if (state.walls) this.lastWalls = state.walls;
+    // importState 會重置幀時間累積，保留下來，送輸入的節奏才不會被打斷
+    const { accumulator, lastFrameTime } = this;
+    this.importState({ ...state, walls: this.lastWalls });
+    this.accumulator = accumulator;
+    this.lastFrameTime = lastFrameTime;
+
+    this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack);
+    if (this.state === GAME_STATE.PLAYING) {
+      for (const input of this.pendingInputs) this.predictPlayer(this.slot, unpackKeys(input.keys));
+    }
+
+    // 局面每秒來 30 次，只有 HUD 會變時才通知 React
+    const signature = JSON.stringify([
+      this.state, this.level, this.wave, this.enemiesDestroyed, this.base?.alive, this.objectiveIndex, this.escortStatus,
+      this.players.map(p => [p.score, p.lives, p.frags, p.deaths, p.streak]),
+    ]);
+    if (signature !== this.hudSignature) {
+      this.hudSignature = signature;
+      this.notifyStateChange();
+    }
+  }
+
+  /**
+   * 更新大廳狀態並通知 UI
+   */
+  _setLobby(changes) {
+    this.lobby = { ...this.lobby, ...changes };
+    this.onLobbyChange?.(this.lobby);
+  }
+}
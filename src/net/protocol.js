@@ -0,0 +1,139 @@
+/**
+ * ============================================================
+ * 連線對戰協定 (Online Protocol)
+ * ============================================================
+ * 伺服器 (server/) 與瀏覽器 (OnlineEngine) 共用的訊息格式，全部是 JSON 字串：
+ *
+ *   客戶端 → 伺服器
+ *     create  { config }          — 建立房間（建立者即房主，使用他的遊戲設定）
+ *     join    { code }            — 以房間代碼加入
+ *     start / restart             — 房主開始對戰 / 遊戲結束後重新開始
+ *     input   { seq, keys }       — 每個模擬步一筆輸入（keys 為 packKeys() 的位元）
+ *     pause / next                — 暫停切換 / 過關後進入下一關（任一玩家皆可）
+ *
+ *   伺服器 → 客戶端
+ *     room    { code, slot, players, isHost }  — 房間成員變動
+ *     state   { ack, state }      — 權威局面（GameEngine.exportState()；牆沒變時省略 walls）
+ *                                   ack 為伺服器已套用的最後一筆輸入序號，客戶端據此重新預測
+ *     error   { message }         — 可直接顯示給玩家的錯誤訊息
+ *
+ * 模擬只在伺服器上跑：伺服器每步取用每位玩家佇列中的下一筆輸入，
+ * 客戶端只預測自己的坦克，收到狀態後以 ack 之後的輸入重新預測一次（reconciliation）。
+ */
+import { MAX_PLAYERS } from '../game/constants.js';
+
+// 伺服器預設埠號（npm run server 與大廳預設的連線位址）
+export const NET_DEFAULT_PORT = 8787;
+
+// 房間代碼長度與字元（去掉容易看錯的 I、O、0、1）
+export const ROOM_CODE_LENGTH = 4;
+export const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 每幾個模擬步廣播一次局面（2 = 每秒 30 次）
+export const SNAPSHOT_INTERVAL_TICKS = 2;
+
+// 尚未處理 / 尚未確認的輸入最多保留幾筆（約半秒；超過時丟掉最舊的，避免延遲越積越多）
+export const MAX_PENDING_INPUTS = 30;
+
+// 房間人數上限（與本機雙人合作相同）
+export const ROOM_CAPACITY = MAX_PLAYERS;
+
+// 訊息種類
+export const NET_MESSAGE = {
+  CREATE: 'create',
+  JOIN: 'join',
+  START: 'start',
+  RESTART: 'restart',
+  INPUT: 'input',
+  PAUSE: 'pause',
+  NEXT: 'next',
+  ROOM: 'room',
+  STATE: 'state',
+  ERROR: 'error',
+};
+
+// 輸入位元（packKeys / unpackKeys）
+const KEY_BITS = { up: 1, down: 2, left: 4, right: 8, fire: 16 };
+
+/**
+ * 大廳預設的伺服器位址：與網頁同一台主機的預設埠
+ * @param {string} [hostname] - 網頁的主機名稱（省略 = localhost）
+ * @returns {string}
+ */
+export function getDefaultServerUrl(hostname) {
+  return `ws://${hostname || 'localhost'}:${NET_DEFAULT_PORT}`;
+}
+
+/**
+ * 產生房間代碼
+ * @param {(max: number) => number} randomInt - 回傳 0 ~ max - 1 的整數
+ * @returns {string}
+ */
+export function createRoomCode(randomInt) {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * 整理玩家輸入的房間代碼（不分大小寫、忽略空白與連字號）
+ * @param {string} text
+ * @returns {string|null} 格式不符時為 null
+ */
+export function normalizeRoomCode(text) {
+  const code = String(text ?? '').toUpperCase().replace(/[\s-]/g, '');
+  if (code.length !== ROOM_CODE_LENGTH) return null;
+  return [...code].every(c => ROOM_CODE_ALPHABET.includes(c)) ? code : null;
+}
+
+/**
+ * 把一組輸入狀態壓成位元（每步都要送，越短越好）
+ * @param {{ up: boolean, down: boolean, left: boolean, right: boolean, fire: boolean }} keys
+ * @returns {number}
+ */
+export function packKeys(keys) {
+  let bits = 0;
+  for (const [key, bit] of Object.entries(KEY_BITS)) {
+    if (keys[key]) bits |= bit;
+  }
+  return bits;
+}
+
+/**
+ * packKeys() 的反向轉換
+ * @param {number} bits
+ * @returns {{ up: boolean, down: boolean, left: boolean, right: boolean, fire: boolean }}
+ */
+export function unpackKeys(bits) {
+  const keys = {};
+  for (const [key, bit] of Object.entries(KEY_BITS)) {
+    keys[key] = (bits & bit) !== 0;
+  }
+  return keys;
+}
+
+/**
+ * 將訊息轉為 JSON 字串
+ * @param {{ type: string }} message
+ * @returns {string}
+ */
+export function encodeMessage(message) {
+  return JSON.stringify(message);
+}
+
+/**
+ * 解析收到的訊息；不是 JSON 或缺少 type 時回傳 null（直接忽略，不讓壞資料中斷連線）
+ * @param {string} text
+ * @returns {{ type: string }|null}
+ */
+export function decodeMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  return message && typeof message.type === 'string' ? message : null;
+}
@@ -0,0 +1,38 @@
+/**
+ * ============================================================
+ * 檔案匯出 / 匯入工具 (File Transfer)
+ * ============================================================
+ * 瀏覽器端的文字檔下載與讀取，供重播等資料分享使用。
+ */
+
+/**
+ * 觸發瀏覽器下載一個文字檔
+ * @param {string} filename - 下載檔名
+ * @param {string} text - 檔案內容
+ * @param {string} [mimeType]
+ */
+export function downloadTextFile(filename, text, mimeType = 'application/json') {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 讀取使用者選取的檔案內容
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readTextFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
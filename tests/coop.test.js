@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { PowerUp } from '../src/game/PowerUp.js';
+import { parseReplay, serializeReplay } from '../src/game/Replay.js';
+import {
+  DIR, GAME_STATE, TANK_SIZE, TANK_SPEED, PLAYER_MAX_LIVES, POWER_UP_TYPE,
+} from '../src/game/constants.js';
+import { getPlayerSpawn } from '../src/game/mapGenerator.js';
+import { createEmptyEngine, tankAt, bulletAt, stepTicks } from './helpers.js';
+
+/** 讓所有玩家的無敵時間結束 */
+function dropShields(engine) {
+  for (const p of engine.players) p.invincibleUntil = 0;
+}
+
+/** 以敵軍子彈擊中指定玩家 */
+function shootPlayer(engine, player) {
+  engine.bullets.push(bulletAt(player.x + 13, player.y + TANK_SIZE + 2, DIR.UP, false));
+  stepTicks(engine, 1);
+}
+
+describe('two-player co-op', () => {
+  it('spawns both players at their own spawn points with full lives', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    expect(engine.players).toHaveLength(2);
+    engine.players.forEach((p, i) => {
+      expect({ x: p.x, y: p.y }).toEqual(getPlayerSpawn(i));
+      expect(p.lives).toBe(PLAYER_MAX_LIVES);
+    });
+    expect(engine.players[0].color).not.toBe(engine.players[1].color);
+  });
+
+  it('moves each player with its own keys', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    const [p1, p2] = engine.players;
+    const start = [p1.x, p2.x];
+
+    engine.playerKeys[1].left = true;
+    stepTicks(engine, 1);
+
+    expect(p1.x).toBe(start[0]);
+    expect(p2.x).toBe(start[1] - TANK_SPEED);
+  });
+
+  it('credits kills to the player who fired', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    const [p1, p2] = engine.players;
+    const enemy = tankAt(10, 5, DIR.UP);
+    engine.enemies = [enemy];
+    const bullet = p2.fire(engine.simTime);
+    Object.assign(bullet, { x: enemy.x + 13, y: enemy.y + TANK_SIZE + 2, direction: DIR.UP });
+    engine.bullets = [bullet];
+
+    stepTicks(engine, 1);
+
+    expect(p1.score).toBe(0);
+    expect(p2.score).toBe(enemy.scoreValue);
+    expect(engine.score).toBe(enemy.scoreValue);
+  });
+
+  it('takes lives from the player that was hit only', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    dropShields(engine);
+    const [p1, p2] = engine.players;
+
+    shootPlayer(engine, p2);
+
+    expect(p1.lives).toBe(PLAYER_MAX_LIVES);
+    expect(p2.lives).toBe(PLAYER_MAX_LIVES - 1);
+    expect({ x: p2.x, y: p2.y }).toEqual(getPlayerSpawn(1));
+  });
+
+  it('keeps playing while one player still has lives', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    dropShields(engine);
+    const [p1, p2] = engine.players;
+    p1.lives = 1;
+
+    shootPlayer(engine, p1);
+
+    expect(p1.alive).toBe(false);
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+
+    p2.lives = 1;
+    shootPlayer(engine, p2);
+
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+  });
+
+  it('keeps an eliminated player out of later levels', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    engine.players[0].lives = 0;
+    engine.players[0].alive = false;
+    engine.nextLevel();
+    expect(engine.players[0].alive).toBe(false);
+    expect(engine.players[1].alive).toBe(true);
+  });
+
+  it('gives personal power-ups to the player who picked them up', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    const [p1, p2] = engine.players;
+    engine.powerUp = new PowerUp(p2.x, p2.y, POWER_UP_TYPE.LIFE, engine.simTime);
+
+    stepTicks(engine, 1);
+
+    expect(p1.lives).toBe(PLAYER_MAX_LIVES);
+    expect(p2.lives).toBe(PLAYER_MAX_LIVES + 1);
+  });
+
+  it('records and replays both players', () => {
+    const recorded = new GameEngine();
+    recorded.startGame(1, 77, { players: 2 });
+    for (let i = 0; i < 600; i++) {
+      recorded.playerKeys[0].fire = i % 7 === 0;
+      recorded.playerKeys[0].up = i < 300;
+      recorded.playerKeys[1].fire = i % 5 === 0;
+      recorded.playerKeys[1].left = i % 200 < 100;
+      recorded.step();
+    }
+    const replay = parseReplay(serializeReplay(recorded.getReplay()));
+    expect(replay.players).toBe(2);
+
+    const viewer = new GameEngine();
+    viewer.playReplay(replay);
+    for (let i = 0; i < 600; i++) viewer.step();
+
+    expect(viewer.getSnapshot()).toEqual(recorded.getSnapshot());
+  });
+});
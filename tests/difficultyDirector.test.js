@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import { DifficultyDirector } from '../src/game/difficultyDirector.js';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { Random } from '../src/game/Random.js';
+import { parseReplay, serializeReplay } from '../src/game/Replay.js';
+import {
+  DIFFICULTY, DIRECTOR_BOUNDS, DIRECTOR_INTERVAL, ENEMY_TYPE, GAME_STATE,
+  MAX_ENEMIES, ENEMY_SPAWN_INTERVAL, WALL_SIZE,
+} from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, stepTicks } from './helpers.js';
+
+/** 模擬一段「玩家表現很好」的期間：高命中、快速擊毀 */
+function playWell(director, from) {
+  for (let i = 0; i < 4; i++) {
+    const enemy = {};
+    director.recordSpawn(enemy, from);
+    director.recordShot();
+    director.recordHit();
+    director.recordKill(enemy, from + 2000);
+  }
+  director.update(from + DIRECTOR_INTERVAL, [], null);
+}
+
+/** 模擬一段「玩家陷入苦戰」的期間：掉命、敵軍貼著基地 */
+function playBadly(director, from) {
+  const base = { x: 17 * WALL_SIZE, y: 18 * WALL_SIZE, alive: true };
+  const enemy = { x: base.x, y: base.y - WALL_SIZE, alive: true };
+  director.recordLifeLost();
+  director.update(from + DIRECTOR_INTERVAL, [enemy], base);
+}
+
+describe('DifficultyDirector', () => {
+  it('matches the fixed spawn settings on normal before any input', () => {
+    const director = new DifficultyDirector(DIFFICULTY.NORMAL);
+    expect(director.spawnInterval).toBe(ENEMY_SPAWN_INTERVAL);
+    expect(director.maxEnemies).toBe(MAX_ENEMIES);
+    expect(director.typeShift).toBe(0);
+  });
+
+  it('ramps up for strong play and eases off for struggling play', () => {
+    const strong = new DifficultyDirector();
+    const weak = new DifficultyDirector();
+    for (let i = 0; i < 3; i++) {
+      playWell(strong, i * DIRECTOR_INTERVAL);
+      playBadly(weak, i * DIRECTOR_INTERVAL);
+    }
+
+    expect(strong.spawnInterval).toBeLessThan(ENEMY_SPAWN_INTERVAL);
+    expect(strong.aggressionBonus).toBeGreaterThan(0);
+    expect(weak.spawnInterval).toBeGreaterThan(ENEMY_SPAWN_INTERVAL);
+    expect(weak.maxEnemies).toBeLessThan(MAX_ENEMIES);
+  });
+
+  it('never leaves the bounds of its preset', () => {
+    for (const difficulty of Object.values(DIFFICULTY)) {
+      const bounds = DIRECTOR_BOUNDS[difficulty];
+      const up = new DifficultyDirector(difficulty);
+      const down = new DifficultyDirector(difficulty);
+      for (let i = 0; i < 40; i++) {
+        playWell(up, i * DIRECTOR_INTERVAL);
+        playBadly(down, i * DIRECTOR_INTERVAL);
+      }
+      expect(up.spawnInterval).toBe(bounds.spawnInterval[1]);
+      expect(up.maxEnemies).toBe(bounds.maxEnemies[1]);
+      expect(down.spawnInterval).toBe(bounds.spawnInterval[0]);
+      expect(down.maxEnemies).toBe(bounds.maxEnemies[0]);
+    }
+  });
+
+  it('stays put when nothing happens', () => {
+    const director = new DifficultyDirector(DIFFICULTY.HARD);
+    director.update(DIRECTOR_INTERVAL, [], null);
+    expect(director.intensity).toBe(DIRECTOR_BOUNDS[DIFFICULTY.HARD].startIntensity);
+    expect(director.log).toHaveLength(0);
+  });
+
+  it('logs each decision with the metrics behind it', () => {
+    const director = new DifficultyDirector();
+    playBadly(director, 0);
+
+    expect(director.log).toHaveLength(1);
+    const [entry] = director.log;
+    expect(entry.metrics.livesLost).toBe(1);
+    expect(entry.metrics.danger).toBe(1);
+    expect(entry.skill).toBeLessThan(0);
+    expect(entry.spawnInterval).toBe(director.spawnInterval);
+  });
+
+  it('upgrades enemy types when pushed and only on the hard side', () => {
+    const director = new DifficultyDirector(DIFFICULTY.HARD);
+    director.intensity = 1;
+    const rng = new Random(4);
+    const types = Array.from({ length: 40 }, () => director.adjustType(ENEMY_TYPE.BASIC, rng));
+    expect(types).toContain(ENEMY_TYPE.FAST);
+    expect(types).not.toContain(ENEMY_TYPE.POWER);
+    expect(director.adjustType(ENEMY_TYPE.ARMOR, rng)).toBe(ENEMY_TYPE.ARMOR);
+  });
+});
+
+describe('director in the engine', () => {
+  it('spawns faster once the player has been dominating', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    engine.director.intensity = 1;
+    engine.lastEnemySpawnTime = 0;
+    const ticksToSpawn = Math.ceil(DIRECTOR_BOUNDS[DIFFICULTY.NORMAL].spawnInterval[1] / (1000 / 60));
+
+    stepTicks(engine, ticksToSpawn);
+    expect(engine.totalEnemiesSpawned).toBe(1);
+  });
+
+  it('records kills against the time the enemy spawned', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(5, 5);
+    engine.enemies = [enemy];
+    engine.director.recordSpawn(enemy, 0);
+    engine.player.setPosition(5 * WALL_SIZE, 8 * WALL_SIZE);
+    engine.keys.fire = true;
+    stepTicks(engine, 30);
+
+    expect(enemy.alive).toBe(false);
+    expect(engine.director.window.kills).toBe(1);
+    expect(engine.director.window.shots).toBeGreaterThan(0);
+  });
+
+  it('carries the difficulty through replays', () => {
+    const recorded = new GameEngine();
+    recorded.startGame(1, 77, { config: { difficulty: DIFFICULTY.HARD } });
+    for (let i = 0; i < 1500 && recorded.state === GAME_STATE.PLAYING; i++) {
+      recorded.keys.fire = i % 5 === 0;
+      recorded.step();
+    }
+    const replay = parseReplay(serializeReplay(recorded.getReplay()));
+    expect(replay.config.difficulty).toBe(DIFFICULTY.HARD);
+
+    const viewer = new GameEngine();
+    viewer.playReplay(replay);
+    viewer.seekReplay(replay.ticks);
+    expect(viewer.getSnapshot()).toEqual(recorded.getSnapshot());
+    expect(viewer.director.log).toEqual(recorded.director.log);
+  });
+
+  it('rejects replays with an unknown difficulty', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 3);
+    engine.step();
+    const replay = engine.getReplay();
+    replay.config.difficulty = 'nightmare';
+    expect(() => parseReplay(serializeReplay(replay))).toThrow();
+  });
+});
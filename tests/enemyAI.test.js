@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { createAIState, getAggression, getProfileMix, pickProfile } from '../src/game/enemyAI.js';
+import { searchGrid, tracePath, cellKey } from '../src/game/pathfinding.js';
+import { Random } from '../src/game/Random.js';
+import { Wall } from '../src/game/Wall.js';
+import { AI_PROFILE, GAME_STATE, WALL_SIZE, WALL_TYPE } from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, wallsFromRows, stepTicks } from './helpers.js';
+
+/** 坦克左上角最接近的格子 */
+const cellOf = (tank) => ({ c: Math.round(tank.x / WALL_SIZE), r: Math.round(tank.y / WALL_SIZE) });
+
+/** 放一台指定行為的敵軍 */
+function enemyWith(engine, profile, col, row) {
+  const enemy = tankAt(col, row);
+  enemy.ai = createAIState(profile, engine.level);
+  engine.enemies = [enemy];
+  return enemy;
+}
+
+/** 讓玩家停在指定格子且不會被擊中 */
+function parkPlayer(engine, col, row) {
+  engine.player.setPosition(col * WALL_SIZE, row * WALL_SIZE);
+  engine.player.invincibleUntil = Infinity;
+}
+
+describe('searchGrid', () => {
+  it('finds the cheapest route and traces it back', () => {
+    // 5×1 的走廊，中間一格成本 5 → 仍是唯一路線
+    const cost = ({ c, r }) => (r !== 0 || c < 0 || c > 4 ? -1 : c === 2 ? 5 : 1);
+    const { costs, parents } = searchGrid({ c: 0, r: 0 }, cost);
+    expect(costs.get(cellKey({ c: 4, r: 0 }))).toBe(8);
+    expect(tracePath(parents, { c: 4, r: 0 }).map(cell => cell.c)).toEqual([4, 3, 2, 1, 0]);
+  });
+
+  it('goes around an expensive cell when the detour is cheaper', () => {
+    const cost = ({ c, r }) => (c < 0 || r < 0 || c > 2 || r > 1 ? -1 : c === 1 && r === 0 ? 9 : 1);
+    const { parents } = searchGrid({ c: 0, r: 0 }, cost);
+    expect(tracePath(parents, { c: 2, r: 0 })).toContainEqual({ c: 1, r: 1 });
+  });
+});
+
+describe('profiles', () => {
+  it('never deploys snipers on the first level', () => {
+    expect(getProfileMix(1)[AI_PROFILE.SNIPER]).toBeUndefined();
+    const rng = new Random(3);
+    for (let i = 0; i < 50; i++) expect(pickProfile(1, rng)).not.toBe(AI_PROFILE.SNIPER);
+  });
+
+  it('is deterministic for the same seed', () => {
+    const a = new Random(11);
+    const b = new Random(11);
+    for (let i = 0; i < 20; i++) expect(pickProfile(6, a)).toBe(pickProfile(6, b));
+  });
+
+  it('raises aggressiveness with the level up to a cap', () => {
+    for (const profile of Object.values(AI_PROFILE)) {
+      expect(getAggression(profile, 5)).toBeGreaterThan(getAggression(profile, 1));
+      expect(getAggression(profile, 99)).toBeLessThanOrEqual(1);
+    }
+  });
+});
+
+describe('enemy behaviour', () => {
+  it('hunters drive around steel to reach the player, staying on the grid', () => {
+    const engine = createEmptyEngine();
+    parkPlayer(engine, 5, 10);
+    // 第 15 欄整排鐵牆，只在第 15 列留缺口
+    engine.walls = [
+      ...wallsFromRows(Array(14).fill('S'), 15, 1),
+      ...wallsFromRows(Array(3).fill('S'), 15, 16),
+    ];
+    const enemy = enemyWith(engine, AI_PROFILE.HUNTER, 25, 3);
+
+    let closest = Infinity;
+    for (let i = 0; i < 1200; i++) {
+      stepTicks(engine, 1);
+      // 轉向時的網格對齊：任何時刻至少有一軸落在格線上
+      expect(enemy.x % WALL_SIZE === 0 || enemy.y % WALL_SIZE === 0).toBe(true);
+      const { c, r } = cellOf(enemy);
+      closest = Math.min(closest, Math.abs(c - 5) + Math.abs(r - 10));
+    }
+    expect(closest).toBeLessThanOrEqual(2);
+  });
+
+  it('base raiders shoot through the brick fort and destroy the base', () => {
+    const engine = createEmptyEngine({ base: true });
+    engine.walls = engine.layout.fortCells.map(({ c, r }) => new Wall(c * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.BRICK));
+    parkPlayer(engine, 3, 3);
+    enemyWith(engine, AI_PROFILE.BASE_RAIDER, 17, 5);
+
+    for (let i = 0; i < 3000 && engine.state === GAME_STATE.PLAYING; i++) stepTicks(engine, 1);
+
+    expect(engine.base.alive).toBe(false);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+  });
+
+  it('snipers only open fire once lined up on the player', () => {
+    const engine = createEmptyEngine();
+    parkPlayer(engine, 10, 10);
+    const enemy = enemyWith(engine, AI_PROFILE.SNIPER, 22, 4);
+
+    let firedFrom = null;
+    for (let i = 0; i < 1200 && !firedFrom; i++) {
+      stepTicks(engine, 1);
+      if (engine.bullets.some(b => b.owner === enemy)) firedFrom = cellOf(enemy);
+    }
+
+    expect(firedFrom).not.toBeNull();
+    expect(firedFrom.c === 10 || firedFrom.r === 10).toBe(true);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { getEnemyRoster, getRosterMix } from '../src/game/enemyRoster.js';
+import { Random } from '../src/game/Random.js';
+import { Tank } from '../src/game/Tank.js';
+import { ENEMY_TYPE, ENEMY_STATS, ENEMIES_PER_LEVEL, DIR } from '../src/game/constants.js';
+
+/** 統計名單中各類型數量 */
+function countTypes(roster) {
+  const counts = {};
+  for (const type of roster) counts[type] = (counts[type] ?? 0) + 1;
+  return counts;
+}
+
+describe('getEnemyRoster', () => {
+  it('has ENEMIES_PER_LEVEL valid enemy types', () => {
+    for (let level = 1; level <= 12; level++) {
+      const roster = getEnemyRoster(level, new Random(level));
+      expect(roster).toHaveLength(ENEMIES_PER_LEVEL);
+      for (const type of roster) expect(Object.values(ENEMY_TYPE)).toContain(type);
+    }
+  });
+
+  it('matches the level mix', () => {
+    for (const level of [1, 3, 5, 9]) {
+      expect(countTypes(getEnemyRoster(level, new Random(1)))).toEqual(getRosterMix(level));
+    }
+  });
+
+  it('is basic-only on level 1 and gets tougher later', () => {
+    expect(countTypes(getEnemyRoster(1, new Random(1)))).toEqual({ [ENEMY_TYPE.BASIC]: ENEMIES_PER_LEVEL });
+    const late = countTypes(getEnemyRoster(9, new Random(1)));
+    expect(late[ENEMY_TYPE.ARMOR]).toBeGreaterThan(0);
+    expect(late[ENEMY_TYPE.BASIC] ?? 0).toBe(0);
+  });
+
+  it('scales the mix to a custom count', () => {
+    const roster = getEnemyRoster(5, new Random(1), 20);
+    expect(roster).toHaveLength(20);
+    expect(countTypes(roster)[ENEMY_TYPE.ARMOR]).toBe(5);
+  });
+
+  it('is deterministic for the same seed', () => {
+    expect(getEnemyRoster(6, new Random(42))).toEqual(getEnemyRoster(6, new Random(42)));
+  });
+});
+
+describe('enemy tank types', () => {
+  it('applies per-type stats', () => {
+    for (const type of Object.values(ENEMY_TYPE)) {
+      const tank = new Tank(0, 0, DIR.DOWN, false, type);
+      const stats = ENEMY_STATS[type];
+      expect(tank.speed).toBe(stats.speed);
+      expect(tank.fireCooldown).toBe(stats.fireCooldown);
+      expect(tank.hp).toBe(stats.hp);
+      expect(tank.scoreValue).toBe(stats.score);
+      expect(tank.fire(0).speed).toBe(stats.bulletSpeed);
+    }
+  });
+
+  it('reports destruction only on the final hit', () => {
+    const tank = new Tank(0, 0, DIR.DOWN, false, ENEMY_TYPE.ARMOR);
+    const results = [];
+    for (let i = 0; i < ENEMY_STATS[ENEMY_TYPE.ARMOR].hp; i++) results.push(tank.hit());
+    expect(results.at(-1)).toBe(true);
+    expect(results.slice(0, -1).every(r => r === false)).toBe(true);
+    expect(tank.alive).toBe(false);
+  });
+});
@@ -0,0 +1,418 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import {
+  DIR, GAME_STATE, WALL_SIZE, TANK_SIZE,
+  ENEMIES_PER_LEVEL, MAX_ENEMIES, ENEMY_SPAWN_INTERVAL, ENEMY_TYPE, ENEMY_STATS,
+  PLAYER_MAX_LIVES, PLAYER_SPAWN_SHIELD, SIM_TICK_MS, ICE_SLIDE_DISTANCE,
+} from '../src/game/constants.js';
+import { getPlayerSpawn, getEnemySpawnPoints, getBasePosition } from '../src/game/mapGenerator.js';
+import { createEmptyEngine, tankAt, bulletAt, wallsFromRows, stepTicks } from './helpers.js';
+
+/** 讓玩家的無敵時間結束 */
+function dropShield(engine) {
+  engine.player.invincibleUntil = 0;
+}
+
+describe('bullets vs walls', () => {
+  it('chips brick walls half at a time and destroys them on the second hit', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['B'], 10, 5);
+    engine.bullets = [bulletAt(10 * WALL_SIZE + 15, 6 * WALL_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 2);
+
+    // 從下方正中央擊中 → 削掉下排兩塊
+    expect(engine.walls[0].quarters).toEqual([true, true, false, false]);
+    expect(engine.bullets).toHaveLength(0);
+
+    engine.bullets = [bulletAt(10 * WALL_SIZE + 15, 6 * WALL_SIZE + 2, DIR.UP, true)];
+    stepTicks(engine, 6);
+
+    expect(engine.walls).toHaveLength(0);
+    expect(engine.bullets).toHaveLength(0);
+  });
+
+  it('chips only the quarter facing an off-centre or side shot', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['B'], 10, 5);
+    // 貼著左緣往上射：只削左下
+    engine.bullets = [bulletAt(10 * WALL_SIZE + 2, 6 * WALL_SIZE + 2, DIR.UP, true)];
+    stepTicks(engine, 2);
+    expect(engine.walls[0].quarters).toEqual([true, true, false, true]);
+
+    // 從右側往左射（上半段）：只削右上
+    engine.bullets = [bulletAt(11 * WALL_SIZE + 2, 5 * WALL_SIZE + 4, DIR.LEFT, true)];
+    stepTicks(engine, 2);
+    expect(engine.walls[0].quarters).toEqual([true, false, false, true]);
+  });
+
+  it('lets three-star bullets destroy a whole brick at once', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['B'], 10, 5);
+    const bullet = bulletAt(10 * WALL_SIZE + 15, 6 * WALL_SIZE + 2, DIR.UP, true);
+    bullet.power = 2;
+    engine.bullets = [bullet];
+
+    stepTicks(engine, 2);
+
+    expect(engine.walls).toHaveLength(0);
+  });
+
+  it('stops at steel walls without destroying them', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['S'], 10, 5);
+    engine.bullets = [bulletAt(10 * WALL_SIZE + 15, 6 * WALL_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 2);
+
+    expect(engine.walls).toHaveLength(1);
+    expect(engine.bullets).toHaveLength(0);
+  });
+
+  it('flies over water, forest and ice', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['W', 'F', 'I'], 10, 3);
+    engine.bullets = [bulletAt(10 * WALL_SIZE + 15, 6 * WALL_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 20);
+
+    expect(engine.bullets).toHaveLength(1);
+    expect(engine.bullets[0].y).toBeLessThan(3 * WALL_SIZE);
+    expect(engine.walls).toHaveLength(3);
+  });
+});
+
+describe('terrain vs tanks', () => {
+  it('stops the player at water but drives through forest and ice', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['W.F.I'], 3, 5);
+    engine.player.setPosition(3 * WALL_SIZE, 7 * WALL_SIZE);
+    engine.keys.up = true;
+    stepTicks(engine, 60);
+    expect(engine.player.y).toBe(6 * WALL_SIZE);
+
+    for (const col of [5, 7]) {
+      engine.player.setPosition(col * WALL_SIZE, 7 * WALL_SIZE);
+      stepTicks(engine, 60);
+      expect(engine.player.y).toBeLessThan(5 * WALL_SIZE);
+    }
+  });
+
+  it('keeps sliding on ice after the key is released', () => {
+    const engine = createEmptyEngine();
+    engine.walls = wallsFromRows(['I', 'I', 'I'], 5, 4);
+    engine.player.setPosition(5 * WALL_SIZE, 6 * WALL_SIZE);
+    engine.keys.up = true;
+    stepTicks(engine, 5);
+    const released = engine.player.y;
+
+    engine.keys.up = false;
+    stepTicks(engine, 30);
+    expect(engine.player.y).toBe(released - ICE_SLIDE_DISTANCE);
+  });
+
+  it('stops as soon as the key is released off the ice', () => {
+    const engine = createEmptyEngine();
+    engine.player.setPosition(5 * WALL_SIZE, 6 * WALL_SIZE);
+    engine.keys.up = true;
+    stepTicks(engine, 5);
+    const released = engine.player.y;
+
+    engine.keys.up = false;
+    stepTicks(engine, 30);
+    expect(engine.player.y).toBe(released);
+  });
+});
+
+describe('player bullets vs enemies', () => {
+  it('destroys the enemy and awards score', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(10, 5, DIR.UP);
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 1);
+
+    expect(enemy.alive).toBe(false);
+    expect(engine.enemies).toHaveLength(0);
+    expect(engine.enemiesDestroyed).toBe(1);
+    expect(engine.score).toBe(100);
+  });
+
+  it('awards the score value of the enemy type', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(10, 5, DIR.UP, false, ENEMY_TYPE.POWER);
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 1);
+
+    expect(engine.score).toBe(ENEMY_STATS[ENEMY_TYPE.POWER].score);
+  });
+
+  it('takes several hits to destroy an armored enemy', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(10, 5, DIR.UP, false, ENEMY_TYPE.ARMOR);
+    engine.enemies = [enemy];
+    const { hp } = ENEMY_STATS[ENEMY_TYPE.ARMOR];
+    const colors = new Set();
+
+    for (let i = 0; i < hp - 1; i++) {
+      colors.add(enemy.color);
+      engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+      stepTicks(engine, 1);
+      expect(enemy.alive).toBe(true);
+    }
+    colors.add(enemy.color);
+    expect(colors.size).toBe(hp);
+    expect(engine.score).toBe(0);
+
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+    stepTicks(engine, 1);
+
+    expect(enemy.alive).toBe(false);
+    expect(engine.enemiesDestroyed).toBe(1);
+    expect(engine.score).toBe(ENEMY_STATS[ENEMY_TYPE.ARMOR].score);
+  });
+
+  it('ignores enemy bullets hitting enemies', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(10, 5, DIR.UP);
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, false)];
+
+    stepTicks(engine, 1);
+
+    expect(enemy.alive).toBe(true);
+  });
+});
+
+describe('enemy bullets vs player', () => {
+  function shootPlayer(engine) {
+    const { player } = engine;
+    engine.bullets.push(bulletAt(player.x + 13, player.y + TANK_SIZE + 2, DIR.UP, false));
+    stepTicks(engine, 1);
+  }
+
+  it('costs a life and respawns the player with a shield', () => {
+    const engine = createEmptyEngine();
+    dropShield(engine);
+    engine.player.setPosition(5 * WALL_SIZE, 5 * WALL_SIZE);
+
+    shootPlayer(engine);
+
+    const spawn = getPlayerSpawn();
+    expect(engine.lives).toBe(PLAYER_MAX_LIVES - 1);
+    expect(engine.player.x).toBe(spawn.x);
+    expect(engine.player.y).toBe(spawn.y);
+    expect(engine.player.isInvincible(engine.simTime)).toBe(true);
+    expect(engine.player.invincibleUntil).toBe(engine.simTime + PLAYER_SPAWN_SHIELD);
+  });
+
+  it('does not hurt an invincible player', () => {
+    const engine = createEmptyEngine();
+    shootPlayer(engine);
+    expect(engine.lives).toBe(PLAYER_MAX_LIVES);
+  });
+
+  it('ends the game when the last life is lost', () => {
+    const engine = createEmptyEngine();
+    engine.player.lives = 1;
+    dropShield(engine);
+
+    shootPlayer(engine);
+
+    expect(engine.lives).toBe(0);
+    expect(engine.player.alive).toBe(false);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+  });
+});
+
+describe('base', () => {
+  it('ends the game when an enemy bullet hits it', () => {
+    const engine = createEmptyEngine({ base: true });
+    const { base } = engine;
+    engine.bullets = [bulletAt(base.x + 15, base.y - 8, DIR.DOWN, false)];
+
+    stepTicks(engine, 2);
+
+    expect(base.alive).toBe(false);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.lives).toBe(PLAYER_MAX_LIVES);
+  });
+
+  it('is destroyed by the player\'s own bullets too', () => {
+    const engine = createEmptyEngine({ base: true });
+    const { base } = engine;
+    engine.bullets = [bulletAt(base.x - 8, base.y + 15, DIR.RIGHT, true)];
+
+    stepTicks(engine, 2);
+
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+  });
+
+  it('blocks tank movement', () => {
+    const engine = createEmptyEngine({ base: true });
+    const { base } = engine;
+    engine.player.setPosition(base.x, base.y - WALL_SIZE);
+    engine.player.direction = DIR.DOWN;
+    engine.keys.down = true;
+
+    stepTicks(engine, 20);
+
+    expect(engine.player.y + TANK_SIZE).toBeLessThanOrEqual(base.y + 0.5);
+  });
+
+  it('is placed at the base position when a level starts', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 3);
+    expect(engine.base).toMatchObject({ ...getBasePosition(), alive: true });
+  });
+});
+
+describe('enemy spawning', () => {
+  it('waits for ENEMY_SPAWN_INTERVAL before spawning', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    const ticksPerSpawn = Math.ceil(ENEMY_SPAWN_INTERVAL / SIM_TICK_MS);
+
+    stepTicks(engine, ticksPerSpawn - 1);
+    expect(engine.totalEnemiesSpawned).toBe(0);
+
+    stepTicks(engine, 1);
+    expect(engine.totalEnemiesSpawned).toBe(1);
+  });
+
+  it('spawns at one of the enemy spawn points', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    engine.lastEnemySpawnTime = -ENEMY_SPAWN_INTERVAL;
+    stepTicks(engine, 1);
+
+    const points = getEnemySpawnPoints();
+    const [enemy] = engine.enemies;
+    expect(points.some(p => Math.abs(p.x - enemy.x) <= 2 && Math.abs(p.y - enemy.y) <= 2)).toBe(true);
+  });
+
+  it('spawns enemies in roster order', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    engine.roster = [ENEMY_TYPE.ARMOR, ENEMY_TYPE.FAST];
+    engine.lastEnemySpawnTime = -ENEMY_SPAWN_INTERVAL;
+    stepTicks(engine, 1);
+    engine.lastEnemySpawnTime = -ENEMY_SPAWN_INTERVAL;
+    stepTicks(engine, 1);
+
+    expect(engine.enemies.map(e => e.type)).toEqual([ENEMY_TYPE.ARMOR, ENEMY_TYPE.FAST]);
+  });
+
+  it('does not spawn while every spawn point is occupied', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    // 以鐵牆框住佔位坦克，避免它們被 AI 移開
+    engine.enemies = getEnemySpawnPoints().map(p => tankAt(p.x / WALL_SIZE, p.y / WALL_SIZE, DIR.DOWN));
+    engine.walls = engine.enemies.flatMap(t =>
+      wallsFromRows(['SSS', 'S.S', 'SSS'], t.x / WALL_SIZE - 1, t.y / WALL_SIZE - 1)
+    );
+    engine.lastEnemySpawnTime = -ENEMY_SPAWN_INTERVAL;
+
+    stepTicks(engine, 10);
+
+    expect(engine.totalEnemiesSpawned).toBe(0);
+    expect(engine.enemies).toHaveLength(3);
+  });
+
+  it('never exceeds MAX_ENEMIES on the field', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    const ticks = Math.ceil((ENEMY_SPAWN_INTERVAL * (MAX_ENEMIES + 3)) / SIM_TICK_MS);
+    let peak = 0;
+    for (let i = 0; i < ticks; i++) {
+      engine.player.invincibleUntil = Infinity;
+      engine.step();
+      peak = Math.max(peak, engine.enemies.length);
+    }
+    expect(peak).toBe(MAX_ENEMIES);
+  });
+});
+
+describe('level clear', () => {
+  it(`clears the level after ${ENEMIES_PER_LEVEL} kills`, () => {
+    const engine = createEmptyEngine();
+    engine.enemiesDestroyed = ENEMIES_PER_LEVEL - 1;
+    const enemy = tankAt(10, 5, DIR.UP);
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 1);
+
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+  });
+
+  it('stays in play one kill short of the target', () => {
+    const engine = createEmptyEngine();
+    engine.enemiesDestroyed = ENEMIES_PER_LEVEL - 2;
+    const enemy = tankAt(10, 5, DIR.UP);
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+
+    stepTicks(engine, 1);
+
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+  });
+
+  it('carries score and lives into the next level', () => {
+    const engine = createEmptyEngine();
+    engine.player.score = 1200;
+    engine.player.lives = 2;
+    engine.state = GAME_STATE.LEVEL_CLEAR;
+
+    engine.nextLevel();
+
+    expect(engine.level).toBe(2);
+    expect(engine.score).toBe(1200);
+    expect(engine.lives).toBe(2);
+  });
+});
+
+describe('determinism', () => {
+  function play(seed) {
+    const engine = new GameEngine();
+    engine.startGame(1, seed);
+    for (let i = 0; i < 1500; i++) {
+      engine.keys.fire = i % 4 === 0;
+      engine.keys.left = Math.floor(i / 120) % 2 === 0;
+      engine.keys.right = !engine.keys.left;
+      engine.step();
+    }
+    return engine.getSnapshot();
+  }
+
+  it('replays identically for the same seed and input', () => {
+    expect(play(123)).toEqual(play(123));
+  });
+
+  it('diverges for a different seed', () => {
+    expect(play(123)).not.toEqual(play(124));
+  });
+});
+
+describe('fixed timestep', () => {
+  it('advances the same number of ticks at 60 Hz and 144 Hz', () => {
+    const run = (hz) => {
+      const engine = createEmptyEngine();
+      let t = 0;
+      for (let i = 0; i <= hz; i++) {
+        engine.update(t);
+        t += 1000 / hz;
+      }
+      return engine.tick;
+    };
+    // 浮點累積誤差最多差一步
+    expect(Math.abs(run(144) - run(60))).toBeLessThanOrEqual(1);
+    expect(run(60)).toBeGreaterThanOrEqual(59);
+  });
+
+  it('bullets travel independently of frame rate', () => {
+    const engine = createEmptyEngine();
+    const bullet = bulletAt(20 * WALL_SIZE, 15 * WALL_SIZE, DIR.UP, true);
+    engine.bullets = [bullet];
+    stepTicks(engine, 10);
+    expect(bullet.y).toBe(15 * WALL_SIZE - 10 * bullet.speed);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createGameConfig, parseGameConfig, applyPreset, matchPreset, DIFFICULTY_PRESETS, CONFIG_LIMITS,
+} from '../src/game/gameConfig.js';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { Tank } from '../src/game/Tank.js';
+import { parseReplay, serializeReplay } from '../src/game/Replay.js';
+import {
+  DIR, DIFFICULTY, ENEMY_TYPE, ENEMY_STATS, ENEMY_FIRE_COOLDOWN, ENEMIES_PER_LEVEL, MAX_ENEMIES, PLAYER_MAX_LIVES,
+  WALL_SIZE, BULLET_SPEED,
+} from '../src/game/constants.js';
+import { createEmptyEngine, stepTicks } from './helpers.js';
+
+describe('createGameConfig', () => {
+  it('defaults to the normal preset, which matches the old constants', () => {
+    const config = createGameConfig();
+    expect(config.difficulty).toBe(DIFFICULTY.NORMAL);
+    expect(config.lives).toBe(PLAYER_MAX_LIVES);
+    expect(config.enemiesPerLevel).toBe(ENEMIES_PER_LEVEL);
+    expect(config.maxEnemies).toBe(MAX_ENEMIES);
+    expect(config.enemyFireCooldown).toBe(ENEMY_FIRE_COOLDOWN);
+    expect(config.friendlyFire).toBe(false);
+    expect(config.startLevel).toBe(1);
+  });
+
+  it('clamps out-of-range values and ignores junk', () => {
+    const config = createGameConfig({ lives: 99, maxEnemies: 0, startLevel: 2.6, difficulty: 'nope', friendlyFire: 'yes' });
+    expect(config.lives).toBe(CONFIG_LIMITS.lives.max);
+    expect(config.maxEnemies).toBe(CONFIG_LIMITS.maxEnemies.min);
+    expect(config.startLevel).toBe(3);
+    expect(config.difficulty).toBe(DIFFICULTY.NORMAL);
+    expect(config.friendlyFire).toBe(false);
+    expect(createGameConfig(null)).toEqual(createGameConfig());
+    expect(createGameConfig('hard')).toEqual(createGameConfig());
+  });
+
+  it('falls back to defaults for missing or corrupt saved settings', () => {
+    expect(parseGameConfig(null)).toEqual(createGameConfig());
+    expect(parseGameConfig('{broken')).toEqual(createGameConfig());
+    expect(parseGameConfig(JSON.stringify({ difficulty: DIFFICULTY.HARD })).lives).toBe(DIFFICULTY_PRESETS.hard.lives);
+  });
+
+  it('reports custom once an advanced option differs from its preset', () => {
+    const hard = applyPreset(createGameConfig({ startLevel: 4 }), DIFFICULTY.HARD);
+    expect(hard.startLevel).toBe(4);
+    expect(matchPreset(hard)).toBe(DIFFICULTY.HARD);
+    expect(matchPreset({ ...hard, lives: hard.lives + 1 })).toBeNull();
+  });
+});
+
+describe('per-game config in the engine', () => {
+  it('starts players with the configured lives and rosters with the configured size', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 5, { config: { lives: 7, enemiesPerLevel: 13 } });
+    expect(engine.player.lives).toBe(7);
+    expect(engine.roster).toHaveLength(13);
+
+    engine.nextLevel();
+    expect(engine.player.lives).toBe(7);
+    expect(engine.roster).toHaveLength(13);
+  });
+
+  it('never puts more enemies on the field than the configured cap', () => {
+    const engine = createEmptyEngine({ spawning: true, config: { maxEnemies: 2, enemiesPerLevel: 10 } });
+    engine.lastEnemySpawnTime = -Infinity;
+    engine.director.intensity = 1;
+    let peak = 0;
+    for (let i = 0; i < 1200; i++) {
+      stepTicks(engine, 1);
+      peak = Math.max(peak, engine.enemies.length);
+    }
+    expect(peak).toBe(2);
+  });
+
+  it('scales every enemy type by the configured fire cooldown', () => {
+    const config = createGameConfig({ enemyFireCooldown: ENEMY_FIRE_COOLDOWN * 2 });
+    const basic = new Tank(0, 0, DIR.UP, false, ENEMY_TYPE.BASIC, config);
+    const power = new Tank(0, 0, DIR.UP, false, ENEMY_TYPE.POWER, config);
+    expect(basic.fireCooldown).toBe(ENEMY_FIRE_COOLDOWN * 2);
+    expect(power.fireCooldown).toBe(ENEMY_STATS[ENEMY_TYPE.POWER].fireCooldown * 2);
+  });
+
+  it('lets player bullets hit teammates only with friendly fire on', () => {
+    for (const friendlyFire of [false, true]) {
+      const engine = createEmptyEngine({ players: 2, config: { friendlyFire } });
+      const [p1, p2] = engine.players;
+      for (const p of engine.players) p.invincibleUntil = 0;
+      p1.setPosition(5 * WALL_SIZE, 10 * WALL_SIZE);
+      p2.setPosition(5 * WALL_SIZE, 6 * WALL_SIZE);
+      p1.direction = DIR.UP;
+      engine.bullets = [p1.fire(engine.simTime)];
+
+      stepTicks(engine, Math.ceil((4 * WALL_SIZE) / BULLET_SPEED));
+      expect(p2.lives).toBe(friendlyFire ? engine.config.lives - 1 : engine.config.lives);
+      expect(p1.lives).toBe(engine.config.lives);
+    }
+  });
+
+  it('starts a fresh run at the configured level and replays it with the same config', () => {
+    const recorded = new GameEngine();
+    recorded.startGame(3, 9, { config: { startLevel: 3, lives: 1, enemiesPerLevel: 5 } });
+    for (let i = 0; i < 900; i++) {
+      recorded.keys.fire = i % 7 === 0;
+      recorded.step();
+    }
+    expect(recorded.level).toBe(3);
+
+    const replay = parseReplay(serializeReplay(recorded.getReplay()));
+    expect(replay.config).toMatchObject({ lives: 1, enemiesPerLevel: 5 });
+    const viewer = new GameEngine();
+    viewer.playReplay(replay);
+    viewer.seekReplay(replay.ticks);
+    expect(viewer.getSnapshot()).toEqual(recorded.getSnapshot());
+  });
+
+  it('keeps the configured lives across a restart without options', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 2, { config: { lives: 6 } });
+    engine.startGame(1);
+    expect(engine.player.lives).toBe(6);
+  });
+});
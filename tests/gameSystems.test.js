@@ -0,0 +1,212 @@
+import { describe, it, expect } from 'vitest';
+import { EventBus } from '../src/game/EventBus.js';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { registerMode, getMode } from '../src/game/modes.js';
+import { createSoundSystem } from '../src/game/gameSystems.js';
+import { createAchievementsSystem, parseAchievements } from '../src/game/achievements.js';
+import { createGameConfig } from '../src/game/gameConfig.js';
+import { getMapLayout } from '../src/game/mapGenerator.js';
+import { DIR, GAME_STATE, GAME_EVENT, GAME_OVER_REASON, ENEMY_TYPE, ENEMY_STATS, WALL_SIZE } from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, bulletAt, wallsFromRows, stepTicks } from './helpers.js';
+
+/** 在 1P 正上方放一台凍結的敵軍，讓 1P 一直開火直到打掉它 */
+function shootEnemyAbove(engine) {
+  const enemy = tankAt(0, 0, DIR.DOWN);
+  enemy.setPosition(engine.player.x, engine.player.y - 3 * WALL_SIZE);
+  engine.enemies.push(enemy);
+  engine.director.recordSpawn(enemy, engine.simTime);
+  engine.enemiesFrozenUntil = Infinity;
+  engine.keys.fire = true;
+  for (let i = 0; i < 60 && enemy.alive; i++) engine.step();
+  engine.keys.fire = false;
+  return enemy;
+}
+
+/** 記下引擎發出的事件類型 */
+function recordEvents(engine, types) {
+  const log = [];
+  for (const type of types) engine.events.on(type, (payload) => log.push({ type, payload }));
+  return log;
+}
+
+describe('event bus', () => {
+  it('calls handlers in subscription order and stops after unsubscribing', () => {
+    const bus = new EventBus();
+    const calls = [];
+    const off = bus.on('ping', ({ n }) => calls.push(`a${n}`));
+    bus.on('ping', ({ n }) => calls.push(`b${n}`));
+
+    bus.emit('ping', { n: 1 });
+    off();
+    bus.emit('ping', { n: 2 });
+    bus.emit('other');
+
+    expect(calls).toEqual(['a1', 'b1', 'b2']);
+  });
+
+  it('does not change the current dispatch when a handler unsubscribes', () => {
+    const bus = new EventBus();
+    const calls = [];
+    const offB = bus.on('ping', () => calls.push('b'));
+    bus.on('ping', () => {
+      calls.push('c');
+      offB();
+    });
+    bus.emit('ping');
+    bus.emit('ping');
+    expect(calls).toEqual(['b', 'c', 'c']);
+  });
+});
+
+describe('engine events and systems', () => {
+  it('reports a kill as bulletFired then tankDestroyed, scored by the scoring system', () => {
+    const engine = createEmptyEngine();
+    const log = recordEvents(engine, [GAME_EVENT.BULLET_FIRED, GAME_EVENT.TANK_DESTROYED, GAME_EVENT.STATE_CHANGED]);
+    const enemy = shootEnemyAbove(engine);
+
+    expect(log.map(e => e.type)).toEqual([GAME_EVENT.BULLET_FIRED, GAME_EVENT.TANK_DESTROYED, GAME_EVENT.STATE_CHANGED]);
+    expect(log[0].payload.tank).toBe(engine.player);
+    expect(log[1].payload).toEqual({ tank: enemy, bullet: log[0].payload.bullet });
+    expect(engine.score).toBe(ENEMY_STATS[ENEMY_TYPE.BASIC].score);
+    expect(engine.runStats).toEqual({ shots: 1, hits: 1, kills: 1 });
+    expect(engine.explosions).toHaveLength(1);
+  });
+
+  it('drops a rule when its system is removed', () => {
+    const engine = createEmptyEngine();
+    expect(engine.removeSystem('scoring')).toBe(true);
+    expect(engine.removeSystem('effects')).toBe(true);
+    expect(engine.hasSystem('scoring')).toBe(false);
+    shootEnemyAbove(engine);
+
+    expect(engine.enemiesDestroyed).toBe(1);
+    expect(engine.score).toBe(0);
+    expect(engine.runStats.shots).toBe(0);
+    expect(engine.explosions).toHaveLength(0);
+  });
+
+  it('reports player performance to the difficulty director through its system', () => {
+    const engine = createEmptyEngine();
+    shootEnemyAbove(engine);
+    engine.player.invincibleUntil = 0;
+    engine._hitPlayer(engine.player, engine.simTime);
+    expect(engine.director.window).toMatchObject({ shots: 1, hits: 1, kills: 1, livesLost: 1 });
+
+    const detached = createEmptyEngine();
+    expect(detached.removeSystem('director')).toBe(true);
+    shootEnemyAbove(detached);
+    detached.player.invincibleUntil = 0;
+    detached._hitPlayer(detached.player, detached.simTime);
+    expect(detached.director.window).toMatchObject({ shots: 0, hits: 0, kills: 0, livesLost: 0 });
+  });
+
+  it('plays sounds only through the sound system, and not while silent', () => {
+    const played = [];
+    const audio = new Proxy({}, { get: (_, name) => () => played.push(name) });
+    const engine = new GameEngine({ audio });
+    engine.startGame(1, 1);
+    // 打中鐵牆沒有音效，玩家被擊中才有
+    engine.walls = wallsFromRows(['S'], 10, 5);
+    engine.bullets = [bulletAt(10 * WALL_SIZE + 15, 6 * WALL_SIZE + 2, DIR.UP, true)];
+    engine.player.invincibleUntil = 0;
+    engine.bullets.push(bulletAt(engine.player.x + 13, engine.player.y - 10, DIR.DOWN, false));
+    stepTicks(engine, 2);
+    expect(played).toEqual(['playHit']);
+
+    engine.silent = true;
+    engine._destroyBase();
+    expect(played).toEqual(['playHit']);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+
+    const quiet = createEmptyEngine();
+    quiet.addSystem(createSoundSystem(audio));
+    quiet.removeSystem('sound');
+    quiet.player.invincibleUntil = 0;
+    quiet._hitPlayer(quiet.player, quiet.simTime);
+    expect(played).toEqual(['playHit']);
+  });
+
+  it('tells the game-over reason', () => {
+    const engine = createEmptyEngine({ base: true });
+    const log = recordEvents(engine, [GAME_EVENT.BASE_DESTROYED, GAME_EVENT.GAME_OVER]);
+    engine._destroyBase();
+    expect(log.map(e => e.type)).toEqual([GAME_EVENT.BASE_DESTROYED, GAME_EVENT.GAME_OVER]);
+    expect(log[1].payload).toEqual({ reason: GAME_OVER_REASON.BASE });
+  });
+});
+
+describe('mode plugins', () => {
+  // 打靶：一台敵軍、沒有基地，打掉就過關；每次擊毀固定 1 分
+  const TARGET_PRACTICE = {
+    id: 'target-practice',
+    loadStage: () => ({
+      name: '打靶', walls: [], layout: { ...getMapLayout(), base: null },
+      roster: [ENEMY_TYPE.BASIC], targets: null, objectives: null,
+    }),
+    update(engine, now) {
+      if (engine.enemiesDestroyed >= engine.roster.length) engine.clearStage(now);
+    },
+    getProgress: (engine) => ({ name: engine.stageName, left: engine.roster.length - engine.enemiesDestroyed }),
+    scoreKill: () => 1,
+  };
+
+  it('rejects plugins without the required hooks', () => {
+    expect(() => registerMode({ id: 'broken', update() {} })).toThrow('loadStage');
+    expect(getMode('broken')).toBeNull();
+  });
+
+  it('plays a registered mode chosen through config.mode', () => {
+    registerMode(TARGET_PRACTICE);
+    expect(createGameConfig({ mode: 'target-practice' }).mode).toBe('target-practice');
+
+    const engine = new GameEngine();
+    engine.startGame(1, 1, { config: { mode: 'target-practice' } });
+    engine.lastEnemySpawnTime = Infinity;
+    expect(engine.base).toBeNull();
+    expect(engine.getStageProgress()).toEqual({ name: '打靶', left: 1 });
+
+    shootEnemyAbove(engine);
+    stepTicks(engine, 1);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+    expect(engine.score).toBe(1 + engine.getStageResults().players[0].bonusTotal);
+  });
+});
+
+describe('achievements', () => {
+  it('unlocks once and reports the whole unlocked list', () => {
+    const engine = createEmptyEngine();
+    const system = createAchievementsSystem(['collector']);
+    engine.addSystem(system);
+    const log = recordEvents(engine, [GAME_EVENT.ACHIEVEMENT_UNLOCKED]);
+
+    shootEnemyAbove(engine);
+    shootEnemyAbove(engine);
+
+    expect(log).toHaveLength(1);
+    expect(log[0].payload.achievement.id).toBe('first-blood');
+    expect(log[0].payload.unlocked).toEqual(['collector', 'first-blood']);
+    expect(system.getUnlocked()).toEqual(['collector', 'first-blood']);
+  });
+
+  it('ignores kills by unowned bullets and while watching a replay', () => {
+    const engine = createEmptyEngine();
+    const system = createAchievementsSystem();
+    engine.addSystem(system);
+    const enemy = tankAt(5, 5, DIR.DOWN);
+    engine.enemies.push(enemy);
+    engine.bullets.push(bulletAt(enemy.x + 13, enemy.y + 40, DIR.UP, true));
+    stepTicks(engine, 2);
+    expect(enemy.alive).toBe(false);
+    expect(system.getUnlocked()).toEqual([]);
+
+    engine.replayPlayer = { done: false, applyNext() {} };
+    shootEnemyAbove(engine);
+    expect(system.getUnlocked()).toEqual([]);
+  });
+
+  it('parses stored ids, dropping unknown and duplicate entries', () => {
+    expect(parseAchievements('["rampage","nope","rampage"]')).toEqual(['rampage']);
+    expect(parseAchievements('{bad')).toEqual([]);
+    expect(parseAchievements(null)).toEqual([]);
+  });
+});
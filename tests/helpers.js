@@ -0,0 +1,123 @@
+/**
+ * ============================================================
+ * 測試輔助工具 (Test Helpers)
+ * ============================================================
+ * 建立「空白場地」的引擎，再以文字圖擺放牆壁、坦克與子彈，
+ * 逐步推進模擬後檢查結果。
+ *
+ * 文字圖符號（每字元 = 一格 WALL_SIZE）：
+ *   .  空地
+ *   B  磚牆
+ *   S  鐵牆
+ *   W  水面
+ *   F  樹林
+ *   I  冰面
+ */
+import { GameEngine } from '../src/game/GameEngine.js';
+import { Tank } from '../src/game/Tank.js';
+import { Bullet } from '../src/game/Bullet.js';
+import { Wall } from '../src/game/Wall.js';
+import { DIR, WALL_SIZE, WALL_TYPE, SIM_TICK_MS } from '../src/game/constants.js';
+
+const TILE_TYPES = {
+  B: WALL_TYPE.BRICK,
+  S: WALL_TYPE.STEEL,
+  W: WALL_TYPE.WATER,
+  F: WALL_TYPE.FOREST,
+  I: WALL_TYPE.ICE,
+};
+
+/**
+ * 將文字圖轉為牆壁陣列
+ * @param {string[]} rows
+ * @param {number} [originCol] - 文字圖左上角對應的格子欄
+ * @param {number} [originRow] - 文字圖左上角對應的格子列
+ * @returns {Wall[]}
+ */
+export function wallsFromRows(rows, originCol = 0, originRow = 0) {
+  const walls = [];
+  rows.forEach((line, r) => {
+    [...line].forEach((ch, c) => {
+      const type = TILE_TYPES[ch];
+      if (type) {
+        walls.push(new Wall((originCol + c) * WALL_SIZE, (originRow + r) * WALL_SIZE, type));
+      }
+    });
+  });
+  return walls;
+}
+
+/**
+ * 牆壁配置的可比較形式（與順序無關），用來檢查兩張地圖是否相同
+ * @param {Wall[]} walls
+ * @returns {string[]}
+ */
+export function layout(walls) {
+  return walls.map(w => `${w.x},${w.y},${w.type}`).sort();
+}
+
+/**
+ * 建立一個已開始遊戲、但場地清空的引擎
+ * 預設停用敵軍生成並移除基地，讓測試完全掌控場上物件。
+ *
+ * @param {{ seed?: number, spawning?: boolean, base?: boolean, players?: number, config?: object }} [options]
+ *   config — 本局設定（gameConfig.js 的部分欄位即可）
+ * @returns {GameEngine}
+ */
+export function createEmptyEngine({ seed = 1, spawning = false, base = false, players = 1, config } = {}) {
+  const engine = new GameEngine();
+  engine.startGame(1, seed, { players, config });
+  engine.walls = [];
+  engine.enemies = [];
+  engine.bullets = [];
+  if (!spawning) {
+    engine.lastEnemySpawnTime = Infinity;
+  }
+  if (!base) {
+    engine.base = null;
+  }
+  return engine;
+}
+
+/**
+ * 在指定格子放置一台坦克（座標 = 格子左上角）
+ * @param {number} col
+ * @param {number} row
+ * @param {string} [direction]
+ * @param {boolean} [isPlayer]
+ * @param {string} [type] - 敵軍類型 (ENEMY_TYPE)
+ * @returns {Tank}
+ */
+export function tankAt(col, row, direction = DIR.UP, isPlayer = false, type = undefined) {
+  return new Tank(col * WALL_SIZE, row * WALL_SIZE, direction, isPlayer, type);
+}
+
+/**
+ * 建立一顆子彈
+ * @param {number} x
+ * @param {number} y
+ * @param {string} direction
+ * @param {boolean} isPlayerBullet
+ * @returns {Bullet}
+ */
+export function bulletAt(x, y, direction, isPlayerBullet) {
+  return new Bullet(x, y, direction, isPlayerBullet, '#FFFFFF');
+}
+
+/**
+ * 推進 n 個模擬步
+ * @param {GameEngine} engine
+ * @param {number} n
+ */
+export function stepTicks(engine, n) {
+  for (let i = 0; i < n; i++) engine.step();
+}
+
+/**
+ * 經過 ms 毫秒所需的模擬步數（無條件進位）
+ * @param {number} ms
+ * @returns {number}
+ */
+export function ticksFor(ms) {
+  return Math.ceil(ms / SIM_TICK_MS);
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getScoreCategory, listScoreCategories, qualifiesForHighScore, addHighScore, normalizeInitials,
+  parseHighScores, HIGH_SCORE_LIMIT, SCORE_MODE, CUSTOM_DIFFICULTY,
+} from '../src/game/highScores.js';
+import { createGameConfig } from '../src/game/gameConfig.js';
+import { DIFFICULTY, DIR, WALL_SIZE } from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, stepTicks } from './helpers.js';
+
+/** 產生一筆排行榜紀錄 */
+const entry = (score, initials = 'AAA') => ({
+  initials, score, level: 2, kills: 5, accuracy: 0.5, date: '2026-01-01T00:00:00.000Z',
+});
+
+/** 塞滿一張表：分數 100, 200, … */
+function fullTable(key) {
+  let tables = {};
+  for (let i = 1; i <= HIGH_SCORE_LIMIT; i++) tables = addHighScore(tables, key, entry(i * 100)).tables;
+  return tables;
+}
+
+describe('score categories', () => {
+  it('separates difficulty and mode, with customised settings in their own table', () => {
+    expect(getScoreCategory(createGameConfig({ difficulty: DIFFICULTY.HARD }), 2).key).toBe('hard-coop');
+    expect(getScoreCategory(createGameConfig(), 1)).toEqual({
+      difficulty: DIFFICULTY.NORMAL, mode: SCORE_MODE.SOLO, key: 'normal-solo',
+    });
+    expect(getScoreCategory(createGameConfig({ lives: 9 }), 1).difficulty).toBe(CUSTOM_DIFFICULTY);
+    expect(listScoreCategories().map(c => c.key)).toContain('custom-coop');
+  });
+});
+
+describe('high-score table', () => {
+  it('keeps entries sorted, capped and ranks new ones', () => {
+    const tables = fullTable('normal-solo');
+    const { tables: next, rank } = addHighScore(tables, 'normal-solo', entry(250, 'bob'));
+
+    expect(rank).toBe(HIGH_SCORE_LIMIT - 2);
+    expect(next['normal-solo']).toHaveLength(HIGH_SCORE_LIMIT);
+    expect(next['normal-solo'].map(e => e.score)).toEqual([...next['normal-solo'].map(e => e.score)].sort((a, b) => b - a));
+    expect(next['normal-solo'].some(e => e.score === 100)).toBe(false);
+    expect(next['normal-solo'][rank].initials).toBe('BOB');
+    expect(tables['normal-solo']).toHaveLength(HIGH_SCORE_LIMIT); // 原表不被修改
+  });
+
+  it('only qualifies scores that beat the lowest entry of a full table', () => {
+    const tables = fullTable('easy-solo');
+    expect(qualifiesForHighScore(tables, 'easy-solo', 100)).toBe(false);
+    expect(qualifiesForHighScore(tables, 'easy-solo', 101)).toBe(true);
+    expect(qualifiesForHighScore(tables, 'hard-solo', 1)).toBe(true);
+    expect(qualifiesForHighScore({}, 'hard-solo', 0)).toBe(false);
+  });
+
+  it('cleans up initials', () => {
+    expect(normalizeInitials('a-b c d')).toBe('ABC');
+    expect(normalizeInitials('  ')).toBe('???');
+  });
+
+  it('survives corrupt storage and drops malformed rows', () => {
+    expect(parseHighScores('{oops')).toEqual({});
+    expect(parseHighScores('[1,2]')).toEqual({});
+    const text = JSON.stringify({
+      'normal-solo': [entry(300), { initials: 'X', score: 'lots' }, entry(900)],
+      'bogus-key': [entry(1)],
+    });
+    const tables = parseHighScores(text);
+    expect(Object.keys(tables)).toEqual(['normal-solo']);
+    expect(tables['normal-solo'].map(e => e.score)).toEqual([900, 300]);
+  });
+});
+
+describe('run summary', () => {
+  it('tracks kills and accuracy across the run', () => {
+    const engine = createEmptyEngine();
+    engine.enemies = [tankAt(5, 5)];
+    engine.player.setPosition(5 * WALL_SIZE, 8 * WALL_SIZE);
+    engine.player.direction = DIR.UP;
+    engine.keys.fire = true;
+    stepTicks(engine, 30);
+    engine.keys.fire = false;
+
+    const summary = engine.getRunSummary();
+    expect(summary.kills).toBe(1);
+    expect(summary.score).toBe(engine.score);
+    expect(summary.accuracy).toBeGreaterThan(0);
+    expect(summary.accuracy).toBeLessThanOrEqual(1);
+  });
+
+  it('resets with a new run but carries across levels', () => {
+    const engine = createEmptyEngine();
+    engine.runStats.kills = 4;
+    engine.nextLevel();
+    expect(engine.getRunSummary().kills).toBe(4);
+    engine.startGame(1, 3);
+    expect(engine.getRunSummary()).toMatchObject({ kills: 0, accuracy: 0 });
+  });
+});
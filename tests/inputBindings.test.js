@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GAMEPAD_DEADZONE, PAUSE_ACTION,
+  createDefaultBindings, findKeyBinding, rebindKey, rebindButton,
+  readGamepad, getNewlyPressedButton, assignGamepads, parseBindings,
+} from '../src/game/inputBindings.js';
+
+/** 建立假的手把：pressed 為按著的按鈕編號 */
+function fakePad(index, { pressed = [], axes = [0, 0] } = {}) {
+  return {
+    index,
+    axes,
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) })),
+  };
+}
+
+describe('keyboard bindings', () => {
+  it('maps the default keys to each player and pause', () => {
+    const bindings = createDefaultBindings();
+    expect(findKeyBinding(bindings, 'W')).toEqual({ player: 0, action: 'up' });
+    expect(findKeyBinding(bindings, ' ')).toEqual({ player: 0, action: 'fire' });
+    expect(findKeyBinding(bindings, 'ArrowLeft')).toEqual({ player: 1, action: 'left' });
+    expect(findKeyBinding(bindings, 'Escape')).toEqual({ player: null, action: PAUSE_ACTION });
+    expect(findKeyBinding(bindings, 'q')).toBeNull();
+  });
+
+  it('moves a key to its new action and drops its old use', () => {
+    const bindings = rebindKey(createDefaultBindings(), 1, 'fire', 'J');
+
+    expect(findKeyBinding(bindings, 'j')).toEqual({ player: 1, action: 'fire' });
+    expect(bindings.keyboard.players[1].fire).toEqual(['j']);
+    expect(bindings.keyboard.players[0].fire).toEqual([' ']);
+  });
+
+  it('rebinds the pause key without touching the original', () => {
+    const original = createDefaultBindings();
+    const bindings = rebindKey(original, null, PAUSE_ACTION, 'w');
+
+    expect(bindings.keyboard.pause).toEqual(['w']);
+    expect(bindings.keyboard.players[0].up).toEqual([]);
+    expect(original.keyboard.players[0].up).toEqual(['w']);
+  });
+});
+
+describe('gamepad reading', () => {
+  const { gamepad } = createDefaultBindings();
+
+  it('reads the D-pad, face buttons and Start', () => {
+    const state = readGamepad(fakePad(0, { pressed: [12, 2, 9] }), gamepad);
+    expect(state).toEqual({ up: true, down: false, left: false, right: false, fire: true, pause: true });
+  });
+
+  it('ignores stick drift inside the deadzone', () => {
+    const state = readGamepad(fakePad(0, { axes: [GAMEPAD_DEADZONE / 2, -GAMEPAD_DEADZONE / 2] }), gamepad);
+    expect(state.up || state.down || state.left || state.right).toBe(false);
+  });
+
+  it('turns the left stick into the single strongest direction', () => {
+    expect(readGamepad(fakePad(0, { axes: [-0.9, 0.5] }), gamepad).left).toBe(true);
+    const down = readGamepad(fakePad(0, { axes: [0.4, 0.8] }), gamepad);
+    expect(down.down).toBe(true);
+    expect(down.right).toBe(false);
+  });
+
+  it('follows remapped buttons', () => {
+    const bindings = rebindButton(createDefaultBindings(), 'fire', 7);
+    expect(bindings.gamepad.fire).toEqual([7]);
+    expect(readGamepad(fakePad(0, { pressed: [0] }), bindings.gamepad).fire).toBe(false);
+    expect(readGamepad(fakePad(0, { pressed: [7] }), bindings.gamepad).fire).toBe(true);
+  });
+
+  it('only reports buttons pressed since the last frame', () => {
+    const pad = fakePad(0, { pressed: [0, 3] });
+    expect(getNewlyPressedButton(pad, pad.buttons.map((_, i) => i === 0))).toBe(3);
+    expect(getNewlyPressedButton(pad, pad.buttons.map(b => b.pressed))).toBeNull();
+  });
+});
+
+describe('assignGamepads', () => {
+  it('gives every pad to 1P in a solo game', () => {
+    const pads = [fakePad(0), null, fakePad(2)];
+    expect(assignGamepads(pads, 1).map(a => a.player)).toEqual([0, 0]);
+  });
+
+  it('hands pads to players in connection order in co-op', () => {
+    const pads = [null, fakePad(3), fakePad(1), fakePad(5)];
+    const assigned = assignGamepads(pads, 2);
+    expect(assigned.map(a => [a.pad.index, a.player])).toEqual([[1, 0], [3, 1]]);
+  });
+});
+
+describe('parseBindings', () => {
+  it('falls back to defaults for missing or damaged settings', () => {
+    expect(parseBindings(null)).toEqual(createDefaultBindings());
+    expect(parseBindings('{oops')).toEqual(createDefaultBindings());
+  });
+
+  it('keeps valid remaps and repairs broken entries', () => {
+    const saved = rebindButton(rebindKey(createDefaultBindings(), 0, 'fire', 'K'), 'pause', 8);
+    saved.gamepad.up = ['x'];
+    const bindings = parseBindings(JSON.stringify(saved));
+
+    expect(bindings.keyboard.players[0].fire).toEqual(['k']);
+    expect(bindings.gamepad.pause).toEqual([8]);
+    expect(bindings.gamepad.up).toEqual(createDefaultBindings().gamepad.up);
+  });
+});
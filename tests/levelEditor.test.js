@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { EDITOR_TOOLS, applyTool, checkLevel, createBlankLevel } from '../src/game/levelEditor.js';
+import { buildLevel, validateLevel } from '../src/game/levelFormat.js';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { GAME_STATE, WALL_SIZE } from '../src/game/constants.js';
+import { layout } from './helpers.js';
+
+/** 在敵軍出生格 (c, r) 四周圍一圈指定的牆 */
+function wallOff(level, c, r, tool) {
+  let next = level;
+  for (const [dc, dr] of [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]]) {
+    next = applyTool(next, c + dc, r + dr, tool);
+  }
+  return next;
+}
+
+describe('createBlankLevel', () => {
+  it('is a valid level that can be saved', () => {
+    const level = createBlankLevel();
+    expect(() => validateLevel(level)).not.toThrow();
+    expect(checkLevel(level).problems).toEqual([]);
+  });
+});
+
+describe('applyTool', () => {
+  it('paints and erases tiles without mutating the original', () => {
+    const level = createBlankLevel();
+    const painted = applyTool(level, 5, 5, EDITOR_TOOLS.STEEL);
+    expect(painted.tiles[5][5]).toBe('S');
+    expect(level.tiles[5][5]).toBe('.');
+    expect(applyTool(painted, 5, 5, EDITOR_TOOLS.ERASE).tiles[5][5]).toBe('.');
+  });
+
+  it('keeps the steel border locked', () => {
+    const level = createBlankLevel();
+    expect(applyTool(level, 0, 5, EDITOR_TOOLS.ERASE)).toBe(level);
+    expect(applyTool(level, 10, 0, EDITOR_TOOLS.BRICK)).toBe(level);
+    expect(applyTool(level, 99, 5, EDITOR_TOOLS.BRICK)).toBe(level);
+  });
+
+  it('moves unique markers instead of duplicating them', () => {
+    const level = applyTool(createBlankLevel(), 10, 10, EDITOR_TOOLS.BASE);
+    expect(level.tiles.join('').split('@')).toHaveLength(2);
+    expect(level.tiles[10][10]).toBe('@');
+    expect(buildLevel(level).layout.base).toEqual({ x: 10 * WALL_SIZE, y: 10 * WALL_SIZE });
+  });
+
+  it('allows several enemy spawns', () => {
+    const level = applyTool(createBlankLevel(), 10, 5, EDITOR_TOOLS.ENEMY);
+    expect(buildLevel(level).layout.enemySpawns).toHaveLength(4);
+  });
+});
+
+describe('checkLevel', () => {
+  it('refuses enemy spawns sealed off by steel', () => {
+    const sealed = wallOff(createBlankLevel(), 17, 2, EDITOR_TOOLS.STEEL);
+    const { problems, unreachable } = checkLevel(sealed);
+    expect(unreachable).toEqual([{ x: 17 * WALL_SIZE, y: 2 * WALL_SIZE }]);
+    expect(problems[0]).toContain('第 3 行第 18 格');
+  });
+
+  it('treats brick as passable because it can be shot away', () => {
+    const bricked = wallOff(createBlankLevel(), 17, 2, EDITOR_TOOLS.BRICK);
+    expect(checkLevel(bricked).problems).toEqual([]);
+  });
+
+  it('reports format errors before connectivity', () => {
+    const noBase = applyTool(createBlankLevel(), 17, 18, EDITOR_TOOLS.ERASE);
+    expect(checkLevel(noBase)).toEqual({ problems: [expect.stringContaining('基地')], unreachable: [] });
+  });
+});
+
+describe('engine play-test', () => {
+  it('plays a custom level without recording a replay', () => {
+    const level = applyTool(createBlankLevel(), 8, 8, EDITOR_TOOLS.STEEL);
+    const engine = new GameEngine();
+    engine.startGame(1, 4, { campaign: [level] });
+    expect(layout(engine.walls)).toEqual(layout(buildLevel(level).walls));
+    expect(engine.recorder).toBeNull();
+  });
+
+  it('returns to the menu when quitting', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 4, { campaign: [createBlankLevel()] });
+    engine.quitGame();
+    expect(engine.state).toBe(GAME_STATE.MENU);
+  });
+
+  it('goes back to the bundled campaign for a normal game', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 4, { campaign: [createBlankLevel()] });
+    engine.startGame(1, 4);
+    expect(engine.recorder).not.toBeNull();
+    expect(engine.stageName).not.toBe('自製關卡');
+  });
+});
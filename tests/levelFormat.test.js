@@ -0,0 +1,212 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LEVEL_FORMAT, LEVEL_VERSION, parseLevel, serializeLevel, validateLevel, buildLevel,
+} from '../src/game/levelFormat.js';
+import { CAMPAIGN, loadStage } from '../src/game/campaign.js';
+import {
+  generateMap, getPlayerSpawn, getEnemySpawnPoints, getBasePosition, getBaseFortCells,
+} from '../src/game/mapGenerator.js';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { Random } from '../src/game/Random.js';
+import {
+  ENEMY_TYPE, GAME_STATE, WALL_SIZE, WALL_TYPE, GRID_COLS as COLS, GRID_ROWS as ROWS,
+} from '../src/game/constants.js';
+import { createEmptyEngine, stepTicks, layout } from './helpers.js';
+
+/**
+ * 以程序化地圖的標準配置畫一張關卡：鐵牆外框、護城磚牆、出生點與基地
+ * @param {object} [overrides] - 覆寫關卡欄位
+ * @returns {object}
+ */
+function makeLevel(overrides = {}) {
+  const grid = Array.from({ length: ROWS }, (_, r) =>
+    Array.from({ length: COLS }, (_, c) =>
+      (r === 0 || r === ROWS - 1 || c === 0 || c === COLS - 1 ? 'S' : '.')));
+  const put = ({ x, y }, ch) => { grid[y / WALL_SIZE][x / WALL_SIZE] = ch; };
+
+  for (const { c, r } of getBaseFortCells()) grid[r][c] = 'B';
+  put(getBasePosition(), '@');
+  put(getPlayerSpawn(0), '1');
+  put(getPlayerSpawn(1), '2');
+  for (const sp of getEnemySpawnPoints()) put(sp, 'E');
+  grid[5][5] = 'B';
+  grid[6][7] = 'S';
+
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_VERSION,
+    name: '測試關',
+    tiles: grid.map(row => row.join('')),
+    ...overrides,
+  };
+}
+
+/** 將某一格換成指定字元 */
+function withTile(level, c, r, ch) {
+  const tiles = [...level.tiles];
+  tiles[r] = tiles[r].slice(0, c) + ch + tiles[r].slice(c + 1);
+  return { ...level, tiles };
+}
+
+describe('parseLevel', () => {
+  it('round-trips through serializeLevel', () => {
+    const level = makeLevel({ roster: { BASIC: 3 }, targets: { time: 60 } });
+    expect(parseLevel(serializeLevel(level))).toEqual(level);
+  });
+
+  it('rejects invalid JSON and foreign files', () => {
+    expect(() => parseLevel('{oops')).toThrow('不是有效的 JSON');
+    expect(() => parseLevel('{"format":"other"}')).toThrow('不是坦克大戰的關卡檔');
+    expect(() => validateLevel(makeLevel({ version: 99 }))).toThrow('不支援的關卡版本');
+  });
+
+  it('requires a full 35x20 grid of known tiles', () => {
+    const level = makeLevel();
+    expect(() => validateLevel({ ...level, tiles: level.tiles.slice(1) })).toThrow('20 行');
+    expect(() => validateLevel({ ...level, tiles: [level.tiles[0] + 'S', ...level.tiles.slice(1)] })).toThrow('35 格');
+    expect(() => validateLevel(withTile(level, 4, 4, 'Z'))).toThrow('第 5 行第 5 格');
+  });
+
+  it('requires exactly one base and both player spawns', () => {
+    const level = makeLevel();
+    const base = getBasePosition();
+    const p2 = getPlayerSpawn(1);
+    expect(() => validateLevel(withTile(level, base.x / WALL_SIZE, base.y / WALL_SIZE, '.'))).toThrow('基地');
+    expect(() => validateLevel(withTile(level, 4, 4, '@'))).toThrow('基地');
+    expect(() => validateLevel(withTile(level, p2.x / WALL_SIZE, p2.y / WALL_SIZE, '.'))).toThrow('2P');
+  });
+
+  it('requires at least one enemy spawn', () => {
+    let level = makeLevel();
+    for (const { x, y } of getEnemySpawnPoints()) level = withTile(level, x / WALL_SIZE, y / WALL_SIZE, '.');
+    expect(() => validateLevel(level)).toThrow('敵軍出生點');
+  });
+
+  it('validates the roster and targets', () => {
+    expect(() => validateLevel(makeLevel({ roster: { TANK: 2 } }))).toThrow('未知的敵軍類型');
+    expect(() => validateLevel(makeLevel({ roster: { BASIC: 1.5 } }))).toThrow('非負整數');
+    expect(() => validateLevel(makeLevel({ roster: { BASIC: 0 } }))).toThrow('至少要有一台');
+    expect(() => validateLevel(makeLevel({ targets: { time: -5 } }))).toThrow('正數');
+  });
+
+  it('validates objectives and the escort markers they need', () => {
+    const escortObjectives = { objectives: [{ type: 'escort' }] };
+    const marked = withTile(withTile(makeLevel(escortObjectives), 3, 3, 'A'), 30, 3, 'X');
+    expect(validateLevel(marked)).toBe(marked);
+    expect(() => validateLevel(makeLevel({ objectives: [{ type: 'survive' }] }))).toThrow('需要秒數');
+    expect(() => validateLevel(withTile(makeLevel(escortObjectives), 3, 3, 'A'))).toThrow('出口（X）');
+    expect(() => validateLevel({ ...marked, objectives: undefined })).toThrow('沒有護送任務');
+    expect(() => validateLevel(withTile(marked, 4, 3, 'A'))).toThrow('各只能有一個');
+
+    const { layout, objectives } = buildLevel(marked);
+    expect(layout.escortSpawn).toEqual({ x: 3 * WALL_SIZE, y: 3 * WALL_SIZE });
+    expect(layout.exit).toEqual({ x: 30 * WALL_SIZE, y: 3 * WALL_SIZE });
+    expect(objectives).toEqual(escortObjectives.objectives);
+  });
+});
+
+describe('buildLevel', () => {
+  it('produces the same spawn data as the procedural layout', () => {
+    const { layout: built } = buildLevel(makeLevel());
+    expect(built.playerSpawns).toEqual([getPlayerSpawn(0), getPlayerSpawn(1)]);
+    expect(built.enemySpawns).toEqual(getEnemySpawnPoints());
+    expect(built.base).toEqual(getBasePosition());
+    expect(built.fortCells).toEqual(getBaseFortCells());
+  });
+
+  it('turns B and S tiles into walls and leaves markers empty', () => {
+    const { walls } = buildLevel(makeLevel());
+    const at = (c, r) => walls.filter(w => w.x === c * WALL_SIZE && w.y === r * WALL_SIZE);
+    expect(at(5, 5).map(w => w.type)).toEqual([WALL_TYPE.BRICK]);
+    expect(at(7, 6).map(w => w.type)).toEqual([WALL_TYPE.STEEL]);
+    expect(at(7, 6)[0].destructible).toBe(false);
+    const base = getBasePosition();
+    expect(at(base.x / WALL_SIZE, base.y / WALL_SIZE)).toEqual([]);
+    expect(walls).toHaveLength(2 * COLS + 2 * (ROWS - 2) + getBaseFortCells().length + 2);
+  });
+
+  it('turns W, F and I tiles into water, forest and ice', () => {
+    let level = makeLevel();
+    level = withTile(withTile(withTile(level, 10, 10, 'W'), 11, 10, 'F'), 12, 10, 'I');
+    const { walls } = buildLevel(validateLevel(level));
+    const typeAt = (c) => walls.find(w => w.x === c * WALL_SIZE && w.y === 10 * WALL_SIZE)?.type;
+    expect([typeAt(10), typeAt(11), typeAt(12)]).toEqual([WALL_TYPE.WATER, WALL_TYPE.FOREST, WALL_TYPE.ICE]);
+  });
+
+  it('keeps only non-zero roster entries', () => {
+    expect(buildLevel(makeLevel({ roster: { BASIC: 2, ARMOR: 0 } })).mix).toEqual({ BASIC: 2 });
+    expect(buildLevel(makeLevel()).mix).toBeNull();
+  });
+});
+
+describe('campaign', () => {
+  it('ships valid stages', () => {
+    expect(CAMPAIGN.length).toBeGreaterThan(0);
+    for (const stage of CAMPAIGN) expect(() => validateLevel(stage)).not.toThrow();
+  });
+
+  it('builds the roster from the stage mix', () => {
+    const stage = loadStage(CAMPAIGN.length, new Random(1));
+    const counts = {};
+    for (const type of stage.roster) counts[type] = (counts[type] ?? 0) + 1;
+    expect(counts).toEqual(buildLevel(CAMPAIGN.at(-1)).mix);
+  });
+
+  it('falls back to generateMap after the last stage', () => {
+    const level = CAMPAIGN.length + 1;
+    const stage = loadStage(level, new Random(5));
+    expect(stage.name).toBeNull();
+    expect(layout(stage.walls)).toEqual(layout(generateMap(level, new Random(5))));
+    expect(stage.layout.playerSpawns[0]).toEqual(getPlayerSpawn(0));
+  });
+});
+
+describe('engine with level files', () => {
+  it('plays the bundled campaign from level 1', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 3);
+    expect(layout(engine.walls)).toEqual(layout(buildLevel(CAMPAIGN[0]).walls));
+    expect(engine.stageName).toBe(CAMPAIGN[0].name);
+    const total = Object.values(CAMPAIGN[0].roster).reduce((sum, n) => sum + n, 0);
+    expect(engine.roster).toHaveLength(total);
+    expect(engine.getStageProgress().name).toBe(CAMPAIGN[0].name);
+  });
+
+  it('switches to procedural maps after the campaign', () => {
+    const engine = new GameEngine();
+    const level = CAMPAIGN.length + 1;
+    engine.startGame(level, 8);
+    expect(layout(engine.walls)).toEqual(layout(generateMap(level, new Random(8))));
+    expect(engine.stageName).toBeNull();
+  });
+
+  it('needs as many kills as the stage roster holds', () => {
+    const engine = createEmptyEngine();
+    engine.roster = [ENEMY_TYPE.BASIC, ENEMY_TYPE.BASIC];
+    engine.enemiesDestroyed = 2;
+    stepTicks(engine, 1);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+  });
+
+  it('clears the stage once the time target is survived', () => {
+    const engine = createEmptyEngine();
+    engine.targets = { time: 1 };
+    stepTicks(engine, 59);
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+    expect(engine.getStageProgress().timeLeft).toBeGreaterThan(0);
+    stepTicks(engine, 1);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+  });
+
+  it('clears the stage once the stage score target is reached', () => {
+    const engine = createEmptyEngine();
+    engine.player.score = 500;
+    engine.stageStartScore = 500;
+    engine.targets = { score: 300 };
+    stepTicks(engine, 1);
+    expect(engine.getStageProgress().scoreLeft).toBe(300);
+    engine.player.score += 300;
+    stepTicks(engine, 1);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { findUnreachableSpawns, repairConnectivity } from '../src/game/mapConnectivity.js';
+import { generateMap, getMapLayout } from '../src/game/mapGenerator.js';
+import { buildLevel } from '../src/game/levelFormat.js';
+import { CAMPAIGN } from '../src/game/campaign.js';
+import { Random } from '../src/game/Random.js';
+import { Wall } from '../src/game/Wall.js';
+import {
+  WALL_SIZE, WALL_TYPE, GRID_COLS as COLS, GRID_ROWS as ROWS,
+} from '../src/game/constants.js';
+
+const at = (c, r) => ({ x: c * WALL_SIZE, y: r * WALL_SIZE });
+
+/** 整張地圖的鐵牆外框 */
+function borderWalls() {
+  const walls = [];
+  for (let r = 0; r < ROWS; r++) {
+    for (let c = 0; c < COLS; c++) {
+      if (r === 0 || c === 0 || r === ROWS - 1 || c === COLS - 1) {
+        walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, WALL_TYPE.STEEL));
+      }
+    }
+  }
+  return walls;
+}
+
+/** 第 c 欄、r0 ~ r1 列的一道牆 */
+function column(c, r0, r1, type = WALL_TYPE.STEEL) {
+  const walls = [];
+  for (let r = r0; r <= r1; r++) walls.push(new Wall(c * WALL_SIZE, r * WALL_SIZE, type));
+  return walls;
+}
+
+// 1P 在左上，唯一的敵軍出生點在第 6 欄
+const LAYOUT = { playerSpawns: [at(2, 2)], enemySpawns: [at(6, 2)], base: null };
+
+describe('findUnreachableSpawns', () => {
+  it('reports spawns sealed off by steel', () => {
+    const walls = [...borderWalls(), ...column(4, 1, ROWS - 2)];
+    expect(findUnreachableSpawns(walls, LAYOUT)).toEqual([at(6, 2)]);
+  });
+
+  it('lets tanks through brick and one-cell gaps', () => {
+    const bricked = [...borderWalls(), ...column(4, 1, ROWS - 2, WALL_TYPE.BRICK)];
+    expect(findUnreachableSpawns(bricked, LAYOUT)).toEqual([]);
+    const gap = [...borderWalls(), ...column(4, 1, 9), ...column(4, 11, ROWS - 2)];
+    expect(findUnreachableSpawns(gap, LAYOUT)).toEqual([]);
+  });
+
+  it('treats water as a wall but drives through forest and ice', () => {
+    const water = [...borderWalls(), ...column(4, 1, ROWS - 2, WALL_TYPE.WATER)];
+    expect(findUnreachableSpawns(water, LAYOUT)).toEqual([at(6, 2)]);
+    const open = [...borderWalls(), ...column(4, 1, 9, WALL_TYPE.FOREST), ...column(4, 10, ROWS - 2, WALL_TYPE.ICE)];
+    expect(findUnreachableSpawns(open, LAYOUT)).toEqual([]);
+  });
+
+  it('treats the base as an obstacle', () => {
+    const walls = [...borderWalls(), ...column(4, 1, 9), ...column(4, 11, ROWS - 2)];
+    expect(findUnreachableSpawns(walls, { ...LAYOUT, base: at(4, 10) })).toEqual([at(6, 2)]);
+  });
+});
+
+describe('repairConnectivity', () => {
+  it('converts the fewest blocking steel tiles to brick', () => {
+    // 上半段是雙層鐵牆，下半段只有一層 → 只需打通一格
+    const walls = [...borderWalls(), ...column(4, 1, ROWS - 2), ...column(5, 1, 9)];
+    const { walls: repaired, converted } = repairConnectivity(walls, LAYOUT);
+
+    expect(converted).toHaveLength(1);
+    expect(converted[0].c).toBe(4);
+    expect(converted[0].r).toBeGreaterThanOrEqual(10);
+    const tile = repaired.find(w => w.x === converted[0].c * WALL_SIZE && w.y === converted[0].r * WALL_SIZE);
+    expect(tile.type).toBe(WALL_TYPE.BRICK);
+    expect(tile.destructible).toBe(true);
+    expect(findUnreachableSpawns(repaired, LAYOUT)).toEqual([]);
+  });
+
+  it('leaves connected maps untouched', () => {
+    const walls = [...borderWalls(), ...column(4, 1, 9)];
+    const result = repairConnectivity(walls, LAYOUT);
+    expect(result.walls).toBe(walls);
+    expect(result.converted).toEqual([]);
+  });
+
+  it('reuses tiles already opened for earlier spawns', () => {
+    const layout = { ...LAYOUT, enemySpawns: [at(6, 2), at(6, 5)] };
+    const walls = [...borderWalls(), ...column(4, 1, ROWS - 2)];
+    expect(repairConnectivity(walls, layout).converted).toHaveLength(1);
+  });
+
+  it('opens interior steel but never the border or the base', () => {
+    // 出生點的四周只剩一格內部鐵牆，其餘是外框與基地
+    const layout = { playerSpawns: [at(2, 2)], enemySpawns: [at(1, 1)], base: at(1, 2) };
+    const walls = [...borderWalls(), new Wall(2 * WALL_SIZE, 1 * WALL_SIZE, WALL_TYPE.BRICK)];
+    const blocked = [...borderWalls(), new Wall(2 * WALL_SIZE, 1 * WALL_SIZE, WALL_TYPE.STEEL)];
+    expect(findUnreachableSpawns(walls, layout)).toEqual([]);
+    const { walls: repaired } = repairConnectivity(blocked, layout);
+    expect(repaired.filter(w => w.type === WALL_TYPE.BRICK)).toHaveLength(1);
+    expect(repaired.filter(w => w.type === WALL_TYPE.STEEL)).toHaveLength(borderWalls().length);
+  });
+});
+
+describe('map fairness', () => {
+  it('generateMap always connects the player spawn to every spawn', () => {
+    for (let level = 1; level <= 12; level++) {
+      for (let seed = 1; seed <= 15; seed++) {
+        expect(findUnreachableSpawns(generateMap(level, new Random(seed)), getMapLayout())).toEqual([]);
+      }
+    }
+  });
+
+  it('every bundled campaign stage is connected', () => {
+    for (const stage of CAMPAIGN) {
+      const { walls, layout } = buildLevel(stage);
+      expect(findUnreachableSpawns(walls, layout)).toEqual([]);
+    }
+  });
+});
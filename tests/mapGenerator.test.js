@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateMap, getPlayerSpawn, getEnemySpawnPoints, getBasePosition, getBaseFortCells,
+} from '../src/game/mapGenerator.js';
+import { Random } from '../src/game/Random.js';
+import { rectsOverlap } from '../src/game/Tank.js';
+import {
+  WALL_SIZE, WALL_TYPE, TANK_SIZE, DESIGN_WIDTH, DESIGN_HEIGHT,
+} from '../src/game/constants.js';
+import { layout } from './helpers.js';
+
+const COLS = Math.floor(DESIGN_WIDTH / WALL_SIZE);
+const ROWS = Math.floor(DESIGN_HEIGHT / WALL_SIZE);
+
+describe('generateMap', () => {
+  it('is deterministic for the same seed', () => {
+    expect(layout(generateMap(3, new Random(99)))).toEqual(layout(generateMap(3, new Random(99))));
+  });
+
+  it('varies with the seed', () => {
+    expect(layout(generateMap(3, new Random(1)))).not.toEqual(layout(generateMap(3, new Random(2))));
+  });
+
+  it('surrounds the field with a steel border', () => {
+    const walls = generateMap(1, new Random(1));
+    const steel = new Set(walls.filter(w => w.type === WALL_TYPE.STEEL).map(w => `${w.x / WALL_SIZE},${w.y / WALL_SIZE}`));
+    for (let c = 0; c < COLS; c++) {
+      expect(steel.has(`${c},0`)).toBe(true);
+      expect(steel.has(`${c},${ROWS - 1}`)).toBe(true);
+    }
+    for (let r = 0; r < ROWS; r++) {
+      expect(steel.has(`0,${r}`)).toBe(true);
+      expect(steel.has(`${COLS - 1},${r}`)).toBe(true);
+    }
+  });
+
+  it('surrounds the base with brick walls and keeps the base cell empty', () => {
+    const walls = generateMap(4, new Random(7));
+    const at = (c, r) => walls.filter(w => w.x === c * WALL_SIZE && w.y === r * WALL_SIZE);
+    for (const { c, r } of getBaseFortCells()) {
+      expect(at(c, r).map(w => w.type)).toEqual([WALL_TYPE.BRICK]);
+    }
+    const base = getBasePosition();
+    expect(at(base.x / WALL_SIZE, base.y / WALL_SIZE)).toHaveLength(0);
+  });
+
+  it('places the base next to the player spawn', () => {
+    const base = getBasePosition();
+    const spawn = getPlayerSpawn();
+    expect(base.y).toBe(spawn.y);
+    expect(Math.abs(base.x - spawn.x)).toBeLessThanOrEqual(5 * WALL_SIZE);
+  });
+
+  it('adds forest, ice and water only from later levels on', () => {
+    const SPECIAL = [WALL_TYPE.WATER, WALL_TYPE.FOREST, WALL_TYPE.ICE];
+    const typesOn = (level) => {
+      const types = new Set();
+      for (let seed = 1; seed <= 10; seed++) {
+        for (const wall of generateMap(level, new Random(seed))) types.add(wall.type);
+      }
+      return types;
+    };
+    const early = typesOn(3);
+    expect(SPECIAL.some(type => early.has(type))).toBe(false);
+    const late = typesOn(8);
+    expect(SPECIAL.every(type => late.has(type))).toBe(true);
+  });
+
+  it('never places terrain on top of another wall', () => {
+    const SPECIAL = [WALL_TYPE.WATER, WALL_TYPE.FOREST, WALL_TYPE.ICE];
+    const walls = generateMap(10, new Random(5));
+    const count = (wall) => walls.filter(w => w.x === wall.x && w.y === wall.y).length;
+    const terrain = walls.filter(w => SPECIAL.includes(w.type));
+    expect(terrain.length).toBeGreaterThan(0);
+    for (const wall of terrain) expect(count(wall)).toBe(1);
+  });
+
+  for (let level = 1; level <= 8; level++) {
+    it(`keeps every spawn point clear on level ${level}`, () => {
+      const walls = generateMap(level, new Random(level * 31));
+      for (const sp of [getPlayerSpawn(0), getPlayerSpawn(1), ...getEnemySpawnPoints()]) {
+        const bounds = { x: sp.x, y: sp.y, w: TANK_SIZE, h: TANK_SIZE };
+        expect(walls.some(w => rectsOverlap(bounds, w.getBounds()))).toBe(false);
+      }
+    });
+  }
+});
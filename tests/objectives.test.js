@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { CAMPAIGN } from '../src/game/campaign.js';
+import {
+  ESCORT_STATUS, validateObjectives, evaluateObjective, describeObjective, getObjectiveTimeLeft,
+} from '../src/game/objectives.js';
+import { DIR, GAME_STATE, OBJECTIVE_TYPE, TANK_SIZE, WALL_SIZE } from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, bulletAt, stepTicks, ticksFor } from './helpers.js';
+
+const { DESTROY, SURVIVE, ESCORT, FLAWLESS } = OBJECTIVE_TYPE;
+
+const status = (overrides) => ({ elapsed: 0, enemiesLeft: 3, livesLost: 0, escort: ESCORT_STATUS.NONE, ...overrides });
+
+/**
+ * 空白場地的戰役引擎，套上指定的任務；escort 時在 (5, 10) 放護送坦克、(12, 10) 放出口
+ * @returns {GameEngine}
+ */
+function createObjectiveEngine(objectives, { escort = false, base = false } = {}) {
+  const engine = createEmptyEngine({ base });
+  engine.objectives = objectives;
+  if (escort) {
+    engine.layout = {
+      ...engine.layout,
+      escortSpawn: { x: 5 * WALL_SIZE, y: 10 * WALL_SIZE },
+      exit: { x: 12 * WALL_SIZE, y: 10 * WALL_SIZE },
+    };
+    engine._deployEscort();
+  }
+  return engine;
+}
+
+/** 敵軍子彈從上方打中 target */
+function shootFromAbove(engine, target) {
+  engine.bullets.push(bulletAt(target.x + 13, target.y - 10, DIR.DOWN, false));
+  stepTicks(engine, 1);
+}
+
+describe('objective rules', () => {
+  it('validates types and time fields', () => {
+    expect(validateObjectives([{ type: SURVIVE, time: 30 }, { type: DESTROY }])).toHaveLength(2);
+    expect(() => validateObjectives([])).toThrow('至少一項');
+    expect(() => validateObjectives([{ type: 'capture' }])).toThrow('類型未知');
+    expect(() => validateObjectives([{ type: SURVIVE }])).toThrow('需要秒數');
+    expect(() => validateObjectives([{ type: FLAWLESS, time: 10 }])).toThrow('不能設定時間');
+    expect(() => validateObjectives([{ type: DESTROY, time: 0 }])).toThrow('正數');
+  });
+
+  it('passes, fails or keeps running each objective type', () => {
+    expect(evaluateObjective({ type: SURVIVE, time: 10 }, status({ elapsed: 9999 }))).toBeNull();
+    expect(evaluateObjective({ type: SURVIVE, time: 10 }, status({ elapsed: 10000 }))).toEqual({ passed: true });
+
+    expect(evaluateObjective({ type: DESTROY, time: 10 }, status({ elapsed: 10000 })))
+      .toEqual({ passed: false, reason: '時間到' });
+    expect(evaluateObjective({ type: DESTROY, time: 10 }, status({ elapsed: 10000, enemiesLeft: 0 })))
+      .toEqual({ passed: true });
+
+    expect(evaluateObjective({ type: FLAWLESS }, status({ livesLost: 1, enemiesLeft: 0 })))
+      .toEqual({ passed: false, reason: '損失了生命' });
+
+    expect(evaluateObjective({ type: ESCORT }, status({ escort: ESCORT_STATUS.ALIVE }))).toBeNull();
+    expect(evaluateObjective({ type: ESCORT }, status({ escort: ESCORT_STATUS.ARRIVED }))).toEqual({ passed: true });
+    expect(evaluateObjective({ type: ESCORT }, status({ escort: ESCORT_STATUS.LOST })))
+      .toEqual({ passed: false, reason: '護送目標被擊毀' });
+  });
+
+  it('describes objectives and their time left', () => {
+    expect(describeObjective({ type: SURVIVE, time: 45 })).toBe('堅守 45 秒');
+    expect(describeObjective({ type: FLAWLESS })).toBe('無傷殲滅');
+    expect(getObjectiveTimeLeft({ type: DESTROY, time: 10 }, 4000)).toBe(6000);
+    expect(getObjectiveTimeLeft({ type: DESTROY }, 4000)).toBeNull();
+  });
+});
+
+describe('engine objectives', () => {
+  it('works through chained objectives, restarting the timer for each', () => {
+    const engine = createObjectiveEngine([{ type: SURVIVE, time: 1 }, { type: DESTROY, time: 5 }]);
+    expect(engine.getStageProgress().objective).toEqual({ label: '堅守 1 秒', step: 1, steps: 2, timeLeft: 1000 });
+
+    stepTicks(engine, ticksFor(1000));
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+    expect(engine.getStageProgress().objective).toMatchObject({ label: '殲滅敵軍', step: 2, timeLeft: 5000 });
+
+    engine.enemiesDestroyed = engine.roster.length;
+    stepTicks(engine, 1);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+    expect(engine.getStageResults()).not.toBeNull();
+  });
+
+  it('ends the run when a time limit runs out', () => {
+    const engine = createObjectiveEngine([{ type: DESTROY, time: 1 }]);
+    stepTicks(engine, ticksFor(1000));
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.objectiveFailure).toBe('時間到');
+  });
+
+  it('fails a flawless stage as soon as a life is lost', () => {
+    const engine = createObjectiveEngine([{ type: FLAWLESS }]);
+    engine.player.invincibleUntil = 0;
+    shootFromAbove(engine, engine.player);
+    expect(engine.livesLost).toBe(1);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.objectiveFailure).toBe('損失了生命');
+  });
+
+  it('stays game over when the base falls on the tick the last objective is met', () => {
+    const engine = createObjectiveEngine([{ type: SURVIVE, time: 1 }], { base: true });
+    stepTicks(engine, ticksFor(1000) - 1);
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+
+    shootFromAbove(engine, engine.base);
+    expect(engine.base.alive).toBe(false);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.getStageResults()).toBeNull();
+  });
+
+  it('keeps the plain kill-everything rule for stages without objectives', () => {
+    const engine = createEmptyEngine();
+    engine.player.invincibleUntil = 0;
+    shootFromAbove(engine, engine.player);
+    engine.enemiesDestroyed = engine.roster.length;
+    stepTicks(engine, 1);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+    expect(engine.getStageProgress().objective).toBeUndefined();
+  });
+});
+
+describe('escort', () => {
+  it('waits for its objective, then drives to the exit', () => {
+    const engine = createObjectiveEngine([{ type: SURVIVE, time: 1 }, { type: ESCORT }], { escort: true });
+    const { escort } = engine;
+    expect(escort.isEscort).toBe(true);
+
+    stepTicks(engine, ticksFor(1000) - 1);
+    expect({ x: escort.x, y: escort.y }).toEqual({ x: 5 * WALL_SIZE, y: 10 * WALL_SIZE });
+
+    stepTicks(engine, 600);
+    expect(engine.escortStatus).toBe(ESCORT_STATUS.ARRIVED);
+    expect(escort.alive).toBe(false);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+  });
+
+  it('can be escorted across the bundled challenge stage', () => {
+    const level = CAMPAIGN.findIndex(stage => stage.objectives?.some(o => o.type === ESCORT)) + 1;
+    expect(level).toBeGreaterThan(0);
+    const engine = new GameEngine();
+    engine.startGame(level, 1);
+    engine.totalEnemiesSpawned = engine.roster.length;  // 不出敵軍，只看路線走不走得通
+    expect(engine.getStageProgress().objective).toMatchObject({ step: 1, steps: 2 });
+
+    stepTicks(engine, ticksFor(engine.getObjective().time * 1000));
+    expect(engine.getStageProgress().objective.step).toBe(2);
+    for (let i = 0; i < 3000 && engine.state === GAME_STATE.PLAYING; i++) engine.step();
+    expect(engine.escortStatus).toBe(ESCORT_STATUS.ARRIVED);
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+  });
+
+  it('fails the mission when the escort is destroyed', () => {
+    const engine = createObjectiveEngine([{ type: ESCORT }], { escort: true });
+    shootFromAbove(engine, engine.escort);
+    expect(engine.escortStatus).toBe(ESCORT_STATUS.LOST);
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.objectiveFailure).toBe('護送目標被擊毀');
+  });
+
+  it('shoots enemies without scoring for the players', () => {
+    const engine = createObjectiveEngine([{ type: SURVIVE, time: 60 }, { type: ESCORT }], { escort: true });
+    const enemy = tankAt(5, 5, DIR.DOWN);
+    engine.enemies.push(enemy);
+    const bullet = bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true);
+    bullet.owner = engine.escort;
+    engine.bullets.push(bullet);
+
+    stepTicks(engine, 1);
+    expect(enemy.alive).toBe(false);
+    expect(engine.enemiesDestroyed).toBe(1);
+    expect(engine.score).toBe(0);
+    expect(engine.runStats.hits).toBe(0);
+  });
+
+  it('survives a save / resume round trip mid-route', () => {
+    const engine = createObjectiveEngine([{ type: ESCORT }], { escort: true });
+    stepTicks(engine, 30);
+    const bullet = engine.escort.fire(engine.simTime);
+    engine.bullets.push(bullet);
+    engine.togglePause();
+
+    const copy = new GameEngine();
+    copy.resumeGame(JSON.parse(JSON.stringify(engine.createSave())));
+    expect(copy.escort.isEscort).toBe(true);
+    expect(copy.bullets[0].owner).toBe(copy.escort);
+    expect(copy.objectives).toEqual(engine.objectives);
+
+    engine.togglePause();
+    copy.togglePause();
+    stepTicks(engine, 200);
+    stepTicks(copy, 200);
+    expect(copy.getSnapshot()).toEqual(engine.getSnapshot());
+  });
+});
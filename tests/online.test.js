@@ -0,0 +1,232 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { GameRoom } from '../server/GameRoom.js';
+import { createRoomServer } from '../server/roomServer.js';
+import { OnlineEngine } from '../src/net/OnlineEngine.js';
+import {
+  NET_MESSAGE, ROOM_CODE_LENGTH, SNAPSHOT_INTERVAL_TICKS,
+  createRoomCode, normalizeRoomCode, packKeys, unpackKeys, decodeMessage,
+} from '../src/net/protocol.js';
+import { GAME_STATE, GAME_OVER_REASON } from '../src/game/constants.js';
+
+/** 收集房間送給成員的訊息 */
+function fakeMember() {
+  const member = { received: [] };
+  member.send = (message) => member.received.push(message);
+  member.last = (type) => member.received.filter(m => m.type === type).at(-1);
+  return member;
+}
+
+/** 等到條件成立（WebSocket 訊息是非同步送達的）*/
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('等待逾時');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('protocol', () => {
+  it('creates and normalizes room codes', () => {
+    const code = createRoomCode(() => 0);
+    expect(code).toHaveLength(ROOM_CODE_LENGTH);
+    expect(normalizeRoomCode(' ab-cd ')).toBe('ABCD');
+    expect(normalizeRoomCode('AB0D')).toBeNull();
+    expect(normalizeRoomCode('ABCDE')).toBeNull();
+  });
+
+  it('packs keys into bits and back', () => {
+    const keys = { up: true, down: false, left: false, right: true, fire: true };
+    expect(unpackKeys(packKeys(keys))).toEqual(keys);
+    expect(packKeys(unpackKeys(0))).toBe(0);
+  });
+
+  it('ignores messages that are not protocol JSON', () => {
+    expect(decodeMessage('{oops')).toBeNull();
+    expect(decodeMessage('{"code":"ABCD"}')).toBeNull();
+    expect(decodeMessage('{"type":"join","code":"ABCD"}')).toEqual({ type: 'join', code: 'ABCD' });
+  });
+});
+
+describe('GameRoom', () => {
+  it('seats players in join order and refuses extra or late joiners', () => {
+    const room = new GameRoom('ABCD');
+    const [host, guest, extra] = [fakeMember(), fakeMember(), fakeMember()];
+    room.join(host);
+    room.join(guest);
+    expect(guest.last(NET_MESSAGE.ROOM)).toMatchObject({ code: 'ABCD', slot: 1, players: 2, isHost: false });
+    expect(() => room.join(extra)).toThrow(/已滿/);
+
+    room.leave(guest);
+    room.handleMessage(host, { type: NET_MESSAGE.START });
+    expect(() => room.join(extra)).toThrow(/已經開始/);
+  });
+
+  it('only lets the host start the match', () => {
+    const room = new GameRoom('ABCD');
+    const [host, guest] = [fakeMember(), fakeMember()];
+    room.join(host);
+    room.join(guest);
+
+    room.handleMessage(guest, { type: NET_MESSAGE.START });
+    expect(room.started).toBe(false);
+    room.handleMessage(host, { type: NET_MESSAGE.START });
+    expect(room.engine.state).toBe(GAME_STATE.PLAYING);
+    expect(room.engine.players).toHaveLength(2);
+    expect(guest.last(NET_MESSAGE.STATE).state.walls.length).toBeGreaterThan(0);
+  });
+
+  it('renumbers the remaining player when restarting after the host left', () => {
+    const room = new GameRoom('ABCD');
+    const [host, guest] = [fakeMember(), fakeMember()];
+    room.join(host);
+    room.join(guest);
+    room.handleMessage(host, { type: NET_MESSAGE.START });
+    room.leave(host);
+    room.engine.endGame(GAME_OVER_REASON.LIVES);
+
+    guest.received = [];
+    room.handleMessage(guest, { type: NET_MESSAGE.RESTART });
+    expect(guest.received.map(m => m.type)).toEqual([NET_MESSAGE.ROOM, NET_MESSAGE.STATE]);
+    expect(guest.received[0]).toMatchObject({ slot: 0, players: 1, isHost: true });
+    expect(room.engine.players).toHaveLength(1);
+
+    const startY = room.engine.player.y;
+    room.handleMessage(guest, { type: NET_MESSAGE.INPUT, seq: 1, keys: packKeys({ up: true }) });
+    room.step();
+    expect(room.engine.player.y).toBeLessThan(startY);
+  });
+
+  it('applies one queued input per tick and acknowledges it', () => {
+    const room = new GameRoom('ABCD');
+    const host = fakeMember();
+    room.join(host);
+    room.handleMessage(host, { type: NET_MESSAGE.START });
+    const startY = room.engine.player.y;
+
+    const up = packKeys({ up: true });
+    for (let seq = 1; seq <= 3; seq++) room.handleMessage(host, { type: NET_MESSAGE.INPUT, seq, keys: up });
+    room.step();
+    expect(host.ack).toBe(1);
+    room.step();
+    room.step();
+    expect(host.ack).toBe(3);
+    expect(room.engine.player.y).toBeLessThan(startY);
+
+    // 佇列空了就沿用最後一筆輸入
+    room.step();
+    expect(room.engine.playerKeys[0].up).toBe(true);
+  });
+
+  it('leaves unchanged walls out of regular snapshots', () => {
+    const room = new GameRoom('ABCD');
+    const host = fakeMember();
+    room.join(host);
+    room.handleMessage(host, { type: NET_MESSAGE.START });
+    host.received = [];
+
+    for (let i = 0; i < SNAPSHOT_INTERVAL_TICKS * 3; i++) room.step();
+    const states = host.received.filter(m => m.type === NET_MESSAGE.STATE);
+    expect(states).toHaveLength(3);
+    expect(states.every(m => m.state.walls === undefined)).toBe(true);
+  });
+});
+
+describe('online match over WebSocket', () => {
+  let server;
+  const clients = [];
+
+  afterEach(async () => {
+    for (const client of clients.splice(0)) client.disconnect();
+    await server?.close();
+    server = null;
+  });
+
+  /** 連到測試伺服器的客戶端 */
+  function connect() {
+    const client = new OnlineEngine({ url: `ws://localhost:${server.port}`, WebSocketImpl: WebSocket });
+    clients.push(client);
+    return client;
+  }
+
+  it('creates a room, joins it by code and starts a shared match', async () => {
+    server = await createRoomServer({ port: 0, autoTick: false });
+    const host = connect();
+    const guest = connect();
+
+    host.createRoom({ difficulty: 'hard' });
+    await waitFor(() => host.lobby.code);
+    expect(host.lobby).toMatchObject({ status: 'room', slot: 0, isHost: true });
+
+    guest.joinRoom(host.lobby.code.toLowerCase());
+    await waitFor(() => host.lobby.players === 2);
+    expect(guest.lobby).toMatchObject({ slot: 1, isHost: false });
+
+    host.startMatch();
+    await waitFor(() => host.state === GAME_STATE.PLAYING && guest.state === GAME_STATE.PLAYING);
+    expect(guest.players).toHaveLength(2);
+    expect(guest.config.difficulty).toBe('hard');
+    expect(guest.walls.length).toBe(server.rooms.get(host.lobby.code).engine.walls.length);
+  });
+
+  it('reports unknown room codes', async () => {
+    server = await createRoomServer({ port: 0, autoTick: false });
+    const client = connect();
+    client.joinRoom('ZZZZ');
+    await waitFor(() => client.lobby.error);
+    expect(client.lobby.error).toMatch(/找不到/);
+  });
+
+  it('survives a create message with a junk config', async () => {
+    server = await createRoomServer({ port: 0, autoTick: false });
+    const host = connect();
+    host.createRoom(null);
+    await waitFor(() => host.lobby.code);
+    expect(server.rooms.get(host.lobby.code).config.difficulty).toBe('normal');
+
+    const guest = connect();
+    guest.joinRoom(host.lobby.code);
+    await waitFor(() => host.lobby.players === 2);
+  });
+
+  it('predicts its own tank and reconciles with the server', async () => {
+    server = await createRoomServer({ port: 0, autoTick: false });
+    const client = connect();
+    client.createRoom({});
+    await waitFor(() => client.lobby.code);
+    client.startMatch();
+    await waitFor(() => client.state === GAME_STATE.PLAYING);
+    const room = server.rooms.get(client.lobby.code);
+    const startY = client.player.y;
+
+    client.playerKeys[1].up = true;  // 本機任一組按鍵都控制自己的坦克
+    for (let i = 0; i < 10; i++) client.sendInput();
+    expect(client.player.y).toBeLessThan(startY);
+    const predictedY = client.player.y;
+
+    const [member] = room.members;
+    await waitFor(() => member.inputs.length === 10);
+    for (let i = 0; i < 6; i++) room.step();
+    await waitFor(() => client.pendingInputs.length === 4);
+    // 伺服器只跑了 6 步，剩下 4 筆重新預測後仍停在同一個位置
+    expect(client.player.y).toBe(predictedY);
+
+    for (let i = 0; i < 4; i++) room.step();
+    await waitFor(() => client.pendingInputs.length === 0);
+    expect(client.player.y).toBe(room.engine.player.y);
+    expect(client.player.y).toBe(predictedY);
+  });
+
+  it('pauses the whole room', async () => {
+    server = await createRoomServer({ port: 0, autoTick: false });
+    const client = connect();
+    client.createRoom({});
+    await waitFor(() => client.lobby.code);
+    client.startMatch();
+    await waitFor(() => client.state === GAME_STATE.PLAYING);
+
+    client.togglePause();
+    await waitFor(() => client.state === GAME_STATE.PAUSED);
+    expect(server.rooms.get(client.lobby.code).engine.state).toBe(GAME_STATE.PAUSED);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import { PowerUp } from '../src/game/PowerUp.js';
+import {
+  DIR, WALL_SIZE, WALL_TYPE, TANK_SIZE, SIM_TICK_MS, STAR_UPGRADES,
+  POWER_UP_TYPE, POWER_UP_LIFETIME, POWER_UP_SHIELD_DURATION,
+  POWER_UP_CLOCK_DURATION, POWER_UP_SHOVEL_DURATION, PLAYER_MAX_LIVES,
+} from '../src/game/constants.js';
+import { getBaseFortCells } from '../src/game/mapGenerator.js';
+import { createEmptyEngine, tankAt, bulletAt, wallsFromRows, stepTicks } from './helpers.js';
+
+/** 把道具放在玩家腳下並推進一步（拾取） */
+function pickUp(engine, type) {
+  const { player } = engine;
+  engine.powerUp = new PowerUp(player.x, player.y, type, engine.simTime);
+  stepTicks(engine, 1);
+}
+
+/** 推進指定毫秒數 */
+function stepMs(engine, ms) {
+  stepTicks(engine, Math.ceil(ms / SIM_TICK_MS));
+}
+
+/** 找出基地護城格上的牆 */
+function fortWalls(engine) {
+  return getBaseFortCells().map(({ c, r }) =>
+    engine.walls.find(w => w.x === c * WALL_SIZE && w.y === r * WALL_SIZE)
+  );
+}
+
+describe('power-up drops', () => {
+  function shootEnemy(engine, enemy) {
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+    stepTicks(engine, 1);
+  }
+
+  it('drops a power-up when a flashing carrier is destroyed', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(10, 5);
+    enemy.carriesPowerUp = true;
+
+    shootEnemy(engine, enemy);
+
+    expect(engine.powerUp).not.toBeNull();
+    expect(Object.values(POWER_UP_TYPE)).toContain(engine.powerUp.type);
+  });
+
+  it('drops nothing from ordinary enemies', () => {
+    const engine = createEmptyEngine();
+    shootEnemy(engine, tankAt(10, 5));
+    expect(engine.powerUp).toBeNull();
+  });
+
+  it('disappears after its lifetime', () => {
+    const engine = createEmptyEngine();
+    engine.powerUp = new PowerUp(10 * WALL_SIZE, 5 * WALL_SIZE, POWER_UP_TYPE.LIFE, engine.simTime);
+
+    stepMs(engine, POWER_UP_LIFETIME - 100);
+    expect(engine.powerUp).not.toBeNull();
+
+    stepMs(engine, 200);
+    expect(engine.powerUp).toBeNull();
+  });
+
+  it('marks every POWER_UP_CARRIER_EVERY-th spawned enemy as a carrier', () => {
+    const engine = createEmptyEngine({ spawning: true });
+    const carriers = [];
+    for (let i = 0; i < 8; i++) {
+      engine.enemies = [];
+      engine.lastEnemySpawnTime = -Infinity;
+      stepTicks(engine, 1);
+      carriers.push(engine.enemies[0].carriesPowerUp);
+    }
+    expect(carriers).toEqual([false, false, false, true, false, false, false, true]);
+  });
+});
+
+describe('star', () => {
+  it('upgrades the gun in stages and stops at the top stage', () => {
+    const engine = createEmptyEngine();
+    for (let i = 1; i < STAR_UPGRADES.length + 2; i++) {
+      pickUp(engine, POWER_UP_TYPE.STAR);
+      const stage = STAR_UPGRADES[Math.min(i, STAR_UPGRADES.length - 1)];
+      expect(engine.player.bulletSpeed).toBe(stage.bulletSpeed);
+      expect(engine.player.maxBullets).toBe(stage.maxBullets);
+      expect(engine.player.bulletPower).toBe(stage.bulletPower);
+    }
+  });
+
+  it('limits bullets on screen to maxBullets', () => {
+    const engine = createEmptyEngine();
+    engine.keys.fire = true;
+    stepMs(engine, 1000);
+    expect(engine.bullets.filter(b => b.isPlayerBullet)).toHaveLength(1);
+
+    engine.player.setStarLevel(2);
+    stepMs(engine, 1000);
+    expect(engine.bullets.filter(b => b.isPlayerBullet)).toHaveLength(2);
+  });
+
+  it('lets top-stage bullets break inner steel but not the map edge', () => {
+    const engine = createEmptyEngine();
+    engine.player.setStarLevel(3);
+    engine.walls = [...wallsFromRows(['S'], 10, 5), ...wallsFromRows(['S'], 10, 0)];
+    engine.bullets = [engine.player.fire(engine.simTime)];
+    Object.assign(engine.bullets[0], { x: 10 * WALL_SIZE + 15, y: 6 * WALL_SIZE + 2, direction: DIR.UP });
+
+    stepTicks(engine, 2);
+    expect(engine.walls.map(w => w.y)).toEqual([0]);
+
+    engine.bullets = [engine.player.fire(Infinity)];
+    Object.assign(engine.bullets[0], { x: 10 * WALL_SIZE + 15, y: WALL_SIZE + 2, direction: DIR.UP });
+    stepTicks(engine, 2);
+    expect(engine.walls).toHaveLength(1);
+  });
+
+  it('is lost when the player is hit', () => {
+    const engine = createEmptyEngine();
+    engine.player.setStarLevel(3);
+    engine.player.invincibleUntil = 0;
+    const { player } = engine;
+    engine.bullets = [bulletAt(player.x + 13, player.y + TANK_SIZE + 2, DIR.UP, false)];
+
+    stepTicks(engine, 1);
+
+    expect(engine.player.starLevel).toBe(0);
+  });
+
+  it('carries over to the next level', () => {
+    const engine = createEmptyEngine();
+    engine.player.setStarLevel(2);
+    engine.nextLevel();
+    expect(engine.player.starLevel).toBe(2);
+  });
+});
+
+describe('shield', () => {
+  it('extends invincibleUntil', () => {
+    const engine = createEmptyEngine();
+    const before = engine.player.invincibleUntil;
+    pickUp(engine, POWER_UP_TYPE.SHIELD);
+    expect(engine.player.invincibleUntil).toBe(before + POWER_UP_SHIELD_DURATION);
+  });
+});
+
+describe('grenade', () => {
+  it('destroys every enemy on screen', () => {
+    const engine = createEmptyEngine();
+    engine.enemies = [tankAt(5, 5), tankAt(10, 5), tankAt(20, 5)];
+    pickUp(engine, POWER_UP_TYPE.GRENADE);
+    expect(engine.enemies).toHaveLength(0);
+    expect(engine.enemiesDestroyed).toBe(3);
+  });
+});
+
+describe('clock', () => {
+  it('freezes enemy AI for its duration', () => {
+    const engine = createEmptyEngine();
+    const enemy = tankAt(10, 5, DIR.DOWN);
+    engine.enemies = [enemy];
+    pickUp(engine, POWER_UP_TYPE.CLOCK);
+    const frozenAt = { x: enemy.x, y: enemy.y };
+
+    stepMs(engine, POWER_UP_CLOCK_DURATION - 100);
+    expect({ x: enemy.x, y: enemy.y }).toEqual(frozenAt);
+    expect(engine.bullets).toHaveLength(0);
+
+    stepMs(engine, 500);
+    expect({ x: enemy.x, y: enemy.y }).not.toEqual(frozenAt);
+  });
+});
+
+describe('shovel', () => {
+  it('turns the base walls to steel, then back to brick', () => {
+    const engine = createEmptyEngine({ base: true });
+    engine.walls = getBaseFortCells().slice(1).map(({ c, r }) => wallsFromRows(['B'], c, r)[0]);
+
+    pickUp(engine, POWER_UP_TYPE.SHOVEL);
+    expect(fortWalls(engine).map(w => w?.type)).toEqual(Array(5).fill(WALL_TYPE.STEEL));
+
+    stepMs(engine, POWER_UP_SHOVEL_DURATION);
+    expect(fortWalls(engine).map(w => w?.type)).toEqual(Array(5).fill(WALL_TYPE.BRICK));
+  });
+});
+
+describe('extra life', () => {
+  it('adds a life', () => {
+    const engine = createEmptyEngine();
+    pickUp(engine, POWER_UP_TYPE.LIFE);
+    expect(engine.lives).toBe(PLAYER_MAX_LIVES + 1);
+  });
+});
+
+describe('getActiveEffects', () => {
+  it('reports remaining time of timed effects', () => {
+    const engine = createEmptyEngine();
+    engine.player.invincibleUntil = 0;
+    pickUp(engine, POWER_UP_TYPE.CLOCK);
+    pickUp(engine, POWER_UP_TYPE.STAR);
+
+    const effects = engine.getActiveEffects();
+    expect(effects).toContainEqual({ type: POWER_UP_TYPE.STAR, player: 0, level: 1 });
+    const clock = effects.find(e => e.type === POWER_UP_TYPE.CLOCK);
+    expect(clock.remaining).toBeCloseTo(POWER_UP_CLOCK_DURATION - SIM_TICK_MS, 5);
+  });
+});
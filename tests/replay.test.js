@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import {
+  encodeKeys, decodeKeys, serializeReplay, parseReplay, ReplayRecorder, MAX_REPLAY_TICKS,
+} from '../src/game/Replay.js';
+import { GAME_STATE } from '../src/game/constants.js';
+
+/** 以固定輸入腳本跑一段遊戲 */
+function playScripted(engine, ticks) {
+  for (let i = 0; i < ticks && engine.state !== GAME_STATE.GAME_OVER; i++) {
+    if (engine.state === GAME_STATE.LEVEL_CLEAR) engine.nextLevel();
+    engine.keys.fire = i % 6 === 0;
+    engine.keys.up = Math.floor(i / 200) % 2 === 0;
+    engine.keys.down = !engine.keys.up;
+    engine.step();
+  }
+}
+
+describe('key encoding', () => {
+  it('round-trips every key combination', () => {
+    for (let mask = 0; mask < 32; mask++) {
+      const keys = {};
+      decodeKeys(mask, keys);
+      expect(encodeKeys(keys)).toBe(mask);
+    }
+  });
+});
+
+describe('parseReplay', () => {
+  it('rejects non-JSON input', () => {
+    expect(() => parseReplay('not json')).toThrow();
+  });
+
+  it('rejects files from other programs', () => {
+    expect(() => parseReplay(JSON.stringify({ format: 'other' }))).toThrow();
+  });
+
+  it('rejects inputs whose length does not match ticks', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 5);
+    playScripted(engine, 100);
+    const replay = engine.getReplay();
+    expect(() => parseReplay(serializeReplay({ ...replay, ticks: replay.ticks + 1 }))).toThrow();
+  });
+
+  it('rejects replays longer than the limit', () => {
+    const replay = new ReplayRecorder(1, 1).toReplay();
+    const long = { ...replay, input: [0, MAX_REPLAY_TICKS + 1], ticks: MAX_REPLAY_TICKS + 1 };
+    expect(() => parseReplay(serializeReplay(long))).toThrow('重播檔的輸入資料損毀');
+    expect(parseReplay(serializeReplay({ ...long, input: [0, MAX_REPLAY_TICKS], ticks: MAX_REPLAY_TICKS })).ticks)
+      .toBe(MAX_REPLAY_TICKS);
+
+    // 錄製到上限就停，匯出的檔案仍能載入
+    const recorder = new ReplayRecorder(1, 1);
+    for (let i = 0; i <= MAX_REPLAY_TICKS; i++) recorder.record({ fire: i % 2 === 0 });
+    expect(() => parseReplay(serializeReplay(recorder.toReplay()))).not.toThrow();
+  });
+});
+
+describe('replay playback', () => {
+  it('reproduces the recorded run exactly', () => {
+    const recorded = new GameEngine();
+    recorded.startGame(1, 2024);
+    playScripted(recorded, 4000);
+    const replay = parseReplay(serializeReplay(recorded.getReplay()));
+
+    const viewer = new GameEngine();
+    viewer.playReplay(replay);
+    viewer.seekReplay(replay.ticks);
+
+    expect(viewer.getSnapshot()).toEqual(recorded.getSnapshot());
+  });
+
+  it('does not record while watching a replay', () => {
+    const recorded = new GameEngine();
+    recorded.startGame(1, 8);
+    playScripted(recorded, 200);
+
+    const viewer = new GameEngine();
+    viewer.playReplay(recorded.getReplay());
+    expect(viewer.recorder).toBeNull();
+  });
+});
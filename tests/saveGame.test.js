@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import {
+  SAVE_VERSION, parseSave, serializeSave,
+} from '../src/game/saveGame.js';
+import { GAME_STATE, DIFFICULTY } from '../src/game/constants.js';
+
+const DIRS = ['up', 'down', 'left', 'right'];
+const MOVES = ['up', 'left', 'up', 'right'];
+
+/** 以固定的輸入腳本推進 n 步（第 offset 步起算），兩個引擎餵同樣的輸入即可比較 */
+function playScripted(engine, n, offset = 0) {
+  for (let i = offset; i < offset + n && engine.state === GAME_STATE.PLAYING; i++) {
+    const keys = engine.keys;
+    const move = MOVES[Math.floor(i / 40) % MOVES.length];
+    for (const dir of DIRS) keys[dir] = dir === move;
+    keys.fire = i % 7 === 0 && move === 'up';  // 只往前開火，避免打到自家基地
+    engine.step();
+  }
+}
+
+/** 存檔 → 字串 → 讀回 → 在新的引擎上接續 */
+function roundTrip(engine) {
+  const resumed = new GameEngine();
+  resumed.resumeGame(parseSave(serializeSave(engine.createSave())));
+  return resumed;
+}
+
+describe('save and resume', () => {
+  it('continues a paused run exactly where it left off', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 2024, { players: 2, config: { difficulty: DIFFICULTY.HARD } });
+    playScripted(engine, 600);
+    engine.togglePause();
+    expect(engine.enemies.length).toBeGreaterThan(0);
+    expect(engine.bullets.length).toBeGreaterThan(0);
+
+    const resumed = roundTrip(engine);
+    expect(resumed.state).toBe(GAME_STATE.PAUSED);
+    expect(resumed.getSnapshot()).toEqual(engine.getSnapshot());
+
+    engine.togglePause();
+    resumed.togglePause();
+    playScripted(engine, 600, 600);
+    playScripted(resumed, 600, 600);
+    expect(resumed.getSnapshot()).toEqual(engine.getSnapshot());
+    expect(resumed.director.log).toEqual(engine.director.log);
+  });
+
+  it('saves between stages and carries the run into the next level', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 31);
+    playScripted(engine, 300);
+    engine.enemiesDestroyed = engine.roster.length;
+    engine.step();
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+
+    const resumed = roundTrip(engine);
+    expect(resumed.getStageResults()).toEqual(engine.getStageResults());
+
+    engine.nextLevel();
+    resumed.nextLevel();
+    playScripted(engine, 600);
+    playScripted(resumed, 600);
+    expect(resumed.level).toBe(2);
+    expect(resumed.getSnapshot()).toEqual(engine.getSnapshot());
+  });
+
+  it('only saves a paused or cleared campaign run', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 8);
+    engine.step();
+    expect(engine.createSave()).toBeNull();
+
+    engine.togglePause();
+    expect(engine.createSave()).not.toBeNull();
+
+    const replay = engine.getReplay();
+    const viewer = new GameEngine();
+    viewer.playReplay(replay);
+    viewer.togglePause();
+    expect(viewer.createSave()).toBeNull();
+  });
+
+  it('does not record a replay for a resumed run', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 8);
+    playScripted(engine, 60);
+    engine.togglePause();
+
+    const resumed = roundTrip(engine);
+    resumed.togglePause();
+    playScripted(resumed, 60);
+    expect(resumed.getReplay()).toBeNull();
+  });
+});
+
+describe('save versions', () => {
+  /** 產生一份目前版本的存檔資料 */
+  function createSaveData() {
+    const engine = new GameEngine();
+    engine.startGame(1, 5);
+    engine.step();
+    engine.togglePause();
+    return engine.createSave();
+  }
+
+  it('rejects saves from a newer build', () => {
+    const save = { ...createSaveData(), version: SAVE_VERSION + 1 };
+    expect(() => parseSave(serializeSave(save))).toThrow(/較新/);
+  });
+
+  it('rejects old saves that have no migration path', () => {
+    const save = { ...createSaveData(), version: 1 };
+    expect(() => parseSave(serializeSave(save), { migrations: {}, version: 2 })).toThrow(/過舊/);
+  });
+
+  it('upgrades old saves step by step through the migration table', () => {
+    const { stageName, ...current } = createSaveData();
+    // 假想的第 1、2 版：關卡名稱先叫 title、再改名 name，第 3 版才是 stageName
+    const old = { ...current, version: 1, title: stageName };
+    const migrations = {
+      1: ({ title, ...rest }) => ({ ...rest, name: title }),
+      2: ({ name, ...rest }) => ({ ...rest, stageName: name }),
+    };
+
+    const save = parseSave(serializeSave(old), { migrations, version: 3 });
+    expect(save.version).toBe(3);
+    expect(save.stageName).toBe(stageName);
+    expect(save).not.toHaveProperty('title');
+  });
+
+  it('rejects files that are not saves or are damaged', () => {
+    expect(() => parseSave('not json')).toThrow();
+    expect(() => parseSave(JSON.stringify({ format: 'tank-battle-replay', version: 1 }))).toThrow();
+    const damaged = { ...createSaveData(), players: [] };
+    expect(() => parseSave(serializeSave(damaged))).toThrow();
+  });
+});
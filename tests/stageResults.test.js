@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { createStageStats, computeStageResults } from '../src/game/stageResults.js';
+import {
+  DIR, ENEMY_TYPE, GAME_STATE, WALL_SIZE, TANK_SIZE,
+  STAGE_TIME_PAR, STAGE_TIME_BONUS_PER_SECOND, NO_DAMAGE_BONUS, ACCURACY_BONUS,
+  ACCURACY_BONUS_MIN_SHOTS, EXTRA_LIFE_EVERY,
+} from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, bulletAt, stepTicks } from './helpers.js';
+
+/** 建立一份本關統計並套用指定欄位 */
+function statsWith({ kills = {}, ...rest } = {}) {
+  const stats = createStageStats();
+  Object.assign(stats.kills, kills);
+  return Object.assign(stats, rest);
+}
+
+/** 讓 1P 正前方的敵軍被最後一擊打爆，觸發過關 */
+function clearWithLastKill(engine, type = ENEMY_TYPE.BASIC) {
+  engine.enemiesDestroyed = engine.roster.length - 1;
+  const enemy = tankAt(10, 5, DIR.UP, false, type);
+  engine.enemies = [enemy];
+  engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true)];
+  stepTicks(engine, 1);
+  return enemy;
+}
+
+describe('computeStageResults', () => {
+  it('breaks kills down by type with their point values', () => {
+    const stats = statsWith({ kills: { [ENEMY_TYPE.BASIC]: 3, [ENEMY_TYPE.ARMOR]: 1 } });
+    const [result] = computeStageResults([{ stats, survived: true }], 200_000).players;
+
+    expect(result.kills.find(k => k.type === ENEMY_TYPE.BASIC)).toEqual({ type: ENEMY_TYPE.BASIC, count: 3, points: 300 });
+    expect(result.kills.find(k => k.type === ENEMY_TYPE.FAST).count).toBe(0);
+    expect(result.killPoints).toBe(700);
+  });
+
+  it('pays a time bonus per second under par and nothing past it', () => {
+    const fast = computeStageResults([{ stats: statsWith({ damageTaken: 1 }), survived: true }], 30_500);
+    const slow = computeStageResults([{ stats: statsWith({ damageTaken: 1 }), survived: true }], (STAGE_TIME_PAR + 5) * 1000);
+
+    expect(fast.time).toBe(30);
+    expect(fast.players[0].bonuses.time).toBe((STAGE_TIME_PAR - 30) * STAGE_TIME_BONUS_PER_SECOND);
+    expect(slow.players[0].bonusTotal).toBe(0);
+  });
+
+  it('rewards no damage and accuracy tiers once enough shots were fired', () => {
+    const [top, few] = computeStageResults([
+      { stats: statsWith({ shots: 8, hits: 8 }), survived: true },
+      { stats: statsWith({ shots: ACCURACY_BONUS_MIN_SHOTS - 1, hits: 4, damageTaken: 2 }), survived: true },
+    ], STAGE_TIME_PAR * 1000).players;
+
+    expect(top.bonuses).toEqual({ time: 0, noDamage: NO_DAMAGE_BONUS, accuracy: ACCURACY_BONUS[0].points });
+    expect(few.bonuses.noDamage).toBe(0);
+    expect(few.bonuses.accuracy).toBe(0);
+  });
+
+  it('gives no bonuses to a player who ran out of lives', () => {
+    const [result] = computeStageResults([{ stats: statsWith({ shots: 10, hits: 10 }), survived: false }], 10_000).players;
+    expect(result.bonusTotal).toBe(0);
+  });
+});
+
+describe('stage results in the engine', () => {
+  it('tracks shots, hits, damage and kills per player and settles on clear', () => {
+    const engine = createEmptyEngine({ players: 2 });
+    engine.stageStats[0].shots = 4;
+    engine.stageStats[1].damageTaken = 1;
+    const before = engine.players.map(p => p.score);
+
+    clearWithLastKill(engine, ENEMY_TYPE.FAST);
+
+    expect(engine.state).toBe(GAME_STATE.LEVEL_CLEAR);
+    expect(engine.stageStats[0].hits).toBe(1);
+    expect(engine.stageStats[0].kills[ENEMY_TYPE.FAST]).toBe(1);
+
+    const [p1, p2] = engine.getStageResults().players;
+    expect(p1.killPoints).toBe(200);
+    expect(p1.bonuses.noDamage).toBe(NO_DAMAGE_BONUS);
+    expect(p2.bonuses.noDamage).toBe(0);
+    expect(engine.players[0].score).toBe(before[0] + 200 + p1.bonusTotal);
+    expect(engine.players[1].score).toBe(before[1] + p2.bonusTotal);
+  });
+
+  it('counts damage taken when a player is hit', () => {
+    const engine = createEmptyEngine();
+    const { player } = engine;
+    player.invincibleUntil = 0;
+    engine.bullets = [bulletAt(player.x + 13, player.y - 10, DIR.DOWN, false)];
+    stepTicks(engine, 5);
+
+    expect(engine.stageStats[0].damageTaken).toBe(1);
+  });
+
+  it('resets the per-stage stats for the next level', () => {
+    const engine = createEmptyEngine();
+    clearWithLastKill(engine);
+    engine.nextLevel();
+
+    expect(engine.getStageResults()).toBeNull();
+    expect(engine.stageStats[0].hits).toBe(0);
+  });
+
+  it('awards an extra life each time the score crosses a threshold', () => {
+    const engine = createEmptyEngine();
+    const { player } = engine;
+    player.score = EXTRA_LIFE_EVERY - 50;
+    const lives = player.lives;
+
+    engine.enemies = [tankAt(10, 5)];
+    engine.player.setPosition(10 * WALL_SIZE, 8 * WALL_SIZE);
+    engine.keys.fire = true;
+    stepTicks(engine, 30);
+
+    expect(player.score).toBe(EXTRA_LIFE_EVERY + 50);
+    expect(player.lives).toBe(lives + 1);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { createGameConfig } from '../src/game/gameConfig.js';
+import { getScoreCategory, listScoreCategories } from '../src/game/highScores.js';
+import {
+  getWaveSize, getWaveMaxEnemies, getStreakMultiplier, getBrickCells,
+} from '../src/game/survival.js';
+import {
+  DIR, GAME_STATE, GAME_MODE, TANK_SIZE, WALL_SIZE, WALL_TYPE,
+  SURVIVAL_BREATHER, SURVIVAL_BRICK_REGEN_INTERVAL, SURVIVAL_MAX_ENEMIES_CAP, SURVIVAL_MAX_MULTIPLIER,
+} from '../src/game/constants.js';
+import { createEmptyEngine, tankAt, bulletAt, stepTicks, ticksFor, wallsFromRows } from './helpers.js';
+
+const SURVIVAL = { mode: GAME_MODE.SURVIVAL };
+
+/** 把這一波當作已經打完：下一步就進入喘息 */
+function finishWave(engine) {
+  engine.enemies = [];
+  engine.enemiesDestroyed = engine.roster.length;
+  engine.totalEnemiesSpawned = engine.roster.length;
+}
+
+/** 讓 1P 的子彈從下方擊毀一台敵軍並推進一步 */
+function killEnemy(engine) {
+  const enemy = tankAt(10, 5, DIR.UP);
+  engine.enemies.push(enemy);
+  const bullet = bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, true);
+  bullet.owner = engine.player;
+  engine.bullets.push(bullet);
+  stepTicks(engine, 1);
+  return enemy;
+}
+
+describe('survival setup', () => {
+  it('starts wave 1 on a single map that keeps the base', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 4, { config: SURVIVAL });
+    expect(engine.isSurvival).toBe(true);
+    expect(engine.wave).toBe(1);
+    expect(engine.roster).toHaveLength(getWaveSize(1));
+    expect(engine.base).not.toBeNull();
+    expect(engine.brickCells).toEqual(getBrickCells(engine.walls));
+    expect(engine.getStageProgress()).toEqual({ name: '生存', wave: 1 });
+
+    const again = new GameEngine();
+    again.startGame(1, 4, { config: SURVIVAL });
+    expect(again.getSnapshot().walls).toEqual(engine.getSnapshot().walls);
+  });
+
+  it('grows the wave size and on-field cap wave by wave', () => {
+    expect(getWaveSize(2)).toBeGreaterThan(getWaveSize(1));
+    expect(getWaveMaxEnemies(3)).toBeGreaterThan(getWaveMaxEnemies(1));
+    expect(getWaveMaxEnemies(100)).toBe(SURVIVAL_MAX_ENEMIES_CAP);
+  });
+
+  it('caps enemies on the field by the wave instead of the settings', () => {
+    const engine = createEmptyEngine({ spawning: true, config: { ...SURVIVAL, maxEnemies: 1 } });
+    stepTicks(engine, ticksFor(30000));
+    expect(engine.enemies.length).toBeLessThanOrEqual(getWaveMaxEnemies(1));
+    expect(engine.enemies.length).toBeGreaterThan(1);
+  });
+});
+
+describe('waves', () => {
+  it('takes a breather after each wave, then sends a bigger one', () => {
+    const engine = createEmptyEngine({ config: SURVIVAL });
+    finishWave(engine);
+    stepTicks(engine, 1);
+    expect(engine.wave).toBe(1);
+    expect(engine.getStageProgress().breakLeft).toBeGreaterThan(0);
+
+    stepTicks(engine, ticksFor(SURVIVAL_BREATHER) - 2);
+    expect(engine.wave).toBe(1);
+    stepTicks(engine, 2);
+    expect(engine.wave).toBe(2);
+    expect(engine.getStageProgress().breakLeft).toBeUndefined();
+    expect(engine.roster).toHaveLength(getWaveSize(2));
+    expect(engine.enemiesDestroyed).toBe(0);
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+  });
+
+  it('regrows broken and chipped bricks during the breather, but not under tanks', () => {
+    const engine = createEmptyEngine({ config: SURVIVAL });
+    const original = wallsFromRows(['BBB'], 4, 8);
+    engine.brickCells = getBrickCells(original);
+    const [chipped] = engine.walls = wallsFromRows(['.B.'], 4, 8);
+    chipped.quarters = [false, false, true, true];
+    engine.player.setPosition(6 * WALL_SIZE, 8 * WALL_SIZE);
+
+    finishWave(engine);
+    stepTicks(engine, ticksFor(SURVIVAL_BRICK_REGEN_INTERVAL) * 3);
+
+    expect(engine.walls.map(w => [w.x / WALL_SIZE, w.type])).toEqual([[5, WALL_TYPE.BRICK], [4, WALL_TYPE.BRICK]]);
+    expect(chipped.quarters).toEqual([true, true, true, true]);
+    expect(engine.wave).toBe(1);
+  });
+
+  it('reports the wave reached when the run ends', () => {
+    const engine = createEmptyEngine({ base: true, config: SURVIVAL });
+    finishWave(engine);
+    stepTicks(engine, ticksFor(SURVIVAL_BREATHER) + 1);
+    engine._destroyBase();
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.getRunSummary().level).toBe(2);
+  });
+});
+
+describe('kill streak', () => {
+  it('raises the multiplier every few kills up to the cap', () => {
+    expect(getStreakMultiplier(0)).toBe(1);
+    expect(getStreakMultiplier(4)).toBe(1);
+    expect(getStreakMultiplier(5)).toBe(2);
+    expect(getStreakMultiplier(1000)).toBe(SURVIVAL_MAX_MULTIPLIER);
+  });
+
+  it('multiplies kill scores and resets when the player is hit', () => {
+    const engine = createEmptyEngine({ config: SURVIVAL });
+    const { player } = engine;
+    player.streak = 5;
+
+    const enemy = killEnemy(engine);
+    expect(player.score).toBe(enemy.scoreValue * 2);
+    expect(player.streak).toBe(6);
+
+    player.invincibleUntil = 0;
+    engine._hitPlayer(player, engine.simTime);
+    expect(player.streak).toBe(0);
+  });
+
+  it('leaves campaign scoring alone', () => {
+    const engine = createEmptyEngine();
+    engine.player.streak = 10;
+    const enemy = killEnemy(engine);
+    expect(engine.player.score).toBe(enemy.scoreValue);
+  });
+});
+
+describe('survival records', () => {
+  it('has its own high-score categories', () => {
+    expect(getScoreCategory(createGameConfig(SURVIVAL), 1).key).toBe('normal-survival-solo');
+    expect(getScoreCategory(createGameConfig(SURVIVAL), 2).key).toBe('normal-survival-coop');
+    expect(listScoreCategories().map(c => c.key)).toContain('hard-survival-coop');
+  });
+
+  it('survives a save / resume round trip in the middle of a breather', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 9, { players: 2, config: SURVIVAL });
+    stepTicks(engine, 600);
+    finishWave(engine);
+    engine.walls.find(w => w.type === WALL_TYPE.BRICK).alive = false;
+    engine.players[1].streak = 7;
+    stepTicks(engine, 5);
+    engine.togglePause();
+
+    const copy = new GameEngine();
+    copy.resumeGame(JSON.parse(JSON.stringify(engine.createSave())));
+    expect(copy.wave).toBe(engine.wave);
+    expect(copy.waveBreakUntil).toBe(engine.waveBreakUntil);
+    expect(copy.players[1].streak).toBe(7);
+
+    engine.togglePause();
+    copy.togglePause();
+    stepTicks(engine, ticksFor(SURVIVAL_BREATHER) + 300);
+    stepTicks(copy, ticksFor(SURVIVAL_BREATHER) + 300);
+    expect(copy.wave).toBe(2);
+    expect(copy.getSnapshot()).toEqual(engine.getSnapshot());
+  });
+});
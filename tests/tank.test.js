@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { Tank, rectsOverlap } from '../src/game/Tank.js';
+import { Wall } from '../src/game/Wall.js';
+import {
+  DIR, WALL_SIZE, WALL_TYPE, TANK_SIZE, TANK_SPEED,
+  DESIGN_WIDTH, DESIGN_HEIGHT,
+} from '../src/game/constants.js';
+import { wallsFromRows } from './helpers.js';
+
+const COLS = Math.floor(DESIGN_WIDTH / WALL_SIZE);
+const ROWS = Math.floor(DESIGN_HEIGHT / WALL_SIZE);
+
+describe('rectsOverlap', () => {
+  it('detects overlapping rectangles', () => {
+    expect(rectsOverlap({ x: 0, y: 0, w: 10, h: 10 }, { x: 5, y: 5, w: 10, h: 10 })).toBe(true);
+  });
+
+  it('detects containment', () => {
+    expect(rectsOverlap({ x: 0, y: 0, w: 50, h: 50 }, { x: 10, y: 10, w: 5, h: 5 })).toBe(true);
+  });
+
+  it('treats touching edges as not overlapping', () => {
+    expect(rectsOverlap({ x: 0, y: 0, w: 10, h: 10 }, { x: 10, y: 0, w: 10, h: 10 })).toBe(false);
+    expect(rectsOverlap({ x: 0, y: 0, w: 10, h: 10 }, { x: 0, y: 10, w: 10, h: 10 })).toBe(false);
+  });
+});
+
+describe('Tank.move', () => {
+  it('moves by its speed in the requested direction', () => {
+    const tank = new Tank(WALL_SIZE * 5, WALL_SIZE * 5, DIR.UP, true);
+    tank.move(DIR.UP);
+    expect(tank.y).toBe(WALL_SIZE * 5 - TANK_SPEED);
+  });
+
+  it('snaps the cross axis to the grid when turning between horizontal and vertical', () => {
+    const tank = new Tank(WALL_SIZE * 3 + 10, WALL_SIZE * 5, DIR.RIGHT, true);
+    tank.move(DIR.UP);
+    expect(tank.x).toBe(WALL_SIZE * 3);
+
+    tank.y = WALL_SIZE * 5 + 20;
+    tank.move(DIR.LEFT);
+    expect(tank.y).toBe(WALL_SIZE * 6);
+  });
+
+  it('does not snap when continuing along the same axis', () => {
+    const tank = new Tank(WALL_SIZE * 3 + 10, WALL_SIZE * 5, DIR.UP, true);
+    tank.move(DIR.DOWN);
+    expect(tank.x).toBe(WALL_SIZE * 3 + 10);
+  });
+
+  it('stops at walls', () => {
+    const walls = [new Wall(WALL_SIZE * 5, WALL_SIZE * 4, WALL_TYPE.BRICK)];
+    const tank = new Tank(WALL_SIZE * 5, WALL_SIZE * 5, DIR.UP, true);
+    tank.move(DIR.UP, walls);
+    expect(tank.y).toBe(WALL_SIZE * 5);
+  });
+
+  it('only collides with the brick quarters that are left', () => {
+    const wall = new Wall(WALL_SIZE * 5, WALL_SIZE * 4, WALL_TYPE.BRICK);
+    wall.quarters = [true, true, false, false];
+    const tank = new Tank(WALL_SIZE * 5, WALL_SIZE * 5, DIR.UP, true);
+    for (let i = 0; i < 20; i++) tank.move(DIR.UP, [wall]);
+    expect(tank.y).toBe(WALL_SIZE * 4.5);
+  });
+
+  it('is blocked by water but not by forest or ice', () => {
+    for (const [type, blocked] of [[WALL_TYPE.WATER, true], [WALL_TYPE.FOREST, false], [WALL_TYPE.ICE, false]]) {
+      const tank = new Tank(WALL_SIZE * 5, WALL_SIZE * 5, DIR.UP, true);
+      tank.move(DIR.UP, [new Wall(WALL_SIZE * 5, WALL_SIZE * 4, type)]);
+      expect(tank.y === WALL_SIZE * 5).toBe(blocked);
+    }
+  });
+
+  it('stops at other tanks', () => {
+    const tank = new Tank(WALL_SIZE * 5, WALL_SIZE * 5, DIR.UP, true);
+    const blocker = new Tank(WALL_SIZE * 5, WALL_SIZE * 5 - TANK_SIZE - 1, DIR.DOWN, false);
+    tank.move(DIR.UP, [], [tank, blocker]);
+    expect(tank.y).toBe(WALL_SIZE * 5);
+  });
+
+  it('slides past a wall it grazes by less than the TOLERANCE margin', () => {
+    // 坦克右緣與牆壁重疊 0.4px，仍能沿牆垂直移動
+    const wall = new Wall(WALL_SIZE * 2, WALL_SIZE * 3, WALL_TYPE.STEEL);
+    const tank = new Tank(WALL_SIZE * 2 - TANK_SIZE + 0.4, WALL_SIZE * 4 + 4, DIR.UP, true);
+    for (let i = 0; i < 40; i++) tank.move(DIR.UP, [wall]);
+    expect(tank.y).toBeLessThan(WALL_SIZE * 3);
+  });
+
+  it('stays inside the design bounds', () => {
+    const tank = new Tank(0, 0, DIR.LEFT, true);
+    tank.move(DIR.LEFT);
+    expect(tank.x).toBe(0);
+    tank.move(DIR.UP);
+    expect(tank.y).toBe(0);
+
+    const corner = new Tank(DESIGN_WIDTH - TANK_SIZE, DESIGN_HEIGHT - TANK_SIZE, DIR.RIGHT, true);
+    corner.move(DIR.RIGHT);
+    expect(corner.x).toBe(DESIGN_WIDTH - TANK_SIZE);
+    corner.move(DIR.DOWN);
+    expect(corner.y).toBe(DESIGN_HEIGHT - TANK_SIZE);
+  });
+});
+
+describe('one-cell corridors (TANK_SIZE regression)', () => {
+  // 走廊長 3 格，兩側為鐵牆；坦克從側面偏移位置轉入，必須能完整穿過
+  const OFFSETS = [-14, -6, 0, 6, 14];
+
+  it('requires TANK_SIZE to be smaller than WALL_SIZE', () => {
+    expect(TANK_SIZE).toBeLessThan(WALL_SIZE);
+  });
+
+  for (let col = 1; col < COLS - 1; col++) {
+    it(`passes through a vertical corridor at column ${col}`, () => {
+      const walls = wallsFromRows(['S.S', 'S.S', 'S.S'], col - 1, 6);
+      for (const offset of OFFSETS) {
+        const tank = new Tank(col * WALL_SIZE + offset, 10 * WALL_SIZE, DIR.RIGHT, true);
+        for (let i = 0; i < 200 && tank.y > 4 * WALL_SIZE; i++) {
+          tank.move(DIR.UP, walls);
+        }
+        expect(tank.y).toBeLessThanOrEqual(4 * WALL_SIZE);
+      }
+    });
+  }
+
+  for (let row = 1; row < ROWS - 1; row++) {
+    it(`passes through a horizontal corridor at row ${row}`, () => {
+      const walls = wallsFromRows(['SSS', '...', 'SSS'], 10, row - 1);
+      for (const offset of OFFSETS) {
+        const tank = new Tank(6 * WALL_SIZE, row * WALL_SIZE + offset, DIR.UP, true);
+        for (let i = 0; i < 200 && tank.x < 15 * WALL_SIZE; i++) {
+          tank.move(DIR.RIGHT, walls);
+        }
+        expect(tank.x).toBeGreaterThanOrEqual(15 * WALL_SIZE);
+      }
+    });
+  }
+});
@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { Random } from '../src/game/Random.js';
+import { generateArena, getArenaLayout } from '../src/game/mapGenerator.js';
+import { findUnreachableSpawns } from '../src/game/mapConnectivity.js';
+import { createGameConfig, applyPreset } from '../src/game/gameConfig.js';
+import { getBotCount, getStandings, getWinner } from '../src/game/versus.js';
+import {
+  DIR, GAME_STATE, GAME_MODE, DIFFICULTY, TANK_SIZE, WALL_SIZE, GRID_COLS, GRID_ROWS,
+  VERSUS_RESPAWN_DELAY, VERSUS_MAX_TANKS,
+} from '../src/game/constants.js';
+import { tankAt, bulletAt, stepTicks, ticksFor } from './helpers.js';
+
+const VERSUS = { mode: GAME_MODE.VERSUS };
+
+/** 開一場死鬥；clear 時清空競技場的牆，讓測試自己擺位置 */
+function createVersusEngine({ players = 2, config = {}, seed = 1, clear = true } = {}) {
+  const engine = new GameEngine();
+  engine.startGame(1, seed, { players, config: { ...VERSUS, bots: 0, ...config } });
+  if (clear) engine.walls = [];
+  return engine;
+}
+
+/** 讓 shooter 朝正上方的 target 開一槍並推進一步 */
+function shoot(engine, shooter, target) {
+  for (const p of engine.players) p.invincibleUntil = 0;
+  const bullet = shooter.fire(engine.simTime);
+  Object.assign(bullet, { x: target.x + 13, y: target.y + TANK_SIZE + 2, direction: DIR.UP });
+  engine.bullets.push(bullet);
+  stepTicks(engine, 1);
+}
+
+describe('generateArena', () => {
+  const cellsOf = (walls) => new Set(walls.map(w => `${w.x / WALL_SIZE},${w.y / WALL_SIZE},${w.type}`));
+
+  it('is deterministic and mirrored in all four quadrants', () => {
+    const walls = generateArena(new Random(5));
+    expect([...cellsOf(generateArena(new Random(5)))]).toEqual([...cellsOf(walls)]);
+
+    const cells = cellsOf(walls);
+    for (const key of cells) {
+      const [c, r, type] = key.split(',');
+      const mc = GRID_COLS - 1 - Number(c);
+      const mr = GRID_ROWS - 1 - Number(r);
+      expect(cells.has(`${mc},${r},${type}`)).toBe(true);
+      expect(cells.has(`${c},${mr},${type}`)).toBe(true);
+    }
+  });
+
+  it('keeps every spawn point reachable and has no base', () => {
+    const layout = getArenaLayout();
+    expect(layout.base).toBeNull();
+    for (let seed = 1; seed <= 10; seed++) {
+      expect(findUnreachableSpawns(generateArena(new Random(seed)), layout)).toEqual([]);
+    }
+  });
+});
+
+describe('versus setup', () => {
+  it('fills a solo match with a bot and gives every tank its own team', () => {
+    const engine = createVersusEngine({ players: 1, clear: false });
+    expect(engine.players).toHaveLength(2);
+    expect(engine.players[1].ai).not.toBeNull();
+    expect(engine.players.map(p => p.team)).toEqual([0, 1]);
+    expect(engine.base).toBeNull();
+    expect(engine.roster).toEqual([]);
+
+    const [first, second] = getArenaLayout().playerSpawns;
+    expect({ x: engine.players[0].x, y: engine.players[0].y }).toEqual(first);
+    expect({ x: engine.players[1].x, y: engine.players[1].y }).toEqual(second);
+    expect(engine.players[0].direction).toBe(DIR.DOWN);
+    expect(engine.players[1].direction).toBe(DIR.UP);
+  });
+
+  it('caps the number of tanks on the field', () => {
+    expect(getBotCount(1, 0)).toBe(1);
+    expect(getBotCount(2, 0)).toBe(0);
+    expect(getBotCount(2, 3)).toBe(VERSUS_MAX_TANKS - 2);
+    const engine = createVersusEngine({ players: 1, config: { bots: 3 } });
+    expect(engine.players).toHaveLength(VERSUS_MAX_TANKS);
+  });
+
+  it('keeps the mode and match settings when switching presets', () => {
+    const config = applyPreset(createGameConfig({ ...VERSUS, fragLimit: 5, bots: 2 }), DIFFICULTY.HARD);
+    expect(config).toMatchObject({ mode: GAME_MODE.VERSUS, fragLimit: 5, bots: 2, difficulty: DIFFICULTY.HARD });
+    expect(createGameConfig({ mode: 'nope', bots: 9 })).toMatchObject({ mode: GAME_MODE.CAMPAIGN, bots: 3 });
+  });
+
+  it('does not create saves', () => {
+    const engine = createVersusEngine();
+    engine.togglePause();
+    expect(engine.createSave()).toBeNull();
+  });
+});
+
+describe('team damage', () => {
+  it('lets bullets hit tanks of any other team and credits the frag', () => {
+    const engine = createVersusEngine();
+    const [p1, p2] = engine.players;
+    p1.setPosition(10 * WALL_SIZE, 10 * WALL_SIZE);
+    p2.setPosition(10 * WALL_SIZE, 6 * WALL_SIZE);
+
+    shoot(engine, p1, p2);
+
+    expect(p2.alive).toBe(false);
+    expect(p2.deaths).toBe(1);
+    expect(p1.frags).toBe(1);
+    expect(engine.getMatchResult().standings[0]).toMatchObject({ index: 0, label: '1P', frags: 1 });
+  });
+
+  it('still keeps enemy bullets off other enemies in the campaign', () => {
+    const engine = new GameEngine();
+    engine.startGame(1, 1);
+    engine.walls = [];
+    engine.base = null;
+    engine.lastEnemySpawnTime = Infinity;
+    const enemy = tankAt(10, 5, DIR.UP);
+    engine.enemies = [enemy];
+    engine.bullets = [bulletAt(enemy.x + 13, enemy.y + TANK_SIZE + 2, DIR.UP, false)];
+
+    stepTicks(engine, 1);
+
+    expect(enemy.alive).toBe(true);
+    expect(engine.bullets).toHaveLength(1);
+  });
+});
+
+describe('respawning', () => {
+  it('brings fragged tanks back after the delay at the next spawn point', () => {
+    const engine = createVersusEngine();
+    const [p1, p2] = engine.players;
+    p1.setPosition(10 * WALL_SIZE, 10 * WALL_SIZE);
+    p2.setPosition(10 * WALL_SIZE, 6 * WALL_SIZE);
+    shoot(engine, p1, p2);
+
+    stepTicks(engine, ticksFor(VERSUS_RESPAWN_DELAY) - 2);
+    expect(p2.alive).toBe(false);
+    stepTicks(engine, 2);
+    expect(p2.alive).toBe(true);
+    // 開場用掉前兩個出生點，輪到第三個
+    expect({ x: p2.x, y: p2.y }).toEqual(getArenaLayout().playerSpawns[2]);
+    expect(p2.isInvincible(engine.simTime)).toBe(true);
+  });
+
+  it('skips spawn points that are occupied', () => {
+    const engine = createVersusEngine();
+    const [p1, p2] = engine.players;
+    const spawns = getArenaLayout().playerSpawns;
+    p2.setPosition(10 * WALL_SIZE, 6 * WALL_SIZE);
+    shoot(engine, p1, p2);
+    p1.setPosition(spawns[2].x, spawns[2].y);
+
+    stepTicks(engine, ticksFor(VERSUS_RESPAWN_DELAY));
+    expect({ x: p2.x, y: p2.y }).toEqual(spawns[3]);
+  });
+});
+
+describe('win conditions', () => {
+  it('ends the match when someone reaches the frag limit', () => {
+    const engine = createVersusEngine({ config: { fragLimit: 1 } });
+    const [p1, p2] = engine.players;
+    p1.setPosition(10 * WALL_SIZE, 10 * WALL_SIZE);
+    p2.setPosition(10 * WALL_SIZE, 6 * WALL_SIZE);
+    shoot(engine, p2, p1);
+
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.getMatchResult().winner).toBe(1);
+  });
+
+  it('ends in a draw when time runs out with the lead shared', () => {
+    const engine = createVersusEngine({ config: { timeLimit: 30 } });
+    stepTicks(engine, ticksFor(29000));
+    expect(engine.state).toBe(GAME_STATE.PLAYING);
+    expect(engine.getStageProgress()).toMatchObject({ fragLimit: engine.config.fragLimit });
+
+    stepTicks(engine, ticksFor(1000));
+    expect(engine.state).toBe(GAME_STATE.GAME_OVER);
+    expect(engine.getMatchResult().winner).toBeNull();
+  });
+
+  it('ranks by frags, then by fewer deaths', () => {
+    const standings = getStandings([
+      { playerIndex: 0, frags: 2, deaths: 3 },
+      { playerIndex: 1, frags: 4, deaths: 1 },
+      { playerIndex: 2, frags: 2, deaths: 1 },
+    ], 1);
+    expect(standings.map(s => s.label)).toEqual(['BOT 1', 'BOT 2', '1P']);
+    expect(getWinner(standings)).toBe(1);
+  });
+});
+
+describe('bots', () => {
+  it('hunt each other down, deterministically', () => {
+    const run = () => {
+      const engine = createVersusEngine({ players: 1, config: { bots: 3, timeLimit: 900 }, clear: false, seed: 3 });
+      stepTicks(engine, 3600);
+      return engine;
+    };
+    const engine = run();
+    const frags = engine.players.reduce((sum, p) => sum + p.frags, 0);
+    expect(frags).toBeGreaterThan(0);
+    expect(run().getSnapshot()).toEqual(engine.getSnapshot());
+  });
+
+  it('survive an exportState / importState round trip', () => {
+    const engine = createVersusEngine({ players: 1, config: { bots: 2 }, clear: false, seed: 7 });
+    stepTicks(engine, 600);
+
+    const copy = new GameEngine();
+    copy.importState(JSON.parse(JSON.stringify(engine.exportState())));
+    expect(copy.playerCount).toBe(1);
+    expect(copy.players.map(p => [p.team, p.frags, p.deaths, p.ai !== null]))
+      .toEqual(engine.players.map(p => [p.team, p.frags, p.deaths, p.ai !== null]));
+
+    stepTicks(engine, 300);
+    stepTicks(copy, 300);
+    expect(copy.getSnapshot()).toEqual(engine.getSnapshot());
+  });
+});